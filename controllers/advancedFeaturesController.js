@@ -8,6 +8,10 @@ const Revenue = require('../models/revenueModel'); // Phase 4 updated model
 const Round = require('../models/roundModel'); // Phase 4 updated model
 const Investor = require('../models/investorModel'); // Phase 4 updated model
 const CapTableEntry = require('../models/capTableEntryModel'); // Phase 4 updated model
+const esopService = require('../services/esopService');
+const fxService = require('../services/fxService');
+const accountingBasisService = require('../services/accountingBasisService');
+const FiscalPeriods = require('../utils/fiscalPeriods');
 const mongoose = require('mongoose');
 const AWS = require('aws-sdk');
 
@@ -21,13 +25,33 @@ const HORIZON_S3_BUCKET_NAME = process.env.HORIZON_S3_BUCKET_NAME || 'scaleup-ho
 
 
 // --- Budget Management ---
+// Budget period from a fiscal period spec (FY2025-26, FY2026-Q2, 2026-07, current_quarter, ...)
+const resolveBudgetPeriod = (period, organization) => {
+    const resolved = FiscalPeriods.resolvePeriod(period, organization);
+    const isMonth = /month/i.test(resolved.key) || /^\d{4}-\d{2}$/.test(resolved.key);
+    const periodType = isMonth ? 'Monthly' : (resolved.quarter ? 'Quarterly' : 'Annual');
+    return { ...resolved, periodType };
+};
+
 exports.createBudget = async (req, res) => {
-    const { name, periodType, periodStartDate, periodEndDate, items, status, notes, currency } = req.body;
+    const { name, period, items, status, notes, currency } = req.body;
+    let { periodType, periodStartDate, periodEndDate } = req.body;
     // --- MULTI-TENANCY: Get organization and user from request ---
     const organizationId = req.organization._id;
     const userId = req.user._id; // Standardized to req.user._id
 
     try {
+        // A fiscal period spec fills in the dates (and period type) from the org's financial year
+        if (period && (!periodStartDate || !periodEndDate)) {
+            try {
+                const resolved = resolveBudgetPeriod(period, req.organization);
+                periodStartDate = resolved.start;
+                periodEndDate = resolved.end;
+                periodType = periodType || resolved.periodType;
+            } catch (periodError) {
+                return res.status(400).json({ msg: periodError.message });
+            }
+        }
         if (!name || !periodType || !periodStartDate || !periodEndDate || !items) {
             return res.status(400).json({ msg: 'Name, period type, start/end dates, and items are required for a budget.' });
         }
@@ -65,7 +89,19 @@ exports.getBudgets = async (req, res) => {
     try {
         // --- MULTI-TENANCY: Filter by organizationId ---
         // const budgets = await Budget.find({ organization: organizationId, createdBy: userId }) // If only user's created budgets
-        const budgets = await Budget.find({ organization: organizationId }) // All budgets for the organization
+        const query = { organization: organizationId };
+        if (req.query.period) {
+            // Budgets overlapping a fiscal period (e.g. ?period=FY2025-26 or ?period=current_quarter)
+            let resolved;
+            try {
+                resolved = FiscalPeriods.resolvePeriod(req.query.period, req.organization);
+            } catch (periodError) {
+                return res.status(400).json({ msg: periodError.message });
+            }
+            query.periodStartDate = { $lte: resolved.end };
+            query.periodEndDate = { $gte: resolved.start };
+        }
+        const budgets = await Budget.find(query) // All budgets for the organization
             .populate('createdBy', 'name email') // Populate with fields from HorizonUser
             .sort({ periodStartDate: -1 });
         res.json(budgets);
@@ -170,9 +206,17 @@ exports.getBudgetVsActualsReport = async (req, res) => {
     const orgCurrency = req.organization.currency || 'INR';
 
     try {
-        const { budgetId, periodStartDate, periodEndDate } = req.query;
+        const { budgetId, periodStartDate, periodEndDate, period } = req.query;
         let budget;
         let startDate, endDate;
+        let periodLabel = null;
+
+        let basis;
+        try {
+            basis = accountingBasisService.resolveBasis(req.organization, req.query.basis);
+        } catch (basisError) {
+            return res.status(400).json({ msg: basisError.message });
+        }
 
         if (budgetId) {
             if (!mongoose.Types.ObjectId.isValid(budgetId)) {
@@ -183,31 +227,51 @@ exports.getBudgetVsActualsReport = async (req, res) => {
             if (!budget) return res.status(404).json({ msg: 'Budget not found within your organization.' });
             startDate = budget.periodStartDate;
             endDate = budget.periodEndDate;
+        } else if (period) {
+            // Fiscal period: FY2025-26, FY2026-Q1, ytd, current_quarter, ...
+            try {
+                const resolved = FiscalPeriods.resolvePeriod(period, req.organization);
+                startDate = resolved.start;
+                endDate = resolved.end;
+                periodLabel = resolved.label;
+            } catch (periodError) {
+                return res.status(400).json({ msg: periodError.message });
+            }
         } else if (periodStartDate && periodEndDate) {
             startDate = new Date(periodStartDate);
             endDate = new Date(periodEndDate);
             // If no budgetId, we might want to aggregate expenses against a "virtual" budget for the period
             // or require a budgetId. For now, assuming if no budgetId, we just show actuals.
         } else {
-            return res.status(400).json({ msg: 'BudgetId or both periodStartDate and periodEndDate are required.' });
+            return res.status(400).json({ msg: 'BudgetId, a fiscal period, or both periodStartDate and periodEndDate are required.' });
         }
 
+        // Budget and actuals are both reported in the organization's reporting currency:
+        // actuals at each expense's transaction-date rate, the budget at the period-start rate
+        const fx = await fxService.createConverter(organizationId, orgCurrency);
+
         // --- MULTI-TENANCY: Filter expenses by organizationId ---
-        const actualExpenses = await Expense.aggregate([
-            { $match: { organization: organizationId, date: { $gte: startDate, $lte: endDate } } },
-            { $group: { _id: "$category", actualSpent: { $sum: "$amount" } } }
-        ]);
+        const actualExpenses = (await accountingBasisService.sumByBasis(Expense,
+            { organization: organizationId }, fx, { basis, dateRange: { $gte: startDate, $lte: endDate }, groupBy: "$category" }))
+            .map(exp => ({ _id: exp._id, actualSpent: exp.total }));
+
+        const toReporting = (amount) => {
+            if (!budget) return amount;
+            const converted = fx.convert(amount, budget.currency, startDate);
+            return converted === null ? amount : Math.round(converted * 100) / 100;
+        };
 
         const reportItems = [];
         if (budget) {
             budget.items.forEach(item => {
                 const actual = actualExpenses.find(exp => exp._id === item.category);
                 const actualSpent = actual ? actual.actualSpent : 0;
-                const variance = item.budgetedAmount - actualSpent;
-                const variancePercentage = item.budgetedAmount !== 0 ? (variance / item.budgetedAmount) * 100 : (actualSpent !== 0 ? -100 : 0);
+                const budgetedAmount = toReporting(item.budgetedAmount);
+                const variance = budgetedAmount - actualSpent;
+                const variancePercentage = budgetedAmount !== 0 ? (variance / budgetedAmount) * 100 : (actualSpent !== 0 ? -100 : 0);
                 reportItems.push({
                     category: item.category,
-                    budgetedAmount: item.budgetedAmount,
+                    budgetedAmount,
                     actualSpent,
                     variance,
                     variancePercentage: variancePercentage.toFixed(2) + '%'
@@ -239,20 +303,24 @@ exports.getBudgetVsActualsReport = async (req, res) => {
         }
 
 
-        const totalBudgeted = budget ? budget.totalBudgetedAmount : 0;
+        const totalBudgeted = budget ? toReporting(budget.totalBudgetedAmount) : 0;
         const totalActual = actualExpenses.reduce((sum, exp) => sum + exp.actualSpent, 0);
 
         res.json({
-            budgetName: budget ? budget.name : `Actuals for Period: ${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}`,
+            budgetName: budget ? budget.name : `Actuals for Period: ${periodLabel || `${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}`}`,
+            fiscalPeriod: FiscalPeriods.describe(startDate, FiscalPeriods.getConfig(req.organization)).label,
             periodStartDate: startDate,
             periodEndDate: endDate,
-            currency: budget ? budget.currency : orgCurrency,
+            currency: orgCurrency,
+            budgetCurrency: budget ? budget.currency : orgCurrency,
             reportItems: reportItems.sort((a,b) => (b.actualSpent || 0) - (a.actualSpent || 0)), // Sort by most spent
             totals: {
                 totalBudgeted,
                 totalActualSpent: totalActual,
                 totalVariance: totalBudgeted - totalActual
-            }
+            },
+            accountingBasis: accountingBasisService.describeBasis(basis),
+            fxBasis: fx.basis()
         });
     } catch (err) {
         console.error('Error generating budget vs actuals report:', err.message, err.stack);
@@ -561,6 +629,95 @@ exports.deleteEsopGrant = async (req, res) => {
 };
 
 
+// --- ESOP Vesting & Exercise Workflow ---
+// Business-rule failures from esopService come back as 400s; lookups as 404s
+const sendEsopError = (res, err, fallback) => {
+    if (err.message === 'ESOP Grant not found') {
+        return res.status(404).json({ msg: 'ESOP Grant not found or not authorized within your organization.' });
+    }
+    if (/^Invalid|must be|cannot|Cannot|Only \d|only has|window closed|already|can only be|required/.test(err.message)) {
+        return res.status(400).json({ msg: err.message });
+    }
+    if (err.name === 'ValidationError') return res.status(400).json({ msg: 'Validation Error: ' + err.message, errors: err.errors });
+    res.status(500).send(fallback);
+};
+
+exports.getEsopVesting = async (req, res) => {
+    const organizationId = req.organization._id;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ msg: 'Invalid Grant ID format' });
+        }
+        const result = await esopService.getVestingSchedule(req.params.id, organizationId, req.query.asOf);
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching ESOP vesting:', err.message, err.stack);
+        sendEsopError(res, err, 'Server Error fetching ESOP vesting schedule.');
+    }
+};
+
+exports.regenerateEsopSchedule = async (req, res) => {
+    const organizationId = req.organization._id;
+    const userId = req.user._id;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ msg: 'Invalid Grant ID format' });
+        }
+        const grant = await esopService.regenerateSchedule(req.params.id, organizationId, userId);
+        res.json(grant);
+    } catch (err) {
+        console.error('Error regenerating ESOP schedule:', err.message, err.stack);
+        sendEsopError(res, err, 'Server Error regenerating ESOP vesting schedule.');
+    }
+};
+
+exports.exerciseEsopOptions = async (req, res) => {
+    const { optionsToExercise, exerciseDate, paymentReference, notes } = req.body;
+    const organizationId = req.organization._id;
+    const userId = req.user._id;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ msg: 'Invalid Grant ID format' });
+        }
+        const result = await esopService.exerciseOptions(req.params.id, organizationId, {
+            optionsToExercise, exerciseDate, paymentReference, notes, userId
+        });
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Error exercising ESOP options:', err.message, err.stack);
+        sendEsopError(res, err, 'Server Error exercising ESOP options.');
+    }
+};
+
+exports.terminateEsopGrant = async (req, res) => {
+    const { terminationDate, exerciseWindowDays, reason } = req.body;
+    const organizationId = req.organization._id;
+    const userId = req.user._id;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ msg: 'Invalid Grant ID format' });
+        }
+        const result = await esopService.terminateGrant(req.params.id, organizationId, {
+            terminationDate, exerciseWindowDays, reason, userId
+        });
+        res.json(result);
+    } catch (err) {
+        console.error('Error terminating ESOP grant:', err.message, err.stack);
+        sendEsopError(res, err, 'Server Error terminating ESOP grant.');
+    }
+};
+
+exports.getEsopPoolReport = async (req, res) => {
+    const organizationId = req.organization._id;
+    try {
+        const report = await esopService.getPoolUtilizationReport(organizationId, req.query.asOf);
+        res.json(report);
+    } catch (err) {
+        console.error('Error building ESOP pool report:', err.message, err.stack);
+        sendEsopError(res, err, 'Server Error building ESOP pool report.');
+    }
+};
+
 // --- Advanced KPI & Forecasting (Conceptual Stubs for V2) ---
 // These will also need organization scoping when fully implemented.
 exports.getAdvancedCohortAnalysis = async (req, res) => {
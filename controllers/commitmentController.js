@@ -2,9 +2,10 @@
 // CRUD + payment recording for informal commitments / pending payments.
 const mongoose = require('mongoose');
 const Commitment = require('../models/commitmentModel');
+const expenseApprovalService = require('../services/expenseApprovalService');
 
 const EDITABLE_FIELDS = ['direction', 'counterparty', 'title', 'category', 'totalAmount',
-    'dueDate', 'payWhen', 'includeInRunway', 'business', 'notes'];
+    'dueDate', 'payWhen', 'includeInRunway', 'business', 'notes', 'expense'];
 
 function buildSummary(commitments) {
     const summary = {
@@ -129,6 +130,7 @@ exports.addPayment = async (req, res) => {
 
         doc.payments.push({ date: when, amount, notes: req.body.notes, recordedBy: req.user._id });
         await doc.save();
+        await expenseApprovalService.syncReimbursementStatus(doc);
         res.status(201).json({ msg: 'Payment recorded', commitment: doc });
     } catch (err) {
         console.error('Error recording commitment payment:', err.message);
@@ -154,6 +156,7 @@ exports.deletePayment = async (req, res) => {
         if (doc.payments.length === before) return res.status(404).json({ msg: 'Payment entry not found' });
 
         await doc.save();
+        await expenseApprovalService.syncReimbursementStatus(doc);
         res.json({ msg: 'Payment removed', commitment: doc });
     } catch (err) {
         console.error('Error deleting commitment payment:', err.message);
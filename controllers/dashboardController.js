@@ -14,6 +14,7 @@ const Round = require('../models/roundModel');
 const Investor = require('../models/investorModel');
 const ManualKpiSnapshot = require('../models/manualKpiSnapshotModel');
 const Commitment = require('../models/commitmentModel');
+const fxService = require('../services/fxService');
 
 const OPEN_STATUSES = { $nin: ['completed', 'cancelled'] };
 
@@ -62,6 +63,7 @@ exports.getCommandCenter = async (req, res) => {
             investors,
             kpiSnapshots,
             commitmentAgg,
+            fx,
         ] = await Promise.all([
             Task.find({ ...baseTask, status: OPEN_STATUSES, dueDate: { $lt: startOfToday } })
                 .select('title taskKey status priority dueDate parentTask assignee')
@@ -88,9 +90,9 @@ exports.getCommandCenter = async (req, res) => {
                 .sort({ createdAt: -1 }).limit(5)
                 .populate('relatedTask', 'title taskKey'),
             Notification.countDocuments({ recipient: userId, organization: orgId, isRead: false }),
-            BankAccount.find({ organization: orgId }).select('currentBalance accountName'),
+            BankAccount.find({ organization: orgId }).select('currentBalance currency accountName'),
             Expense.aggregate([
-                { $match: { organization: orgId, date: { $gte: ninetyDaysAgo } } },
+                { $match: { organization: orgId, ...Expense.actualsFilter(), date: { $gte: ninetyDaysAgo } } },
                 { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
             ]),
             Revenue.aggregate([
@@ -118,6 +120,7 @@ exports.getCommandCenter = async (req, res) => {
                     }
                 }
             ]),
+            fxService.createConverter(orgId, req.organization.currency || 'INR'),
         ]);
 
         // ---- Portfolio: epic cards with child rollups ----
@@ -167,7 +170,7 @@ exports.getCommandCenter = async (req, res) => {
         });
 
         // ---- Finance rollup (last 90 days averaged to monthly) ----
-        const totalBalance = bankAccounts.reduce((sum, a) => sum + (a.currentBalance || 0), 0);
+        const totalBalance = bankAccounts.reduce((sum, a) => sum + (fx.convert(a.currentBalance, a.currency, now) || 0), 0);
         const expenseTotal90 = expenseAgg[0]?.total || 0;
         const revenueTotal90 = revenueAgg[0]?.total || 0;
         const monthlyBurn = Math.round(expenseTotal90 / 3);
@@ -257,6 +260,8 @@ exports.getCommandCenter = async (req, res) => {
                 adjustedRunwayMonths,
                 bankAccountCount: bankAccounts.length,
                 overBudgetCount: overBudget.length,
+                currency: fx.reportingCurrency,
+                fxBasis: fx.basis(),
             },
             team: {
                 hasData: headcounts.length > 0,
@@ -0,0 +1,172 @@
+// controllers/expenseApprovalController.js
+// Expense approval policies, the approver queue, approve / reject decisions
+// and reimbursement payouts.
+const mongoose = require('mongoose');
+const Expense = require('../models/expenseModel');
+const ExpensePolicy = require('../models/expensePolicyModel');
+const expenseApprovalService = require('../services/expenseApprovalService');
+
+async function findExpense(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ msg: 'Invalid Expense ID format' });
+        return null;
+    }
+    const expense = await Expense.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!expense) {
+        res.status(404).json({ msg: 'Expense not found within your organization.' });
+        return null;
+    }
+    return expense;
+}
+
+async function findPolicy(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ msg: 'Invalid policy ID format' });
+        return null;
+    }
+    const policy = await ExpensePolicy.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!policy) {
+        res.status(404).json({ msg: 'Expense policy not found in your organization' });
+        return null;
+    }
+    return policy;
+}
+
+function sendError(res, err, fallback) {
+    if (err.status) return res.status(err.status).json({ msg: err.message });
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ msg: err.message });
+    res.status(500).send(`Server Error: ${fallback}`);
+}
+
+/**
+ * @desc    Submitted expenses the current user can approve or reject
+ * @route   GET /api/horizon/financials/expenses/approvals/queue
+ * @access  Private
+ */
+exports.getApprovalQueue = async (req, res) => {
+    try {
+        const queue = await expenseApprovalService.getApprovalQueue(req.organization._id, req.user._id);
+        res.json(queue);
+    } catch (err) {
+        console.error('Error fetching expense approval queue:', err.message);
+        res.status(500).send('Server Error: Could not fetch approval queue');
+    }
+};
+
+/**
+ * @desc    Approve a submitted expense (reimbursable ones get a reimbursement commitment)
+ * @route   POST /api/horizon/financials/expenses/:id/approve
+ * @access  Private (policy approvers; owners by default)
+ */
+exports.approveExpense = async (req, res) => {
+    try {
+        const expense = await findExpense(req, res);
+        if (!expense) return;
+        await expenseApprovalService.decide(req.organization, expense, req.user._id, 'approved', req.body.comment);
+        res.json({ msg: 'Expense approved', expense });
+    } catch (err) {
+        console.error('Error approving expense:', err.message);
+        sendError(res, err, 'Could not approve expense');
+    }
+};
+
+/**
+ * @desc    Reject a submitted expense (comment required)
+ * @route   POST /api/horizon/financials/expenses/:id/reject
+ * @access  Private (policy approvers; owners by default)
+ */
+exports.rejectExpense = async (req, res) => {
+    try {
+        const expense = await findExpense(req, res);
+        if (!expense) return;
+        await expenseApprovalService.decide(req.organization, expense, req.user._id, 'rejected', req.body.comment);
+        res.json({ msg: 'Expense rejected', expense });
+    } catch (err) {
+        console.error('Error rejecting expense:', err.message);
+        sendError(res, err, 'Could not reject expense');
+    }
+};
+
+/**
+ * @desc    Pay out an approved reimbursable expense (settles its commitment)
+ * @route   POST /api/horizon/financials/expenses/:id/reimburse
+ * @access  Private (owner)
+ */
+exports.reimburseExpense = async (req, res) => {
+    try {
+        const expense = await findExpense(req, res);
+        if (!expense) return;
+        const result = await expenseApprovalService.markReimbursed(req.organization, expense, req.user._id, {
+            date: req.body.date,
+            notes: req.body.notes,
+        });
+        res.json({ msg: 'Expense reimbursed', ...result });
+    } catch (err) {
+        console.error('Error reimbursing expense:', err.message);
+        sendError(res, err, 'Could not reimburse expense');
+    }
+};
+
+/**
+ * @desc    List expense approval policies
+ * @route   GET /api/horizon/financials/expense-policies
+ * @access  Private
+ */
+exports.getPolicies = async (req, res) => {
+    try {
+        const policies = await expenseApprovalService.listPolicies(req.organization._id);
+        res.json(policies);
+    } catch (err) {
+        console.error('Error fetching expense policies:', err.message);
+        res.status(500).send('Server Error: Could not fetch expense policies');
+    }
+};
+
+/**
+ * @desc    Create an expense approval policy
+ * @route   POST /api/horizon/financials/expense-policies
+ * @access  Private (owner)
+ */
+exports.createPolicy = async (req, res) => {
+    try {
+        const policy = await expenseApprovalService.savePolicy(req.organization._id, req.body, req.user._id);
+        res.status(201).json({ msg: 'Expense policy added', policy });
+    } catch (err) {
+        console.error('Error creating expense policy:', err.message);
+        sendError(res, err, 'Could not add expense policy');
+    }
+};
+
+/**
+ * @desc    Update an expense approval policy (applies to expenses entered from now on)
+ * @route   PUT /api/horizon/financials/expense-policies/:id
+ * @access  Private (owner)
+ */
+exports.updatePolicy = async (req, res) => {
+    try {
+        const policy = await findPolicy(req, res);
+        if (!policy) return;
+        await expenseApprovalService.savePolicy(req.organization._id, req.body, req.user._id, policy);
+        res.json({ msg: 'Expense policy updated', policy });
+    } catch (err) {
+        console.error('Error updating expense policy:', err.message);
+        sendError(res, err, 'Could not update expense policy');
+    }
+};
+
+/**
+ * @desc    Delete an expense approval policy (queued expenses fall back to owner approval)
+ * @route   DELETE /api/horizon/financials/expense-policies/:id
+ * @access  Private (owner)
+ */
+exports.deletePolicy = async (req, res) => {
+    try {
+        const policy = await findPolicy(req, res);
+        if (!policy) return;
+        await policy.deleteOne();
+        res.json({ msg: 'Expense policy deleted' });
+    } catch (err) {
+        console.error('Error deleting expense policy:', err.message);
+        res.status(500).send('Server Error: Could not delete expense policy');
+    }
+};
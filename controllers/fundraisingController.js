@@ -3,6 +3,11 @@ const Round = require('../models/roundModel');
 const Investor = require('../models/investorModel');
 const CapTableEntry = require('../models/capTableEntryModel');
 const FundraisingCalculationService = require('../services/fundraisingCalculationService');
+const {
+    recordChange, recordTranchePayment, getRoundAuditTrail, getPaymentHistory
+} = require('../services/fundraisingAuditService');
+const { calculateWaterfall, calculateExitScenarios } = require('../services/exitWaterfallService');
+const fundraisingReportService = require('../services/fundraisingReportService');
 const mongoose = require('mongoose');
 
 // --- Module 1.1: Enhanced Round Management ---
@@ -19,7 +24,8 @@ exports.createRound = async (req, res) => {
         softCommitmentsTotal, hardCommitmentsTotal, totalFundsReceived,
         openDate, targetCloseDate, actualCloseDate, status, roundType, notes,
         // NEW CALCULATION FIELDS
-        equityPercentageOffered, existingSharesPreRound
+        equityPercentageOffered, existingSharesPreRound,
+        liquidationPreference
     } = req.body;
     
     const organizationId = req.organization._id;
@@ -50,7 +56,8 @@ exports.createRound = async (req, res) => {
             roundType,
             notes,
             equityPercentageOffered,
-            existingSharesPreRound
+            existingSharesPreRound,
+            liquidationPreference
         };
         
         // Use calculation service for intelligent round creation
@@ -69,6 +76,11 @@ exports.createRound = async (req, res) => {
             await round.save();
         }
         
+        await recordChange({
+            organizationId, actorId: userId, entityType: 'Round', entityId: round._id,
+            action: 'create', after: round, roundId: round._id, label: round.name, source: 'createRound'
+        });
+        
         // Return round with enhanced data
         const response = {
             ...round.toObject(),
@@ -194,7 +206,8 @@ exports.updateRound = async (req, res) => {
         softCommitmentsTotal, hardCommitmentsTotal, totalFundsReceived,
         openDate, targetCloseDate, actualCloseDate, status, roundType, notes,
         // NEW CALCULATION FIELDS
-        equityPercentageOffered, existingSharesPreRound
+        equityPercentageOffered, existingSharesPreRound,
+        liquidationPreference
     } = req.body;
     
     const organizationId = req.organization._id;
@@ -214,6 +227,8 @@ exports.updateRound = async (req, res) => {
             return res.status(404).json({ msg: 'Round not found within your organization.' });
         }
 
+        const roundBefore = round.toObject();
+
         // Check if calculation-critical fields are being updated
         const calculationFields = ['targetAmount', 'equityPercentageOffered', 'existingSharesPreRound'];
         const needsRecalculation = calculationFields.some(field => 
@@ -238,6 +253,11 @@ exports.updateRound = async (req, res) => {
         if (notes !== undefined) updateFields.notes = notes;
         if (equityPercentageOffered !== undefined) updateFields.equityPercentageOffered = equityPercentageOffered;
         if (existingSharesPreRound !== undefined) updateFields.existingSharesPreRound = existingSharesPreRound;
+        if (liquidationPreference !== undefined) {
+            Object.entries(liquidationPreference || {}).forEach(([key, value]) => {
+                updateFields[`liquidationPreference.${key}`] = value;
+            });
+        }
 
         // Update the round
         round = await Round.findOneAndUpdate(
@@ -255,6 +275,12 @@ exports.updateRound = async (req, res) => {
             round = await Round.findById(round._id);
         }
         
+        await recordChange({
+            organizationId, actorId: userId, entityType: 'Round', entityId: round._id,
+            action: 'update', before: roundBefore, after: round, roundId: round._id,
+            label: round.name, source: 'updateRound'
+        });
+        
         const response = {
             ...round.toObject(),
             formattedValuation: round.getFormattedValuation(),
@@ -330,6 +356,12 @@ exports.deleteRound = async (req, res) => {
             
             await Round.findByIdAndDelete(req.params.id).session(session);
             
+            await recordChange({
+                organizationId, actorId: req.user._id, entityType: 'Round', entityId: round._id,
+                action: 'delete', before: round, roundId: round._id, label: round.name,
+                source: 'deleteRound', session
+            });
+            
             await session.commitTransaction();
             
             console.log(`[ROUND DELETED] ${round.name} and all associated data removed`);
@@ -568,9 +600,29 @@ exports.addInvestor = async (req, res) => {
         }
 
         // ✅ UPDATE ROUND METRICS
+        const roundBefore = round.toObject();
         round.totalFundsReceived = (round.totalFundsReceived || 0) + totalReceivedFromTranches;
         await round.save({ session });
 
+        // ✅ AUDIT TRAIL: investor creation, initial payments and round totals
+        const auditBase = { organizationId, actorId: userId, roundId, investorId: newInvestor._id, source: 'addInvestor', session };
+        await recordChange({
+            ...auditBase, entityType: 'Investor', entityId: newInvestor._id,
+            action: 'create', after: newInvestor, label: newInvestor.name
+        });
+        for (const tranche of newInvestor.tranches.filter(t => t.receivedAmount > 0)) {
+            await recordTranchePayment({
+                organizationId, actorId: userId, investor: newInvestor,
+                trancheBefore: null, trancheAfter: tranche, source: 'addInvestor', session
+            });
+        }
+        if (totalReceivedFromTranches > 0) {
+            await recordChange({
+                ...auditBase, entityType: 'Round', entityId: round._id,
+                action: 'update', before: roundBefore, after: round, label: round.name
+            });
+        }
+
         console.log(`[ROUND UPDATE] ✅ Round total funds updated: +₹${totalReceivedFromTranches.toLocaleString()}`);
 
         // ✅ COMMIT TRANSACTION
@@ -755,6 +807,9 @@ exports.updateInvestor = async (req, res) => {
             return res.status(404).json({ msg: 'Investor not found within your organization.' });
         }
 
+        const investorBefore = investor.toObject({ depopulate: true });
+        const tranchesBefore = investor.tranches.map(t => t.toObject());
+
         // Check if equity-affecting fields are being updated
         const equityFields = ['totalCommittedAmount', 'investmentVehicle'];
         const needsRecalculation = equityFields.some(field => 
@@ -832,6 +887,27 @@ exports.updateInvestor = async (req, res) => {
             await investor.save({ session });
         }
 
+        // Audit: field diff plus a ledger entry for every tranche whose received amount moved
+        await recordChange({
+            organizationId, actorId: userId, entityType: 'Investor', entityId: investor._id,
+            action: 'update', before: investorBefore, after: investor,
+            roundId: investor.roundId?._id || investor.roundId, investorId: investor._id,
+            label: investor.name, source: 'updateInvestor', session
+        });
+        if (tranches.length > 0) {
+            const maxLength = Math.max(tranchesBefore.length, investor.tranches.length);
+            for (let i = 0; i < maxLength; i++) {
+                const before = tranchesBefore[i] || null;
+                const after = investor.tranches[i] || null;
+                if ((before?.receivedAmount || 0) !== (after?.receivedAmount || 0)) {
+                    await recordTranchePayment({
+                        organizationId, actorId: userId, investor,
+                        trancheBefore: before, trancheAfter: after, source: 'updateInvestor', session
+                    });
+                }
+            }
+        }
+
         await session.commitTransaction();
         
         const response = {
@@ -871,12 +947,19 @@ exports.deleteInvestor = async (req, res) => {
             return res.status(400).json({ msg: 'Invalid Investor ID format' });
         }
         
+        const investorBefore = await Investor.findOne({ _id: req.params.id, organization: organizationId });
+
         // Use calculation service for comprehensive deletion
         const success = await FundraisingCalculationService.deleteInvestorCompletely(
             req.params.id, organizationId
         );
         
         if (success) {
+            await recordChange({
+                organizationId, actorId: req.user._id, entityType: 'Investor', entityId: investorBefore._id,
+                action: 'delete', before: investorBefore, roundId: investorBefore.roundId,
+                investorId: investorBefore._id, label: investorBefore.name, source: 'deleteInvestor'
+            });
             console.log(`[INVESTOR DELETED] Investor ${req.params.id} and all related data removed`);
             res.json({ msg: 'Investor and all related data removed successfully' });
         } else {
@@ -949,6 +1032,19 @@ exports.addTranche = async (req, res) => {
         investor.tranches.push(newTranche);
         await investor.save(); // Triggers pre-save calculations
         
+        const savedTranche = investor.tranches[investor.tranches.length - 1];
+        await recordChange({
+            organizationId, actorId: req.user._id, entityType: 'Tranche', entityId: savedTranche._id || investor._id,
+            action: 'create', after: savedTranche, roundId: investor.roundId?._id || investor.roundId,
+            investorId: investor._id, label: `${investor.name} T${savedTranche.trancheNumber}`, source: 'addTranche'
+        });
+        if (savedTranche.receivedAmount > 0) {
+            await recordTranchePayment({
+                organizationId, actorId: req.user._id, investor,
+                trancheBefore: null, trancheAfter: savedTranche, source: 'addTranche'
+            });
+        }
+        
         const response = {
             ...investor.toObject(),
             investmentSummary: investor.getInvestmentSummary(),
@@ -1009,7 +1105,8 @@ exports.updateTranche = async (req, res) => {
             // Use calculation service for payment processing
             const paymentDetails = { paymentMethod, transactionReference, notes };
             const result = await FundraisingCalculationService.processTranchePayment(
-                investorId, trancheId, receivedAmount, paymentDetails, organizationId
+                investorId, trancheId, receivedAmount, paymentDetails, organizationId,
+                { actorId: req.user._id, source: 'updateTranche' }
             );
             
             console.log(`[TRANCHE PAYMENT] ${result.investor.name} T${result.tranche.trancheNumber}: ₹${receivedAmount.toLocaleString()} processed`);
@@ -1025,6 +1122,8 @@ exports.updateTranche = async (req, res) => {
             res.json(response);
             
         } else {
+            const trancheBefore = tranche.toObject();
+
             // Simple field updates without payment processing
             if (trancheNumber !== undefined) tranche.trancheNumber = trancheNumber;
             if (agreedAmount !== undefined) tranche.agreedAmount = agreedAmount;
@@ -1038,6 +1137,12 @@ exports.updateTranche = async (req, res) => {
 
             await investor.save();
             
+            await recordChange({
+                organizationId, actorId: req.user._id, entityType: 'Tranche', entityId: tranche._id || investor._id,
+                action: 'update', before: trancheBefore, after: tranche, roundId: investor.roundId,
+                investorId: investor._id, label: `${investor.name} T${tranche.trancheNumber}`, source: 'updateTranche'
+            });
+            
             const response = {
                 ...investor.toObject(),
                 investmentSummary: investor.getInvestmentSummary(),
@@ -1088,6 +1193,7 @@ exports.deleteTranche = async (req, res) => {
         // Check if deleting a tranche with received payment
         const hadPayment = tranche.receivedAmount > 0;
         const amountToRemove = tranche.receivedAmount || 0;
+        const trancheBefore = tranche.toObject();
 
         // Remove the tranche
         investor.tranches.pull({ _id: trancheId });
@@ -1111,6 +1217,19 @@ exports.deleteTranche = async (req, res) => {
             );
         }
 
+        await recordChange({
+            organizationId, actorId: req.user._id, entityType: 'Tranche', entityId: trancheBefore._id || investor._id,
+            action: 'delete', before: trancheBefore, roundId: investor.roundId?._id || investor.roundId,
+            investorId: investor._id, label: `${investor.name} T${trancheBefore.trancheNumber}`, source: 'deleteTranche'
+        });
+        if (hadPayment) {
+            // Reversal in the payment ledger
+            await recordTranchePayment({
+                organizationId, actorId: req.user._id, investor,
+                trancheBefore, trancheAfter: null, source: 'deleteTranche'
+            });
+        }
+
         const response = {
             ...investor.toObject(),
             investmentSummary: investor.getInvestmentSummary(),
@@ -1196,6 +1315,12 @@ exports.addCapTableEntry = async (req, res) => {
         // Update equity percentages for all entries
         await FundraisingCalculationService.updateAllEquityPercentages(organizationId, session);
         
+        await recordChange({
+            organizationId, actorId: userId, entityType: 'CapTableEntry', entityId: entry._id,
+            action: 'create', after: entry, roundId: entry.roundId, investorId: entry.investorId,
+            label: entry.shareholderName, source: 'addCapTableEntry', session
+        });
+        
         await session.commitTransaction();
         
         const response = {
@@ -1325,6 +1450,8 @@ exports.updateCapTableEntry = async (req, res) => {
             return res.status(404).json({ msg: 'Cap table entry not found within your organization.' });
         }
 
+        const entryBefore = entry.toObject();
+
         const updateFields = {};
         if (shareholderName !== undefined) updateFields.shareholderName = shareholderName;
         if (shareholderType !== undefined) updateFields.shareholderType = shareholderType;
@@ -1345,6 +1472,12 @@ exports.updateCapTableEntry = async (req, res) => {
             { new: true, runValidators: true }
         ).populate('user', 'name email');
         
+        await recordChange({
+            organizationId, actorId: req.user._id, entityType: 'CapTableEntry', entityId: entry._id,
+            action: 'update', before: entryBefore, after: entry, roundId: entry.roundId,
+            investorId: entry.investorId, label: entry.shareholderName, source: 'updateCapTableEntry'
+        });
+        
         const response = {
             ...entry.toObject(),
             formattedInfo: entry.getFormattedInfo(),
@@ -1379,6 +1512,12 @@ exports.deleteCapTableEntry = async (req, res) => {
             return res.status(404).json({ msg: 'Cap table entry not found within your organization.' });
         }
 
+        await recordChange({
+            organizationId, actorId: req.user._id, entityType: 'CapTableEntry', entityId: entry._id,
+            action: 'delete', before: entry, roundId: entry.roundId, investorId: entry.investorId,
+            label: entry.shareholderName, source: 'deleteCapTableEntry'
+        });
+
         console.log(`[CAP TABLE DELETE] Removed ${entry.shareholderName}: ${entry.numberOfShares} shares`);
         res.json({ msg: 'Cap table entry removed', deletedEntry: entry.shareholderName });
         
@@ -1438,6 +1577,93 @@ exports.previewInvestmentImpact = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Model a full round pro-forma (new money, SAFE/note conversions, pre-money pool top-up)
+ * @route   POST /api/horizon/fundraising/pro-forma
+ * @access  Private
+ */
+exports.modelProFormaRound = async (req, res) => {
+    const { roundId, preMoneyValuation, investments, convertInstruments, optionPool, conversionTerms } = req.body;
+    const organizationId = req.organization._id;
+
+    try {
+        if (roundId && !mongoose.Types.ObjectId.isValid(roundId)) {
+            return res.status(400).json({ msg: 'Invalid Round ID format' });
+        }
+        if (!Array.isArray(investments) || investments.length === 0) {
+            return res.status(400).json({ msg: 'investments must be a non-empty array of { name, amount, role }.' });
+        }
+        const invalidIds = [
+            ...investments.map(i => i && i.investorId).filter(Boolean),
+            ...(Array.isArray(convertInstruments) ? convertInstruments : [])
+        ].filter(id => !mongoose.Types.ObjectId.isValid(id));
+        if (invalidIds.length > 0) {
+            return res.status(400).json({ msg: `Invalid Investor ID format: ${invalidIds.join(', ')}` });
+        }
+
+        const model = await FundraisingCalculationService.modelProFormaRound(organizationId, {
+            roundId, preMoneyValuation, investments, convertInstruments, optionPool, conversionTerms
+        });
+
+        console.log(`[PRO FORMA] ₹${model.assumptions.newMoney.toLocaleString()} at ₹${model.pricing.pricePerShare}/share, pool top-up ${model.optionPool.topUpShares} shares`);
+        res.json(model);
+
+    } catch (err) {
+        console.error('Error modelling pro-forma round:', err.message, err.stack);
+        if (err.message === 'Round not found') {
+            return res.status(404).json({ msg: 'Round not found within your organization.' });
+        }
+        if (/required|positive|needs|must be|no issued shares|Cannot determine/.test(err.message)) {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).json({ msg: 'Server Error: Could not model pro-forma round.' });
+    }
+};
+
+const WATERFALL_INPUT_ERRORS = /exitValue|range|At most|Cap table is empty/;
+
+/**
+ * @desc    Liquidation preference waterfall for a single exit value
+ * @route   POST /api/horizon/fundraising/waterfall
+ * @access  Private
+ */
+exports.calculateWaterfall = async (req, res) => {
+    const { exitValue, overrides } = req.body;
+    const organizationId = req.organization._id;
+
+    try {
+        const result = await calculateWaterfall(organizationId, exitValue, overrides || {});
+        res.json(result);
+    } catch (err) {
+        console.error('Error calculating waterfall:', err.message, err.stack);
+        if (WATERFALL_INPUT_ERRORS.test(err.message)) {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).json({ msg: 'Server Error: Could not calculate liquidation waterfall.' });
+    }
+};
+
+/**
+ * @desc    Per-shareholder payouts across a range of exit values
+ * @route   POST /api/horizon/fundraising/exit-scenarios
+ * @access  Private
+ */
+exports.calculateExitScenarios = async (req, res) => {
+    const { exitValues, range, overrides } = req.body;
+    const organizationId = req.organization._id;
+
+    try {
+        const result = await calculateExitScenarios(organizationId, { exitValues, range, overrides: overrides || {} });
+        res.json(result);
+    } catch (err) {
+        console.error('Error calculating exit scenarios:', err.message, err.stack);
+        if (WATERFALL_INPUT_ERRORS.test(err.message)) {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).json({ msg: 'Server Error: Could not calculate exit scenarios.' });
+    }
+};
+
 /**
  * @desc    Manually trigger round recalculation
  * @route   POST /api/horizon/fundraising/rounds/:roundId/recalculate
@@ -1479,7 +1705,7 @@ exports.processBulkPayments = async (req, res) => {
         }
         
         const result = await FundraisingCalculationService.processBulkTranchePayments(
-            payments, organizationId
+            payments, organizationId, req.user._id
         );
         
         console.log(`[BULK PAYMENT] Processed ${result.totalProcessed} payments: ${result.successful.length} successful, ${result.failed.length} failed`);
@@ -1494,6 +1720,77 @@ exports.processBulkPayments = async (req, res) => {
     }
 };
 
+// --- Audit Trail ---
+
+const AUDIT_ENTITY_TYPES = ['Round', 'Investor', 'Tranche', 'CapTableEntry'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'payment', 'conversion', 'recalculation'];
+
+/**
+ * @desc    Get the change history for a round (round, investors, tranches, cap table)
+ * @route   GET /api/horizon/fundraising/rounds/:roundId/audit
+ * @access  Private
+ */
+exports.getRoundAuditTrail = async (req, res) => {
+    const { roundId } = req.params;
+    const { entityType, action, page, limit } = req.query;
+    const organizationId = req.organization._id;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(roundId)) {
+            return res.status(400).json({ msg: 'Invalid Round ID format' });
+        }
+        if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+            return res.status(400).json({ msg: `entityType must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}` });
+        }
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({ msg: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+        }
+
+        const round = await Round.findOne({ _id: roundId, organization: organizationId }).select('name');
+        // Deleted rounds keep their history, so only reject IDs with no trail at all
+        const result = await getRoundAuditTrail(organizationId, roundId, { entityType, action, page, limit });
+        if (!round && result.pagination.total === 0) {
+            return res.status(404).json({ msg: 'Round not found within your organization.' });
+        }
+
+        res.json({
+            round: round ? { _id: round._id, name: round.name } : { _id: roundId, deleted: true },
+            ...result
+        });
+    } catch (err) {
+        console.error('Error fetching round audit trail:', err.message, err.stack);
+        res.status(500).json({ msg: 'Server Error: Could not fetch round audit trail.' });
+    }
+};
+
+/**
+ * @desc    Get the payment ledger across all rounds
+ * @route   GET /api/horizon/fundraising/payments/history
+ * @access  Private
+ */
+exports.getPaymentHistory = async (req, res) => {
+    const { startDate, endDate, investorId, roundId } = req.query;
+    const organizationId = req.organization._id;
+
+    try {
+        if (investorId && !mongoose.Types.ObjectId.isValid(investorId)) {
+            return res.status(400).json({ msg: 'Invalid Investor ID format' });
+        }
+        if (roundId && !mongoose.Types.ObjectId.isValid(roundId)) {
+            return res.status(400).json({ msg: 'Invalid Round ID format' });
+        }
+        if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+            return res.status(400).json({ msg: 'startDate and endDate must be valid dates (YYYY-MM-DD).' });
+        }
+
+        const result = await getPaymentHistory(organizationId, { startDate, endDate, investorId, roundId });
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching payment history:', err.message, err.stack);
+        res.status(500).json({ msg: 'Server Error: Could not fetch payment history.' });
+    }
+};
+
 /**
  * @desc    Get investor analytics and statistics
  * @route   GET /api/horizon/fundraising/analytics/investors
@@ -1541,37 +1838,36 @@ exports.getRoundAnalytics = async (req, res) => {
 };
 
 /**
- * @desc    Export fundraising data
- * @route   GET /api/horizon/fundraising/export
+ * @desc    Export cap table as CSV or XLSX, optionally as of a historical date
+ * @route   GET /api/horizon/fundraising/captable/export
  * @access  Private
  */
 exports.exportFundraisingData = async (req, res) => {
     const organizationId = req.organization._id;
-    const { format = 'json', includeCapTable = true, includeTransactions = true } = req.query;
-    
+    const { format = 'csv', asOf } = req.query;
+
     try {
+        if (!['csv', 'xlsx', 'excel'].includes(String(format).toLowerCase())) {
+            return res.status(400).json({ msg: 'Format must be csv or xlsx.' });
+        }
+
+        if (asOf && isNaN(new Date(asOf).getTime())) {
+            return res.status(400).json({ msg: 'Invalid asOf date. Use YYYY-MM-DD.' });
+        }
+
         const exportData = await FundraisingCalculationService.exportFundraisingData(
-            organizationId, { format, includeCapTable, includeTransactions }
+            organizationId, { format, asOfDate: asOf }
         );
-        
-        // Set appropriate headers based on format
-        if (format === 'csv') {
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', 'attachment; filename=fundraising-data.csv');
-        } else if (format === 'xlsx') {
-            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-            res.setHeader('Content-Disposition', 'attachment; filename=fundraising-data.xlsx');
-        } else {
-            res.setHeader('Content-Type', 'application/json');
-            res.setHeader('Content-Disposition', 'attachment; filename=fundraising-data.json');
-        }
-        
-        console.log(`[EXPORT] Generated ${format.toUpperCase()} export for organization ${organizationId}`);
-        res.send(exportData);
-        
+
+        res.setHeader('Content-Type', exportData.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename=${exportData.filename}`);
+
+        console.log(`[EXPORT] Generated ${exportData.filename} (${exportData.snapshot.rows.length} entries) for organization ${organizationId}`);
+        res.send(exportData.content);
+
     } catch (err) {
-        console.error('Error exporting fundraising data:', err.message, err.stack);
-        res.status(500).json({ msg: 'Server Error: Could not export fundraising data.' });
+        console.error('Error exporting cap table:', err.message, err.stack);
+        res.status(500).json({ msg: 'Server Error: Could not export cap table.' });
     }
 };
 
@@ -1602,17 +1898,18 @@ exports.validateDataIntegrity = async (req, res) => {
 };
 
 /**
- * @desc    Get funding round templates
- * @route   GET /api/horizon/fundraising/templates
+ * @desc    Get funding round templates (built-in + organization-defined)
+ * @route   GET /api/horizon/fundraising/round-templates
  * @access  Private
  */
 exports.getRoundTemplates = async (req, res) => {
     const { roundType, stage, industry } = req.query;
+    const organizationId = req.organization._id;
     
     try {
         const templates = await FundraisingCalculationService.getRoundTemplates({
             roundType, stage, industry
-        });
+        }, organizationId);
         
         console.log(`[TEMPLATES] Retrieved ${templates.length} round templates`);
         res.json(templates);
@@ -1624,8 +1921,64 @@ exports.getRoundTemplates = async (req, res) => {
 };
 
 /**
- * @desc    Apply round template
- * @route   POST /api/horizon/fundraising/templates/:templateId/apply
+ * @desc    Save an organization-defined round template
+ * @route   POST /api/horizon/fundraising/round-templates
+ * @access  Private
+ */
+exports.createRoundTemplate = async (req, res) => {
+    const organizationId = req.organization._id;
+    const userId = req.user._id;
+    
+    if (!req.body.name || !req.body.roundType) {
+        return res.status(400).json({ msg: 'Template name and round type are required.' });
+    }
+    
+    try {
+        const template = await FundraisingCalculationService.createRoundTemplate(req.body, organizationId, userId);
+        res.status(201).json(template);
+        
+    } catch (err) {
+        console.error('Error creating round template:', err.message, err.stack);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: 'Validation Error: ' + err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(400).json({ msg: 'A round template with this name already exists for your organization.' });
+        }
+        res.status(500).json({ msg: 'Server Error: Could not create round template.' });
+    }
+};
+
+/**
+ * @desc    Delete an organization-defined round template
+ * @route   DELETE /api/horizon/fundraising/round-templates/:templateId
+ * @access  Private
+ */
+exports.deleteRoundTemplate = async (req, res) => {
+    const { templateId } = req.params;
+    const organizationId = req.organization._id;
+    
+    try {
+        const template = await FundraisingCalculationService.deleteRoundTemplate(templateId, organizationId);
+        if (!template) {
+            return res.status(404).json({ msg: 'Round template not found.' });
+        }
+        
+        console.log(`[TEMPLATES] Deleted round template "${template.name}"`);
+        res.json({ msg: 'Round template deleted successfully.' });
+        
+    } catch (err) {
+        console.error('Error deleting round template:', err.message, err.stack);
+        if (err.message.includes('Built-in')) {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).json({ msg: 'Server Error: Could not delete round template.' });
+    }
+};
+
+/**
+ * @desc    Apply round template - creates the round and its expected investors
+ * @route   POST /api/horizon/fundraising/round-templates/:templateId/apply
  * @access  Private
  */
 exports.applyRoundTemplate = async (req, res) => {
@@ -1638,20 +1991,42 @@ exports.applyRoundTemplate = async (req, res) => {
         const round = await FundraisingCalculationService.applyRoundTemplate(
             templateId, customizations, organizationId, userId
         );
+        const expectedInvestors = round.$locals.expectedInvestors || [];
+        
+        await recordChange({
+            organizationId, actorId: userId, entityType: 'Round', entityId: round._id,
+            action: 'create', after: round, roundId: round._id, label: round.name, source: 'applyRoundTemplate'
+        });
+        for (const investor of expectedInvestors) {
+            await recordChange({
+                organizationId, actorId: userId, entityType: 'Investor', entityId: investor._id,
+                action: 'create', after: investor, roundId: round._id, label: investor.name, source: 'applyRoundTemplate'
+            });
+        }
         
         console.log(`[TEMPLATE APPLY] Applied template ${templateId} to create round: ${round.name}`);
-        res.json({
+        res.status(201).json({
             msg: 'Round template applied successfully',
             round: {
                 ...round.toObject(),
                 formattedValuation: round.getFormattedValuation(),
                 progressSummary: round.getProgressSummary(),
                 validation: round.validateReadyForInvestors()
-            }
+            },
+            expectedInvestors
         });
         
     } catch (err) {
         console.error('Error applying round template:', err.message, err.stack);
+        if (err.message === 'Round template not found') {
+            return res.status(404).json({ msg: 'Round template not found.' });
+        }
+        if (err.name === 'ValidationError' || /must be (greater than 0|specified)/.test(err.message)) {
+            return res.status(400).json({ msg: 'Validation Error: ' + err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(400).json({ msg: 'A round with this name already exists for your organization.' });
+        }
         res.status(500).json({ msg: 'Server Error: Could not apply round template.' });
     }
 };
@@ -1680,89 +2055,129 @@ exports.getMarketBenchmarks = async (req, res) => {
 };
 
 /**
- * @desc    Generate investor reports
+ * @desc    Generate an investor update pack (PDF stored as a versioned Document)
  * @route   POST /api/horizon/fundraising/reports/investor
  * @access  Private
  */
 exports.generateInvestorReport = async (req, res) => {
-    const { investorId, reportType, period, includeProjections = false } = req.body;
-    const organizationId = req.organization._id;
+    const { investorId, roundId, period } = req.body;
     
     try {
-        if (!investorId || !reportType) {
-            return res.status(400).json({ msg: 'Investor ID and report type are required.' });
+        if (investorId && !mongoose.Types.ObjectId.isValid(investorId)) {
+            return res.status(400).json({ msg: 'Invalid Investor ID format' });
+        }
+        if (roundId && !mongoose.Types.ObjectId.isValid(roundId)) {
+            return res.status(400).json({ msg: 'Invalid Round ID format' });
         }
         
-        const report = await FundraisingCalculationService.generateInvestorReport(
-            investorId, organizationId, { reportType, period, includeProjections }
+        const report = await fundraisingReportService.generateInvestorReport(
+            req.organization, req.user._id, { investorId, roundId, period }
         );
         
-        console.log(`[INVESTOR REPORT] Generated ${reportType} report for investor ${investorId}`);
-        res.json({
+        console.log(`[INVESTOR REPORT] Generated v${report.version} investor pack${investorId ? ` for investor ${investorId}` : ''}`);
+        res.status(201).json({
             msg: 'Investor report generated successfully',
-            report
+            document: report.document,
+            version: report.version,
+            summary: report.summary
         });
         
     } catch (err) {
         console.error('Error generating investor report:', err.message, err.stack);
+        if (['Investor not found', 'Round not found'].includes(err.message)) {
+            return res.status(404).json({ msg: `${err.message} within your organization.` });
+        }
+        if (err.message.startsWith('Invalid period')) {
+            return res.status(400).json({ msg: err.message });
+        }
         res.status(500).json({ msg: 'Server Error: Could not generate investor report.' });
     }
 };
 
 /**
- * @desc    Generate board presentation data
+ * @desc    Generate a board pack (PDF stored as a versioned Document)
  * @route   POST /api/horizon/fundraising/reports/board
  * @access  Private
  */
 exports.generateBoardReport = async (req, res) => {
-    const { quarterYear, includeProjections = true, includeComparisons = true } = req.body;
-    const organizationId = req.organization._id;
+    const { quarterYear, period, roundId } = req.body;
     
     try {
-        const report = await FundraisingCalculationService.generateBoardReport(
-            organizationId, { quarterYear, includeProjections, includeComparisons }
+        if (roundId && !mongoose.Types.ObjectId.isValid(roundId)) {
+            return res.status(400).json({ msg: 'Invalid Round ID format' });
+        }
+        
+        const report = await fundraisingReportService.generateBoardReport(
+            req.organization, req.user._id, { period: period || quarterYear, roundId }
         );
         
-        console.log(`[BOARD REPORT] Generated board report for ${quarterYear || 'current period'}`);
-        res.json({
+        console.log(`[BOARD REPORT] Generated v${report.version} board pack for ${report.summary.period.label}`);
+        res.status(201).json({
             msg: 'Board report generated successfully',
-            report
+            document: report.document,
+            version: report.version,
+            summary: report.summary
         });
         
     } catch (err) {
         console.error('Error generating board report:', err.message, err.stack);
+        if (err.message === 'Round not found') {
+            return res.status(404).json({ msg: 'Round not found within your organization.' });
+        }
+        if (err.message.startsWith('Invalid period')) {
+            return res.status(400).json({ msg: err.message });
+        }
         res.status(500).json({ msg: 'Server Error: Could not generate board report.' });
     }
 };
 
 /**
- * @desc    Process convertible instrument conversion
- * @route   POST /api/horizon/fundraising/convert/:investorId
+ * @desc    Process convertible instrument conversion (or preview it with dryRun)
+ * @route   POST /api/horizon/fundraising/investors/:investorId/convert
  * @access  Private
  */
 exports.processConversion = async (req, res) => {
     const { investorId } = req.params;
-    const { conversionTrigger, newRoundId, conversionTerms = {} } = req.body;
+    const { conversionTrigger, newRoundId, conversionTerms = {}, dryRun } = req.body;
     const organizationId = req.organization._id;
-    
+    const isDryRun = dryRun === true || dryRun === 'true';
+
     try {
+        if (!mongoose.Types.ObjectId.isValid(investorId)) {
+            return res.status(400).json({ msg: 'Invalid Investor ID format' });
+        }
+
         if (!conversionTrigger || !newRoundId) {
             return res.status(400).json({ msg: 'Conversion trigger and new round ID are required.' });
         }
-        
+
+        if (!mongoose.Types.ObjectId.isValid(newRoundId)) {
+            return res.status(400).json({ msg: 'Invalid Round ID format' });
+        }
+
         const result = await FundraisingCalculationService.processConversion(
-            investorId, organizationId, { conversionTrigger, newRoundId, conversionTerms }
+            investorId, organizationId, {
+                conversionTrigger, newRoundId, conversionTerms,
+                dryRun: isDryRun,
+                userId: req.user._id
+            }
         );
-        
-        console.log(`[CONVERSION] Processed ${conversionTrigger} conversion for investor ${investorId}: ${result.sharesIssued} shares`);
+
+        console.log(`[CONVERSION] ${isDryRun ? 'Previewed' : 'Processed'} ${conversionTrigger} conversion for investor ${investorId}: ${result.sharesIssued} shares`);
         res.json({
-            msg: 'Conversion processed successfully',
+            msg: isDryRun ? 'Conversion preview generated' : 'Conversion processed successfully',
             ...result
         });
-        
+
     } catch (err) {
         console.error('Error processing conversion:', err.message, err.stack);
-        res.status(500).json({ msg: 'Server Error: Could not process conversion.' });
+        if (err.status) {
+            return res.status(err.status).json({ msg: err.message });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: 'Validation Error: ' + err.message });
+        }
+        res.status(500).json({ msg: 'Server Error: Could not process conversion. ' + err.message });
     }
 };
 
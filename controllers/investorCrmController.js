@@ -4,6 +4,9 @@
 // which runs heavyweight equity recalculations.
 const mongoose = require('mongoose');
 const Investor = require('../models/investorModel');
+const Round = require('../models/roundModel');
+const CapTableEntry = require('../models/capTableEntryModel');
+const { recordChange } = require('../services/fundraisingAuditService');
 
 const PIPELINE_STATUSES = ['Lead', 'Contacted', 'Introduced', 'Pitched', 'Follow-up',
     'Negotiating', 'Soft Committed', 'Hard Committed', 'Invested', 'Declined', 'Passed', 'On Hold'];
@@ -65,57 +68,287 @@ exports.createProspect = async (req, res) => {
  * @desc    Move an investor through the pipeline / set follow-up date
  * @route   PATCH /api/horizon/fundraising/investors/:id/pipeline
  * @access  Private
- * @body    { status?, nextFollowUpDate? (null clears) }
+ * @body    { status?, nextFollowUpDate? (null clears), roundId? (null detaches), notes? }
  */
 exports.updatePipeline = async (req, res) => {
+    const organizationId = req.organization._id;
     try {
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
             return res.status(400).json({ msg: 'Invalid Investor ID format' });
         }
-        const { status, nextFollowUpDate } = req.body;
+        const change = req.body;
+        if (change.roundId && !mongoose.Types.ObjectId.isValid(change.roundId)) {
+            return res.status(400).json({ msg: 'Invalid Round ID format' });
+        }
 
-        const investor = await Investor.findOne({
-            _id: req.params.id,
-            organization: req.organization._id,
-        });
+        const investor = await Investor.findOne({ _id: req.params.id, organization: organizationId });
         if (!investor) return res.status(404).json({ msg: 'Investor not found in your organization' });
+        const rounds = change.roundId
+            ? await Round.find({ _id: change.roundId, organization: organizationId }).select('_id')
+            : [];
 
-        if (status !== undefined) {
-            if (!PIPELINE_STATUSES.includes(status)) {
-                return res.status(400).json({ msg: `Invalid status. Use one of: ${PIPELINE_STATUSES.join(', ')}` });
-            }
-            // Commitment gate: nobody reaches Invested without real deal terms
-            if (status === 'Invested' && !investor.roundId) {
-                return res.status(400).json({
-                    msg: 'Attach this investor to a round and add deal terms before marking them Invested (Investors tab → edit).'
-                });
+        const before = investor.toObject();
+        const error = applyPipelineChange(investor, change, {
+            roundsById: new Map(rounds.map(r => [r._id.toString(), r])),
+            userId: req.user._id,
+        });
+        if (error) return res.status(400).json({ msg: error });
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            await savePipelineChange(investor, before, { organizationId, userId: req.user._id, source: 'pipeline', session });
+            await session.commitTransaction();
+        } catch (writeErr) {
+            await session.abortTransaction();
+            throw writeErr;
+        } finally {
+            session.endSession();
+        }
+        res.json({ msg: 'Pipeline updated', investor });
+    } catch (err) {
+        console.error('Error updating investor pipeline:', err.message, err.stack);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server Error: Could not update pipeline');
+    }
+};
+
+const MAX_BULK_UPDATES = 200;
+
+/**
+ * Apply one pipeline change to an investor in memory. Returns an error
+ * message if the change is not allowed; the caller saves with
+ * savePipelineChange.
+ */
+function applyPipelineChange(investor, change, { roundsById, userId }) {
+    const { status, nextFollowUpDate, roundId, notes } = change;
+
+    if (roundId !== undefined) {
+        const newRoundId = roundId || null;
+        const currentRoundId = investor.roundId ? investor.roundId.toString() : null;
+        if (newRoundId && !roundsById.has(newRoundId.toString())) {
+            return 'Round not found in your organization';
+        }
+        if ((newRoundId ? newRoundId.toString() : null) !== currentRoundId) {
+            // Money already received is booked against the current round
+            if ((investor.totalReceivedAmount || 0) > 0) {
+                return 'Cannot move an investor with received payments to a different round';
             }
-            if (status !== investor.status) {
-                investor.relationshipHistory = investor.relationshipHistory || [];
-                investor.relationshipHistory.push({
-                    date: new Date(),
-                    status,
-                    notes: `Moved from ${investor.status} to ${status}`,
-                    updatedBy: req.user._id,
-                });
-                investor.status = status;
+            investor.roundId = newRoundId;
+        }
+    }
+
+    if (status !== undefined) {
+        if (!PIPELINE_STATUSES.includes(status)) {
+            return `Invalid status. Use one of: ${PIPELINE_STATUSES.join(', ')}`;
+        }
+        // Commitment gate: nobody reaches Invested without real deal terms
+        if (status === 'Invested' && !investor.roundId) {
+            return 'Attach this investor to a round and add deal terms before marking them Invested (Investors tab → edit).';
+        }
+        if (status !== investor.status) {
+            investor.relationshipHistory = investor.relationshipHistory || [];
+            investor.relationshipHistory.push({
+                date: new Date(),
+                status,
+                notes: `Moved from ${investor.status} to ${status}`,
+                updatedBy: userId,
+            });
+            investor.status = status;
+        }
+    }
+
+    if (nextFollowUpDate !== undefined) {
+        if (nextFollowUpDate === null || nextFollowUpDate === '') {
+            investor.nextFollowUpDate = null;
+        } else {
+            const d = new Date(nextFollowUpDate);
+            if (isNaN(d.getTime())) return 'Invalid follow-up date';
+            investor.nextFollowUpDate = d;
+        }
+    }
+
+    if (notes !== undefined && notes !== null && String(notes).trim()) {
+        investor.interactions = investor.interactions || [];
+        investor.interactions.push({ date: new Date(), type: 'note', summary: String(notes).trim(), by: userId });
+    }
+
+    return null;
+}
+
+/**
+ * Received money and paying-investor count of a round, recomputed from the
+ * investors attached to it.
+ */
+async function refreshRoundTotals(roundId, organizationId, session) {
+    const round = await Round.findOne({ _id: roundId, organization: organizationId }).session(session);
+    if (!round) return null;
+    const investors = await Investor.find({ roundId, organization: organizationId })
+        .select('totalReceivedAmount')
+        .session(session);
+    const paying = investors.filter(i => (i.totalReceivedAmount || 0) > 0);
+    round.totalFundsReceived = paying.reduce((sum, i) => sum + i.totalReceivedAmount, 0);
+    round.fundingProgress = round.fundingProgress || {};
+    round.fundingProgress.investorCount = paying.length;
+    return round.save({ session });
+}
+
+/**
+ * Save an investor changed by applyPipelineChange and record the audit entry.
+ * A round move also re-points the investor's cap table entries and
+ * recomputes the totals of both rounds.
+ */
+async function savePipelineChange(investor, before, { organizationId, userId, source, session }) {
+    await investor.save({ session });
+    await recordChange({
+        organizationId, actorId: userId, entityType: 'Investor', entityId: investor._id,
+        action: 'update', before, after: investor, roundId: investor.roundId,
+        investorId: investor._id, label: investor.name, source, session,
+    });
+
+    const previousRoundId = before.roundId ? before.roundId.toString() : null;
+    const newRoundId = investor.roundId ? investor.roundId.toString() : null;
+    if (previousRoundId === newRoundId) return;
+
+    if (previousRoundId) {
+        await CapTableEntry.updateMany(
+            {
+                organization: organizationId,
+                roundId: previousRoundId,
+                $or: [{ linkedInvestorId: investor._id }, { investorId: investor._id }],
+            },
+            { $set: { roundId: investor.roundId } },
+            { session }
+        );
+    }
+    for (const roundId of [previousRoundId, newRoundId].filter(Boolean)) {
+        await refreshRoundTotals(roundId, organizationId, session);
+    }
+    console.log(`[PIPELINE] ${investor.name} moved from round ${previousRoundId || 'none'} to ${newRoundId || 'none'}`);
+}
+
+/**
+ * @desc    Apply pipeline changes (status, follow-up date, round, notes) to many investors
+ * @route   POST /api/horizon/fundraising/investors/bulk-update
+ * @access  Private
+ * @body    { updates: [{ investorId, status?, nextFollowUpDate?, roundId?, notes? }], allOrNothing? }
+ *          or { investorIds: [], newStatus?, nextFollowUpDate?, roundId?, notes? } to apply one change to all
+ *
+ * Every record is validated first. Valid records are written in a single
+ * transaction; invalid ones are reported back in `failed`. With
+ * allOrNothing=true any invalid record cancels the whole batch.
+ */
+exports.bulkUpdatePipeline = async (req, res) => {
+    const { investorIds, newStatus, status, nextFollowUpDate, roundId, notes, allOrNothing = false } = req.body;
+    const organizationId = req.organization._id;
+    const userId = req.user._id;
+
+    let updates = req.body.updates;
+    if (!Array.isArray(updates) && Array.isArray(investorIds)) {
+        const shared = { status: newStatus !== undefined ? newStatus : status, nextFollowUpDate, roundId, notes };
+        updates = investorIds.map(investorId => ({ investorId, ...shared }));
+    }
+    if (!Array.isArray(updates) || updates.length === 0) {
+        return res.status(400).json({ msg: 'Provide a non-empty updates array (or investorIds with the change to apply).' });
+    }
+    if (updates.length > MAX_BULK_UPDATES) {
+        return res.status(400).json({ msg: `A bulk update can include at most ${MAX_BULK_UPDATES} investors.` });
+    }
+
+    const successful = [];
+    const failed = [];
+    const pending = [];
+
+    try {
+        // Load everything up front: one query for investors, one for rounds
+        const validIds = updates
+            .map(u => u && u.investorId)
+            .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+        const requestedRoundIds = [...new Set(updates
+            .map(u => u && u.roundId)
+            .filter(id => id && mongoose.Types.ObjectId.isValid(id))
+            .map(String))];
+
+        const [investors, rounds] = await Promise.all([
+            Investor.find({ _id: { $in: validIds }, organization: organizationId }),
+            requestedRoundIds.length
+                ? Round.find({ _id: { $in: requestedRoundIds }, organization: organizationId }).select('_id')
+                : [],
+        ]);
+        const investorsById = new Map(investors.map(i => [i._id.toString(), i]));
+        const roundsById = new Map(rounds.map(r => [r._id.toString(), r]));
+        const seen = new Set();
+
+        for (const [index, change] of updates.entries()) {
+            const investorId = change && change.investorId;
+            const fail = (error) => failed.push({ index, investorId: investorId || null, error });
+
+            if (!investorId || !mongoose.Types.ObjectId.isValid(investorId)) { fail('Invalid Investor ID format'); continue; }
+            if (seen.has(String(investorId))) { fail('Investor appears more than once in this batch'); continue; }
+            seen.add(String(investorId));
+            if (change.roundId && !mongoose.Types.ObjectId.isValid(change.roundId)) { fail('Invalid Round ID format'); continue; }
+
+            const investor = investorsById.get(String(investorId));
+            if (!investor) { fail('Investor not found in your organization'); continue; }
+
+            const before = investor.toObject();
+            const error = applyPipelineChange(investor, change, { roundsById, userId });
+            if (error) { fail(error); continue; }
+
+            try {
+                await investor.validate();
+            } catch (validationErr) {
+                fail(validationErr.message);
+                continue;
             }
+            pending.push({ index, investor, before });
         }
-        if (nextFollowUpDate !== undefined) {
-            if (nextFollowUpDate === null || nextFollowUpDate === '') {
-                investor.nextFollowUpDate = null;
-            } else {
-                const d = new Date(nextFollowUpDate);
-                if (isNaN(d.getTime())) return res.status(400).json({ msg: 'Invalid follow-up date' });
-                investor.nextFollowUpDate = d;
+
+        if (allOrNothing && failed.length > 0) {
+            return res.status(400).json({
+                msg: `Bulk update cancelled: ${failed.length} of ${updates.length} records failed validation. Nothing was saved.`,
+                successful: [],
+                failed,
+                totalProcessed: updates.length,
+            });
+        }
+
+        if (pending.length > 0) {
+            const session = await mongoose.startSession();
+            session.startTransaction();
+            try {
+                for (const { index, investor, before } of pending) {
+                    await savePipelineChange(investor, before, { organizationId, userId, source: 'bulk-update', session });
+                    successful.push({
+                        index,
+                        investorId: investor._id,
+                        name: investor.name,
+                        status: investor.status,
+                        nextFollowUpDate: investor.nextFollowUpDate,
+                        roundId: investor.roundId,
+                    });
+                }
+                await session.commitTransaction();
+            } catch (writeErr) {
+                await session.abortTransaction();
+                throw writeErr;
+            } finally {
+                session.endSession();
             }
         }
 
-        await investor.save();
-        res.json({ msg: 'Pipeline updated', investor });
+        console.log(`[BULK PIPELINE] ${successful.length} updated, ${failed.length} failed for org ${organizationId}`);
+        res.json({
+            msg: `Bulk update completed: ${successful.length} successful, ${failed.length} failed`,
+            successful,
+            failed,
+            totalProcessed: updates.length,
+        });
     } catch (err) {
-        console.error('Error updating investor pipeline:', err.message, err.stack);
-        res.status(500).send('Server Error: Could not update pipeline');
+        console.error('Error bulk-updating investor pipeline:', err.message, err.stack);
+        res.status(500).json({ msg: 'Server Error: Bulk update failed and no changes were saved.' });
     }
 };
 
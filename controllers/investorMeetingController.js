@@ -13,6 +13,7 @@ const RunwayScenario = require('../models/runwayScenarioModel');
 const FundraisingPrediction = require('../models/fundraisingPredictionModel');
 const Budget = require('../models/budgetModel');
 const ManualKpiSnapshot = require('../models/manualKpiSnapshotModel');
+const fxService = require('../services/fxService');
 
 const mongoose = require('mongoose');
 
@@ -398,11 +399,12 @@ const investorMeetingController = {
             
             // --- Financial Snapshot ---
             if (sectionsToInclude.financialSnapshot) {
+                const fx = await fxService.createConverter(organizationId, req.organization.currency || 'INR');
                 const bankAccounts = await BankAccount.find({ organization: organizationId });
-                const totalCash = bankAccounts.reduce((sum, acc) => sum + (acc.currentBalance || 0), 0);
+                const totalCash = bankAccounts.reduce((sum, acc) => sum + (fx.convert(acc.currentBalance, acc.currency, new Date()) || 0), 0);
 
                 const recentExpenses = await Expense.aggregate([
-                    { $match: { organization: organizationId, date: { $gte: threeMonthsAgo } } },
+                    { $match: { organization: organizationId, ...Expense.actualsFilter(), date: { $gte: threeMonthsAgo } } },
                     { $group: { _id: { year: { $year: "$date" }, month: { $month: "$date" } }, total: { $sum: "$amount" } } }
                 ]);
                 const monthlyBurn = recentExpenses.length > 0 ? recentExpenses.reduce((sum, e) => sum + e.total, 0) / recentExpenses.length : 0;
@@ -423,7 +425,9 @@ const investorMeetingController = {
                     runway: isFinite(runway) ? Math.round(runway * 10) / 10 : null,
                     mrr: monthlyRevenue,
                     arr: monthlyRevenue * 12,
-                    totalFundsRaised
+                    totalFundsRaised,
+                    currency: fx.reportingCurrency,
+                    fxBasis: fx.basis()
                 };
             }
 
@@ -568,6 +572,7 @@ const investorMeetingController = {
                     const actualExpenses = await Expense.aggregate([
                         { $match: { 
                             organization: organizationId,
+                            ...Expense.actualsFilter(),
                             date: { $gte: relevantBudget.periodStartDate, $lte: relevantBudget.periodEndDate } 
                         }},
                         { $group: { _id: "$category", actualSpent: { $sum: "$amount" } } }
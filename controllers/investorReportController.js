@@ -12,6 +12,9 @@ const Investor = require('../models/investorModel');           // Phase 4 update
 const Budget = require('../models/budgetModel');               // Phase 4 updated model
 const mongoose = require('mongoose');
 const moment = require('moment'); // For date manipulations
+const FiscalPeriods = require('../utils/fiscalPeriods');
+const fxService = require('../services/fxService');
+const accountingBasisService = require('../services/accountingBasisService');
 
 // @desc    Create a new investor report/narrative update for the active organization
 exports.createInvestorReport = async (req, res) => {
@@ -187,7 +190,9 @@ exports.getLiveDashboardData = async (req, res) => {
         const startOfCurrentMonth = moment().startOf('month').toDate();
         const startOfLastMonth = moment().subtract(1, 'month').startOf('month').toDate();
         const endOfLastMonth = moment().subtract(1, 'month').endOf('month').toDate();
-        const startOfYear = moment().startOf('year').toDate();
+        // YTD follows the organization's financial year (default April-March)
+        const fiscalYtd = FiscalPeriods.resolvePeriod('year_to_date', req.organization, today);
+        const startOfYear = fiscalYtd.start;
         const threeMonthsAgoFull = moment().subtract(3, 'months').startOf('month').toDate(); // Start of 3 full months ago
 
 
@@ -213,43 +218,30 @@ exports.getLiveDashboardData = async (req, res) => {
 
         // --- Financial Overview Data ---
         // --- MULTI-TENANCY: Filter BankAccount by organizationId ---
+        const fx = await fxService.createConverter(organizationId, orgCurrency);
         const bankAccounts = await BankAccount.find({ organization: organizationId });
-        const totalBankBalance = bankAccounts.reduce((sum, acc) => sum + (acc.currentBalance || 0), 0); // Assuming all accounts in org currency for simplicity
+        const totalBankBalance = bankAccounts.reduce((sum, acc) => sum + (fx.convert(acc.currentBalance, acc.currency, new Date()) || 0), 0);
 
-        // --- MULTI-TENANCY: Filter Expense by organizationId in $match ---
-        const recentExpensesAgg = await Expense.aggregate([
-            { $match: { organization: organizationId, date: { $gte: threeMonthsAgoFull, $lt: startOfCurrentMonth } } }, // Use full past months
-            { $group: { _id: { year: { $year: "$date" }, month: { $month: "$date" } }, totalMonthlyExpense: { $sum: "$amount" } } }
-        ]);
+        // Burn, runway and P&L figures follow the org's accounting basis (accrual or cash)
+        const basis = accountingBasisService.resolveBasis(req.organization);
+        // --- MULTI-TENANCY: Filter Expense/Revenue by organizationId ---
+        const sumLedger = (Model, dateRange, groupBy = null) =>
+            accountingBasisService.sumByBasis(Model, { organization: organizationId }, fx, { basis, dateRange, groupBy });
+
+        const recentExpensesAgg = (await sumLedger(Expense, { $gte: threeMonthsAgoFull, $lt: startOfCurrentMonth }, // Use full past months
+            { year: { $year: "$basisDate" }, month: { $month: "$basisDate" } }))
+            .map(m => ({ _id: m._id, totalMonthlyExpense: m.total }));
         const averageMonthlyBurnRate = recentExpensesAgg.length > 0 ? recentExpensesAgg.reduce((sum, month) => sum + month.totalMonthlyExpense, 0) / recentExpensesAgg.length : 0;
         const estimatedRunwayMonths = averageMonthlyBurnRate > 0 && totalBankBalance > 0
             ? (totalBankBalance / averageMonthlyBurnRate)
             : (averageMonthlyBurnRate <=0 && totalBankBalance >=0 ? Infinity : 0);
 
+        const lastMonthExpenses = await sumLedger(Expense, { $gte: startOfLastMonth, $lte: endOfLastMonth });
+        const ytdExpenses = await sumLedger(Expense, { $gte: startOfYear, $lte: today });
 
-        // --- MULTI-TENANCY: Filter Expense by organizationId in $match ---
-        const lastMonthExpenses = await Expense.aggregate([
-            { $match: { organization: organizationId, date: { $gte: startOfLastMonth, $lte: endOfLastMonth } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
-        ]);
-        const ytdExpenses = await Expense.aggregate([
-            { $match: { organization: organizationId, date: { $gte: startOfYear, $lte: today } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
-        ]);
-
-        // --- MULTI-TENANCY: Filter Revenue by organizationId in $match ---
-        const lastMonthRevenue = await Revenue.aggregate([
-            { $match: { organization: organizationId, date: { $gte: startOfLastMonth, $lte: endOfLastMonth } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
-        ]);
-        const ytdRevenue = await Revenue.aggregate([
-            { $match: { organization: organizationId, date: { $gte: startOfYear, $lte: today } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
-        ]);
-         const currentMonthRevenueToDate = await Revenue.aggregate([
-            { $match: { organization: organizationId, date: { $gte: startOfCurrentMonth, $lte: today } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
-        ]);
+        const lastMonthRevenue = await sumLedger(Revenue, { $gte: startOfLastMonth, $lte: endOfLastMonth });
+        const ytdRevenue = await sumLedger(Revenue, { $gte: startOfYear, $lte: today });
+        const currentMonthRevenueToDate = await sumLedger(Revenue, { $gte: startOfCurrentMonth, $lte: today });
 
         const financialSummary = {
             currency: orgCurrency,
@@ -257,10 +249,13 @@ exports.getLiveDashboardData = async (req, res) => {
             averageMonthlyBurnRate: averageMonthlyBurnRate,
             estimatedRunwayMonths: isFinite(estimatedRunwayMonths) ? estimatedRunwayMonths : null,
             lastMonthExpenses: lastMonthExpenses[0]?.total || 0,
+            ytdLabel: fiscalYtd.label,
             ytdExpenses: ytdExpenses[0]?.total || 0,
             lastMonthRevenue: lastMonthRevenue[0]?.total || 0,
             ytdRevenue: ytdRevenue[0]?.total || 0,
             currentMonthRevenue: currentMonthRevenueToDate[0]?.total || 0,
+            accountingBasis: basis,
+            fxBasis: fx.basis(),
         };
 
         // --- KPI Snapshot Data ---
@@ -289,7 +284,7 @@ exports.getLiveDashboardData = async (req, res) => {
         // --- Fund Utilization ---
         // --- MULTI-TENANCY: Filter Expense by organizationId in $match ---
         const fundUtilization = await Expense.aggregate([
-            { $match: { organization: organizationId, date: { $gte: startOfCurrentMonth } } },
+            { $match: { organization: organizationId, ...Expense.actualsFilter(), date: { $gte: startOfCurrentMonth } } },
             { $group: { _id: "$category", totalSpent: { $sum: "$amount" } } },
             { $sort: { totalSpent: -1 } }
         ]);
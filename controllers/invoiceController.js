@@ -0,0 +1,244 @@
+// controllers/invoiceController.js
+// Invoices (accounts receivable): CRUD, sending, payments, PDF and AR aging.
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoiceModel');
+const invoiceService = require('../services/invoiceService');
+const fxService = require('../services/fxService');
+
+async function findInvoice(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ msg: 'Invalid invoice ID format' });
+        return null;
+    }
+    const invoice = await Invoice.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!invoice) {
+        res.status(404).json({ msg: 'Invoice not found in your organization' });
+        return null;
+    }
+    return invoice;
+}
+
+function sendError(res, err, fallback) {
+    if (err.status === 400 || err.name === 'ValidationError') return res.status(400).json({ msg: err.message });
+    if (err.status === 409) return res.status(409).json({ msg: err.message });
+    if (err.code === 11000) return res.status(409).json({ msg: 'An invoice with this number already exists' });
+    res.status(500).send(`Server Error: ${fallback}`);
+}
+
+/**
+ * @desc    List invoices + receivable summary
+ * @route   GET /api/horizon/financials/invoices?status=&customer=&from=&to=
+ * @access  Private
+ */
+exports.getInvoices = async (req, res) => {
+    try {
+        const query = { organization: req.organization._id };
+        if (req.query.status === 'open') query.status = { $in: ['sent', 'partially_paid', 'overdue'] };
+        else if (req.query.status) query.status = req.query.status;
+        if (req.query.customer) query['customer.name'] = new RegExp(req.query.customer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        if (req.query.from || req.query.to) {
+            query.issueDate = {};
+            if (req.query.from) query.issueDate.$gte = new Date(req.query.from);
+            if (req.query.to) query.issueDate.$lte = new Date(req.query.to);
+        }
+
+        const [invoices, fx] = await Promise.all([
+            Invoice.find(query).sort({ issueDate: -1, createdAt: -1 }),
+            fxService.createConverter(req.organization._id, req.organization.currency || 'INR')
+        ]);
+        // Summary amounts are in the reporting currency, all at today's rate; invoices
+        // without a rate are left out and reported in fxBasis.missingRates
+        const now = new Date();
+        const summary = { count: invoices.length, invoiced: 0, paid: 0, outstanding: 0, overdueCount: 0 };
+        for (const inv of invoices) {
+            if (['draft', 'void'].includes(inv.status)) continue;
+            if (inv.status === 'overdue') summary.overdueCount += 1;
+            const invoiced = fx.convert(inv.total, inv.currency, now);
+            if (invoiced === null) continue;
+            const rate = inv.total ? invoiced / inv.total : 1;
+            summary.invoiced += invoiced;
+            summary.paid += inv.amountPaid * rate;
+            summary.outstanding += inv.balanceDue * rate;
+        }
+        for (const key of ['invoiced', 'paid', 'outstanding']) summary[key] = Math.round(summary[key] * 100) / 100;
+        summary.currency = fx.reportingCurrency;
+        summary.fxBasis = fx.basis();
+        res.json({ invoices, summary });
+    } catch (err) {
+        console.error('Error fetching invoices:', err.message);
+        res.status(500).send('Server Error: Could not fetch invoices');
+    }
+};
+
+/**
+ * @desc    Get one invoice
+ * @route   GET /api/horizon/financials/invoices/:id
+ * @access  Private
+ */
+exports.getInvoiceById = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        await invoice.populate('payments.recordedBy', 'name');
+        res.json(invoice);
+    } catch (err) {
+        console.error('Error fetching invoice:', err.message);
+        res.status(500).send('Server Error: Could not fetch invoice');
+    }
+};
+
+/**
+ * @desc    Create an invoice (draft unless status='sent'); the number is auto-issued if omitted
+ * @route   POST /api/horizon/financials/invoices
+ * @access  Private
+ */
+exports.createInvoice = async (req, res) => {
+    try {
+        const invoice = await invoiceService.createInvoice(req.organization, req.body, req.user._id);
+        res.status(201).json({ msg: 'Invoice created', invoice });
+    } catch (err) {
+        console.error('Error creating invoice:', err.message);
+        sendError(res, err, 'Could not create invoice');
+    }
+};
+
+/**
+ * @desc    Update invoice fields (amount fields lock once a payment is recorded)
+ * @route   PUT /api/horizon/financials/invoices/:id
+ * @access  Private
+ */
+exports.updateInvoice = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        await invoiceService.updateInvoice(invoice, req.body);
+        res.json({ msg: 'Invoice updated', invoice });
+    } catch (err) {
+        console.error('Error updating invoice:', err.message);
+        sendError(res, err, 'Could not update invoice');
+    }
+};
+
+/**
+ * @desc    Delete a draft invoice (issued invoices are voided instead)
+ * @route   DELETE /api/horizon/financials/invoices/:id
+ * @access  Private
+ */
+exports.deleteInvoice = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        if (invoice.status !== 'draft') {
+            return res.status(400).json({ msg: 'Only draft invoices can be deleted; void an issued invoice instead' });
+        }
+        await invoice.deleteOne();
+        res.json({ msg: 'Invoice deleted' });
+    } catch (err) {
+        console.error('Error deleting invoice:', err.message);
+        res.status(500).send('Server Error: Could not delete invoice');
+    }
+};
+
+/**
+ * @desc    Mark an invoice as sent; { emailCustomer: true } also emails the customer
+ * @route   POST /api/horizon/financials/invoices/:id/send
+ * @access  Private
+ */
+exports.sendInvoice = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        const result = await invoiceService.markSent(invoice, req.organization, { emailCustomer: !!req.body.emailCustomer });
+        res.json({ msg: 'Invoice marked as sent', ...result });
+    } catch (err) {
+        console.error('Error sending invoice:', err.message);
+        sendError(res, err, 'Could not send invoice');
+    }
+};
+
+/**
+ * @desc    Void an invoice with no recorded payments
+ * @route   POST /api/horizon/financials/invoices/:id/void
+ * @access  Private
+ */
+exports.voidInvoice = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        await invoiceService.voidInvoice(invoice);
+        res.json({ msg: 'Invoice voided', invoice });
+    } catch (err) {
+        console.error('Error voiding invoice:', err.message);
+        sendError(res, err, 'Could not void invoice');
+    }
+};
+
+/**
+ * @desc    Record a payment; creates the matching Revenue entry
+ * @route   POST /api/horizon/financials/invoices/:id/payments
+ * @access  Private
+ */
+exports.addPayment = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        const { revenue } = await invoiceService.recordPayment(invoice, req.body, req.user._id);
+        res.status(201).json({ msg: 'Payment recorded', invoice, revenue });
+    } catch (err) {
+        console.error('Error recording invoice payment:', err.message);
+        sendError(res, err, 'Could not record payment');
+    }
+};
+
+/**
+ * @desc    Delete a payment entry and its Revenue entry (mis-entry correction)
+ * @route   DELETE /api/horizon/financials/invoices/:id/payments/:paymentId
+ * @access  Private
+ */
+exports.deletePayment = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        const updated = await invoiceService.deletePayment(invoice, req.params.paymentId);
+        if (!updated) return res.status(404).json({ msg: 'Payment entry not found' });
+        res.json({ msg: 'Payment removed', invoice: updated });
+    } catch (err) {
+        console.error('Error deleting invoice payment:', err.message);
+        res.status(500).send('Server Error: Could not delete payment');
+    }
+};
+
+/**
+ * @desc    Download the invoice as a PDF
+ * @route   GET /api/horizon/financials/invoices/:id/pdf
+ * @access  Private
+ */
+exports.getInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+        const pdf = await invoiceService.renderInvoicePdf(invoice, req.organization);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${invoice.invoiceNumber.replace(/[^\w.-]/g, '_')}.pdf`);
+        res.send(pdf);
+    } catch (err) {
+        console.error('Error rendering invoice PDF:', err.message);
+        res.status(500).send('Server Error: Could not render invoice PDF');
+    }
+};
+
+/**
+ * @desc    AR aging report (not yet due / 1–30 / 31–60 / 61–90 / 90+ days past due)
+ * @route   GET /api/horizon/financials/invoices/aging?asOf=YYYY-MM-DD
+ * @access  Private
+ */
+exports.getAgingReport = async (req, res) => {
+    try {
+        const report = await invoiceService.getAgingReport(req.organization, req.query.asOf || new Date());
+        res.json(report);
+    } catch (err) {
+        console.error('Error generating AR aging report:', err.message);
+        if (err.message === 'Invalid asOf date') return res.status(400).json({ msg: err.message });
+        res.status(500).send('Server Error: Could not generate AR aging report');
+    }
+};
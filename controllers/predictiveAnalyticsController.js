@@ -6,11 +6,11 @@ const RevenueCohort = require('../models/revenueCohortModel');
 const Round = require('../models/roundModel');
 const Expense = require('../models/expenseModel');
 const Revenue = require('../models/revenueModel');
-const BankAccount = require('../models/bankAccountModel');
 const Investor = require('../models/investorModel');
 const ManualKpiSnapshot = require('../models/manualKpiSnapshotModel');
 const PredictionAlgorithms = require('../utils/predictionAlgorithms');
 const StatisticalHelpers = require('../utils/statisticalHelpers');
+const balanceHistoryService = require('../services/balanceHistoryService');
 const mongoose = require('mongoose');
 const moment = require('moment');
 
@@ -37,13 +37,12 @@ class PredictiveAnalyticsController {
 
             // --- MULTI-TENANCY: Filter all queries by organizationId ---
             // Get current financial position for the organization
-            const bankAccounts = await BankAccount.find({ organization: organizationId });
-            const totalCash = bankAccounts.reduce((sum, acc) => sum + acc.currentBalance, 0);
+            const { cash: totalCash } = await PredictiveAnalyticsController.getCurrentCashPosition(req.organization);
 
             // Calculate current burn rate (last 3 months average) for the organization
             const threeMonthsAgo = moment().subtract(3, 'months').toDate();
             const recentExpenses = await Expense.aggregate([
-                { $match: { organization: organizationId, date: { $gte: threeMonthsAgo } } },
+                { $match: { organization: organizationId, ...Expense.actualsFilter(), date: { $gte: threeMonthsAgo } } },
                 {
                     $group: {
                         _id: { year: { $year: "$date" }, month: { $month: "$date" } },
@@ -242,7 +241,7 @@ class PredictiveAnalyticsController {
 
             // --- MULTI-TENANCY: Pass organizationId to analysis methods ---
             // Analyze current state for the organization
-            const currentMetrics = await PredictiveAnalyticsController.analyzeCurrentFundraisingReadiness(organizationId);
+            const currentMetrics = await PredictiveAnalyticsController.analyzeCurrentFundraisingReadiness(req.organization);
             
             // Calculate probabilities
             const probabilities = PredictiveAnalyticsController.calculateFundraisingProbabilities(
@@ -293,7 +292,7 @@ class PredictiveAnalyticsController {
             });
 
             await prediction.save();
-            res.status(201).json(prediction);
+            res.status(201).json({ ...prediction.toObject(), fxBasis: currentMetrics.fxBasis });
         } catch (err) {
             console.error('Error creating fundraising prediction:', err);
             res.status(500).json({ msg: 'Server Error: Could not create fundraising prediction.' });
@@ -303,11 +302,12 @@ class PredictiveAnalyticsController {
     /**
      * Analyze current fundraising readiness for the organization
      */
-    static async analyzeCurrentFundraisingReadiness(organizationId) {
+    static async analyzeCurrentFundraisingReadiness(organization) {
+        const organizationId = organization._id;
         // Get financial metrics for the organization
         const threeMonthsAgo = moment().subtract(3, 'months').toDate();
         const expenses = await Expense.aggregate([
-            { $match: { organization: organizationId, date: { $gte: threeMonthsAgo } } },
+            { $match: { organization: organizationId, ...Expense.actualsFilter(), date: { $gte: threeMonthsAgo } } },
             { $group: { _id: null, total: { $sum: "$amount" } } }
         ]);
 
@@ -329,14 +329,14 @@ class PredictiveAnalyticsController {
             : 0;
 
         // Get current runway for the organization
-        const bankAccounts = await BankAccount.find({ organization: organizationId });
-        const totalCash = bankAccounts.reduce((sum, acc) => sum + acc.currentBalance, 0);
+        const { cash: totalCash, fxBasis } = await PredictiveAnalyticsController.getCurrentCashPosition(organization);
         const runwayMonths = monthlyBurn > 0 ? totalCash / monthlyBurn : 12;
 
         return {
             monthlyBurn,
             monthlyRevenue,
             totalCash,
+            fxBasis,
             runwayMonths,
             dauGrowth,
             revenueGrowth: revenues[0]?.total > 0 ? 0.15 : 0, // Placeholder
@@ -526,7 +526,7 @@ class PredictiveAnalyticsController {
             const historicalData = await PredictiveAnalyticsController.getHistoricalCashFlowData(organizationId);
             
             // Get current position for the organization
-            const currentPosition = await PredictiveAnalyticsController.getCurrentCashPosition(organizationId);
+            const currentPosition = await PredictiveAnalyticsController.getCurrentCashPosition(req.organization);
 
             // Generate category forecasts
             const categoryForecasts = await PredictiveAnalyticsController.generateCategoryForecasts(historicalData);
@@ -593,7 +593,7 @@ class PredictiveAnalyticsController {
         const sixMonthsAgo = moment().subtract(6, 'months').toDate();
         
         const expenses = await Expense.aggregate([
-            { $match: { organization: organizationId, date: { $gte: sixMonthsAgo } } },
+            { $match: { organization: organizationId, ...Expense.actualsFilter(), date: { $gte: sixMonthsAgo } } },
             {
                 $group: {
                     _id: {
@@ -625,20 +625,27 @@ class PredictiveAnalyticsController {
     }
 
     /**
-     * Get current cash position for the organization
+     * Get the cash position for the organization, today or as of a past date,
+     * from the daily bank balance history
      */
-    static async getCurrentCashPosition(organizationId) {
-        const bankAccounts = await BankAccount.find({ organization: organizationId });
-        const totalCash = bankAccounts.reduce((sum, acc) => sum + acc.currentBalance, 0);
+    static async getCurrentCashPosition(organization, asOf = new Date()) {
+        const position = await balanceHistoryService.getCashPosition(organization, asOf);
 
         // For MVP, assume no receivables/payables tracking
         return {
-            cash: totalCash,
+            ...position,
             receivables: 0,
             payables: 0
         };
     }
 
+    /**
+     * Cash over time and the runway it implied, from the bank balance history
+     */
+    static async getCashPositionHistory(organization, options = {}) {
+        return balanceHistoryService.getCashHistory(organization, options);
+    }
+
     /**
      * Generate category-wise forecasts
      */
@@ -0,0 +1,220 @@
+// controllers/receiptController.js
+// Receipt upload and OCR-based expense capture.
+const mongoose = require('mongoose');
+const Expense = require('../models/expenseModel');
+const receiptOcrService = require('../services/receiptOcrService');
+const expenseApprovalService = require('../services/expenseApprovalService');
+const taxService = require('../services/taxService');
+const IndianTax = require('../utils/indianTax');
+const { getTransactionCategorizer } = require('../services/transactionCategorizer');
+
+// Body fields the user may set to override what OCR read off the receipt
+const OVERRIDABLE_FIELDS = ['date', 'amount', 'currency', 'vendor', 'category', 'description', 'paymentMethod', 'notes'];
+
+// Receipts still attach when OCR itself fails (e.g. a corrupt image)
+async function scanSafely(organizationId, file) {
+    try {
+        return await receiptOcrService.scanReceipt(organizationId, file);
+    } catch (err) {
+        console.error('[RECEIPT] OCR failed:', err.message);
+        return { prefill: {}, gst: null, categorization: null, ocr: null, warnings: [`Could not read the receipt: ${err.message}`] };
+    }
+}
+
+// GST read off the receipt as expense `gst` input: a standard slab derives the
+// split from the amount; otherwise the printed CGST/SGST/IGST amounts are kept.
+function gstFromScan(gst) {
+    if (!gst || (!gst.supplierGstin && !gst.totalTax)) return undefined;
+    const input = {};
+    if (gst.supplierGstin) input.supplierGstin = gst.supplierGstin;
+    if (gst.igst) input.supplyType = 'inter_state';
+    else if (gst.cgst || gst.sgst) input.supplyType = 'intra_state';
+    if (gst.rate !== null && IndianTax.GST_RATES.includes(gst.rate)) {
+        input.rate = gst.rate;
+    } else {
+        input.cgst = gst.cgst?.amount || 0;
+        input.sgst = gst.sgst?.amount || 0;
+        input.igst = gst.igst?.amount || 0;
+    }
+    return input;
+}
+
+// Multipart bodies carry nested objects as JSON strings
+function parseJsonField(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        throw Object.assign(new Error('gst must be a JSON object'), { status: 400 });
+    }
+}
+
+function receiptRecord(stored, scan) {
+    return {
+        storageKey: stored.storageKey,
+        fileName: stored.fileName,
+        fileType: stored.fileType,
+        fileSize: stored.fileSize,
+        uploadedAt: stored.uploadedAt,
+        ocr: scan.ocr ? { ...scan.ocr, extracted: { ...scan.prefill, gst: scan.gst } } : undefined,
+    };
+}
+
+/**
+ * @desc    Read a receipt and return the expense pre-fill (nothing is saved)
+ * @route   POST /api/horizon/financials/expenses/receipts/scan  (multipart: receipt)
+ * @access  Private
+ */
+exports.scanReceipt = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ msg: 'No receipt file uploaded.' });
+        const scan = await receiptOcrService.scanReceipt(req.organization._id, req.file);
+        res.json(scan);
+    } catch (err) {
+        console.error('Error scanning receipt:', err.message);
+        if (err.status) return res.status(err.status).json({ msg: err.message });
+        res.status(500).send('Server Error: Could not read receipt');
+    }
+};
+
+/**
+ * @desc    Create an expense from a receipt. Body fields override the OCR values;
+ *          responds 422 with the scan when required fields could not be read.
+ * @route   POST /api/horizon/financials/expenses/from-receipt  (multipart: receipt + optional fields)
+ * @access  Private
+ */
+exports.createExpenseFromReceipt = async (req, res) => {
+    const organization = req.organization;
+    const userId = req.user._id;
+    try {
+        if (!req.file) return res.status(400).json({ msg: 'No receipt file uploaded.' });
+
+        const scan = await scanSafely(organization._id, req.file);
+        const fields = { ...scan.prefill };
+        for (const field of OVERRIDABLE_FIELDS) {
+            if (req.body[field] !== undefined && req.body[field] !== '') fields[field] = req.body[field];
+        }
+        if (!fields.description && fields.vendor) fields.description = `Receipt: ${fields.vendor}`;
+
+        const missing = ['date', 'amount', 'category', 'description'].filter(f => fields[f] === null || fields[f] === undefined);
+        if (missing.length) {
+            return res.status(422).json({
+                msg: `Could not determine ${missing.join(', ')} from the receipt; please provide ${missing.length > 1 ? 'them' : 'it'}.`,
+                missing,
+                ...scan,
+            });
+        }
+
+        // The suggestion (or the user's pick) may be one of the organization's custom categories
+        const categorizer = await getTransactionCategorizer();
+        const { category, customCategory } = await categorizer.resolveCategory(organization._id, fields.category);
+        const gst = taxService.normalizeGstInput(organization, parseJsonField(req.body.gst) ?? gstFromScan(scan.gst), { party: 'supplierGstin' });
+        const stored = await receiptOcrService.storeReceipt(organization._id, req.file);
+        const expense = new Expense({
+            organization: organization._id,
+            user: userId,
+            date: fields.date,
+            amount: fields.amount,
+            category,
+            customCategory,
+            vendor: fields.vendor || undefined,
+            description: fields.description,
+            paymentMethod: fields.paymentMethod,
+            notes: fields.notes,
+            currency: fields.currency || organization.currency || 'INR',
+            isReimbursable: req.body.isReimbursable === true || req.body.isReimbursable === 'true',
+            gst,
+            receiptUrl: stored.storageUrl,
+            receipt: receiptRecord(stored, scan),
+        });
+        const routing = await expenseApprovalService.applyPolicy(organization, expense, userId);
+        try {
+            await expense.save();
+        } catch (saveErr) {
+            await receiptOcrService.deleteStoredReceipt(stored.storageKey);
+            throw saveErr;
+        }
+        await expenseApprovalService.finishRouting(organization, expense, routing, userId);
+
+        res.status(201).json({ expense, categorization: scan.categorization, gst: scan.gst, warnings: scan.warnings });
+    } catch (err) {
+        console.error('Error creating expense from receipt:', err.message);
+        if (err.status === 400 || err.name === 'ValidationError') return res.status(400).json({ msg: err.message });
+        res.status(500).send('Server Error: Could not create expense from receipt');
+    }
+};
+
+/**
+ * @desc    Attach (or replace) the receipt of an existing expense. OCR values are
+ *          returned alongside, with any that disagree with the expense listed.
+ * @route   POST /api/horizon/financials/expenses/:id/receipt  (multipart: receipt)
+ * @access  Private
+ */
+exports.uploadExpenseReceipt = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ msg: 'Invalid Expense ID format' });
+        }
+        if (!req.file) return res.status(400).json({ msg: 'No receipt file uploaded.' });
+        const expense = await Expense.findOne({ _id: req.params.id, organization: req.organization._id });
+        if (!expense) return res.status(404).json({ msg: 'Expense not found within your organization.' });
+
+        const [stored, scan] = await Promise.all([
+            receiptOcrService.storeReceipt(req.organization._id, req.file),
+            scanSafely(req.organization._id, req.file),
+        ]);
+        const previousKey = expense.receipt?.storageKey;
+        expense.receiptUrl = stored.storageUrl;
+        expense.receipt = receiptRecord(stored, scan);
+        await expense.save();
+        if (previousKey) await receiptOcrService.deleteStoredReceipt(previousKey);
+
+        const mismatches = [];
+        const { amount, date, currency } = scan.prefill;
+        if (amount != null && Math.abs(amount - expense.amount) > 0.01) {
+            mismatches.push({ field: 'amount', expense: expense.amount, receipt: amount });
+        }
+        if (date && expense.date && date !== expense.date.toISOString().slice(0, 10)) {
+            mismatches.push({ field: 'date', expense: expense.date.toISOString().slice(0, 10), receipt: date });
+        }
+        if (currency && currency !== expense.currency) {
+            mismatches.push({ field: 'currency', expense: expense.currency, receipt: currency });
+        }
+
+        res.status(201).json({ msg: 'Receipt attached', expense, mismatches, categorization: scan.categorization, warnings: scan.warnings });
+    } catch (err) {
+        console.error('Error uploading expense receipt:', err.message);
+        res.status(500).send('Server Error: Could not upload receipt');
+    }
+};
+
+/**
+ * @desc    Short-lived download link for an expense's receipt
+ * @route   GET /api/horizon/financials/expenses/:id/receipt
+ * @access  Private
+ */
+exports.getExpenseReceipt = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ msg: 'Invalid Expense ID format' });
+        }
+        const expense = await Expense.findOne({ _id: req.params.id, organization: req.organization._id })
+            .select('receipt receiptUrl');
+        if (!expense) return res.status(404).json({ msg: 'Expense not found within your organization.' });
+        if (!expense.receipt?.storageKey) {
+            // Older expenses may only carry an external receiptUrl
+            if (expense.receiptUrl) return res.json({ downloadUrl: expense.receiptUrl, external: true });
+            return res.status(404).json({ msg: 'This expense has no receipt.' });
+        }
+        const downloadUrl = await receiptOcrService.getReceiptDownloadUrl(expense.receipt.storageKey);
+        res.json({
+            downloadUrl,
+            fileName: expense.receipt.fileName,
+            fileType: expense.receipt.fileType,
+            expiresInSeconds: 300,
+        });
+    } catch (err) {
+        console.error('Error fetching expense receipt:', err.message);
+        res.status(500).send('Server Error: Could not fetch receipt');
+    }
+};
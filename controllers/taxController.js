@@ -0,0 +1,82 @@
+// controllers/taxController.js
+// GST and TDS reports for Indian compliance (GSTR-3B and TDS returns).
+const IndianTax = require('../utils/indianTax');
+const taxService = require('../services/taxService');
+
+// Reports default to the previous month: the one being filed
+const monthParam = (req) => req.query.month || IndianTax.previousMonthKey(new Date());
+
+/**
+ * @desc    Monthly GST summary: output tax vs input tax credit and net payable after set-off
+ * @route   GET /api/horizon/financials/tax/gst-summary?month=YYYY-MM
+ * @access  Private
+ */
+exports.getGstSummary = async (req, res) => {
+    try {
+        const month = monthParam(req);
+        try {
+            IndianTax.monthRange(month);
+        } catch (monthError) {
+            return res.status(400).json({ msg: monthError.message });
+        }
+        const summary = await taxService.getGstSummary(req.organization, month);
+        res.json(summary);
+    } catch (err) {
+        console.error('Error generating GST summary:', err.message);
+        res.status(500).send('Server Error: Could not generate GST summary');
+    }
+};
+
+/**
+ * @desc    TDS deducted in a month by section, with deposit status and due dates
+ * @route   GET /api/horizon/financials/tax/tds-summary?month=YYYY-MM
+ * @access  Private
+ */
+exports.getTdsSummary = async (req, res) => {
+    try {
+        const month = monthParam(req);
+        try {
+            IndianTax.monthRange(month);
+        } catch (monthError) {
+            return res.status(400).json({ msg: monthError.message });
+        }
+        const summary = await taxService.getTdsSummary(req.organization, month);
+        res.json(summary);
+    } catch (err) {
+        console.error('Error generating TDS summary:', err.message);
+        res.status(500).send('Server Error: Could not generate TDS summary');
+    }
+};
+
+/**
+ * @desc    Record a TDS challan against a month's undeposited deductions
+ * @route   POST /api/horizon/financials/tax/tds/deposits  { month, section?, challanNumber, depositedAt? }
+ * @access  Private (owner)
+ */
+exports.recordTdsDeposit = async (req, res) => {
+    try {
+        const result = await taxService.markTdsDeposited(req.organization, req.body);
+        res.json({ msg: `TDS deposit recorded on ${result.updated} expense(s)`, ...result });
+    } catch (err) {
+        console.error('Error recording TDS deposit:', err.message);
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
+        res.status(500).send('Server Error: Could not record TDS deposit');
+    }
+};
+
+/**
+ * @desc    TDS sections with default rates and thresholds, and the GST slabs
+ * @route   GET /api/horizon/financials/tax/reference
+ * @access  Private
+ */
+exports.getTaxReference = async (req, res) => {
+    res.json({
+        gstRates: IndianTax.GST_RATES,
+        tdsSections: Object.entries(IndianTax.TDS_SECTIONS).map(([section, info]) => ({ section, ...info })),
+        organization: {
+            gstin: req.organization.settings?.gstin || null,
+            pan: req.organization.settings?.pan || null,
+            tan: req.organization.settings?.tan || null,
+        },
+    });
+};
@@ -0,0 +1,206 @@
+// controllers/vendorController.js
+// Vendor master (names + aliases), vendor spend analytics, contract renewals
+// and duplicate-payment detection.
+const mongoose = require('mongoose');
+const Vendor = require('../models/vendorModel');
+const vendorService = require('../services/vendorService');
+
+const clampInt = (value, fallback, min, max) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+async function findVendor(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ msg: 'Invalid vendor ID format' });
+        return null;
+    }
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+        res.status(404).json({ msg: 'Vendor not found in your organization' });
+        return null;
+    }
+    return vendor;
+}
+
+function sendSaveError(res, err, fallback) {
+    if (err.name === 'ValidationError') return res.status(400).json({ msg: err.message });
+    if (err.code === 11000) return res.status(409).json({ msg: 'A vendor with this name already exists' });
+    res.status(500).send(`Server Error: ${fallback}`);
+}
+
+/**
+ * @desc    List vendors
+ * @route   GET /api/horizon/financials/vendors?includeArchived=true&search=
+ * @access  Private
+ */
+exports.getVendors = async (req, res) => {
+    try {
+        const query = { organization: req.organization._id };
+        if (req.query.includeArchived !== 'true') query.isArchived = false;
+        if (req.query.search) {
+            const key = Vendor.normalizeName(req.query.search);
+            query.matchKeys = { $regex: key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+        }
+        const vendors = await Vendor.find(query).sort({ name: 1 });
+        res.json(vendors);
+    } catch (err) {
+        console.error('Error fetching vendors:', err.message);
+        res.status(500).send('Server Error: Could not fetch vendors');
+    }
+};
+
+/**
+ * @desc    Create a vendor
+ * @route   POST /api/horizon/financials/vendors
+ * @access  Private
+ */
+exports.createVendor = async (req, res) => {
+    try {
+        const vendor = await vendorService.saveVendor(req.organization._id, req.body, req.user._id);
+        res.status(201).json({ msg: 'Vendor added', vendor });
+    } catch (err) {
+        console.error('Error creating vendor:', err.message);
+        sendSaveError(res, err, 'Could not add vendor');
+    }
+};
+
+/**
+ * @desc    Vendor with its month-by-month spend trend
+ * @route   GET /api/horizon/financials/vendors/:id?months=12
+ * @access  Private
+ */
+exports.getVendorById = async (req, res) => {
+    try {
+        const vendor = await findVendor(req, res);
+        if (!vendor) return;
+        const months = clampInt(req.query.months, 12, 1, 36);
+        const trend = await vendorService.getVendorSpendTrend(req.organization, vendor, { months });
+        res.json(trend);
+    } catch (err) {
+        console.error('Error fetching vendor:', err.message);
+        res.status(500).send('Server Error: Could not fetch vendor');
+    }
+};
+
+/**
+ * @desc    Update a vendor (aliases replace the existing list)
+ * @route   PUT /api/horizon/financials/vendors/:id
+ * @access  Private
+ */
+exports.updateVendor = async (req, res) => {
+    try {
+        const vendor = await findVendor(req, res);
+        if (!vendor) return;
+        await vendorService.saveVendor(req.organization._id, req.body, req.user._id, vendor);
+        res.json({ msg: 'Vendor updated', vendor });
+    } catch (err) {
+        console.error('Error updating vendor:', err.message);
+        sendSaveError(res, err, 'Could not update vendor');
+    }
+};
+
+/**
+ * @desc    Add one alias (e.g. an unresolved bank merchant name) to a vendor
+ * @route   POST /api/horizon/financials/vendors/:id/aliases
+ * @access  Private
+ */
+exports.addAlias = async (req, res) => {
+    try {
+        const alias = String(req.body.alias || '').trim();
+        if (!alias) return res.status(400).json({ msg: 'Alias is required' });
+        const vendor = await findVendor(req, res);
+        if (!vendor) return;
+        await vendorService.saveVendor(req.organization._id, { aliases: [...vendor.aliases, alias] }, req.user._id, vendor);
+        res.status(201).json({ msg: 'Alias added', vendor });
+    } catch (err) {
+        console.error('Error adding vendor alias:', err.message);
+        sendSaveError(res, err, 'Could not add alias');
+    }
+};
+
+/**
+ * @desc    Delete a vendor (expenses keep their free-text vendor names)
+ * @route   DELETE /api/horizon/financials/vendors/:id
+ * @access  Private (owner)
+ */
+exports.deleteVendor = async (req, res) => {
+    try {
+        const vendor = await findVendor(req, res);
+        if (!vendor) return;
+        await vendor.deleteOne();
+        res.json({ msg: 'Vendor deleted' });
+    } catch (err) {
+        console.error('Error deleting vendor:', err.message);
+        res.status(500).send('Server Error: Could not delete vendor');
+    }
+};
+
+/**
+ * @desc    Which vendor a free-text name resolves to
+ * @route   GET /api/horizon/financials/vendors/resolve?name=AMAZON WEB SERVICES IN
+ * @access  Private
+ */
+exports.resolveVendorName = async (req, res) => {
+    try {
+        if (!req.query.name) return res.status(400).json({ msg: 'name query parameter is required' });
+        const resolver = await vendorService.createResolver(req.organization._id);
+        const { vendor, normalized } = resolver.resolve(req.query.name);
+        res.json({ name: req.query.name, normalized, vendor });
+    } catch (err) {
+        console.error('Error resolving vendor name:', err.message);
+        res.status(500).send('Server Error: Could not resolve vendor name');
+    }
+};
+
+/**
+ * @desc    Spend by vendor and the top unresolved vendor names
+ * @route   GET /api/horizon/financials/vendors/spend-summary?months=6
+ * @access  Private
+ */
+exports.getSpendSummary = async (req, res) => {
+    try {
+        const months = clampInt(req.query.months, 6, 1, 36);
+        const summary = await vendorService.getSpendSummary(req.organization, { months });
+        res.json(summary);
+    } catch (err) {
+        console.error('Error generating vendor spend summary:', err.message);
+        res.status(500).send('Server Error: Could not generate vendor spend summary');
+    }
+};
+
+/**
+ * @desc    Contracts renewing (or hitting their notice deadline) soon
+ * @route   GET /api/horizon/financials/vendors/renewals?withinDays=60
+ * @access  Private
+ */
+exports.getUpcomingRenewals = async (req, res) => {
+    try {
+        const withinDays = clampInt(req.query.withinDays, 60, 1, 365);
+        const renewals = await vendorService.getUpcomingRenewals(req.organization._id, { withinDays });
+        res.json({ withinDays, renewals });
+    } catch (err) {
+        console.error('Error fetching vendor renewals:', err.message);
+        res.status(500).send('Server Error: Could not fetch vendor renewals');
+    }
+};
+
+/**
+ * @desc    Likely duplicate payments (same vendor, similar amount, close dates)
+ * @route   GET /api/horizon/financials/vendors/duplicate-payments?lookbackDays=90&windowDays=7&amountTolerancePct=2
+ * @access  Private
+ */
+exports.getDuplicatePayments = async (req, res) => {
+    try {
+        const tolerance = parseFloat(req.query.amountTolerancePct);
+        const result = await vendorService.findDuplicatePayments(req.organization, {
+            lookbackDays: clampInt(req.query.lookbackDays, 90, 1, 730),
+            windowDays: clampInt(req.query.windowDays, 7, 0, 60),
+            amountTolerancePct: Number.isFinite(tolerance) ? Math.min(25, Math.max(0, tolerance)) : 2,
+        });
+        res.json(result);
+    } catch (err) {
+        console.error('Error detecting duplicate payments:', err.message);
+        res.status(500).send('Server Error: Could not detect duplicate payments');
+    }
+};
@@ -0,0 +1,40 @@
+// models/bankBalanceSnapshotModel.js
+// Closing balance of a bank account on one day. Statement snapshots are
+// derived from the running balance on imported statement lines; manual ones
+// record balances entered by hand. A day can carry one of each; the one with
+// the later updatedAt is the day's balance.
+const mongoose = require('mongoose');
+
+const BALANCE_SOURCES = ['statement', 'manual'];
+
+const bankBalanceSnapshotSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: [true, 'Organization ID is required for a balance snapshot.'],
+        index: true,
+    },
+    bankAccount: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BankAccount',
+        required: [true, 'Bank account is required for a balance snapshot.'],
+    },
+    date: { type: Date, required: [true, 'Date is required.'] }, // UTC midnight of the day
+    balance: { type: Number, required: [true, 'Balance is required.'] },
+    source: { type: String, enum: BALANCE_SOURCES, required: true },
+    // Last statement line of the day (statement snapshots)
+    bankTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'BankTransaction' },
+    notes: { type: String, trim: true, maxlength: [500, 'Notes cannot exceed 500 characters.'] },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+}, {
+    timestamps: true,
+    collection: 'bankbalancesnapshots',
+});
+
+bankBalanceSnapshotSchema.index({ bankAccount: 1, date: 1, source: 1 }, { unique: true });
+bankBalanceSnapshotSchema.index({ organization: 1, date: 1 });
+
+const BankBalanceSnapshot = mongoose.models.BankBalanceSnapshot || mongoose.model('BankBalanceSnapshot', bankBalanceSnapshotSchema);
+
+module.exports = BankBalanceSnapshot;
+module.exports.BALANCE_SOURCES = BALANCE_SOURCES;
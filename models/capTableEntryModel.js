@@ -352,8 +352,9 @@ capTableEntrySchema.methods.convertToEquity = function(conversionParams) {
 /**
  * Calculate total shares outstanding for an organization
  * FIXED: Using 'new' with ObjectId constructor
+ * Pass a session to count entries written earlier in the same transaction
  */
-capTableEntrySchema.statics.getTotalOutstandingShares = function(organizationId) {
+capTableEntrySchema.statics.getTotalOutstandingShares = function(organizationId, session = null) {
     return this.aggregate([
         {
             $match: {
@@ -368,7 +369,7 @@ capTableEntrySchema.statics.getTotalOutstandingShares = function(organizationId)
                 totalShares: { $sum: '$numberOfShares' }
             }
         }
-    ]);
+    ]).session(session);
 };
 
 /**
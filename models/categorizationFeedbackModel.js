@@ -0,0 +1,28 @@
+// models/categorizationFeedbackModel.js
+// One row per reviewed categorization: what the organization's model predicted
+// and the category the user settled on. Drives the per-organization accuracy
+// reported in categorization insights.
+const mongoose = require('mongoose');
+
+const categorizationFeedbackSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+    sourceType: { type: String, enum: ['expense', 'bank_transaction', 'manual'], default: 'manual' },
+    sourceId: { type: String },
+    text: { type: String },
+    predictedCategory: { type: String },
+    predictedConfidence: { type: Number },
+    actualCategory: { type: String, required: true },
+    isCorrect: { type: Boolean, required: true },
+}, { timestamps: true, collection: 'categorizationfeedback' });
+
+categorizationFeedbackSchema.index({ organization: 1, createdAt: -1 });
+
+const CategorizationFeedback = mongoose.model('CategorizationFeedback', categorizationFeedbackSchema);
+
+module.exports = CategorizationFeedback;
@@ -0,0 +1,44 @@
+// models/categorizationModel.js
+// Per-organization transaction categorizer. The classifier starts as a copy of
+// the shared baseline (ml-models/transaction-classifier.json) and is trained on
+// the organization's own corrections and custom categories. `examples` keeps
+// that training data so the model can be rebuilt when the baseline changes.
+const mongoose = require('mongoose');
+const { EXPENSE_CATEGORIES } = require('./expenseModel');
+
+const customCategorySchema = new mongoose.Schema({
+    name: { type: String, required: [true, 'Category name is required'], trim: true, maxlength: 60 },
+    // Standard category the custom one rolls up to on expenses (reports, budgets, policies)
+    expenseCategory: { type: String, enum: EXPENSE_CATEGORIES, default: 'Other' },
+    keywords: [{ type: String, trim: true, lowercase: true }],
+    description: { type: String, trim: true, maxlength: 300 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+}, { timestamps: true });
+
+const trainingExampleSchema = new mongoose.Schema({
+    text: { type: String, required: true },
+    category: { type: String, required: true },
+    source: { type: String, enum: ['expense', 'bank_transaction', 'manual'], default: 'manual' },
+    sourceId: { type: String },
+    createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const categorizationModelSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        unique: true,
+    },
+    classifier: { type: String }, // Serialized natural.BayesClassifier
+    baselineVersion: { type: String }, // Hash of the baseline this classifier was built from
+    customCategories: [customCategorySchema],
+    examples: [trainingExampleSchema],
+    correctionCount: { type: Number, default: 0 },
+    trainingRevision: { type: Number, default: 0 }, // Bumped with each added example; guards classifier writes
+    trainedAt: { type: Date },
+}, { timestamps: true, collection: 'categorizationmodels' });
+
+const CategorizationModel = mongoose.model('CategorizationModel', categorizationModelSchema);
+
+module.exports = CategorizationModel;
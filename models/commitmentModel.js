@@ -1,7 +1,9 @@
 // models/commitmentModel.js
 // Informal commitments & pending payments — the money the company owes
-// (team dues, founder reimbursements, vendor dues) or is owed, that never
-// shows up in bank balances or the expense ledger. Feeds "honest runway".
+// (team dues, founder reimbursements, vendor dues) or is owed, that does not
+// show up in bank balances. Most never reach the expense ledger either; those
+// linked to an `expense` (e.g. founder reimbursements) settle one that is
+// already booked there. Feeds "honest runway".
 const mongoose = require('mongoose');
 
 const paymentSchema = new mongoose.Schema({
@@ -58,6 +60,10 @@ const commitmentSchema = new mongoose.Schema({
 
     business: { type: String, trim: true, maxlength: 100 },
     notes: { type: String, trim: true, maxlength: 2000 },
+
+    // The expense this payable settles (e.g. a founder paid a vendor personally).
+    // On cash-basis reports the expense is dated by these payments, not its record date.
+    expense: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', default: null, index: true },
 }, { timestamps: true, collection: 'commitments' });
 
 commitmentSchema.index({ organization: 1, status: 1, direction: 1 });
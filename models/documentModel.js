@@ -81,6 +81,20 @@ const documentSchema = new mongoose.Schema({
         maxlength: [50, 'Tag cannot exceed 50 characters.']
     }],
 
+    // Generated documents (e.g. investor/board packs) are versioned: each
+    // regeneration for the same versionGroup gets the next version number
+    version: {
+        type: Number,
+        default: 1,
+        min: [1, 'Version must be at least 1.']
+    },
+    versionGroup: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Version group cannot exceed 300 characters.'],
+        index: true,
+    },
+
     uploadedBy: { // Ensuring ref is correct as per our HorizonUser model
         type: mongoose.Schema.Types.ObjectId,
         ref: 'HorizonUser',
@@ -111,6 +125,11 @@ documentSchema.index({ organization: 1, uploadedBy: 1 });
 documentSchema.index({ organization: 1, tags: 1 });
 // Unique index on storageKey within an organization to prevent duplicate file references
 documentSchema.index({ organization: 1, storageKey: 1 }, { unique: true });
+// One document per version of a generated versionGroup
+documentSchema.index(
+    { organization: 1, versionGroup: 1, version: 1 },
+    { unique: true, partialFilterExpression: { versionGroup: { $type: 'string' } } }
+);
 
 
 module.exports = mongoose.models.Document || mongoose.model('Document', documentSchema);
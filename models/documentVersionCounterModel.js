@@ -0,0 +1,51 @@
+// models/documentVersionCounterModel.js
+// Per-organization sequence for each generated document versionGroup (e.g.
+// "board-pack:Q1 FY2026"), so concurrent regenerations get distinct versions.
+const mongoose = require('mongoose');
+
+const documentVersionCounterSchema = new mongoose.Schema(
+    {
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        versionGroup: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 300,
+        },
+        seq: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'documentversioncounters',
+    }
+);
+
+documentVersionCounterSchema.index({ organization: 1, versionGroup: 1 }, { unique: true });
+
+// Reserve the next version of a group. Groups versioned before the counter
+// existed start after their highest stored Document version.
+documentVersionCounterSchema.statics.next = async function(organizationId, versionGroup) {
+    const Document = mongoose.model('Document');
+    const latest = await Document.findOne({ organization: organizationId, versionGroup })
+        .sort({ version: -1 })
+        .select('version');
+    const floor = latest ? latest.version : 0;
+    const counter = await this.findOneAndUpdate(
+        { organization: organizationId, versionGroup },
+        [{ $set: { seq: { $add: [{ $max: [{ $ifNull: ['$seq', 0] }, floor] }, 1] } } }],
+        { upsert: true, new: true }
+    );
+    return counter.seq;
+};
+
+const DocumentVersionCounter = mongoose.models.DocumentVersionCounter
+    || mongoose.model('DocumentVersionCounter', documentVersionCounterSchema);
+
+module.exports = DocumentVersionCounter;
@@ -9,6 +9,20 @@ const vestingEventSchema = new mongoose.Schema({
     notes: {type: String }
 }, {_id: false});
 
+const exerciseSchema = new mongoose.Schema({
+    exerciseDate: { type: Date, required: true },
+    optionsExercised: { type: Number, required: true, min: [1, 'At least one option must be exercised'] },
+    strikePrice: { type: Number, required: true },
+    exerciseCost: { type: Number, required: true }, // optionsExercised × strikePrice
+    paymentReference: { type: String, trim: true },
+    capTableEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'CapTableEntry' },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+    notes: { type: String, trim: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const SCHEDULE_FIELDS = ['vestingScheduleType', 'vestingPeriodYears', 'cliffPeriodMonths', 'vestingFrequency', 'numberOfOptionsGranted', 'grantDate'];
+const FREQUENCY_MONTHS = { Monthly: 1, Quarterly: 3, Annually: 12 };
+
 // User's original esopGrantSchema - With multi-tenancy fields added
 const esopGrantSchema = new mongoose.Schema({
     // --- Fields for Multi-Tenancy (ADDED) ---
@@ -39,9 +53,30 @@ const esopGrantSchema = new mongoose.Schema({
 
     totalOptionsVested: { type: Number, default: 0 },
     totalOptionsExercised: { type: Number, default: 0 },
+    exercises: [exerciseSchema],
+
+    currency: { type: String, uppercase: true, trim: true, default: 'INR' },
+    status: {
+        type: String,
+        enum: ['Active', 'Terminated', 'Fully Exercised', 'Expired', 'Cancelled'],
+        default: 'Active',
+        index: true,
+    },
+    // Vesting stops at terminationDate; vested options stay exercisable until exerciseWindowEndsAt
+    termination: {
+        terminationDate: { type: Date },
+        reason: { type: String, trim: true },
+        exerciseWindowDays: { type: Number, min: 0 },
+        exerciseWindowEndsAt: { type: Date },
+        optionsVestedAtTermination: { type: Number },
+        optionsForfeited: { type: Number }, // unvested at termination
+        optionsLapsed: { type: Number }, // vested but not exercised within the window
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+    },
     notes: { type: String, trim: true },
     agreementUrl: { type: String },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser', required: true },
+    lastModifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
     // createdAt: { type: Date, default: Date.now }, // Will be handled by timestamps: true
     // updatedAt: { type: Date, default: Date.now }, // Will be handled by timestamps: true
 }, {
@@ -49,26 +84,102 @@ const esopGrantSchema = new mongoose.Schema({
     collection: 'esopgrants', // ADDED: Explicit collection name
 });
 
-// User's original pre('save') hook - Only manual updatedAt removed
-esopGrantSchema.pre('save', function(next) {
-    // this.updatedAt = Date.now(); // REMOVED: Handled by timestamps: true
+const addMonths = (date, months) => {
+    const d = new Date(date);
+    const day = d.getDate();
+    d.setMonth(d.getMonth() + months);
+    if (d.getDate() < day) d.setDate(0); // clamp 31 Jan + 1 month to end of Feb
+    return d;
+};
+
+/**
+ * Build vesting events from the schedule fields.
+ * - Time-based Cliff: nothing vests until cliffPeriodMonths; the cliff event
+ *   releases everything accrued so far, then vesting continues every
+ *   vestingFrequency period until vestingPeriodYears.
+ * - Time-based Graded: vests every vestingFrequency period from grant, no cliff.
+ * With vestingFrequency 'None' the whole grant vests at the end of the period
+ * (or at the cliff if no period is set). Milestone-based and custom grants
+ * keep their manually entered events.
+ * @returns {Array} vesting events, or null if the schedule type is not time-based
+ */
+esopGrantSchema.methods.generateVestingEvents = function() {
+    if (!['Time-based Cliff', 'Time-based Graded'].includes(this.vestingScheduleType)) {
+        return null;
+    }
+    const total = this.numberOfOptionsGranted || 0;
+    const totalMonths = Math.round((this.vestingPeriodYears || 0) * 12);
+    const cliffMonths = this.vestingScheduleType === 'Time-based Cliff' ? (this.cliffPeriodMonths || 0) : 0;
+    if (!this.grantDate || total <= 0) return [];
+    if (totalMonths <= 0 && cliffMonths <= 0) {
+        throw new Error('Vesting period or cliff period is required to generate a time-based schedule');
+    }
+    if (totalMonths > 0 && cliffMonths > totalMonths) {
+        throw new Error('Cliff period cannot be longer than the vesting period');
+    }
 
-    // User's original logic for totalOptionsVested - Preserved
-    let vestedCount = 0;
-    const today = new Date();
-    if (this.vestingEvents && this.vestingEvents.length > 0) {
-        this.vestingEvents.forEach(event => {
-            if (event.vestDate && new Date(event.vestDate) <= today) {
-                vestedCount += event.optionsVested;
-            }
+    const step = FREQUENCY_MONTHS[this.vestingFrequency];
+    if (!step || totalMonths <= 0) {
+        const months = totalMonths > 0 ? totalMonths : cliffMonths;
+        return [{ vestDate: addMonths(this.grantDate, months), optionsVested: total, isCliff: cliffMonths > 0 && months === cliffMonths, notes: 'Full vest' }];
+    }
+
+    // Vest points every `step` months from grant; before the cliff nothing vests and
+    // the cliff date itself releases everything accrued up to it
+    const points = cliffMonths > 0 ? [cliffMonths] : [];
+    for (let month = step; month < totalMonths; month += step) {
+        if (month > cliffMonths) points.push(month);
+    }
+    if (totalMonths > cliffMonths) points.push(totalMonths);
+
+    const events = [];
+    let vestedSoFar = 0;
+    for (const at of points) {
+        const cumulative = at >= totalMonths ? total : Math.floor((total * at) / totalMonths);
+        if (cumulative <= vestedSoFar) continue;
+        const isCliff = cliffMonths > 0 && at === cliffMonths;
+        events.push({
+            vestDate: addMonths(this.grantDate, at),
+            optionsVested: cumulative - vestedSoFar,
+            isCliff,
+            notes: isCliff ? `${cliffMonths}-month cliff` : undefined,
         });
+        vestedSoFar = cumulative;
     }
-    this.totalOptionsVested = vestedCount;
+    return events;
+};
+
+/**
+ * Options vested as of a date. Vesting stops at termination.
+ */
+esopGrantSchema.methods.getVestedOptions = function(asOfDate = new Date()) {
+    let cutoff = new Date(asOfDate);
+    const terminatedOn = this.termination?.terminationDate;
+    if (terminatedOn && new Date(terminatedOn) < cutoff) cutoff = new Date(terminatedOn);
+
+    const vested = (this.vestingEvents || [])
+        .filter(event => event.vestDate && new Date(event.vestDate) <= cutoff)
+        .reduce((sum, event) => sum + (event.optionsVested || 0), 0);
+    return Math.min(vested, this.numberOfOptionsGranted || 0);
+};
+
+// User's original pre('save') hook - extended to generate time-based schedules
+esopGrantSchema.pre('save', function(next) {
+    // this.updatedAt = Date.now(); // REMOVED: Handled by timestamps: true
 
-    // User's original logic for ensuring totalOptionsVested does not exceed numberOfOptionsGranted - Preserved
-    if (this.totalOptionsVested > this.numberOfOptionsGranted) {
-        this.totalOptionsVested = this.numberOfOptionsGranted;
+    // Regenerate time-based schedules whenever their inputs change
+    const scheduleChanged = this.isNew || SCHEDULE_FIELDS.some(field => this.isModified(field));
+    if (scheduleChanged) {
+        try {
+            const generated = this.generateVestingEvents();
+            if (generated) this.vestingEvents = generated;
+        } catch (err) {
+            return next(err);
+        }
     }
+
+    this.totalOptionsVested = this.getVestedOptions(new Date());
+
     // User's original logic for ensuring totalOptionsExercised does not exceed totalOptionsVested - Preserved
     if (this.totalOptionsExercised > this.totalOptionsVested) {
         console.warn(`Warning: Exercised options (${this.totalOptionsExercised}) for grant ${this._id} exceed vested options (${this.totalOptionsVested}). Capping exercised to vested.`);
@@ -78,30 +189,9 @@ esopGrantSchema.pre('save', function(next) {
     next();
 });
 
-// User's original instance method - Preserved
+// User's original instance method - now backed by the generated schedule
 esopGrantSchema.methods.calculateVesting = function() {
-    const today = new Date();
-    let calculatedVested = 0;
-
-    if (this.vestingScheduleType === 'Custom (manual events)') {
-        if (this.vestingEvents && this.vestingEvents.length > 0) {
-            this.vestingEvents.forEach(event => {
-                if (event.vestDate && new Date(event.vestDate) <= today) {
-                    calculatedVested += event.optionsVested;
-                }
-            });
-        }
-    } else if (this.vestingScheduleType === 'Time-based Cliff' || this.vestingScheduleType === 'Time-based Graded') {
-        const grantDate = new Date(this.grantDate);
-        const monthsPassed = (today.getFullYear() - grantDate.getFullYear()) * 12 + (today.getMonth() - grantDate.getMonth());
-
-        if (this.cliffPeriodMonths && monthsPassed >= this.cliffPeriodMonths) {
-            console.log(`Vesting calculation for grant ${this._id} based on schedule type '${this.vestingScheduleType}' needs full implementation.`);
-        }
-    }
-    // ... other schedule types ...
-
-    this.totalOptionsVested = Math.min(calculatedVested, this.numberOfOptionsGranted);
+    this.totalOptionsVested = this.getVestedOptions(new Date());
     return this.save(); // Returns a promise
 };
 
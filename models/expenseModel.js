@@ -1,5 +1,8 @@
 // models/expenseModel.js
 const mongoose = require('mongoose');
+const IndianTax = require('../utils/indianTax');
+
+const EXPENSE_CATEGORIES = ['Tech Infrastructure', 'Marketing & Sales', 'Salaries & Wages', 'Legal & Professional', 'Rent & Utilities', 'Software & Subscriptions', 'Travel & Entertainment', 'Office Supplies', 'Other'];
 
 // User's original expenseSchema - With multi-tenancy fields added
 const expenseSchema = new mongoose.Schema({
@@ -23,8 +26,11 @@ const expenseSchema = new mongoose.Schema({
     category: {
         type: String,
         required: true,
-        enum: ['Tech Infrastructure', 'Marketing & Sales', 'Salaries & Wages', 'Legal & Professional', 'Rent & Utilities', 'Software & Subscriptions', 'Travel & Entertainment', 'Office Supplies', 'Other'],
+        enum: EXPENSE_CATEGORIES,
     },
+    // Organization-defined category (see CategorizationModel.customCategories); `category`
+    // then holds the standard category it rolls up to for reports and budgets
+    customCategory: { type: String, trim: true, default: null },
     vendor: { type: String, trim: true },
     description: { type: String, required: true, trim: true },
     paymentMethod: { type: String, enum: ['Bank Transfer', 'Credit Card', 'Cash', 'UPI', 'Other'] }, // Added 'Other'
@@ -32,6 +38,72 @@ const expenseSchema = new mongoose.Schema({
     notes: { type: String, trim: true }, // Added trim
     // createdAt: { type: Date, default: Date.now }, // Will be handled by timestamps: true
 
+    // --- GST (input tax) ---
+    // `amount` is the gross amount paid, GST included. With a rate, the split
+    // is derived from the amount in pre-save; without one, component amounts
+    // entered directly (e.g. read off a receipt) are kept.
+    gst: {
+        rate: { type: Number, enum: [...IndianTax.GST_RATES, null], default: null },
+        supplyType: { type: String, enum: ['intra_state', 'inter_state', 'none'], default: 'intra_state' },
+        supplierGstin: { type: String, trim: true, uppercase: true, maxlength: 15 },
+        hsnSac: { type: String, trim: true, maxlength: 12 },
+        // False for blocked credits (e.g. food, personal use) — excluded from input tax credit
+        itcEligible: { type: Boolean, default: true },
+        taxableAmount: { type: Number, default: null },
+        cgst: { type: Number, default: 0, min: 0 },
+        sgst: { type: Number, default: 0, min: 0 },
+        igst: { type: Number, default: 0, min: 0 },
+        total: { type: Number, default: 0, min: 0 },
+    },
+
+    // --- TDS deducted from the vendor payment ---
+    // Rate defaults from the section and deductee type; the base defaults to the
+    // taxable value (GST is excluded from the TDS base).
+    tds: {
+        section: { type: String, enum: [...Object.keys(IndianTax.TDS_SECTIONS), null], default: null },
+        deducteeType: { type: String, enum: ['individual', 'company'], default: 'company' },
+        deducteePan: { type: String, trim: true, uppercase: true, maxlength: 10 },
+        rate: { type: Number, min: 0, max: 100, default: null },
+        baseAmount: { type: Number, min: 0, default: null },
+        amount: { type: Number, min: 0, default: 0 },
+        // Deposit with the government (challan), due the 7th of the following month
+        depositedAt: { type: Date, default: null },
+        challanNumber: { type: String, trim: true, maxlength: 50 },
+    },
+
+    // --- Receipt (uploaded file in S3 + what OCR read from it) ---
+    receipt: {
+        storageKey: { type: String },
+        fileName: { type: String, trim: true },
+        fileType: { type: String },
+        fileSize: { type: Number },
+        uploadedAt: { type: Date },
+        ocr: {
+            source: { type: String, enum: ['ocr', 'pdf_text', null], default: null },
+            confidence: { type: Number, min: 0, max: 1 },
+            text: { type: String },
+            extracted: { type: mongoose.Schema.Types.Mixed }, // date, amount, vendor, currency, gst
+        },
+    },
+
+    // --- Approval workflow ---
+    // Expenses logged before approvals existed have no status and count as approved.
+    // Only approved/reimbursed expenses count in burn and actuals (see actualsFilter).
+    approvalStatus: {
+        type: String,
+        enum: ['submitted', 'approved', 'rejected', 'reimbursed'],
+        default: 'approved',
+        index: true,
+    },
+    approvalPolicy: { type: mongoose.Schema.Types.ObjectId, ref: 'ExpensePolicy', default: null },
+    submittedAt: { type: Date, default: null },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser', default: null },
+    decidedAt: { type: Date, default: null },
+    decisionComment: { type: String, trim: true, maxlength: 1000 },
+    // Paid personally by the submitter; approval creates a founder_reimbursement Commitment
+    isReimbursable: { type: Boolean, default: false },
+    reimbursementCommitment: { type: mongoose.Schema.Types.ObjectId, ref: 'Commitment', default: null },
+
     // --- Currency Field (ADDED for consistency and clarity) ---
     currency: {
         type: String,
@@ -52,8 +124,41 @@ const expenseSchema = new mongoose.Schema({
 // --- Indexes (ADDED) ---
 expenseSchema.index({ organization: 1, date: -1 }); // Common query: expenses for an org, sorted by date
 expenseSchema.index({ organization: 1, category: 1 });
+expenseSchema.index({ organization: 1, customCategory: 1 }, { sparse: true });
 expenseSchema.index({ organization: 1, user: 1 }); // Expenses logged by a particular user in an org
+expenseSchema.index({ organization: 1, approvalStatus: 1, submittedAt: 1 }); // Approver queue
+
+expenseSchema.index({ organization: 1, 'tds.section': 1, date: 1 }); // TDS payable by section
+
+expenseSchema.pre('save', function(next) {
+    if (this.isModified('amount') || this.isModified('gst')) {
+        Object.assign(this.gst, IndianTax.computeGst(this.amount, this.gst));
+    }
+    if (this.tds && this.tds.section) {
+        if (this.tds.rate === null || this.tds.rate === undefined) {
+            this.tds.rate = IndianTax.tdsRate(this.tds.section, this.tds.deducteeType);
+        }
+        const baseUnset = this.tds.baseAmount === null || this.tds.baseAmount === undefined;
+        if (baseUnset || (this.isModified('amount') && !this.isModified('tds.baseAmount'))) {
+            this.tds.baseAmount = this.gst.taxableAmount ?? this.amount;
+        }
+        this.tds.amount = this.tds.rate === null ? (this.tds.amount || 0)
+            : Math.round(this.tds.baseAmount * this.tds.rate) / 100;
+    } else if (this.tds) {
+        this.tds.rate = null;
+        this.tds.baseAmount = null;
+        this.tds.amount = 0;
+    }
+    next();
+});
+
+// $match conditions for expenses that count in burn, budgets and statements.
+// $nin (not $in) so pre-approval documents without a status still count.
+expenseSchema.statics.actualsFilter = function() {
+    return { approvalStatus: { $nin: ['submitted', 'rejected'] } };
+};
 
 // Check if the model already exists before compiling it
 // This prevents the OverwriteModelError (User's original export line)
 module.exports = mongoose.models.Expense || mongoose.model('Expense', expenseSchema);
+module.exports.EXPENSE_CATEGORIES = EXPENSE_CATEGORIES;
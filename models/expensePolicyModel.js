@@ -0,0 +1,42 @@
+// models/expensePolicyModel.js
+// Approval policies for expenses. A policy applies to expenses in its
+// category (or any category when unset) whose amount, in the organization's
+// currency, falls in [minAmount, maxAmount). The most specific matching
+// policy wins; expenses that match no policy are approved on entry.
+const mongoose = require('mongoose');
+const { EXPENSE_CATEGORIES } = require('./expenseModel');
+
+const expensePolicySchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+
+    name: { type: String, required: [true, 'Policy name is required'], trim: true, maxlength: 150 },
+    category: { type: String, enum: [...EXPENSE_CATEGORIES, null], default: null }, // null = any category
+    minAmount: { type: Number, min: 0, default: 0 },
+    maxAmount: { type: Number, min: 0, default: null }, // null = no upper bound
+
+    // 'auto_approve' lets small expenses through; 'require_approval' routes them to approvers
+    action: { type: String, enum: ['auto_approve', 'require_approval'], default: 'require_approval' },
+    // Specific approvers; when empty, any organization owner can approve
+    approvers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' }],
+
+    isActive: { type: Boolean, default: true, index: true },
+}, { timestamps: true, collection: 'expensepolicies' });
+
+expensePolicySchema.index({ organization: 1, isActive: 1, category: 1 });
+
+expensePolicySchema.pre('validate', function(next) {
+    if (this.maxAmount !== null && this.maxAmount !== undefined && this.maxAmount <= this.minAmount) {
+        this.invalidate('maxAmount', 'maxAmount must be greater than minAmount');
+    }
+    next();
+});
+
+const ExpensePolicy = mongoose.model('ExpensePolicy', expensePolicySchema);
+
+module.exports = ExpensePolicy;
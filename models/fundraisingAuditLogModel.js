@@ -0,0 +1,79 @@
+// models/fundraisingAuditLogModel.js
+// Append-only change log for fundraising records (rounds, investors, tranches,
+// cap table entries). Entries are written once and never edited or deleted —
+// corrections show up as new entries.
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+});
+
+const fundraisingAuditLogSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+    // null for system-initiated changes (scripts, recalculations)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser', default: null },
+
+    entityType: {
+        type: String,
+        enum: ['Round', 'Investor', 'Tranche', 'CapTableEntry'],
+        required: true,
+    },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'payment', 'conversion', 'recalculation'],
+        required: true,
+    },
+
+    // Denormalised links so a round's full history is one indexed query
+    round: { type: mongoose.Schema.Types.ObjectId, ref: 'Round', default: null, index: true },
+    investor: { type: mongoose.Schema.Types.ObjectId, ref: 'Investor', default: null, index: true },
+    label: { type: String, trim: true, maxlength: 300 }, // e.g. "Acme Ventures T2"
+
+    changes: { type: [changeSchema], default: [] },
+
+    // Payment ledger fields (action === 'payment')
+    payment: {
+        trancheNumber: { type: Number },
+        amountBefore: { type: Number },
+        amountAfter: { type: Number },
+        amountDelta: { type: Number },
+        sharesDelta: { type: Number },
+        paymentMethod: { type: String },
+        transactionReference: { type: String },
+        currency: { type: String },
+    },
+
+    source: { type: String, trim: true, maxlength: 100 }, // e.g. 'updateTranche', 'bulk-payment'
+    occurredAt: { type: Date, default: Date.now },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'fundraisingauditlogs',
+});
+
+fundraisingAuditLogSchema.index({ organization: 1, round: 1, occurredAt: -1 });
+fundraisingAuditLogSchema.index({ organization: 1, action: 1, occurredAt: -1 });
+fundraisingAuditLogSchema.index({ organization: 1, entityType: 1, entityId: 1, occurredAt: -1 });
+
+// Append-only: block every update/delete path at the model level
+const rejectMutation = function(next) {
+    next(new Error('Fundraising audit log entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove']
+    .forEach(op => fundraisingAuditLogSchema.pre(op, rejectMutation));
+
+fundraisingAuditLogSchema.pre('save', function(next) {
+    if (!this.isNew) return rejectMutation(next);
+    next();
+});
+
+module.exports = mongoose.models.FundraisingAuditLog ||
+    mongoose.model('FundraisingAuditLog', fundraisingAuditLogSchema);
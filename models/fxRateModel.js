@@ -0,0 +1,56 @@
+// models/fxRateModel.js
+// Stored FX rates used to convert financial aggregates into the organization's
+// reporting currency. A rate means: 1 unit of baseCurrency = rate units of quoteCurrency,
+// effective from effectiveDate until the next stored rate for the same pair.
+const mongoose = require('mongoose');
+
+const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+const fxRateSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: [true, 'Organization ID is required for an FX rate.'],
+        index: true,
+    },
+    baseCurrency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        required: [true, 'Base currency is required.'],
+        enum: CURRENCIES,
+    },
+    quoteCurrency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        required: [true, 'Quote currency is required.'],
+        enum: CURRENCIES,
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Rate is required.'],
+        min: [0.000001, 'Rate must be positive.'],
+    },
+    effectiveDate: { type: Date, required: [true, 'Effective date is required.'] },
+    source: { type: String, enum: ['manual', 'csv-import'], default: 'manual' },
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+}, {
+    timestamps: true,
+    collection: 'fxrates',
+});
+
+fxRateSchema.index({ organization: 1, baseCurrency: 1, quoteCurrency: 1, effectiveDate: 1 }, { unique: true });
+
+fxRateSchema.pre('validate', function (next) {
+    if (this.baseCurrency && this.baseCurrency === this.quoteCurrency) {
+        return next(new Error('Base and quote currency must differ.'));
+    }
+    next();
+});
+
+const FxRate = mongoose.models.FxRate || mongoose.model('FxRate', fxRateSchema);
+
+module.exports = FxRate;
+module.exports.CURRENCIES = CURRENCIES;
@@ -207,7 +207,9 @@ const investorMeetingSchema = new mongoose.Schema({
         runway: { type: Number, comment: 'Runway in months' },
         mrr: { type: Number, comment: 'Monthly Recurring Revenue' },
         arr: { type: Number, comment: 'Annual Recurring Revenue' },
-        totalFundsRaised: { type: Number }
+        totalFundsRaised: { type: Number },
+        currency: { type: String, comment: 'Reporting currency of cashBalance' },
+        fxBasis: { type: mongoose.Schema.Types.Mixed, comment: 'Rates used to convert account balances' }
     },
     userMetricsSnapshot: userMetricsSnapshotSchema, // Preserved
     linkedRunwayScenario: { // RunwayScenario should be org-scoped
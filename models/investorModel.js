@@ -492,11 +492,16 @@ investorSchema.methods.createCapTableEntry = async function() {
     
     const CapTableEntry = mongoose.model('CapTableEntry');
     
+    // Converted SAFEs/notes hold their equity in the priced round they converted into
+    const entryRoundId = this.conversionDetails?.isConverted && this.conversionDetails.conversionRound
+        ? this.conversionDetails.conversionRound
+        : this.roundId;
+
     // ✅ FIX: Search using linkedInvestorId for proper connection
     let capTableEntry = await CapTableEntry.findOne({
         organization: this.organization,
         linkedInvestorId: this._id,
-        roundId: this.roundId
+        roundId: entryRoundId
     });
     
     // Calculate final values for cap table
@@ -547,7 +552,7 @@ investorSchema.methods.createCapTableEntry = async function() {
             organization: this.organization,
             user: this.addedBy,
             linkedInvestorId: this._id, // ✅ FIX: Proper investor linking
-            roundId: this.roundId,
+            roundId: entryRoundId,
             shareholderName: this.name,
             shareholderType: 'Investor',
             numberOfShares: finalShares,
@@ -0,0 +1,172 @@
+// models/invoiceModel.js
+// Customer invoices (accounts receivable). Line items carry their own GST
+// rate; totals, tax split and status are derived in pre-save so list and
+// aging queries never re-compute them. Payments recorded here create the
+// matching Revenue entries (see services/invoiceService.js).
+const mongoose = require('mongoose');
+const IndianTax = require('../utils/indianTax');
+
+const GST_RATES = IndianTax.GST_RATES;
+
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+
+const lineItemSchema = new mongoose.Schema({
+    description: { type: String, required: [true, 'Line item description is required'], trim: true, maxlength: 500 },
+    hsnSac: { type: String, trim: true, maxlength: 12 }, // HSN (goods) / SAC (services) code
+    quantity: { type: Number, default: 1, min: [0, 'Quantity cannot be negative'] },
+    unitPrice: { type: Number, required: [true, 'Unit price is required'], min: [0, 'Unit price cannot be negative'] },
+    gstRate: {
+        type: Number,
+        default: 18,
+        enum: { values: GST_RATES, message: `GST rate must be one of ${GST_RATES.join(', ')}` },
+    },
+    // Derived in pre-save
+    amount: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+}, { _id: true });
+
+const paymentSchema = new mongoose.Schema({
+    date: { type: Date, default: Date.now },
+    amount: { type: Number, required: true, min: 0.01 },
+    method: { type: String, trim: true, maxlength: 50 }, // e.g. "Bank Transfer", "UPI"
+    reference: { type: String, trim: true, maxlength: 100 }, // UTR / cheque number
+    notes: { type: String, trim: true, maxlength: 500 },
+    // Revenue entry created for this payment
+    revenue: { type: mongoose.Schema.Types.ObjectId, ref: 'Revenue', default: null },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+}, { _id: true });
+
+const invoiceSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+
+    invoiceNumber: { type: String, required: true, trim: true, maxlength: 50 },
+    // Numeric part of auto-issued numbers (INV-0001 → 1); null for custom numbers
+    sequence: { type: Number, default: null },
+
+    customer: {
+        name: { type: String, required: [true, 'Customer name is required'], trim: true, maxlength: 200 },
+        email: { type: String, trim: true, lowercase: true, maxlength: 200 },
+        gstin: { type: String, trim: true, uppercase: true, maxlength: 15 },
+        address: { type: String, trim: true, maxlength: 500 },
+        state: { type: String, trim: true, maxlength: 100 }, // Place of supply
+    },
+    supplierGstin: { type: String, trim: true, uppercase: true, maxlength: 15 },
+
+    // intra_state → CGST + SGST (half each); inter_state → IGST; none → no GST (exports, unregistered)
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state', 'none'],
+        default: 'intra_state',
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: 'INR',
+        enum: ['INR', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'],
+    },
+    // Revenue.source used for entries created from this invoice's payments
+    revenueSource: { type: String, trim: true, default: 'Invoices', maxlength: 100 },
+
+    lineItems: {
+        type: [lineItemSchema],
+        validate: [(items) => items.length > 0, 'An invoice needs at least one line item'],
+    },
+
+    issueDate: { type: Date, required: true, default: Date.now },
+    dueDate: { type: Date, required: [true, 'Due date is required'] },
+
+    // Derived in pre-save
+    subtotal: { type: Number, default: 0 },
+    tax: {
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        total: { type: Number, default: 0 },
+    },
+    total: { type: Number, default: 0 },
+
+    payments: [paymentSchema],
+    amountPaid: { type: Number, default: 0, min: 0 },
+
+    // 'draft' and 'void' are set manually; the rest derive from payments and the due date
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'partially_paid', 'paid', 'overdue', 'void'],
+        default: 'draft',
+        index: true,
+    },
+    sentAt: { type: Date, default: null },
+    paidAt: { type: Date, default: null },
+
+    reminders: {
+        enabled: { type: Boolean, default: true },
+        // Also email the customer (customer.email) — otherwise only the team is notified
+        emailCustomer: { type: Boolean, default: false },
+        lastSentAt: { type: Date, default: null },
+        count: { type: Number, default: 0 },
+    },
+
+    notes: { type: String, trim: true, maxlength: 2000 },
+    terms: { type: String, trim: true, maxlength: 2000 },
+}, { timestamps: true, collection: 'invoices' });
+
+invoiceSchema.index({ organization: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ organization: 1, status: 1, dueDate: 1 });
+
+invoiceSchema.pre('save', function (next) {
+    const intraState = this.supplyType === 'intra_state';
+    let subtotal = 0;
+    let taxTotal = 0;
+    for (const item of this.lineItems || []) {
+        item.amount = round2((item.quantity ?? 1) * (item.unitPrice || 0));
+        item.taxAmount = this.supplyType === 'none' ? 0 : round2(item.amount * (item.gstRate || 0) / 100);
+        subtotal += item.amount;
+        taxTotal += item.taxAmount;
+    }
+    taxTotal = round2(taxTotal);
+    this.subtotal = round2(subtotal);
+    this.tax = {
+        cgst: intraState ? round2(taxTotal / 2) : 0,
+        sgst: intraState ? round2(taxTotal - round2(taxTotal / 2)) : 0,
+        igst: this.supplyType === 'inter_state' ? taxTotal : 0,
+        total: taxTotal,
+    };
+    this.total = round2(this.subtotal + taxTotal);
+
+    this.amountPaid = round2((this.payments || []).reduce((sum, p) => sum + (p.amount || 0), 0));
+    if (!['draft', 'void'].includes(this.status)) {
+        // Callers evaluating status as of another moment set $locals.now
+        const overdue = this.dueDate && this.dueDate < (this.$locals.now || new Date());
+        this.status = this.amountPaid >= this.total ? 'paid'
+            : overdue ? 'overdue'
+            : this.amountPaid > 0 ? 'partially_paid'
+            : 'sent';
+    }
+    if (this.status === 'paid' && !this.paidAt) {
+        const last = (this.payments || []).reduce((latest, p) => (!latest || p.date > latest ? p.date : latest), null);
+        this.paidAt = last || new Date();
+    } else if (this.status !== 'paid') {
+        this.paidAt = null;
+    }
+    next();
+});
+
+invoiceSchema.virtual('balanceDue').get(function () {
+    if (['void', 'draft'].includes(this.status)) return 0;
+    return Math.max(0, round2((this.total || 0) - (this.amountPaid || 0)));
+});
+
+invoiceSchema.set('toJSON', { virtuals: true });
+invoiceSchema.set('toObject', { virtuals: true });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
+module.exports.GST_RATES = GST_RATES;
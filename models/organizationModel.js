@@ -6,6 +6,11 @@ const mongoose = require('mongoose');
  * @property {string} [dateFormat] - Preferred date format (e.g., 'MM/DD/YYYY', 'DD/MM/YYYY').
  * @property {number} [financialYearStartMonth] - Month when the financial year starts (1-12).
  * @property {number} [financialYearStartDay] - Day of the month when the financial year starts (1-31).
+ * @property {string} [accountingBasis] - 'accrual' (book on invoice/incurred date) or 'cash' (book when money moves).
+ * @property {string} [gstin] - The organization's GST registration; decides intra- vs inter-state supply.
+ * @property {string} [pan] - Permanent Account Number.
+ * @property {string} [tan] - Tax deduction account number (for TDS deposits and returns).
+ * @property {boolean} [taxReminders] - Notify owners ahead of GSTR-3B and TDS due dates.
  */
 
 const organizationSchema = new mongoose.Schema(
@@ -48,6 +53,17 @@ const organizationSchema = new mongoose.Schema(
             dateFormat: { type: String, default: 'YYYY-MM-DD' },
             financialYearStartMonth: { type: Number, min: 1, max: 12, default: 4 }, // April
             financialYearStartDay: { type: Number, min: 1, max: 31, default: 1 },
+            accountingBasis: { type: String, enum: ['accrual', 'cash'], default: 'accrual' },
+            gstin: { type: String, trim: true, uppercase: true, maxlength: 15, default: null },
+            pan: { type: String, trim: true, uppercase: true, maxlength: 10, default: null },
+            tan: { type: String, trim: true, uppercase: true, maxlength: 10, default: null },
+            taxReminders: { type: Boolean, default: true },
+            // Bank feed as the source of truth: imported transactions nothing reconciles against are
+            // booked as Expense ('debits') or Expense/Revenue ('all') when categorized at least this confidently.
+            // 'all' books a credit as Revenue only if a transaction rule categorized it — funding, loans,
+            // refunds and transfers are credits too and stay unbooked otherwise
+            autoBookBankTransactions: { type: String, enum: ['off', 'debits', 'all'], default: 'off' },
+            autoBookMinConfidence: { type: Number, min: 0, max: 1, default: 0.9 },
         },
         isArchived: {
             type: Boolean,
@@ -1,5 +1,6 @@
 // models/revenueModel.js
 const mongoose = require('mongoose');
+const IndianTax = require('../utils/indianTax');
 
 // User's original revenueSchema - With multi-tenancy fields added
 const revenueSchema = new mongoose.Schema({
@@ -36,6 +37,21 @@ const revenueSchema = new mongoose.Schema({
         default: 'INR', // Default, should align with Organization's default
         enum: ['INR', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'], // Consistent with Organization model
     },
+    // --- GST (output tax) ---
+    // `amount` is the gross amount received, GST included (see expenseModel).
+    // Entries booked from invoice payments carry no GST here: the invoice
+    // itself is the output-tax record.
+    gst: {
+        rate: { type: Number, enum: [...IndianTax.GST_RATES, null], default: null },
+        supplyType: { type: String, enum: ['intra_state', 'inter_state', 'none'], default: 'intra_state' },
+        customerGstin: { type: String, trim: true, uppercase: true, maxlength: 15 },
+        hsnSac: { type: String, trim: true, maxlength: 12 },
+        taxableAmount: { type: Number, default: null },
+        cgst: { type: Number, default: 0, min: 0 },
+        sgst: { type: Number, default: 0, min: 0 },
+        igst: { type: Number, default: 0, min: 0 },
+        total: { type: Number, default: 0, min: 0 },
+    },
     // --- Optional: Link to a customer or product if applicable ---
     // customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }, // If you have a Customer model
     // productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // If you have a Product model
@@ -44,12 +60,13 @@ const revenueSchema = new mongoose.Schema({
     collection: 'revenues', // ADDED: Explicit collection name
 });
 
-// No pre-save hook was present in the original for updatedAt,
-// and timestamps: true now handles both createdAt and updatedAt.
-// If other pre-save logic is needed, it can be added here.
-// revenueSchema.pre('save', function(next) {
-//     next();
-// });
+// timestamps: true handles createdAt and updatedAt; the hook only derives the GST split.
+revenueSchema.pre('save', function(next) {
+    if (this.isModified('amount') || this.isModified('gst')) {
+        Object.assign(this.gst, IndianTax.computeGst(this.amount, this.gst));
+    }
+    next();
+});
 
 // --- Indexes (ADDED) ---
 revenueSchema.index({ organization: 1, date: -1 }); // Common query: revenues for an org, sorted by date
@@ -80,6 +80,32 @@ const roundSchema = new mongoose.Schema({
         min: [0, 'Existing shares cannot be negative'],
         comment: 'Shares outstanding before this round (typically founder shares)'
     },
+
+    // --- LIQUIDATION PREFERENCE TERMS (used by the exit waterfall) ---
+    liquidationPreference: {
+        multiple: {
+            type: Number,
+            default: 1,
+            min: [0, 'Preference multiple cannot be negative'],
+            comment: 'Preference as a multiple of the amount invested (1x, 2x...)'
+        },
+        participating: {
+            type: Boolean,
+            default: false,
+            comment: 'Participating preferred shares in the residual after taking the preference'
+        },
+        participationCap: {
+            type: Number,
+            default: null,
+            min: [0, 'Participation cap cannot be negative'],
+            comment: 'Total return cap as a multiple of investment for participating preferred (null = uncapped)'
+        },
+        seniority: {
+            type: Number,
+            default: 0,
+            comment: 'Payout order: higher is paid first, equal values rank pari passu'
+        }
+    },
     
     // --- CALCULATION METADATA ---
     lastCalculatedAt: {
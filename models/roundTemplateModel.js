@@ -0,0 +1,71 @@
+// models/roundTemplateModel.js
+// Organization-defined round templates. Built-in templates (Pre-Seed, Seed,
+// Series A) live in code in fundraisingCalculationService; this collection
+// only holds the ones an organization saves for itself.
+const mongoose = require('mongoose');
+
+const expectedInvestorSchema = new mongoose.Schema({
+    _id: false,
+    name: { type: String, required: true, trim: true }, // e.g. "Lead investor", "Angel syndicate"
+    investorType: {
+        type: String,
+        enum: ['Angel', 'VC Firm', 'Corporate VC', 'Family Office', 'Accelerator', 'Incubator', 'Individual', 'Other'],
+        default: 'Other',
+    },
+    role: { type: String, enum: ['lead', 'follow-on'], default: 'follow-on' },
+    investmentVehicle: { type: String, enum: ['SAFE', 'Convertible Note', 'Equity', 'Other'] },
+    // Share of the round target this slot is expected to fill
+    targetPercentage: { type: Number, min: 0, max: 100 },
+});
+
+const roundTemplateSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: [true, 'Organization ID is required for a round template.'],
+        index: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HorizonUser',
+        required: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, maxlength: 1000 },
+
+    // Round defaults
+    roundType: {
+        type: String,
+        enum: ['Pre-Seed', 'Seed', 'Series A', 'Series B', 'Series C+', 'Bridge', 'Angel', 'Debt', 'Grant', 'Other'],
+        required: true,
+    },
+    targetAmount: { type: Number, min: 0 },
+    equityPercentageOffered: { type: Number, min: 0, max: 100 },
+    currency: { type: String, uppercase: true, trim: true, enum: ['INR', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'] },
+    durationDays: { type: Number, min: 0, default: 90 }, // openDate → targetCloseDate
+    liquidationPreference: {
+        multiple: { type: Number, min: 0 },
+        participating: { type: Boolean },
+        participationCap: { type: Number, min: 0 },
+        seniority: { type: Number },
+    },
+
+    // Instrument defaults for investors added to the round
+    instrumentDefaults: {
+        investmentVehicle: { type: String, enum: ['SAFE', 'Convertible Note', 'Equity', 'Other'], default: 'Equity' },
+        safeValuationCap: { type: Number, min: 0 },
+        safeDiscountRate: { type: Number, min: 0, max: 1 },
+        noteInterestRate: { type: Number, min: 0 },
+        noteMaturityMonths: { type: Number, min: 0 },
+    },
+    expectedInvestors: { type: [expectedInvestorSchema], default: [] },
+
+    isActive: { type: Boolean, default: true },
+}, {
+    timestamps: true,
+    collection: 'roundtemplates',
+});
+
+roundTemplateSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.RoundTemplate || mongoose.model('RoundTemplate', roundTemplateSchema);
@@ -0,0 +1,88 @@
+// models/transactionRuleModel.js
+// User-defined bank transaction rules. Active rules run in priority order
+// (lowest first) on every bank import, before the ML categorizer; the first
+// rule whose conditions all hold applies its actions. Conditions that are
+// unset don't constrain the match.
+const mongoose = require('mongoose');
+
+const TEXT_OPERATORS = ['contains', 'not_contains', 'equals', 'starts_with', 'regex'];
+
+const textConditionSchema = new mongoose.Schema({
+    operator: { type: String, enum: TEXT_OPERATORS, default: 'contains' },
+    value: { type: String, trim: true, maxlength: 200 },
+}, { _id: false });
+
+const transactionRuleSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+
+    name: { type: String, required: [true, 'Rule name is required'], trim: true, maxlength: 150 },
+    priority: { type: Number, default: 100 },
+    isActive: { type: Boolean, default: true },
+
+    conditions: {
+        description: { type: textConditionSchema, default: undefined },
+        vendor: { type: textConditionSchema, default: undefined }, // Matched against the merchant name
+        minAmount: { type: Number, min: 0, default: null }, // Absolute amount, inclusive
+        maxAmount: { type: Number, min: 0, default: null },
+        direction: { type: String, enum: ['any', 'debit', 'credit'], default: 'any' },
+        bankAccountId: { type: mongoose.Schema.Types.ObjectId, ref: 'BankAccount', default: null },
+    },
+
+    actions: {
+        category: { type: String, trim: true, default: null }, // Standard or custom category
+        tags: [{ type: String, trim: true, lowercase: true }],
+        // Book the transaction as an Expense (debits) or Revenue (credits) and mark it matched
+        createEntry: { type: String, enum: ['none', 'expense', 'revenue'], default: 'none' },
+        revenueSource: { type: String, trim: true, default: null },
+        // Reconcile against the entry this recurring transaction generated for the period
+        recurringTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringTransaction', default: null },
+        ignore: { type: Boolean, default: false },
+    },
+
+    matchCount: { type: Number, default: 0 },
+    lastMatchedAt: { type: Date, default: null },
+}, { timestamps: true, collection: 'transactionrules' });
+
+transactionRuleSchema.index({ organization: 1, isActive: 1, priority: 1 });
+
+transactionRuleSchema.pre('validate', function(next) {
+    const { conditions, actions } = this;
+    if (conditions.maxAmount !== null && conditions.minAmount !== null && conditions.maxAmount < conditions.minAmount) {
+        this.invalidate('conditions.maxAmount', 'maxAmount must be at least minAmount');
+    }
+    const hasCondition = conditions.description?.value || conditions.vendor?.value
+        || conditions.minAmount !== null || conditions.maxAmount !== null
+        || conditions.direction !== 'any' || conditions.bankAccountId;
+    if (!hasCondition) {
+        this.invalidate('conditions', 'A rule needs at least one condition');
+    }
+    const hasAction = actions.category || actions.tags.length || actions.createEntry !== 'none'
+        || actions.recurringTransactionId || actions.ignore;
+    if (!hasAction) {
+        this.invalidate('actions', 'A rule needs at least one action');
+    }
+    if (actions.ignore && (actions.createEntry !== 'none' || actions.recurringTransactionId)) {
+        this.invalidate('actions.ignore', 'An ignore rule cannot also create or reconcile entries');
+    }
+    if (actions.createEntry === 'expense' && conditions.direction === 'credit') {
+        this.invalidate('actions.createEntry', 'Expenses can only be created from debits');
+    }
+    if (actions.createEntry === 'revenue' && conditions.direction === 'debit') {
+        this.invalidate('actions.createEntry', 'Revenue can only be created from credits');
+    }
+    if (actions.createEntry === 'revenue' && !actions.revenueSource) {
+        this.invalidate('actions.revenueSource', 'A revenue source is required to create revenue');
+    }
+    next();
+});
+
+const TransactionRule = mongoose.model('TransactionRule', transactionRuleSchema);
+
+module.exports = TransactionRule;
+module.exports.TEXT_OPERATORS = TEXT_OPERATORS;
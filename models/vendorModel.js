@@ -0,0 +1,89 @@
+// models/vendorModel.js
+// Vendor master. Expense.vendor, RecurringTransaction.vendor and bank
+// merchant names stay free text; they resolve to a vendor through its name
+// and aliases (see services/vendorService.js), so "AWS", "Amazon Web
+// Services" and "AMAZON WEB SERVICES IN" all count as one vendor.
+const mongoose = require('mongoose');
+const { EXPENSE_CATEGORIES } = require('./expenseModel');
+const IndianTax = require('../utils/indianTax');
+
+// Legal-form and filler words that never distinguish two vendors
+const NOISE_WORDS = new Set(['THE', 'PVT', 'PRIVATE', 'LTD', 'LIMITED', 'LLP', 'LLC', 'INC', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'GMBH', 'PTE', 'PLC']);
+// Country / region suffixes banks append to merchant names ("AMAZON WEB SERVICES IN")
+const REGION_SUFFIXES = new Set(['IN', 'IND', 'INDIA', 'US', 'USA', 'UK', 'SG', 'IE', 'EU']);
+// Payment-rail prefixes on bank narrations ("UPI/AMAZON WEB SERVICES/...")
+const CHANNEL_PREFIXES = new Set(['UPI', 'NEFT', 'IMPS', 'RTGS', 'POS', 'ACH', 'NACH', 'ECS']);
+
+
+const vendorSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'HorizonUser' },
+
+    name: { type: String, required: [true, 'Vendor name is required'], trim: true, maxlength: 200 },
+    aliases: [{ type: String, trim: true, maxlength: 200 }],
+    // Normalized name, aliases and name acronym, maintained in pre-save so lookups never re-normalize
+    matchKeys: { type: [String], index: true },
+
+    defaultCategory: { type: String, enum: EXPENSE_CATEGORIES, default: null },
+    gstin: { type: String, trim: true, uppercase: true, maxlength: 15 },
+    pan: { type: String, trim: true, uppercase: true, maxlength: 10 },
+    // TDS applied to this vendor's expenses by default (e.g. 194J(b) for a law firm)
+    tdsSection: { type: String, enum: [...Object.keys(IndianTax.TDS_SECTIONS), null], default: null },
+    website: { type: String, trim: true, maxlength: 300 },
+    contactEmail: { type: String, trim: true, lowercase: true, maxlength: 200 },
+
+    contract: {
+        startDate: { type: Date, default: null },
+        renewalDate: { type: Date, default: null },
+        billingCycle: { type: String, enum: ['monthly', 'quarterly', 'annually', 'one_time', null], default: null },
+        amount: { type: Number, min: 0, default: null },
+        currency: { type: String, uppercase: true, trim: true, enum: ['INR', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'], default: 'INR' },
+        autoRenews: { type: Boolean, default: false },
+        noticePeriodDays: { type: Number, min: 0, default: null },
+    },
+
+    notes: { type: String, trim: true, maxlength: 2000 },
+    isArchived: { type: Boolean, default: false, index: true },
+}, { timestamps: true, collection: 'vendors' });
+
+vendorSchema.index({ organization: 1, name: 1 }, { unique: true });
+vendorSchema.index({ organization: 1, 'contract.renewalDate': 1 });
+
+/**
+ * Normalize free-text vendor / merchant names for matching:
+ * "Amazon Web Services India Pvt. Ltd." -> "AMAZON WEB SERVICES"
+ */
+vendorSchema.statics.normalizeName = function(raw) {
+    const tokens = String(raw || '')
+        .toUpperCase()
+        .replace(/&/g, ' AND ')
+        .replace(/[^A-Z0-9]+/g, ' ')
+        .split(' ')
+        .filter(t => t && !NOISE_WORDS.has(t) && !/^\d+$/.test(t));
+    while (tokens.length > 1 && CHANNEL_PREFIXES.has(tokens[0])) tokens.shift();
+    while (tokens.length > 1 && REGION_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+    return tokens.join(' ');
+};
+
+vendorSchema.pre('save', function(next) {
+    const Vendor = this.constructor;
+    const keys = new Set();
+    for (const value of [this.name, ...(this.aliases || [])]) {
+        const key = Vendor.normalizeName(value);
+        if (key) keys.add(key);
+    }
+    // Acronym of multi-word names: "Amazon Web Services" -> "AWS"
+    const nameWords = Vendor.normalizeName(this.name).split(' ').filter(Boolean);
+    if (nameWords.length >= 3) keys.add(nameWords.map(w => w[0]).join(''));
+    this.matchKeys = [...keys];
+    next();
+});
+
+const Vendor = mongoose.model('Vendor', vendorSchema);
+
+module.exports = Vendor;
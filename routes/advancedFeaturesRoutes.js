@@ -57,6 +57,13 @@ router.get('/esop-grants', authorizeOrganizationRole(['owner', 'member']), advan
 router.get('/esop-grants/:id', authorizeOrganizationRole(['owner', 'member']), advancedFeaturesController.getEsopGrantById);
 router.put('/esop-grants/:id', authorizeOrganizationRole(['owner', 'member']), advancedFeaturesController.updateEsopGrant);
 router.delete('/esop-grants/:id', authorizeOrganizationRole(['owner', 'member']), advancedFeaturesController.deleteEsopGrant); // Or restrict to 'owner'
+// Vesting position as of a date (?asOf=YYYY-MM-DD), schedule regeneration, exercises and terminations
+router.get('/esop-grants/:id/vesting', authorizeOrganizationRole(['owner', 'member']), advancedFeaturesController.getEsopVesting);
+router.post('/esop-grants/:id/vesting/regenerate', authorizeOrganizationRole(['owner', 'member']), advancedFeaturesController.regenerateEsopSchedule);
+router.post('/esop-grants/:id/exercise', authorizeOrganizationRole(['owner', 'member']), advancedFeaturesController.exerciseEsopOptions);
+router.post('/esop-grants/:id/terminate', authorizeOrganizationRole(['owner']), advancedFeaturesController.terminateEsopGrant);
+// Pool utilization: granted/vested/exercised/forfeited vs the ESOP Pool entry, plus hiring-plan demand (?asOf=YYYY-MM-DD)
+router.get('/esop-pool/report', authorizeOrganizationRole(['owner', 'member']), advancedFeaturesController.getEsopPoolReport);
 
 // --- Advanced KPI & Forecasting (Conceptual Stubs) ---
 // Assuming 'owner' and 'member' can access these analytical features
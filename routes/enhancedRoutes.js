@@ -14,19 +14,25 @@ const multer = require('multer');
 // Import all services
 const { getTransactionCategorizer } = require('../services/transactionCategorizer');
 const { BankSyncService, BankTransaction } = require('../services/bankSyncService');
+const transactionRuleService = require('../services/transactionRuleService');
+const balanceHistoryService = require('../services/balanceHistoryService');
+const BankAccount = require('../models/bankAccountModel');
+const TransactionRule = require('../models/transactionRuleModel');
 const { CustomKPIService, CustomKPI } = require('../services/customKpiService');
 const { getRecurringTransactionService, RecurringTransaction } = require('../services/recurringTransactionService');
 const { getAdvancedMLService } = require('../services/advancedMLService');
 
-// Configure multer for CSV uploads
+// Configure multer for bank statement uploads (CSV, OFX/QFX, text-based PDF)
+const STATEMENT_EXTENSIONS = ['.csv', '.txt', '.ofx', '.qfx', '.pdf'];
 const storage = multer.memoryStorage();
 const upload = multer({ 
     storage: storage,
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+        const name = file.originalname.toLowerCase();
+        if (['text/csv', 'application/pdf', 'application/x-ofx'].includes(file.mimetype) || STATEMENT_EXTENSIONS.some(ext => name.endsWith(ext))) {
             cb(null, true);
         } else {
-            cb(new Error('Only CSV files are allowed'), false);
+            cb(new Error('Only CSV, OFX/QFX or PDF statements are allowed'), false);
         }
     },
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
@@ -52,7 +58,8 @@ router.post('/transactions/categorize',
             }
             
             const categorizer = await getTransactionCategorizer();
-            const result = await categorizer.categorizeTransaction(description, amount, vendor);
+            // --- MULTI-TENANCY: Categorize with the organization's own model ---
+            const result = await categorizer.categorizeTransaction(description, amount, vendor, req.organization._id);
             
             res.json(result);
         } catch (error) {
@@ -74,7 +81,7 @@ router.post('/transactions/bulk-categorize',
             }
             
             const categorizer = await getTransactionCategorizer();
-            const results = await categorizer.bulkCategorize(transactions);
+            const results = await categorizer.bulkCategorize(transactions, req.organization._id);
             
             res.json({ results });
         } catch (error) {
@@ -84,7 +91,8 @@ router.post('/transactions/bulk-categorize',
     }
 );
 
-// Train model with correction
+// Train model with correction (the id may be an expense or a bank transaction).
+// Sending the category the model already chose records a confirmation.
 router.post('/transactions/:id/correct-category', 
     authorizeOrganizationRole(['owner', 'member']), 
     async (req, res) => {
@@ -93,35 +101,141 @@ router.post('/transactions/:id/correct-category',
             const mongoose = require('mongoose');
             const Expense = mongoose.model('Expense');
             
+            if (!correctCategory) {
+                return res.status(400).json({ msg: 'Correct category is required' });
+            }
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid transaction ID format' });
+            }
+            
+            const categorizer = await getTransactionCategorizer();
+            const resolved = await categorizer.resolveCategory(req.organization._id, correctCategory);
+            
             // --- MULTI-TENANCY: Find expense within organization ---
             const expense = await Expense.findOne({ 
                 _id: req.params.id,
                 organization: req.organization._id 
             });
             
-            if (!expense) {
+            if (expense) {
+                const learning = await categorizer.learnFromCorrection(
+                    expense._id,
+                    expense.description,
+                    expense.vendor,
+                    resolved.label,
+                    req.organization._id,
+                    { source: 'expense', userId: req.user._id }
+                );
+                
+                expense.category = resolved.category;
+                expense.customCategory = resolved.customCategory;
+                await expense.save();
+                
+                return res.json({ msg: 'Category updated and model trained', expense, learning });
+            }
+            
+            const bankTransaction = await BankTransaction.findOne({
+                _id: req.params.id,
+                organization: req.organization._id
+            });
+            
+            if (!bankTransaction) {
                 return res.status(404).json({ msg: 'Transaction not found' });
             }
             
-            const categorizer = await getTransactionCategorizer();
-            await categorizer.learnFromCorrection(
-                expense._id,
-                expense.description,
-                expense.vendor,
-                correctCategory
+            // Score against what the import actually predicted, not the model as it is now
+            const learning = await categorizer.learnFromCorrection(
+                bankTransaction._id,
+                bankTransaction.description,
+                bankTransaction.merchantName,
+                resolved.label,
+                req.organization._id,
+                {
+                    source: 'bank_transaction',
+                    userId: req.user._id,
+                    predictedCategory: bankTransaction.isAutoCategized ? bankTransaction.category : undefined,
+                    predictedConfidence: bankTransaction.isAutoCategized ? bankTransaction.categorizationConfidence : undefined
+                }
             );
             
-            expense.category = correctCategory;
-            await expense.save();
+            bankTransaction.category = resolved.label;
+            bankTransaction.isAutoCategized = false;
+            bankTransaction.categorySource = 'manual';
+            await bankTransaction.save();
             
-            res.json({ msg: 'Category updated and model trained', expense });
+            res.json({ msg: 'Category updated and model trained', bankTransaction, learning });
         } catch (error) {
             console.error('Category correction error:', error);
+            if (error.status === 400) return res.status(400).json({ msg: error.message });
             res.status(500).json({ msg: 'Failed to update category' });
         }
     }
 );
 
+// Organization-defined categories (beyond the standard expense categories)
+router.get('/transactions/custom-categories', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const categorizer = await getTransactionCategorizer();
+            const categories = await categorizer.listCustomCategories(req.organization._id);
+            
+            res.json(categories);
+        } catch (error) {
+            console.error('Error fetching custom categories:', error);
+            res.status(500).json({ msg: 'Failed to fetch custom categories' });
+        }
+    }
+);
+
+router.post('/transactions/custom-categories', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            const categorizer = await getTransactionCategorizer();
+            const category = await categorizer.saveCustomCategory(req.organization._id, req.body, req.user._id);
+            
+            res.status(201).json({ msg: 'Custom category added and model retrained', category });
+        } catch (error) {
+            console.error('Error adding custom category:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to add custom category' });
+        }
+    }
+);
+
+router.put('/transactions/custom-categories/:categoryId', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            const categorizer = await getTransactionCategorizer();
+            const category = await categorizer.saveCustomCategory(req.organization._id, req.body, req.user._id, req.params.categoryId);
+            
+            res.json({ msg: 'Custom category updated and model retrained', category });
+        } catch (error) {
+            console.error('Error updating custom category:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to update custom category' });
+        }
+    }
+);
+
+router.delete('/transactions/custom-categories/:categoryId', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            const categorizer = await getTransactionCategorizer();
+            const removed = await categorizer.deleteCustomCategory(req.organization._id, req.params.categoryId);
+            
+            res.json({ msg: `Custom category deleted; its transactions fall back to ${removed.expenseCategory}`, ...removed });
+        } catch (error) {
+            console.error('Error deleting custom category:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to delete custom category' });
+        }
+    }
+);
+
 // Get categorization insights
 router.get('/transactions/categorization-insights', 
     authorizeOrganizationRole(['owner', 'member']), 
@@ -153,18 +267,25 @@ router.post('/bank/import',
                 return res.status(400).json({ msg: 'No file uploaded' });
             }
             
-            const { bankAccountId, bankFormat } = req.body;
+            const { bankAccountId } = req.body;
+            // Omitted or 'auto' picks the parser from the file contents
+            const bankFormat = req.body.bankFormat || 'auto';
             
-            if (!bankAccountId || !bankFormat) {
-                return res.status(400).json({ msg: 'Bank account ID and format are required' });
+            if (!bankAccountId) {
+                return res.status(400).json({ msg: 'Bank account ID is required' });
             }
             
-            const csvData = req.file.buffer.toString('utf-8');
             const bankSync = new BankSyncService();
+            if (bankFormat !== 'auto' && !bankSync.supportedFormats[bankFormat]) {
+                return res.status(400).json({
+                    msg: `Unsupported bank format "${bankFormat}"`,
+                    supportedFormats: ['auto', ...Object.keys(bankSync.supportedFormats)]
+                });
+            }
             
             // --- MULTI-TENANCY: Pass organization and user context ---
             const result = await bankSync.importBankStatement(
-                csvData,
+                req.file.buffer,
                 bankAccountId,
                 bankFormat,
                 req.user._id,
@@ -235,11 +356,245 @@ router.post('/bank/transactions/:id/reconcile',
             res.json(result);
         } catch (error) {
             console.error('Reconciliation error:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
             res.status(500).json({ msg: 'Failed to reconcile transaction' });
         }
     }
 );
 
+// Book an unmatched bank transaction as an Expense (debit) or Revenue (credit) and mark it matched.
+// Body (all optional): { type, category, source, description } - defaults come from the transaction
+router.post('/bank/transactions/:id/create-entry', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid bank transaction ID format' });
+            }
+            
+            // --- MULTI-TENANCY: Find transaction within organization ---
+            const bankTransaction = await BankTransaction.findOne({
+                _id: req.params.id,
+                organization: req.organization._id
+            });
+            if (!bankTransaction) {
+                return res.status(404).json({ msg: 'Bank transaction not found' });
+            }
+            
+            const { type, category, source, description } = req.body;
+            const bankSync = new BankSyncService();
+            const result = await bankSync.createEntryFromTransaction(
+                bankTransaction,
+                { type, category, source, description, userId: req.user._id },
+                req.organization._id
+            );
+            
+            res.status(201).json({ msg: `${result.type === 'expense' ? 'Expense' : 'Revenue'} created and matched`, ...result, bankTransaction });
+        } catch (error) {
+            console.error('Error creating entry from bank transaction:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            if (error.name === 'ValidationError') return res.status(400).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to create entry from bank transaction' });
+        }
+    }
+);
+
+// Bulk variant. Body: { bankTransactionIds: [...], category?, source? } (shared overrides)
+// or { items: [{ bankTransactionId, type, category, source, description }] }
+router.post('/bank/transactions/create-entries', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const { bankTransactionIds, items, category, source } = req.body;
+            const list = Array.isArray(items)
+                ? items
+                : Array.isArray(bankTransactionIds)
+                    ? bankTransactionIds.map(id => ({ bankTransactionId: id, category, source }))
+                    : null;
+            
+            if (!list || list.length === 0) {
+                return res.status(400).json({ msg: 'bankTransactionIds or items array is required' });
+            }
+            if (list.length > 200) {
+                return res.status(400).json({ msg: 'At most 200 transactions per request' });
+            }
+            
+            const bankSync = new BankSyncService();
+            const result = await bankSync.createEntries(list, req.organization._id, req.user._id);
+            
+            res.json(result);
+        } catch (error) {
+            console.error('Error creating entries from bank transactions:', error);
+            res.status(500).json({ msg: 'Failed to create entries from bank transactions' });
+        }
+    }
+);
+
+// Split matching: one bank transaction against several entries, or one entry paid by several transactions.
+// Suggestions for a transaction: one-to-one candidates and combinations of entries adding up to its unmatched part
+router.get('/bank/transactions/:id/match-suggestions', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid bank transaction ID format' });
+            }
+            
+            const bankTransaction = await BankTransaction.findOne({
+                _id: req.params.id,
+                organization: req.organization._id
+            });
+            if (!bankTransaction) {
+                return res.status(404).json({ msg: 'Bank transaction not found' });
+            }
+            
+            const bankSync = new BankSyncService();
+            const single = bankTransaction.amount < 0
+                ? await bankSync.findExpenseMatches(bankTransaction, req.organization._id)
+                : await bankSync.findRevenueMatches(bankTransaction, req.organization._id);
+            const splits = await bankSync.findSplitMatches(bankTransaction, req.organization._id);
+            
+            res.json({
+                bankTransaction,
+                unmatchedAmount: bankSync.residualOf(bankTransaction),
+                single,
+                splits
+            });
+        } catch (error) {
+            console.error('Error fetching match suggestions:', error);
+            res.status(500).json({ msg: 'Failed to fetch match suggestions' });
+        }
+    }
+);
+
+// Match a transaction to entries. Body: { matches: [{ entryType, entryId, amount? }] };
+// without an amount each match takes what is left of both sides
+router.post('/bank/transactions/:id/matches', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid bank transaction ID format' });
+            }
+            const { matches } = req.body;
+            if (!Array.isArray(matches) || matches.length === 0) {
+                return res.status(400).json({ msg: 'matches array is required' });
+            }
+            if (matches.length > 50) {
+                return res.status(400).json({ msg: 'At most 50 matches per request' });
+            }
+            
+            const bankTransaction = await BankTransaction.findOne({
+                _id: req.params.id,
+                organization: req.organization._id
+            });
+            if (!bankTransaction) {
+                return res.status(404).json({ msg: 'Bank transaction not found' });
+            }
+            
+            const bankSync = new BankSyncService();
+            const result = await bankSync.addMatches(bankTransaction, matches, req.organization._id);
+            
+            res.json({ bankTransaction: result, unmatchedAmount: bankSync.residualOf(result) });
+        } catch (error) {
+            console.error('Error matching bank transaction:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to match bank transaction' });
+        }
+    }
+);
+
+// Remove one entry from a transaction's matches
+router.delete('/bank/transactions/:id/matches/:entryId', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+                return res.status(400).json({ msg: 'Invalid ID format' });
+            }
+            
+            const bankTransaction = await BankTransaction.findOne({
+                _id: req.params.id,
+                organization: req.organization._id
+            });
+            if (!bankTransaction) {
+                return res.status(404).json({ msg: 'Bank transaction not found' });
+            }
+            
+            const bankSync = new BankSyncService();
+            const result = await bankSync.removeMatch(bankTransaction, req.params.entryId);
+            
+            res.json({ bankTransaction: result, unmatchedAmount: bankSync.residualOf(result) });
+        } catch (error) {
+            console.error('Error removing bank transaction match:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to remove match' });
+        }
+    }
+);
+
+// Suggestions for an entry: combinations of open bank transactions that pay its unmatched part
+router.get('/bank/entries/:entryType/:entryId/payment-suggestions', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            const { entryType, entryId } = req.params;
+            if (!['expense', 'revenue'].includes(entryType)) {
+                return res.status(400).json({ msg: 'entryType must be expense or revenue' });
+            }
+            if (!mongoose.Types.ObjectId.isValid(entryId)) {
+                return res.status(400).json({ msg: 'Invalid entry ID format' });
+            }
+            
+            const bankSync = new BankSyncService();
+            const result = await bankSync.findPaymentMatches(entryType, entryId, req.organization._id);
+            
+            res.json(result);
+        } catch (error) {
+            console.error('Error fetching payment suggestions:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to fetch payment suggestions' });
+        }
+    }
+);
+
+// Match one entry against several bank transactions. Body: { bankTransactionIds: [...] }
+router.post('/bank/entries/:entryType/:entryId/settle', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            const { entryType, entryId } = req.params;
+            const { bankTransactionIds } = req.body;
+            if (!['expense', 'revenue'].includes(entryType)) {
+                return res.status(400).json({ msg: 'entryType must be expense or revenue' });
+            }
+            if (!mongoose.Types.ObjectId.isValid(entryId)) {
+                return res.status(400).json({ msg: 'Invalid entry ID format' });
+            }
+            if (!Array.isArray(bankTransactionIds) || bankTransactionIds.length === 0) {
+                return res.status(400).json({ msg: 'bankTransactionIds array is required' });
+            }
+            if (bankTransactionIds.length > 50) {
+                return res.status(400).json({ msg: 'At most 50 transactions per request' });
+            }
+            
+            const bankSync = new BankSyncService();
+            const result = await bankSync.settleEntry(entryType, entryId, bankTransactionIds, req.organization._id);
+            
+            res.json(result);
+        } catch (error) {
+            console.error('Error settling entry against bank transactions:', error);
+            res.status(500).json({ msg: 'Failed to match entry' });
+        }
+    }
+);
+
 // Get reconciliation summary
 router.get('/bank/reconciliation-summary', 
     authorizeOrganizationRole(['owner', 'member']), 
@@ -250,13 +605,17 @@ router.get('/bank/reconciliation-summary',
             if (!bankAccountId) {
                 return res.status(400).json({ msg: 'Bank account ID is required' });
             }
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(bankAccountId)) {
+                return res.status(400).json({ msg: 'Invalid bank account ID format' });
+            }
             
             const bankSync = new BankSyncService();
             // --- MULTI-TENANCY: Pass organization context ---
             const summary = await bankSync.getReconciliationSummary(
                 bankAccountId,
-                startDate && endDate ? { start: new Date(startDate), end: new Date(endDate) } : null,
-                req.organization._id
+                req.organization._id,
+                startDate && endDate ? { start: new Date(startDate), end: new Date(endDate) } : null
             );
             
             res.json(summary);
@@ -267,6 +626,168 @@ router.get('/bank/reconciliation-summary',
     }
 );
 
+// Check statement running balances against the imported lines: flags missing lines and duplicate imports.
+// Query: from, to (optional, YYYY-MM-DD)
+router.get('/bank/accounts/:id/balance-check', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid bank account ID format' });
+            }
+            
+            const account = await BankAccount.findOne({ _id: req.params.id, organization: req.organization._id });
+            if (!account) {
+                return res.status(404).json({ msg: 'Bank account not found' });
+            }
+            
+            const { from, to } = req.query;
+            const result = await balanceHistoryService.verifyStatementBalances(account, req.organization._id, { from, to });
+            
+            res.json(result);
+        } catch (error) {
+            console.error('Error checking bank balances:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to check bank balances' });
+        }
+    }
+);
+
+// Re-derive an account's daily balance history from all of its imported statement lines
+// (imports do this for the days they cover; use this for statements imported before balance history)
+router.post('/bank/accounts/:id/balance-history/rebuild', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid bank account ID format' });
+            }
+            
+            const account = await BankAccount.findOne({ _id: req.params.id, organization: req.organization._id });
+            if (!account) {
+                return res.status(404).json({ msg: 'Bank account not found' });
+            }
+            
+            const result = await balanceHistoryService.recordStatementBalances(account._id, req.organization._id);
+            const latest = await balanceHistoryService.refreshCurrentBalance(account._id, req.organization._id);
+            
+            res.json({ ...result, currentBalance: latest ? latest.balance : account.currentBalance });
+        } catch (error) {
+            console.error('Error rebuilding balance history:', error);
+            res.status(500).json({ msg: 'Failed to rebuild balance history' });
+        }
+    }
+);
+
+// Transaction rules: run in priority order on import, before the ML categorizer
+router.get('/bank/rules', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const rules = await transactionRuleService.listRules(req.organization._id);
+            res.json(rules);
+        } catch (error) {
+            console.error('Error fetching transaction rules:', error);
+            res.status(500).json({ msg: 'Failed to fetch transaction rules' });
+        }
+    }
+);
+
+router.post('/bank/rules', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            const rule = await transactionRuleService.saveRule(req.organization._id, req.body, req.user._id);
+            res.status(201).json({ msg: 'Transaction rule created', rule });
+        } catch (error) {
+            console.error('Error creating transaction rule:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            if (error.name === 'ValidationError') return res.status(400).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to create transaction rule' });
+        }
+    }
+);
+
+// Dry-run against past transactions. Body: { ruleId | rule, bankAccountId, startDate, endDate, limit };
+// with neither ruleId nor rule, all active rules run in order
+router.post('/bank/rules/dry-run', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    async (req, res) => {
+        try {
+            const result = await transactionRuleService.runRules(req.organization._id, { ...req.body, dryRun: true }, req.user._id);
+            res.json(result);
+        } catch (error) {
+            console.error('Error running transaction rules (dry run):', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            if (error.name === 'ValidationError') return res.status(400).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to run transaction rules' });
+        }
+    }
+);
+
+// Apply saved rules to past transactions (same body as dry-run, without `rule`)
+router.post('/bank/rules/apply', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            if (req.body.rule) {
+                return res.status(400).json({ msg: 'Save the rule before applying it; unsaved rules can only be dry-run' });
+            }
+            const result = await transactionRuleService.runRules(req.organization._id, { ...req.body, dryRun: false }, req.user._id);
+            res.json(result);
+        } catch (error) {
+            console.error('Error applying transaction rules:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to apply transaction rules' });
+        }
+    }
+);
+
+router.put('/bank/rules/:id', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid rule ID format' });
+            }
+            const existing = await TransactionRule.findOne({ _id: req.params.id, organization: req.organization._id });
+            if (!existing) {
+                return res.status(404).json({ msg: 'Rule not found' });
+            }
+            const rule = await transactionRuleService.saveRule(req.organization._id, req.body, req.user._id, existing);
+            res.json({ msg: 'Transaction rule updated', rule });
+        } catch (error) {
+            console.error('Error updating transaction rule:', error);
+            if (error.status) return res.status(error.status).json({ msg: error.message });
+            if (error.name === 'ValidationError') return res.status(400).json({ msg: error.message });
+            res.status(500).json({ msg: 'Failed to update transaction rule' });
+        }
+    }
+);
+
+router.delete('/bank/rules/:id', 
+    authorizeOrganizationRole(['owner']), 
+    async (req, res) => {
+        try {
+            const mongoose = require('mongoose');
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({ msg: 'Invalid rule ID format' });
+            }
+            const rule = await TransactionRule.findOneAndDelete({ _id: req.params.id, organization: req.organization._id });
+            if (!rule) {
+                return res.status(404).json({ msg: 'Rule not found' });
+            }
+            res.json({ msg: 'Transaction rule deleted' });
+        } catch (error) {
+            console.error('Error deleting transaction rule:', error);
+            res.status(500).json({ msg: 'Failed to delete transaction rule' });
+        }
+    }
+);
+
 // =====================================================
 // 3. CUSTOM KPI ROUTES
 // =====================================================
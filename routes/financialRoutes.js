@@ -9,8 +9,41 @@ const {
 } = require('../middleware/authMiddleware'); // Ensure path is correct
 const financialController = require('../controllers/financialController'); // Ensure this points to the multi-tenancy updated controller
 const commitmentController = require('../controllers/commitmentController');
+const invoiceController = require('../controllers/invoiceController');
+const vendorController = require('../controllers/vendorController');
+const expenseApprovalController = require('../controllers/expenseApprovalController');
+const receiptController = require('../controllers/receiptController');
+const taxController = require('../controllers/taxController');
+const { RECEIPT_MIME_TYPES } = require('../services/receiptOcrService');
 const { getTransactionCategorizer } = require('../services/transactionCategorizer'); // Preserved
 const Expense = require('../models/expenseModel'); // Preserved for the :id/correct-category route
+const multer = require('multer');
+
+// CSV uploads (FX rate import) are kept in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed'), false);
+        }
+    },
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+// Receipt images / PDFs for OCR, also kept in memory (stored to S3 by the controller)
+const receiptUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (RECEIPT_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Receipts must be an image (JPEG, PNG, WebP, TIFF, BMP) or a PDF'), false);
+        }
+    },
+    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
 
 // --- MULTI-TENANCY: Apply global protection and require an active organization for all routes in this file ---
 router.use(protect); // Ensures user is authenticated
@@ -23,14 +56,30 @@ router.get('/bank-accounts', authorizeOrganizationRole(['owner', 'member']), fin
 router.get('/bank-accounts/:id', authorizeOrganizationRole(['owner', 'member']), financialController.getBankAccountById);
 router.put('/bank-accounts/:id', authorizeOrganizationRole(['owner', 'member']), financialController.updateBankAccount);
 router.delete('/bank-accounts/:id', authorizeOrganizationRole(['owner', 'member']), financialController.deleteBankAccount); // Or restrict to 'owner'
+router.get('/bank-accounts/:id/balances', authorizeOrganizationRole(['owner', 'member']), financialController.getBankAccountBalances);
+router.post('/bank-accounts/:id/balances', authorizeOrganizationRole(['owner', 'member']), financialController.addBankAccountBalance);
 
 // --- Expense Tracking (Module 2.2) ---
 // Assuming 'owner' and 'member' can manage expenses
 router.post('/expenses', authorizeOrganizationRole(['owner', 'member']), financialController.addExpense);
 router.get('/expenses', authorizeOrganizationRole(['owner', 'member']), financialController.getExpenses);
+router.get('/expenses/approvals/queue', authorizeOrganizationRole(['owner', 'member']), expenseApprovalController.getApprovalQueue);
+router.post('/expenses/receipts/scan', authorizeOrganizationRole(['owner', 'member']), receiptUpload.single('receipt'), receiptController.scanReceipt);
+router.post('/expenses/from-receipt', authorizeOrganizationRole(['owner', 'member']), receiptUpload.single('receipt'), receiptController.createExpenseFromReceipt);
 router.get('/expenses/:id', authorizeOrganizationRole(['owner', 'member']), financialController.getExpenseById);
 router.put('/expenses/:id', authorizeOrganizationRole(['owner', 'member']), financialController.updateExpense);
 router.delete('/expenses/:id', authorizeOrganizationRole(['owner', 'member']), financialController.deleteExpense); // Or restrict to 'owner'
+router.get('/expenses/:id/receipt', authorizeOrganizationRole(['owner', 'member']), receiptController.getExpenseReceipt);
+router.post('/expenses/:id/receipt', authorizeOrganizationRole(['owner', 'member']), receiptUpload.single('receipt'), receiptController.uploadExpenseReceipt);
+
+// --- Expense Approvals (policies by amount / category, approver queue, reimbursements) ---
+router.post('/expenses/:id/approve', authorizeOrganizationRole(['owner', 'member']), expenseApprovalController.approveExpense);
+router.post('/expenses/:id/reject', authorizeOrganizationRole(['owner', 'member']), expenseApprovalController.rejectExpense);
+router.post('/expenses/:id/reimburse', authorizeOrganizationRole(['owner']), expenseApprovalController.reimburseExpense);
+router.get('/expense-policies', authorizeOrganizationRole(['owner', 'member']), expenseApprovalController.getPolicies);
+router.post('/expense-policies', authorizeOrganizationRole(['owner']), expenseApprovalController.createPolicy);
+router.put('/expense-policies/:id', authorizeOrganizationRole(['owner']), expenseApprovalController.updatePolicy);
+router.delete('/expense-policies/:id', authorizeOrganizationRole(['owner']), expenseApprovalController.deletePolicy);
 
 // --- Revenue Tracking (Module 2.3) ---
 // Assuming 'owner' and 'member' can manage revenue
@@ -48,23 +97,66 @@ router.delete('/commitments/:id', authorizeOrganizationRole(['owner', 'member'])
 router.post('/commitments/:id/payments', authorizeOrganizationRole(['owner', 'member']), commitmentController.addPayment);
 router.delete('/commitments/:id/payments/:paymentId', authorizeOrganizationRole(['owner', 'member']), commitmentController.deletePayment);
 
+// --- Invoices & Receivables (payments create Revenue entries) ---
+router.get('/invoices', authorizeOrganizationRole(['owner', 'member']), invoiceController.getInvoices);
+router.post('/invoices', authorizeOrganizationRole(['owner', 'member']), invoiceController.createInvoice);
+router.get('/invoices/aging', authorizeOrganizationRole(['owner', 'member']), invoiceController.getAgingReport);
+router.get('/invoices/:id', authorizeOrganizationRole(['owner', 'member']), invoiceController.getInvoiceById);
+router.put('/invoices/:id', authorizeOrganizationRole(['owner', 'member']), invoiceController.updateInvoice);
+router.delete('/invoices/:id', authorizeOrganizationRole(['owner', 'member']), invoiceController.deleteInvoice);
+router.get('/invoices/:id/pdf', authorizeOrganizationRole(['owner', 'member']), invoiceController.getInvoicePdf);
+router.post('/invoices/:id/send', authorizeOrganizationRole(['owner', 'member']), invoiceController.sendInvoice);
+router.post('/invoices/:id/void', authorizeOrganizationRole(['owner']), invoiceController.voidInvoice);
+router.post('/invoices/:id/payments', authorizeOrganizationRole(['owner', 'member']), invoiceController.addPayment);
+router.delete('/invoices/:id/payments/:paymentId', authorizeOrganizationRole(['owner', 'member']), invoiceController.deletePayment);
+
+// --- Vendors (aliases resolve free-text expense / bank merchant names) ---
+router.get('/vendors', authorizeOrganizationRole(['owner', 'member']), vendorController.getVendors);
+router.post('/vendors', authorizeOrganizationRole(['owner', 'member']), vendorController.createVendor);
+router.get('/vendors/resolve', authorizeOrganizationRole(['owner', 'member']), vendorController.resolveVendorName);
+router.get('/vendors/spend-summary', authorizeOrganizationRole(['owner', 'member']), vendorController.getSpendSummary);
+router.get('/vendors/renewals', authorizeOrganizationRole(['owner', 'member']), vendorController.getUpcomingRenewals);
+router.get('/vendors/duplicate-payments', authorizeOrganizationRole(['owner', 'member']), vendorController.getDuplicatePayments);
+router.get('/vendors/:id', authorizeOrganizationRole(['owner', 'member']), vendorController.getVendorById);
+router.put('/vendors/:id', authorizeOrganizationRole(['owner', 'member']), vendorController.updateVendor);
+router.post('/vendors/:id/aliases', authorizeOrganizationRole(['owner', 'member']), vendorController.addAlias);
+router.delete('/vendors/:id', authorizeOrganizationRole(['owner']), vendorController.deleteVendor);
+
 // --- Fund Utilization & Overview (Module 2.1 & 2.4) ---
 // Assuming 'owner' and 'member' can view overview and reports
+// Overview, fund utilization and the income statement take ?basis=accrual|cash (default: org setting)
 router.get('/overview', authorizeOrganizationRole(['owner', 'member']), financialController.getFinancialOverview);
 router.get('/fund-utilization', authorizeOrganizationRole(['owner', 'member']), financialController.getFundUtilizationReport);
 
+// --- Financial Statements (?period=FY2025-26 | ytd | ... or ?startDate=&endDate=, ?format=csv) ---
+router.get('/statements/income', authorizeOrganizationRole(['owner', 'member']), financialController.getIncomeStatement);
+router.get('/statements/cash-flow', authorizeOrganizationRole(['owner', 'member']), financialController.getCashFlowStatement);
+router.get('/statements/balance-summary', authorizeOrganizationRole(['owner', 'member']), financialController.getBalanceSummary);
+
+// --- GST & TDS (Indian tax compliance: GSTR-3B and TDS returns) ---
+router.get('/tax/reference', authorizeOrganizationRole(['owner', 'member']), taxController.getTaxReference);
+router.get('/tax/gst-summary', authorizeOrganizationRole(['owner', 'member']), taxController.getGstSummary);
+router.get('/tax/tds-summary', authorizeOrganizationRole(['owner', 'member']), taxController.getTdsSummary);
+router.post('/tax/tds/deposits', authorizeOrganizationRole(['owner']), taxController.recordTdsDeposit);
+
+// --- FX Rates (aggregates are converted to the organization's reporting currency) ---
+router.get('/fx-rates', authorizeOrganizationRole(['owner', 'member']), financialController.getFxRates);
+router.post('/fx-rates', authorizeOrganizationRole(['owner', 'member']), financialController.addFxRate);
+router.post('/fx-rates/import', authorizeOrganizationRole(['owner', 'member']), upload.single('ratesFile'), financialController.importFxRates);
+router.delete('/fx-rates/:id', authorizeOrganizationRole(['owner']), financialController.deleteFxRate);
+
 // --- Transaction Categorization Routes ---
 // These utilities operate in the context of an organization's data or potential data.
 router.post('/expenses/auto-categorize', authorizeOrganizationRole(['owner', 'member']), async (req, res) => {
     try {
         const { description, amount, vendor } = req.body;
-        // The categorizer service itself doesn't need orgId if it's a pure function,
-        // but the context of calling it is org-specific.
+        // Each organization has its own model (trained on its corrections and custom categories)
         const categorizer = await getTransactionCategorizer(); // This service might be initialized once.
         const result = await categorizer.categorizeTransaction(
             description,
             amount,
-            vendor
+            vendor,
+            req.organization._id
         );
         res.json(result);
     } catch (error) {
@@ -80,7 +172,7 @@ router.post('/expenses/bulk-categorize', authorizeOrganizationRole(['owner', 'me
             return res.status(400).json({ error: 'Transactions array is required.' });
         }
         const categorizer = await getTransactionCategorizer();
-        const results = await categorizer.bulkCategorize(transactions);
+        const results = await categorizer.bulkCategorize(transactions, req.organization._id);
         res.json({ results });
     } catch (error) {
         console.error(`Bulk categorization error for org ${req.organization._id}:`, error.message, error.stack);
@@ -107,20 +199,25 @@ router.post('/expenses/:id/correct-category', authorizeOrganizationRole(['owner'
         }
 
         const categorizer = await getTransactionCategorizer();
+        const resolved = await categorizer.resolveCategory(organizationId, correctCategory);
         await categorizer.learnFromCorrection(
             expense._id.toString(), // Pass ID as string if service expects it
             expense.description,
             expense.vendor,
-            correctCategory
+            resolved.label,
+            organizationId,
+            { source: 'expense', userId: req.user._id }
         );
 
-        expense.category = correctCategory;
+        expense.category = resolved.category;
+        expense.customCategory = resolved.customCategory;
         // expense.updatedBy = req.user._id; // If Expense model has updatedBy
         await expense.save();
 
         res.json({ message: 'Category updated and model trained successfully for this expense.' });
     } catch (error) {
         console.error(`Category correction error for org ${organizationId}, expense ${req.params.id}:`, error.message, error.stack);
+        if (error.status === 400) return res.status(400).json({ error: error.message });
         res.status(500).json({ error: 'Failed to update category' });
     }
 });
@@ -102,6 +102,43 @@ router.post('/rounds/:roundId/preview-investment',
     fundraisingController.previewInvestmentImpact
 );
 
+/**
+ * @desc    Pro-forma model for a whole round: lead + follow-on checks, SAFE/note
+ *          conversions and a pre-money option pool top-up. Nothing is saved.
+ * @route   POST /api/horizon/fundraising/pro-forma
+ * @access  Private (owner, member)
+ * @body    { roundId?, preMoneyValuation, investments: [{ name, amount, role, investorId? }],
+ *            convertInstruments?: true|false|[investorIds], optionPool?: { targetPercentage | additionalShares },
+ *            conversionTerms? }
+ * @returns { pricing, conversions, newInvestments, optionPool, capTable: { before, after }, holders }
+ */
+router.post('/pro-forma', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.modelProFormaRound
+);
+
+/**
+ * @desc    Liquidation preference waterfall: what every holder receives at one exit value
+ * @route   POST /api/horizon/fundraising/waterfall
+ * @access  Private (owner, member)
+ * @body    { exitValue, overrides?: { [roundId | 'instrument:<capTableEntryId>']: { multiple, participating, participationCap, seniority } } }
+ */
+router.post('/waterfall', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.calculateWaterfall
+);
+
+/**
+ * @desc    Per-shareholder payouts across a range of exit values
+ * @route   POST /api/horizon/fundraising/exit-scenarios
+ * @access  Private (owner, member)
+ * @body    { exitValues: [] | range: { min, max, steps }, overrides? }
+ */
+router.post('/exit-scenarios', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.calculateExitScenarios
+);
+
 /**
  * @desc    Manually trigger round metrics recalculation
  * @route   POST /api/horizon/fundraising/rounds/:roundId/recalculate
@@ -113,6 +150,54 @@ router.post('/rounds/:roundId/recalculate',
     fundraisingController.recalculateRoundMetrics
 );
 
+// =====================================================
+// ROUND TEMPLATES
+// =====================================================
+
+/**
+ * @desc    List round templates: built-in Pre-Seed / Seed / Series A plus organization-defined ones
+ * @route   GET /api/horizon/fundraising/round-templates
+ * @access  Private (owner, member)
+ * @query   roundType?, stage?
+ */
+router.get('/round-templates', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.getRoundTemplates
+);
+
+/**
+ * @desc    Save an organization-defined round template
+ * @route   POST /api/horizon/fundraising/round-templates
+ * @access  Private (owner, member)
+ * @body    { name, roundType, targetAmount, equityPercentageOffered, durationDays, liquidationPreference,
+ *            instrumentDefaults, expectedInvestors: [{ name, investorType, role, investmentVehicle, targetPercentage }] }
+ */
+router.post('/round-templates', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.createRoundTemplate
+);
+
+/**
+ * @desc    Create a round (via initializeRound) and its expected investors from a template
+ * @route   POST /api/horizon/fundraising/round-templates/:templateId/apply
+ * @access  Private (owner, member)
+ * @body    { customizations: { name, targetAmount, equityPercentageOffered, existingSharesPreRound?, instrumentDefaults?, expectedInvestors? } }
+ */
+router.post('/round-templates/:templateId/apply', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.applyRoundTemplate
+);
+
+/**
+ * @desc    Delete an organization-defined round template
+ * @route   DELETE /api/horizon/fundraising/round-templates/:templateId
+ * @access  Private (owner)
+ */
+router.delete('/round-templates/:templateId', 
+    authorizeOrganizationRole(['owner']), 
+    fundraisingController.deleteRoundTemplate
+);
+
 // =====================================================
 // INVESTOR MANAGEMENT - ENHANCED WITH EQUITY CALCULATIONS
 // =====================================================
@@ -250,6 +335,18 @@ router.get('/captable',
     fundraisingController.getCapTableSummary
 );
 
+/**
+ * @desc    Export cap table grouped by shareholder and security type
+ * @route   GET /api/horizon/fundraising/captable/export
+ * @access  Private (owner, member)
+ * @query   ?format=csv|xlsx&asOf=YYYY-MM-DD
+ * @note    Registered before /captable/:id so "export" is not treated as an entry ID
+ */
+router.get('/captable/export',
+    authorizeOrganizationRole(['owner', 'member']),
+    fundraisingController.exportFundraisingData
+);
+
 /**
  * @desc    Get single cap table entry with enhanced data
  * @route   GET /api/horizon/fundraising/captable/:id
@@ -309,57 +406,33 @@ router.get('/esop-grants',
  * @desc    Convert SAFE or Convertible Note investor to equity
  * @route   POST /api/horizon/fundraising/investors/:investorId/convert
  * @access  Private (owner, member)
- * @body    { conversionRoundId, conversionPrice }
- * @note    This might be implemented in future versions
+ * @body    { conversionTrigger, newRoundId, conversionTerms?, dryRun? }
+ *          conversionTrigger: 'Equity Financing' | 'Maturity' | 'Change of Control' | 'Voluntary'
+ *          conversionTerms: { pricePerShare, preMoneyShares, valuationCap, discountRate, interestRate, conversionDate, securityType }
+ * @returns Conversion price breakdown (cap vs discount vs round price, accrued interest),
+ *          shares issued and the created cap table entry. dryRun=true returns the preview only.
  */
-router.post('/investors/:investorId/convert', 
-    authorizeOrganizationRole(['owner', 'member']), 
-    (req, res) => {
-        res.status(501).json({ 
-            msg: 'Investor conversion feature coming soon',
-            feature: 'SAFE/Note to Equity Conversion'
-        });
-    }
+router.post('/investors/:investorId/convert',
+    authorizeOrganizationRole(['owner', 'member']),
+    fundraisingController.processConversion
 );
 
 /**
- * @desc    Bulk update investor statuses
+ * @desc    Bulk update investor pipeline stage, follow-up dates, round and notes
  * @route   POST /api/horizon/fundraising/investors/bulk-update
  * @access  Private (owner, member)
- * @body    { investorIds: [], newStatus, notes }
- * @note    This might be implemented in future versions
+ * @body    { updates: [{ investorId, status, nextFollowUpDate, roundId, notes }], allOrNothing }
+ *          or { investorIds: [], newStatus, nextFollowUpDate, roundId, notes }
  */
 router.post('/investors/bulk-update', 
     authorizeOrganizationRole(['owner', 'member']), 
-    (req, res) => {
-        res.status(501).json({ 
-            msg: 'Bulk investor update feature coming soon',
-            feature: 'Bulk Status Updates'
-        });
-    }
+    investorCrmController.bulkUpdatePipeline
 );
 
 // =====================================================
 // REPORTS & EXPORTS
 // =====================================================
 
-/**
- * @desc    Export cap table as CSV/Excel
- * @route   GET /api/horizon/fundraising/captable/export
- * @access  Private (owner, member)
- * @query   ?format=csv|excel
- * @note    This might be implemented in future versions
- */
-router.get('/captable/export', 
-    authorizeOrganizationRole(['owner', 'member']), 
-    (req, res) => {
-        res.status(501).json({ 
-            msg: 'Cap table export feature coming soon',
-            feature: 'CSV/Excel Export'
-        });
-    }
-);
-
 /**
  * @desc    Generate investor update report
  * @route   POST /api/horizon/fundraising/reports/investor-update
@@ -377,6 +450,29 @@ router.post('/reports/investor-update',
     }
 );
 
+/**
+ * @desc    Investor update data pack: round progress, committed vs received,
+ *          cap table, runway and investor roadmap rendered to a versioned PDF Document
+ * @route   POST /api/horizon/fundraising/reports/investor
+ * @access  Private (owner, member)
+ * @body    { investorId?, roundId?, period?: 'FY2025-26' | 'FY2026-Q1' (fiscal year per org settings) | 'YYYY-Qn' | 'YYYY-MM' (calendar) }
+ */
+router.post('/reports/investor', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.generateInvestorReport
+);
+
+/**
+ * @desc    Board data pack rendered to a versioned PDF Document
+ * @route   POST /api/horizon/fundraising/reports/board
+ * @access  Private (owner, member)
+ * @body    { period?: 'FY2025-26' | 'FY2026-Q1' | 'YYYY-Qn' (calendar) | 'YYYY-MM' (quarterYear accepted), roundId? }
+ */
+router.post('/reports/board', 
+    authorizeOrganizationRole(['owner', 'member']), 
+    fundraisingController.generateBoardReport
+);
+
 // =====================================================
 // AUDIT & HISTORY TRACKING
 // =====================================================
@@ -385,33 +481,22 @@ router.post('/reports/investor-update',
  * @desc    Get audit trail for a specific round
  * @route   GET /api/horizon/fundraising/rounds/:roundId/audit
  * @access  Private (owner, member)
- * @note    This might be implemented in future versions
+ * @query   ?entityType=Round|Investor|Tranche|CapTableEntry&action=<action>&page=1&limit=50
  */
 router.get('/rounds/:roundId/audit', 
     authorizeOrganizationRole(['owner', 'member']), 
-    (req, res) => {
-        res.status(501).json({ 
-            msg: 'Audit trail feature coming soon',
-            feature: 'Round Audit History'
-        });
-    }
+    fundraisingController.getRoundAuditTrail
 );
 
 /**
  * @desc    Get payment history for all investors in organization
  * @route   GET /api/horizon/fundraising/payments/history
  * @access  Private (owner, member)
- * @query   ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&investorId=<id>
- * @note    This might be implemented in future versions
+ * @query   ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&investorId=<id>&roundId=<id>
  */
 router.get('/payments/history', 
     authorizeOrganizationRole(['owner', 'member']), 
-    (req, res) => {
-        res.status(501).json({ 
-            msg: 'Payment history feature coming soon',
-            feature: 'Payment Audit Trail'
-        });
-    }
+    fundraisingController.getPaymentHistory
 );
 
 // =====================================================
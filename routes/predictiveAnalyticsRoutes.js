@@ -103,18 +103,31 @@ router.get('/cash-flow-data/historical', authorizeOrganizationRole(['owner', 'me
     }
 });
 
-// @route   GET /api/horizon/analytics/cash-position/current
-// @desc    Get current cash position
+// @route   GET /api/horizon/analytics/cash-position/current?asOf=YYYY-MM-DD
+// @desc    Get the cash position today, or as of a past date, from the bank balance history
 // @access  Private - Organization members
-// Note: PredictiveAnalyticsController.getCurrentCashPosition might need to be adapted
-// to send a response directly or a new wrapper method created.
 router.get('/cash-position/current', authorizeOrganizationRole(['owner', 'member']), async (req, res) => {
     try {
-        // Assuming getCurrentCashPosition is adapted or wrapped:
-        const currentPosition = await PredictiveAnalyticsController.getCurrentCashPosition();
+        const currentPosition = await PredictiveAnalyticsController.getCurrentCashPosition(req.organization, req.query.asOf || new Date());
         res.json(currentPosition);
     } catch (err) {
         console.error('Error in current-cash-position route:', err);
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
+        res.status(500).json({ msg: 'Server Error' });
+    }
+});
+
+// @route   GET /api/horizon/analytics/cash-position/history?from=&to=&interval=month|day
+// @desc    Cash over time with the runway it implied at each point
+// @access  Private - Organization members
+router.get('/cash-position/history', authorizeOrganizationRole(['owner', 'member']), async (req, res) => {
+    try {
+        const { from, to, interval } = req.query;
+        const history = await PredictiveAnalyticsController.getCashPositionHistory(req.organization, { from, to, interval });
+        res.json(history);
+    } catch (err) {
+        console.error('Error in cash-position-history route:', err);
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
         res.status(500).json({ msg: 'Server Error' });
     }
 });
@@ -313,6 +313,40 @@ function setupCronJobs() {
         }
     }, { timezone: 'Asia/Kolkata' });
 
+    // Overdue invoice reminders (every morning 9:00 IST)
+    cron.schedule('0 9 * * *', async () => {
+        console.log('Running overdue invoice reminders...');
+        try {
+            const { runOverdueInvoiceReminders } = require('./services/invoiceService');
+            await runOverdueInvoiceReminders();
+        } catch (error) {
+            console.error('Error in overdue invoice reminders:', error);
+        }
+    }, { timezone: 'Asia/Kolkata' });
+
+    // GSTR-3B and TDS deposit due-date reminders (every morning 9:30 IST; sent only near due dates)
+    cron.schedule('30 9 * * *', async () => {
+        console.log('Running tax due-date reminders...');
+        try {
+            const { runTaxDueReminders } = require('./services/taxService');
+            await runTaxDueReminders();
+        } catch (error) {
+            console.error('Error in tax due-date reminders:', error);
+        }
+    }, { timezone: 'Asia/Kolkata' });
+
+    // Close ESOP grants whose post-termination exercise window has passed (daily 1:30 AM)
+    cron.schedule('30 1 * * *', async () => {
+        console.log('Running ESOP exercise window expiry...');
+        try {
+            const { expireLapsedGrants } = require('./services/esopService');
+            const expired = await expireLapsedGrants();
+            console.log(`Expired ${expired} lapsed ESOP grants`);
+        } catch (error) {
+            console.error('Error expiring lapsed ESOP grants:', error);
+        }
+    });
+
     // Task reminder notifications (every day at 8 AM)
     cron.schedule('0 8 * * *', async () => {
         console.log('Running daily task reminder check...');
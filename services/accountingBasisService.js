@@ -0,0 +1,185 @@
+// services/accountingBasisService.js
+// Accrual vs cash basis for revenue and expense aggregates.
+//
+//   accrual - revenue on its invoice/record date (refunds excluded), expenses
+//             on the date they were incurred.
+//   cash    - only money that actually moved, dated when it moved: the date of
+//             the reconciled BankTransaction if there is one; for expenses settled
+//             through a commitment (e.g. a founder reimbursement), each commitment
+//             payment; otherwise the record date. Pending revenue is excluded
+//             until it is received.
+//
+// Organizations pick a default in settings.accountingBasis; reports accept a
+// per-request ?basis= override.
+const { BankTransaction } = require('./bankSyncService');
+const Commitment = require('../models/commitmentModel');
+const fxService = require('./fxService');
+
+const ACCOUNTING_BASES = ['accrual', 'cash'];
+
+// Revenue statuses that count under each basis
+const REVENUE_STATUSES = {
+    accrual: ['Received', 'Pending', 'Credited'],
+    cash: ['Received', 'Credited']
+};
+
+// Month key for groupBy expressions - always group on the basis date
+const basisMonthKey = { $dateToString: { format: '%Y-%m', date: '$basisDate' } };
+
+/**
+ * Basis for a request: explicit override, else the org default, else accrual
+ * @throws {Error} 'Invalid accounting basis ...' for unknown values
+ */
+function resolveBasis(organization, requested) {
+    if (requested) {
+        const basis = String(requested).toLowerCase();
+        if (!ACCOUNTING_BASES.includes(basis)) {
+            throw new Error(`Invalid accounting basis "${requested}". Use accrual or cash`);
+        }
+        return basis;
+    }
+    return organization?.settings?.accountingBasis || 'accrual';
+}
+
+/**
+ * Pipeline stages that give every ledger row a basisDate and basisAmount.
+ * Cash basis can split one expense into several rows (one per commitment payment).
+ * Pass the organization id so the bank lookup only scans that organization's transactions.
+ */
+function basisStages(Model, basis, organizationId = null) {
+    const isRevenue = Model.modelName === 'Revenue';
+    if (basis !== 'cash') {
+        return [{ $addFields: { basisDate: '$date', basisAmount: '$amount' } }];
+    }
+
+    const bankLookup = {
+        $lookup: {
+            from: BankTransaction.collection.name,
+            let: { recordId: '$_id', organization: '$organization' },
+            pipeline: [
+                organizationId
+                    ? { $match: { organization: organizationId } }
+                    : { $match: { $expr: { $eq: ['$organization', '$$organization'] } } },
+                // Split matches list the entry in `matches`; older one-to-one matches only set the legacy id
+                {
+                    $match: {
+                        $expr: {
+                            $or: [
+                                { $eq: [isRevenue ? '$matchedRevenueId' : '$matchedExpenseId', '$$recordId'] },
+                                { $in: ['$$recordId', { $ifNull: ['$matches.entryId', []] }] }
+                            ]
+                        }
+                    }
+                },
+                { $sort: { date: 1 } },
+                { $limit: 1 },
+                { $project: { date: 1 } }
+            ],
+            as: 'basisBankMatch'
+        }
+    };
+    const bankDate = { $arrayElemAt: ['$basisBankMatch.date', 0] };
+
+    if (isRevenue) {
+        return [
+            bankLookup,
+            { $addFields: { basisDate: { $ifNull: [bankDate, '$date'] }, basisAmount: '$amount' } },
+            { $project: { basisBankMatch: 0 } }
+        ];
+    }
+
+    return [
+        bankLookup,
+        {
+            $lookup: {
+                from: Commitment.collection.name,
+                localField: '_id',
+                foreignField: 'expense',
+                as: 'basisCommitment'
+            }
+        },
+        {
+            $addFields: {
+                basisEntries: {
+                    $cond: [
+                        { $gt: [{ $size: '$basisBankMatch' }, 0] },
+                        [{ date: bankDate, amount: '$amount' }],
+                        {
+                            $cond: [
+                                { $gt: [{ $size: '$basisCommitment' }, 0] },
+                                {
+                                    $map: {
+                                        input: { $ifNull: [{ $arrayElemAt: ['$basisCommitment.payments', 0] }, []] },
+                                        as: 'payment',
+                                        in: { date: '$$payment.date', amount: '$$payment.amount' }
+                                    }
+                                },
+                                [{ date: '$date', amount: '$amount' }]
+                            ]
+                        }
+                    ]
+                }
+            }
+        },
+        // Unpaid commitment-settled expenses have no entries and drop out here
+        { $unwind: '$basisEntries' },
+        { $addFields: { basisDate: '$basisEntries.date', basisAmount: '$basisEntries.amount' } },
+        { $project: { basisBankMatch: 0, basisCommitment: 0, basisEntries: 0 } }
+    ];
+}
+
+/**
+ * fxService.sumConverted on the chosen basis
+ * @param {mongoose.Model} Model - Revenue or Expense
+ * @param {Object} match - Non-date filters (organization, category, ...)
+ * @param {Object} converter - From fxService.createConverter
+ * @param {Object} options
+ * @param {String} options.basis - 'accrual' | 'cash'
+ * @param {Object} options.dateRange - Condition on the basis date, e.g. { $gte: start, $lt: end }
+ * @param {*} options.groupBy - Group key expression; use basisMonthKey for months
+ */
+async function sumByBasis(Model, match, converter, { basis = 'accrual', dateRange = null, groupBy = null } = {}) {
+    const baseMatch = { ...match };
+    if (Model.modelName === 'Revenue' && !baseMatch.status) {
+        baseMatch.status = { $in: REVENUE_STATUSES[basis] };
+    }
+    if (Model.modelName === 'Expense' && !baseMatch.approvalStatus) {
+        // Submitted and rejected expenses never count in actuals
+        Object.assign(baseMatch, Model.actualsFilter());
+    }
+
+    const stages = basisStages(Model, basis, baseMatch.organization);
+    if (dateRange) {
+        if (basis === 'cash') {
+            stages.push({ $match: { basisDate: dateRange } });
+        } else {
+            // Accrual dates are the record date, so filter before the pipeline and use the index
+            baseMatch.date = dateRange;
+        }
+    }
+
+    return fxService.sumConverted(Model, baseMatch, converter, {
+        groupBy,
+        stages,
+        amountField: 'basisAmount',
+        dateField: 'basisDate'
+    });
+}
+
+/**
+ * Short description for report payloads
+ */
+function describeBasis(basis) {
+    return basis === 'cash'
+        ? { basis, description: 'Cash basis: amounts counted when money moved (reconciled bank date or commitment payment date). Pending revenue excluded.' }
+        : { basis, description: 'Accrual basis: revenue on invoice date and expenses when incurred. Refunded revenue excluded.' };
+}
+
+module.exports = {
+    ACCOUNTING_BASES,
+    basisMonthKey,
+    resolveBasis,
+    basisStages,
+    sumByBasis,
+    describeBasis
+};
@@ -72,7 +72,7 @@ class AdvancedMLService {
         const Expense = mongoose.model('Expense');
         
         // Get historical expenses FOR THIS ORGANIZATION
-        const expenses = await Expense.find({ organization: organizationId })
+        const expenses = await Expense.find({ organization: organizationId, ...Expense.actualsFilter() })
             .sort({ date: 1 })
             .limit(1000);
 
@@ -188,7 +188,7 @@ class AdvancedMLService {
         const Expense = mongoose.model('Expense');
         
         // Get last 30 days of expenses FOR THIS ORGANIZATION
-        const recentExpenses = await Expense.find({ organization: organizationId })
+        const recentExpenses = await Expense.find({ organization: organizationId, ...Expense.actualsFilter() })
             .sort({ date: -1 })
             .limit(30);
 
@@ -727,7 +727,7 @@ class AdvancedMLService {
     // Advanced pattern recognition - NOW ORGANIZATION-SPECIFIC
     async identifySpendingPatterns(organizationId) {
         const Expense = mongoose.model('Expense');
-        const expenses = await Expense.find({ organization: organizationId })
+        const expenses = await Expense.find({ organization: organizationId, ...Expense.actualsFilter() })
             .sort({ date: -1 })
             .limit(500);
 
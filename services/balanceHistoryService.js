@@ -0,0 +1,501 @@
+// services/balanceHistoryService.js
+// Daily bank balance history. Closing balances come from the running balance
+// on imported statement lines and from balances entered by hand; a day
+// without a snapshot carries the previous one forward. The same history
+// answers "cash as of a date" for cash-position and runway reporting, and
+// backs a check of statement running balances against the imported lines.
+const mongoose = require('mongoose');
+const moment = require('moment');
+const BankAccount = require('../models/bankAccountModel');
+const BankBalanceSnapshot = require('../models/bankBalanceSnapshotModel');
+const Expense = require('../models/expenseModel');
+const Revenue = require('../models/revenueModel');
+const fxService = require('./fxService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Differences at or below this are rounding (one paisa / cent)
+const BALANCE_TOLERANCE = 0.01;
+// Longest daily series served in one request
+const MAX_SERIES_DAYS = 731;
+const MAX_HISTORY_MONTHS = 120;
+// Runway uses the average net burn of this many calendar months up to the point
+const RUNWAY_BURN_MONTHS = 3;
+
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+const hasBalance = (line) => line.balance !== null && line.balance !== undefined;
+
+function historyError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// UTC midnight of the day containing `date`
+function dayStart(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function parseDate(value, label) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw historyError(`Invalid ${label} date "${value}"`);
+    return date;
+}
+
+// The BankTransaction model is registered by bankSyncService, which is loaded lazily elsewhere
+function bankTransactionModel() {
+    return mongoose.model('BankTransaction');
+}
+
+/**
+ * Put one day's statement lines in statement order. Exports list a day's
+ * lines newest-first or oldest-first, so insertion order is not enough:
+ * each next line is the one whose running balance follows from the previous
+ * balance. Lines that fit nowhere keep insertion order.
+ * @param {Array} lines - Lines of one day, sorted by _id
+ * @param {Number|null} opening - Balance before the day
+ */
+function chainDay(lines, opening) {
+    const remaining = [...lines];
+    const ordered = [];
+    let previous = opening;
+    while (remaining.length) {
+        let index = 0;
+        if (previous !== null && previous !== undefined) {
+            const fits = remaining.findIndex(line => hasBalance(line)
+                && Math.abs(previous + line.amount - line.balance) <= BALANCE_TOLERANCE);
+            if (fits >= 0) index = fits;
+        } else {
+            // No opening: start from a line whose balance before it is not another line's balance
+            const head = remaining.findIndex(line => hasBalance(line) && !remaining.some(other => other !== line
+                && hasBalance(other) && Math.abs(other.balance - (line.balance - line.amount)) <= BALANCE_TOLERANCE));
+            if (head >= 0) index = head;
+        }
+        const [line] = remaining.splice(index, 1);
+        ordered.push(line);
+        if (hasBalance(line)) previous = line.balance;
+        else if (previous !== null && previous !== undefined) previous = round2(previous + line.amount);
+    }
+    return ordered;
+}
+
+// Statement lines of several days, in statement order
+function orderLines(lines, opening) {
+    const byDay = new Map();
+    for (const line of lines) {
+        const key = dayKey(line.date);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(line);
+    }
+    const ordered = [];
+    let previous = opening;
+    for (const key of [...byDay.keys()].sort()) {
+        const day = chainDay(byDay.get(key), previous);
+        ordered.push(...day);
+        const last = [...day].reverse().find(hasBalance);
+        if (last) previous = last.balance;
+    }
+    return ordered;
+}
+
+// Latest snapshot on or before `date` (of one source if given). When a day has
+// both a statement and a manual balance, the more recently recorded one wins.
+async function snapshotAt(bankAccountId, date, source = null) {
+    const query = { bankAccount: bankAccountId, date: { $lte: dayStart(date) } };
+    if (source) query.source = source;
+    return BankBalanceSnapshot.findOne(query)
+        .sort({ date: -1, updatedAt: -1 })
+        .lean();
+}
+
+/**
+ * Re-derive the statement snapshots of an account from its imported lines:
+ * each day's closing balance is the running balance of its last line.
+ * Limited to a date range when given (e.g. the days an import touched).
+ * @returns {Object} { days, from, to }
+ */
+async function recordStatementBalances(bankAccountId, organizationId, { from, to } = {}) {
+    const BankTransaction = bankTransactionModel();
+    const query = { organization: organizationId, bankAccountId, balance: { $ne: null } };
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = dayStart(from);
+        if (to) query.date.$lt = new Date(dayStart(to).getTime() + DAY_MS);
+    }
+    const lines = await BankTransaction.find(query).sort({ date: 1, _id: 1 }).select('date amount balance').lean();
+    const before = from
+        ? await BankBalanceSnapshot.findOne({ bankAccount: bankAccountId, source: 'statement', date: { $lt: dayStart(from) } }).sort({ date: -1 }).lean()
+        : null;
+
+    const closing = new Map();
+    for (const line of orderLines(lines, before ? before.balance : null)) {
+        closing.set(dayKey(line.date), line);
+    }
+
+    // Only new or changed days are written, so updatedAt keeps saying when a
+    // statement balance was last recorded (it decides against manual balances)
+    const existingQuery = { bankAccount: bankAccountId, source: 'statement' };
+    if (query.date) existingQuery.date = query.date;
+    const existing = new Map((await BankBalanceSnapshot.find(existingQuery).select('date balance bankTransaction').lean())
+        .map(snapshot => [dayKey(snapshot.date), snapshot]));
+    const changed = [...closing.entries()].filter(([key, line]) => {
+        const snapshot = existing.get(key);
+        return !snapshot || snapshot.balance !== line.balance || String(snapshot.bankTransaction) !== String(line._id);
+    });
+
+    const ops = changed.map(([key, line]) => ({
+        updateOne: {
+            filter: { bankAccount: bankAccountId, date: new Date(key), source: 'statement' },
+            update: { $set: { organization: organizationId, balance: line.balance, bankTransaction: line._id } },
+            upsert: true
+        }
+    }));
+    // Days in the range that no longer have statement lines lose their statement snapshot
+    const stale = { bankAccount: bankAccountId, source: 'statement', date: { $nin: [...closing.keys()].map(key => new Date(key)) } };
+    if (query.date) stale.date = { ...stale.date, ...query.date };
+    await BankBalanceSnapshot.deleteMany(stale);
+    if (ops.length) await BankBalanceSnapshot.bulkWrite(ops);
+
+    const keys = [...closing.keys()];
+    return { days: keys.length, from: keys[0] || null, to: keys[keys.length - 1] || null };
+}
+
+/**
+ * Record a balance entered by hand (today unless a past date is given).
+ * Replaces an earlier manual balance for the same day.
+ */
+async function recordManualBalance(account, balance, { date = new Date(), userId, notes } = {}) {
+    const value = Number(balance);
+    if (!Number.isFinite(value)) throw historyError('Balance must be a number');
+    const day = dayStart(date);
+    if (day > new Date()) throw historyError('Balances cannot be recorded for a future date');
+
+    return BankBalanceSnapshot.findOneAndUpdate(
+        { bankAccount: account._id, date: day, source: 'manual' },
+        { $set: { organization: account.organization, balance: value, recordedBy: userId, notes } },
+        { upsert: true, new: true, runValidators: true }
+    );
+}
+
+/**
+ * Set the account's currentBalance from the latest day in its history, so a
+ * statement import never overwrites a more recent balance entered by hand.
+ * @returns {Object|null} The snapshot used
+ */
+async function refreshCurrentBalance(bankAccountId, organizationId) {
+    const latest = await snapshotAt(bankAccountId, new Date());
+    if (latest) {
+        await BankAccount.findOneAndUpdate(
+            { _id: bankAccountId, organization: organizationId },
+            { currentBalance: latest.balance, lastBalanceUpdate: new Date() }
+        );
+    }
+    return latest;
+}
+
+/**
+ * Balance of each organization account on `asOf`, from the history. For
+ * today, a currentBalance changed after the latest snapshot (set before
+ * balance history existed) is used instead;
+ * accounts without history before a past date are listed in missingHistory.
+ * @param {Object} converter - Optional fxService converter to reuse
+ * @returns {Object} { asOf, currency, cash, accounts, missingHistory, fxBasis }
+ */
+async function getCashPosition(organization, asOfDate = new Date(), converter = null) {
+    const asOf = parseDate(asOfDate, 'as-of');
+    const isToday = dayStart(asOf).getTime() >= dayStart(new Date()).getTime();
+    const [accounts, fx] = await Promise.all([
+        BankAccount.find({ organization: organization._id }).sort({ accountName: 1 }),
+        converter || fxService.createConverter(organization._id, organization.currency || 'INR')
+    ]);
+
+    const rows = [];
+    const missingHistory = [];
+    for (const account of accounts) {
+        const snapshot = await snapshotAt(account._id, asOf);
+        let balance = null;
+        let balanceDate = null;
+        let source = null;
+        const setSinceSnapshot = snapshot && dayStart(account.lastBalanceUpdate || 0) > snapshot.date
+            && Math.abs(account.currentBalance - snapshot.balance) > BALANCE_TOLERANCE;
+        if (isToday && (!snapshot || setSinceSnapshot)) {
+            balance = account.currentBalance;
+            balanceDate = account.lastBalanceUpdate;
+            source = 'current_balance';
+        } else if (snapshot) {
+            balance = snapshot.balance;
+            balanceDate = snapshot.date;
+            source = snapshot.source;
+        } else {
+            missingHistory.push({ bankAccountId: account._id, accountName: account.accountName });
+            continue;
+        }
+        rows.push({
+            bankAccountId: account._id,
+            accountName: account.accountName,
+            bankName: account.bankName,
+            currency: account.currency,
+            balance,
+            balanceInReportingCurrency: round2(fx.convert(balance, account.currency, asOf)),
+            balanceDate,
+            source,
+            lastBalanceUpdate: account.lastBalanceUpdate
+        });
+    }
+
+    return {
+        asOf,
+        currency: fx.reportingCurrency,
+        cash: round2(rows.reduce((sum, row) => sum + row.balanceInReportingCurrency, 0)),
+        accounts: rows,
+        missingHistory,
+        fxBasis: fx.basis()
+    };
+}
+
+/**
+ * Daily closing balances of one account between two dates. Days without a
+ * snapshot carry the previous balance forward (carriedForward: true); days
+ * before the first snapshot have a null balance.
+ * @returns {Object} { bankAccountId, currency, from, to, points: [{ date, balance, source, carriedForward }] }
+ */
+async function getBalanceSeries(account, { from, to } = {}) {
+    const end = dayStart(to ? parseDate(to, 'end') : new Date());
+    const start = dayStart(from ? parseDate(from, 'start') : moment.utc(end).subtract(90, 'days').toDate());
+    if (start > end) throw historyError('Start date must be before end date');
+    if ((end - start) / DAY_MS + 1 > MAX_SERIES_DAYS) throw historyError(`At most ${MAX_SERIES_DAYS} days per request`);
+
+    const [opening, snapshots] = await Promise.all([
+        snapshotAt(account._id, new Date(start.getTime() - DAY_MS)),
+        // Oldest first within a day, so the most recently recorded balance is applied last
+        BankBalanceSnapshot.find({ bankAccount: account._id, date: { $gte: start, $lte: end } })
+            .sort({ date: 1, updatedAt: 1 })
+            .lean()
+    ]);
+
+    const byDay = new Map(snapshots.map(s => [dayKey(s.date), s]));
+    const points = [];
+    let current = opening;
+    for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+        const snapshot = byDay.get(dayKey(day));
+        if (snapshot) current = snapshot;
+        points.push({
+            date: dayKey(day),
+            balance: current ? current.balance : null,
+            source: current ? current.source : null,
+            carriedForward: !snapshot && !!current
+        });
+    }
+    return { bankAccountId: account._id, currency: account.currency, from: dayKey(start), to: dayKey(end), points };
+}
+
+/**
+ * Total cash over time with the runway it implied: at each point (month end,
+ * or each day) the summed account balances from the history, and runway as
+ * cash over the average monthly net burn (actual expenses less received
+ * revenue) of the RUNWAY_BURN_MONTHS calendar months up to the point.
+ * @param {Object} options - { from, to, interval: 'month' | 'day' }
+ */
+async function getCashHistory(organization, { from, to, interval = 'month' } = {}) {
+    if (!['month', 'day'].includes(interval)) throw historyError('interval must be month or day');
+    const end = to ? parseDate(to, 'end') : new Date();
+    const start = from ? parseDate(from, 'start') : moment.utc(end).subtract(11, 'months').startOf('month').toDate();
+    if (start > end) throw historyError('Start date must be before end date');
+
+    const points = [];
+    if (interval === 'day') {
+        for (let day = dayStart(start); day <= end; day = new Date(day.getTime() + DAY_MS)) points.push(day);
+        if (points.length > MAX_SERIES_DAYS) throw historyError(`At most ${MAX_SERIES_DAYS} days per request`);
+    } else {
+        for (let month = moment.utc(start).startOf('month'); month.isSameOrBefore(end); month.add(1, 'month')) {
+            const monthEnd = month.clone().endOf('month').toDate();
+            points.push(monthEnd > end ? end : monthEnd);
+        }
+        if (points.length > MAX_HISTORY_MONTHS) throw historyError(`At most ${MAX_HISTORY_MONTHS} months per request`);
+    }
+
+    const organizationId = organization._id;
+    const currency = organization.currency || 'INR';
+    const [accounts, fx] = await Promise.all([
+        BankAccount.find({ organization: organizationId }),
+        fxService.createConverter(organizationId, currency)
+    ]);
+    const snapshots = await BankBalanceSnapshot.find({
+        bankAccount: { $in: accounts.map(a => a._id) },
+        date: { $lte: dayStart(end) }
+    }).sort({ date: 1, updatedAt: 1 }).lean();
+
+    // Monthly net burn in the reporting currency
+    const burnFrom = moment.utc(points[0]).startOf('month').subtract(RUNWAY_BURN_MONTHS - 1, 'months').toDate();
+    const byMonth = { $dateToString: { format: '%Y-%m', date: '$date' } };
+    const [expenseRows, revenueRows] = await Promise.all([
+        fxService.sumConverted(Expense, { organization: organizationId, ...Expense.actualsFilter(), date: { $gte: burnFrom, $lte: end } }, fx, { groupBy: byMonth }),
+        fxService.sumConverted(Revenue, { organization: organizationId, status: { $in: ['Received', 'Credited'] }, date: { $gte: burnFrom, $lte: end } }, fx, { groupBy: byMonth })
+    ]);
+    const netBurn = new Map();
+    expenseRows.forEach(r => netBurn.set(r._id, (netBurn.get(r._id) || 0) + r.total));
+    revenueRows.forEach(r => netBurn.set(r._id, (netBurn.get(r._id) || 0) - r.total));
+
+    const accountById = new Map(accounts.map(a => [String(a._id), a]));
+    const latest = new Map(); // account id -> snapshot in effect
+    let cursor = 0;
+    const series = points.map(point => {
+        const day = dayStart(point);
+        while (cursor < snapshots.length && snapshots[cursor].date <= day) {
+            latest.set(String(snapshots[cursor].bankAccount), snapshots[cursor]);
+            cursor++;
+        }
+        let cash = 0;
+        for (const [accountId, snapshot] of latest) {
+            const account = accountById.get(accountId);
+            cash += fx.convert(snapshot.balance, account.currency, point) || 0;
+        }
+
+        const months = [];
+        for (let i = RUNWAY_BURN_MONTHS - 1; i >= 0; i--) {
+            months.push(moment.utc(point).subtract(i, 'months').format('YYYY-MM'));
+        }
+        const monthlyBurn = round2(months.reduce((sum, key) => sum + (netBurn.get(key) || 0), 0) / months.length);
+        return {
+            date: dayKey(point),
+            cash: round2(cash),
+            accountsWithHistory: latest.size,
+            monthlyNetBurn: monthlyBurn,
+            runwayMonths: monthlyBurn > 0 ? Math.round((cash / monthlyBurn) * 10) / 10 : null
+        };
+    });
+
+    return {
+        currency,
+        interval,
+        from: dayKey(start),
+        to: dayKey(end),
+        accounts: accounts.length,
+        points: series,
+        notes: [
+            'Cash is the sum of each account\'s latest statement or manual balance on or before the date; accounts without history by then are left out (see accountsWithHistory).',
+            `Runway divides cash by the average monthly net burn of the ${RUNWAY_BURN_MONTHS} calendar months up to the date; null when the business was not burning cash.`
+        ],
+        fxBasis: fx.basis()
+    };
+}
+
+/**
+ * Check an account's statement running balances against the imported lines.
+ * Walking the lines in statement order, each running balance should equal
+ * the previous one plus the line's amount. A break is reported once, then
+ * the walk continues from the statement balance. A break equal to minus a
+ * line that was imported twice is a duplicate import; any other break means
+ * lines between the two balances are missing.
+ * @returns {Object} { openingBalance, closing, linesChecked, linesWithoutBalance, gaps, duplicates, status }
+ */
+async function verifyStatementBalances(account, organizationId, { from, to } = {}) {
+    const BankTransaction = bankTransactionModel();
+    const query = { organization: organizationId, bankAccountId: account._id };
+    const start = from ? dayStart(parseDate(from, 'start')) : null;
+    if (from || to) {
+        query.date = {};
+        if (start) query.date.$gte = start;
+        if (to) query.date.$lt = new Date(dayStart(parseDate(to, 'end')).getTime() + DAY_MS);
+    }
+    const lines = await BankTransaction.find(query)
+        .sort({ date: 1, _id: 1 })
+        .select('date description amount balance transactionId importBatchId')
+        .lean();
+    if (!lines.length) {
+        return { bankAccountId: account._id, openingBalance: null, closing: null, linesChecked: 0, linesWithoutBalance: 0, gaps: [], duplicates: [], status: 'no_transactions' };
+    }
+
+    // The same line imported more than once (different batches or ids)
+    const groups = new Map();
+    for (const line of lines) {
+        const key = [dayKey(line.date), line.amount, line.balance ?? '', line.description.trim().toLowerCase()].join('|');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(line);
+    }
+    const duplicates = [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => ({
+            date: group[0].date,
+            description: group[0].description,
+            amount: group[0].amount,
+            balance: group[0].balance ?? null,
+            bankTransactionIds: group.map(line => line._id),
+            importBatchIds: [...new Set(group.map(line => line.importBatchId).filter(Boolean))]
+        }));
+    const duplicateIds = new Set(duplicates.flatMap(d => d.bankTransactionIds.map(String)));
+
+    const before = start ? await snapshotAt(account._id, new Date(start.getTime() - DAY_MS), 'statement') : null;
+    const ordered = orderLines(lines, before ? before.balance : null);
+    // Without an earlier statement balance, the first balance less its own amount is the opening
+    const firstOrdered = ordered.find(hasBalance);
+    const openingBalance = before
+        ? before.balance
+        : firstOrdered ? round2(firstOrdered.balance - firstOrdered.amount) : null;
+
+    const gaps = [];
+    let linesWithoutBalance = 0;
+    let anchor = openingBalance;      // last statement balance
+    let expected = openingBalance;    // anchor plus lines since
+    let computed = openingBalance;    // opening plus every line, never re-anchored
+    let sinceAnchor = [];
+    let previousLine = null;
+    let closing = null;
+    for (const line of ordered) {
+        sinceAnchor.push(line);
+        if (expected !== null) expected = round2(expected + line.amount);
+        if (computed !== null) computed = round2(computed + line.amount);
+        if (!hasBalance(line)) {
+            linesWithoutBalance++;
+            continue;
+        }
+        if (expected !== null && Math.abs(line.balance - expected) > BALANCE_TOLERANCE) {
+            const difference = round2(line.balance - expected);
+            const duplicate = sinceAnchor.find(l => duplicateIds.has(String(l._id)) && Math.abs(difference + l.amount) <= BALANCE_TOLERANCE);
+            gaps.push({
+                kind: duplicate ? 'duplicate_import' : 'missing_transactions',
+                from: previousLine ? previousLine.date : null,
+                to: line.date,
+                afterTransactionId: previousLine ? previousLine._id : null,
+                atTransactionId: line._id,
+                previousStatementBalance: anchor,
+                expectedBalance: expected,
+                statementBalance: line.balance,
+                difference,
+                duplicateTransactionId: duplicate ? duplicate._id : undefined,
+                note: duplicate
+                    ? `"${duplicate.description}" (${duplicate.amount}) appears to be imported twice`
+                    : `Statement balance moved ${difference > 0 ? 'up' : 'down'} by ${Math.abs(difference)} more than the imported lines account for`
+            });
+        }
+        anchor = line.balance;
+        expected = line.balance;
+        sinceAnchor = [];
+        previousLine = line;
+        closing = { date: line.date, statementBalance: line.balance, computedBalance: computed };
+    }
+    if (closing) closing.difference = round2(closing.statementBalance - closing.computedBalance);
+
+    return {
+        bankAccountId: account._id,
+        currency: account.currency,
+        openingBalance,
+        closing,
+        linesChecked: lines.length,
+        linesWithoutBalance,
+        gaps,
+        duplicates,
+        status: !closing ? 'no_statement_balances' : gaps.length || duplicates.length ? 'discrepancies_found' : 'ok'
+    };
+}
+
+module.exports = {
+    dayStart,
+    balanceAt: snapshotAt,
+    recordStatementBalances,
+    recordManualBalance,
+    refreshCurrentBalance,
+    getCashPosition,
+    getBalanceSeries,
+    getCashHistory,
+    verifyStatementBalances
+};
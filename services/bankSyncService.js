@@ -2,7 +2,10 @@
 const mongoose = require('mongoose');
 const moment = require('moment');
 const crypto = require('crypto');
+const pdfParse = require('pdf-parse');
 const { getTransactionCategorizer } = require('./transactionCategorizer');
+const transactionRuleService = require('./transactionRuleService');
+const balanceHistoryService = require('./balanceHistoryService');
 
 // Updated Model for Bank Transactions with multi-tenancy
 const BankTransactionSchema = new mongoose.Schema({
@@ -21,19 +24,34 @@ const BankTransactionSchema = new mongoose.Schema({
     category: { type: String },
     isAutoCategized: { type: Boolean, default: false },
     categorizationConfidence: { type: Number },
+    // Where the category came from: the ML categorizer, a transaction rule or a user correction
+    categorySource: { type: String, enum: ['ml', 'rule', 'manual'] },
+    appliedRule: { type: mongoose.Schema.Types.ObjectId, ref: 'TransactionRule' },
+    recurringTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringTransaction' },
     
     // Reconciliation
     reconciliationStatus: {
         type: String,
-        enum: ['pending', 'matched', 'manual_review', 'ignored'],
+        enum: ['pending', 'matched', 'partially_matched', 'manual_review', 'ignored'],
         default: 'pending'
     },
+    // First matched entry of each kind, kept for one-to-one consumers
     matchedExpenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense' },
     matchedRevenueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Revenue' },
+    // Split matching: the part of this transaction settling each entry. One
+    // debit can pay several expenses and one entry can be paid by several
+    // transactions; amounts are positive, in the account currency.
+    matches: [{
+        entryType: { type: String, enum: ['expense', 'revenue'], required: true },
+        entryId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        amount: { type: Number, required: true, min: 0 },
+        matchedAt: { type: Date, default: Date.now }
+    }],
+    matchedAmount: { type: Number, default: 0 },
     
     // Manual import metadata
     importBatchId: { type: String },
-    importSource: { type: String, enum: ['manual_csv', 'manual_entry', 'api', 'pdf'], default: 'manual_csv' },
+    importSource: { type: String, enum: ['manual_csv', 'manual_entry', 'api', 'pdf', 'ofx'], default: 'manual_csv' },
     
     // Additional metadata
     merchantName: { type: String },
@@ -53,9 +71,147 @@ BankTransactionSchema.index({ organization: 1, bankAccountId: 1, transactionId:
 BankTransactionSchema.index({ organization: 1, date: -1 });
 BankTransactionSchema.index({ organization: 1, reconciliationStatus: 1 });
 BankTransactionSchema.index({ organization: 1, bankAccountId: 1 });
+BankTransactionSchema.index({ organization: 1, 'matches.entryId': 1 });
+BankTransactionSchema.index({ organization: 1, matchedExpenseId: 1 });
+BankTransactionSchema.index({ organization: 1, matchedRevenueId: 1 });
 
 const BankTransaction = mongoose.model('BankTransaction', BankTransactionSchema);
 
+// Header-driven CSV layouts. Column names are matched after normalizeHeader();
+// `signature` columns must all be present for auto-detection to pick the layout.
+const BANK_LAYOUTS = {
+    axis: {
+        label: 'Axis Bank',
+        signature: ['tran date', 'particulars', 'dr', 'cr', 'bal'],
+        columns: {
+            date: ['tran date', 'transaction date'],
+            description: ['particulars'],
+            reference: ['chqno', 'chq no', 'cheque no'],
+            debit: ['dr', 'debit'],
+            credit: ['cr', 'credit'],
+            balance: ['bal', 'balance'],
+        },
+        dateFormats: ['DD-MM-YYYY', 'DD/MM/YYYY', 'DD-MM-YY'],
+    },
+    kotak: {
+        label: 'Kotak Mahindra Bank',
+        signature: ['description', 'amount', 'dr / cr'],
+        columns: {
+            date: ['transaction date', 'date'],
+            description: ['description', 'narration'],
+            reference: ['chq / ref no', 'chq/ref no', 'reference no'],
+            amount: ['amount'],
+            direction: ['dr / cr', 'dr/cr'],
+            balance: ['balance'],
+        },
+        dateFormats: ['DD-MM-YYYY', 'DD/MM/YYYY', 'DD MMM YYYY', 'DD-MMM-YYYY'],
+    },
+    yes: {
+        label: 'Yes Bank',
+        signature: ['withdrawals', 'deposits', 'running balance'],
+        columns: {
+            date: ['transaction date', 'txn date'],
+            description: ['description', 'narration'],
+            reference: ['cheque no/reference no', 'reference no', 'cheque no'],
+            debit: ['withdrawals'],
+            credit: ['deposits'],
+            balance: ['running balance'],
+        },
+        dateFormats: ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'DD MMM YYYY'],
+    },
+    idfc: {
+        label: 'IDFC FIRST Bank',
+        signature: ['transaction date', 'particulars', 'debit', 'credit', 'balance'],
+        columns: {
+            date: ['transaction date'],
+            description: ['particulars'],
+            reference: ['cheque no', 'chq no', 'reference no'],
+            debit: ['debit'],
+            credit: ['credit'],
+            balance: ['balance'],
+        },
+        dateFormats: ['DD-MMM-YYYY', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD MMM YYYY'],
+    },
+};
+
+// Headers of the positional HDFC / ICICI / SBI exports, used only to auto-detect them
+const POSITIONAL_SIGNATURES = {
+    hdfc: ['narration', 'closing balance'],
+    icici: ['transaction remarks'],
+    sbi: ['txn date', 'ref no /cheque no'],
+};
+
+// How many leading lines to search for the header row (exports often start with account details)
+const HEADER_SEARCH_LINES = 30;
+
+// Statuses a bank transaction can still take (more) matches in
+const OPEN_MATCH_STATUSES = ['pending', 'manual_review', 'partially_matched'];
+// Residuals at or below this are treated as settled (one paisa / cent)
+const MATCH_TOLERANCE = 0.01;
+// Split candidates: entries dated this far before / after the bank transaction
+// (a card bill settles the previous cycle), and payments this far after an entry
+const SPLIT_LOOKBACK_DAYS = 45;
+const SPLIT_LOOKAHEAD_DAYS = 3;
+const PAYMENT_LOOKAHEAD_DAYS = 60;
+// Subset-sum search bounds
+const MAX_SPLIT_CANDIDATES = 40;
+const MAX_SPLIT_SIZE = 8;
+const MAX_SPLIT_SUGGESTIONS = 5;
+const MAX_SUBSET_SEARCH_STEPS = 50000;
+
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+
+function matchError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Subsets of `items` ({ value }) whose values sum to `target` within
+ * `tolerance`. Works in cents; the depth-first search is bounded by
+ * maxSize, maxResults and a step budget, so very large candidate lists
+ * return the subsets found so far rather than every one.
+ * @returns {Array} [{ items, total, difference }] smallest subsets first
+ */
+function findSubsetSums(items, target, { tolerance = MATCH_TOLERANCE, maxSize = MAX_SPLIT_SIZE, maxResults = MAX_SPLIT_SUGGESTIONS, maxSteps = MAX_SUBSET_SEARCH_STEPS } = {}) {
+    const goal = Math.round(target * 100);
+    const slack = Math.round(tolerance * 100);
+    const sorted = items
+        .map(item => ({ item, cents: Math.round(item.value * 100) }))
+        .filter(c => c.cents > 0 && c.cents <= goal + slack)
+        .sort((a, b) => b.cents - a.cents);
+    // suffix[i] = sum of sorted[i..], to prune branches that can no longer reach the goal
+    const suffix = new Array(sorted.length + 1).fill(0);
+    for (let i = sorted.length - 1; i >= 0; i--) suffix[i] = suffix[i + 1] + sorted[i].cents;
+
+    const results = [];
+    const chosen = [];
+    let steps = 0;
+    const search = (start, sum) => {
+        if (Math.abs(sum - goal) <= slack && chosen.length) {
+            results.push({
+                items: chosen.map(c => c.item),
+                total: sum / 100,
+                difference: (sum - goal) / 100
+            });
+        }
+        if (chosen.length >= maxSize) return;
+        for (let i = start; i < sorted.length; i++) {
+            if (++steps > maxSteps || results.length >= maxResults * 4) return;
+            if (sum + suffix[i] < goal - slack) return;
+            const next = sum + sorted[i].cents;
+            if (next > goal + slack) continue;
+            chosen.push(sorted[i]);
+            search(i + 1, next);
+            chosen.pop();
+        }
+    };
+    search(0, 0);
+
+    return results
+        .sort((a, b) => a.items.length - b.items.length || Math.abs(a.difference) - Math.abs(b.difference))
+        .slice(0, maxResults);
+}
+
 class BankSyncService {
     constructor() {
         this.supportedFormats = {
@@ -63,15 +219,24 @@ class BankSyncService {
             'icici': this.parseICICIFormat,
             'sbi': this.parseSBIFormat,
             'axis': this.parseAxisFormat,
+            'kotak': this.parseKotakFormat,
+            'yes': this.parseYesBankFormat,
+            'idfc': this.parseIDFCFormat,
+            'ofx': this.parseOFXFormat,
+            'qfx': this.parseOFXFormat,
+            'pdf': this.parsePDFStatement,
             'generic': this.parseGenericFormat
         };
     }
 
-    // Manual CSV Import - Updated for multi-tenancy
-    async importBankStatement(csvData, bankAccountId, bankFormat, userId, organizationId) {
+    // Manual statement import (CSV, OFX/QFX or text-based PDF) - Updated for multi-tenancy
+    // `statement` is the raw upload (Buffer) or CSV text; bankFormat 'auto' detects the layout.
+    async importBankStatement(statement, bankAccountId, bankFormat, userId, organizationId) {
         const importBatchId = this.generateBatchId();
         const transactions = [];
         const errors = [];
+        let detectedFormat = bankFormat;
+        let warnings = [];
         
         try {
             // Verify bank account belongs to organization
@@ -85,12 +250,31 @@ class BankSyncService {
                 throw new Error('Bank account not found or unauthorized');
             }
             
-            // Parse CSV based on bank format
-            const parser = this.supportedFormats[bankFormat] || this.supportedFormats.generic;
-            const parsedTransactions = await parser.call(this, csvData);
+            // Parse based on bank format (auto-detected from the content when asked)
+            let data = statement;
+            if (!bankFormat || bankFormat === 'auto') {
+                const detection = this.detectFormat(statement);
+                detectedFormat = detection.format;
+                data = detection.data;
+            }
+            if (Buffer.isBuffer(data) && detectedFormat !== 'pdf') data = data.toString('utf-8');
+            const parser = this.supportedFormats[detectedFormat] || this.supportedFormats.generic;
+            const parsed = await parser.call(this, data);
+            // Parsers return an array of rows, or { transactions, warnings, currency } when they have more to say
+            const parsedTransactions = Array.isArray(parsed) ? parsed : parsed.transactions;
+            warnings = Array.isArray(parsed) ? [] : (parsed.warnings || []);
+            if (!Array.isArray(parsed) && parsed.currency && bankAccount.currency && parsed.currency !== bankAccount.currency) {
+                warnings.push(`Statement currency ${parsed.currency} differs from the account currency ${bankAccount.currency}`);
+            }
+            const importSource = detectedFormat === 'pdf' ? 'pdf'
+                : ['ofx', 'qfx'].includes(detectedFormat) ? 'ofx'
+                : 'manual_csv';
             
             // Get transaction categorizer with organization context
             const categorizer = await getTransactionCategorizer();
+            // The organization's rules run first; the first matching rule wins
+            const ruleSet = await transactionRuleService.loadRuleSet(organizationId);
+            const rulesByTransactionId = new Map();
             
             // Process each transaction
             for (const txn of parsedTransactions) {
@@ -111,13 +295,18 @@ class BankSyncService {
                         continue;
                     }
                     
-                    // Auto-categorize with organization context
-                    const categorization = await categorizer.categorizeTransaction(
-                        txn.description,
-                        Math.abs(txn.amount),
-                        txn.merchantName,
-                        organizationId
-                    );
+                    const rule = ruleSet.match({ ...txn, bankAccountId });
+                    
+                    // Auto-categorize with organization context (unless a rule sets the category)
+                    const categorization = rule && rule.actions.category
+                        ? { category: rule.actions.category, confidence: 1 }
+                        : await categorizer.categorizeTransaction(
+                            txn.description,
+                            Math.abs(txn.amount),
+                            txn.merchantName,
+                            organizationId
+                        );
+                    const categorizedByRule = Boolean(rule && rule.actions.category);
                     
                     // Create transaction record
                     const bankTransaction = new BankTransaction({
@@ -130,15 +319,20 @@ class BankSyncService {
                         balance: txn.balance,
                         type: txn.amount > 0 ? 'credit' : 'debit',
                         category: categorization.category,
-                        isAutoCategized: true,
+                        isAutoCategized: !categorizedByRule,
                         categorizationConfidence: categorization.confidence,
+                        categorySource: categorizedByRule ? 'rule' : 'ml',
+                        appliedRule: rule ? rule._id : undefined,
+                        tags: rule ? rule.actions.tags : [],
+                        reconciliationStatus: rule && rule.actions.ignore ? 'ignored' : 'pending',
                         merchantName: txn.merchantName,
                         importBatchId,
-                        importSource: 'manual_csv',
+                        importSource,
                         createdBy: userId
                     });
                     
                     transactions.push(bankTransaction);
+                    if (rule) rulesByTransactionId.set(txn.transactionId, rule);
                 } catch (error) {
                     errors.push({
                         row: txn.rowNumber,
@@ -149,20 +343,42 @@ class BankSyncService {
             }
             
             // Bulk save transactions
+            let ruleSummary = { matched: 0, entriesCreated: 0, recurringMatched: 0, ignored: 0 };
+            let reconciliation = null;
+            let autoBooked = { booked: 0, failed: [] };
             if (transactions.length > 0) {
-                await BankTransaction.insertMany(transactions);
+                const inserted = await BankTransaction.insertMany(transactions);
+                
+                // Rule actions that need the saved transaction: booking entries, recurring reconciliation
+                ruleSummary = await transactionRuleService.applyImportedRules(
+                    organizationId,
+                    inserted.map(doc => ({ bankTransaction: doc, rule: rulesByTransactionId.get(doc.transactionId) })),
+                    userId
+                );
                 
-                // Update bank account balance
-                await this.updateBankAccountBalance(bankAccountId, organizationId);
+                // Record the statement's daily balances and update the account balance
+                const dates = inserted.map(doc => doc.date.getTime());
+                await this.updateBankAccountBalance(bankAccountId, organizationId, {
+                    from: new Date(Math.min(...dates)),
+                    to: new Date(Math.max(...dates))
+                });
                 
                 // Trigger auto-reconciliation
-                await this.autoReconcile(bankAccountId, importBatchId, organizationId);
+                reconciliation = await this.autoReconcile(bankAccountId, importBatchId, organizationId);
+                
+                // Whatever is still unmatched can be booked straight from the feed (organization setting)
+                autoBooked = await this.autoBookTransactions(bankAccountId, importBatchId, organizationId, userId);
             }
             
             return {
                 success: true,
                 importBatchId,
+                format: detectedFormat,
+                warnings,
                 imported: transactions.length,
+                rules: ruleSummary,
+                reconciliation,
+                autoBooked,
                 errors: errors.length,
                 errorDetails: errors,
                 summary: {
@@ -180,6 +396,7 @@ class BankSyncService {
                 success: false,
                 error: error.message,
                 importBatchId,
+                format: detectedFormat,
                 imported: 0,
                 errors: errors.length + 1
             };
@@ -284,8 +501,89 @@ class BankSyncService {
     }
 
     parseAxisFormat(csvData) {
-        // Similar to other banks
-        return this.parseGenericFormat(csvData);
+        // Axis format:
+        // SRL NO,Tran Date,CHQNO,PARTICULARS,DR,CR,BAL,SOL
+        return this.parseLayoutFormat(csvData, BANK_LAYOUTS.axis);
+    }
+
+    parseKotakFormat(csvData) {
+        // Kotak format (one amount column with a Dr/Cr marker):
+        // Sl. No.,Transaction Date,Value Date,Description,Chq / Ref No.,Amount,Dr / Cr,Balance,Dr / Cr
+        return this.parseLayoutFormat(csvData, BANK_LAYOUTS.kotak);
+    }
+
+    parseYesBankFormat(csvData) {
+        // Yes Bank format:
+        // Transaction Date,Value Date,Cheque No/Reference No,Description,Withdrawals,Deposits,Running Balance
+        return this.parseLayoutFormat(csvData, BANK_LAYOUTS.yes);
+    }
+
+    parseIDFCFormat(csvData) {
+        // IDFC FIRST format:
+        // Transaction Date,Value Date,Particulars,Cheque No.,Debit,Credit,Balance
+        return this.parseLayoutFormat(csvData, BANK_LAYOUTS.idfc);
+    }
+
+    // Header-driven parser for BANK_LAYOUTS entries. Skips any preamble above the
+    // header row and the opening/closing balance and total rows below it.
+    parseLayoutFormat(csvData, layout) {
+        const lines = csvData.split(/\r?\n/);
+        const headerIndex = this.findHeaderRow(lines, layout.signature);
+        if (headerIndex === -1) {
+            throw new Error(`Could not find the ${layout.label} header row (expected columns: ${layout.signature.join(', ')})`);
+        }
+        const headers = this.parseCSVLine(lines[headerIndex]).map(h => this.normalizeHeader(h));
+        const col = {};
+        for (const [field, aliases] of Object.entries(layout.columns)) {
+            col[field] = headers.findIndex(h => aliases.includes(h));
+        }
+        // Kotak repeats "Dr / Cr" after the balance; the one that applies to the amount follows it
+        if (col.direction !== undefined && col.amount !== -1) {
+            col.direction = headers.findIndex((h, idx) => idx > col.amount && layout.columns.direction.includes(h));
+        }
+
+        const transactions = [];
+        const warnings = [];
+        for (let i = headerIndex + 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+            const values = this.parseCSVLine(line);
+            const rawDate = values[col.date];
+            const description = values[col.description];
+            if (!rawDate || !description) continue;
+
+            const date = moment(rawDate, layout.dateFormats, true);
+            if (!date.isValid()) {
+                // Footer rows ("Opening Balance", "Total") have no date
+                if (/\d/.test(rawDate)) warnings.push(`Row ${i + 1}: unrecognised date "${rawDate}"`);
+                continue;
+            }
+
+            let amount;
+            if (col.amount !== undefined && col.amount !== -1) {
+                const value = this.parseAmount(values[col.amount]);
+                const marker = String(values[col.direction] || '').trim().toUpperCase();
+                amount = marker.startsWith('CR') ? Math.abs(value) : -Math.abs(value);
+            } else {
+                const credit = this.parseAmount(values[col.credit]);
+                const debit = this.parseAmount(values[col.debit]);
+                amount = credit ? Math.abs(credit) : -Math.abs(debit || 0);
+            }
+            if (!amount) continue;
+
+            const reference = col.reference !== -1 ? values[col.reference] : undefined;
+            transactions.push({
+                rowNumber: i + 1,
+                transactionId: this.generateTransactionId(rawDate, reference || `${i}:${description}`, amount),
+                date: date.toDate(),
+                description,
+                amount,
+                balance: col.balance !== -1 ? this.parseAmount(values[col.balance]) : null,
+                merchantName: this.extractMerchantName(description),
+                referenceNumber: reference || undefined
+            });
+        }
+        return { transactions, warnings };
     }
 
     parseGenericFormat(csvData) {
@@ -330,6 +628,184 @@ class BankSyncService {
         return transactions;
     }
 
+    // OFX 1.x (SGML) and 2.x (XML) / Quicken QFX. FITID is the bank's own
+    // transaction id, so re-imports of overlapping statements de-duplicate exactly.
+    parseOFXFormat(ofxData) {
+        const text = String(ofxData);
+        if (!/<OFX>/i.test(text)) throw new Error('Not an OFX/QFX file (no <OFX> element)');
+        const tag = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : null;
+        };
+        const parseOfxDate = (value) => {
+            // YYYYMMDD[HHMMSS[.XXX]][[-5:EST]] — the calendar date is what statements show
+            const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+            return match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+        };
+
+        const transactions = [];
+        const warnings = [];
+        const blocks = text.split(/<STMTTRN>/i).slice(1);
+        blocks.forEach((rawBlock, index) => {
+            const block = rawBlock.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+            const date = parseOfxDate(tag(block, 'DTPOSTED'));
+            const amount = this.parseAmount(tag(block, 'TRNAMT'));
+            if (!date || amount === null) {
+                warnings.push(`Transaction ${index + 1}: missing DTPOSTED or TRNAMT`);
+                return;
+            }
+            const name = tag(block, 'NAME');
+            const memo = tag(block, 'MEMO');
+            const description = [name, memo].filter(Boolean).join(' - ') || tag(block, 'TRNTYPE') || 'Transaction';
+            const fitId = tag(block, 'FITID');
+            transactions.push({
+                rowNumber: index + 1,
+                transactionId: fitId || this.generateTransactionId(date.toISOString(), tag(block, 'CHECKNUM') || index, amount),
+                date,
+                description,
+                amount,
+                balance: null,
+                merchantName: name || this.extractMerchantName(description),
+                referenceNumber: tag(block, 'CHECKNUM') || tag(block, 'REFNUM') || undefined
+            });
+        });
+
+        // Only the closing (ledger) balance is in the file; pin it to the last transaction of that day
+        const ledger = text.split(/<LEDGERBAL>/i)[1];
+        const closingBalance = ledger ? this.parseAmount(tag(ledger, 'BALAMT')) : null;
+        const balanceDate = ledger ? parseOfxDate(tag(ledger, 'DTASOF')) : null;
+        if (closingBalance !== null && transactions.length) {
+            const latest = transactions.reduce((a, b) => (b.date >= a.date ? b : a));
+            if (!balanceDate || latest.date.getTime() === balanceDate.getTime()) latest.balance = closingBalance;
+        }
+
+        return { transactions, warnings, currency: tag(text, 'CURDEF') };
+    }
+
+    // Text-based PDF statements. Each transaction line starts with a date and ends
+    // with the amount and the running balance; wrapped narration lines are joined
+    // back on. Debit vs credit comes from the balance movement (or a Dr/Cr marker).
+    async parsePDFStatement(pdfBuffer) {
+        if (!Buffer.isBuffer(pdfBuffer)) throw new Error('PDF statements must be uploaded as files');
+        // pdf.js reads the whole underlying ArrayBuffer, so hand it a standalone copy (small Buffers share Node's pool)
+        const { text } = await pdfParse(new Uint8Array(pdfBuffer));
+        if (!text || !text.trim()) {
+            throw new Error('This PDF has no text layer (scanned statement). Download a text PDF, CSV or OFX from the bank instead.');
+        }
+
+        const dateAtStart = /^(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}[\s-][A-Za-z]{3}[\s-]\d{2,4})\s*(.*)$/;
+        const amountToken = /-?\(?\d{1,3}(?:,\d{2,3})*(?:\.\d{2})\)?(?:\s*(?:Cr|Dr|CR|DR))?/g;
+        const dateFormats = ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'DD/MM/YY', 'DD-MM-YY', 'DD MMM YYYY', 'DD-MMM-YYYY', 'DD MMM YY', 'DD-MMM-YY'];
+        const skipLine = /^(page\s+\d+|statement of account|date\s+(narration|description|particulars)|.*\bcontinued\b)/i;
+
+        const rows = [];
+        let openingBalance = null;
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/\s+/g, ' ').trim();
+            if (!line || skipLine.test(line)) continue;
+            if (/opening balance/i.test(line) && openingBalance === null) {
+                const amounts = line.match(amountToken);
+                if (amounts) openingBalance = this.parseAmount(amounts[amounts.length - 1]);
+                continue;
+            }
+            const match = line.match(dateAtStart);
+            const date = match ? moment(match[1], dateFormats, true) : null;
+            if (date && date.isValid()) {
+                const amounts = match[2].match(amountToken) || [];
+                if (amounts.length === 0) continue;
+                // Strip the trailing amount columns (and any value date) to leave the narration
+                let narration = match[2];
+                for (const token of amounts) narration = narration.replace(token, ' ');
+                narration = narration.replace(/^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\s*/, '').replace(/\s+/g, ' ').trim();
+                rows.push({ date: date.toDate(), rawDate: match[1], narration, amounts });
+            } else if (rows.length && !/total|closing balance|balance b\/f/i.test(line)) {
+                // Wrapped narration
+                rows[rows.length - 1].narration = `${rows[rows.length - 1].narration} ${line}`.trim().slice(0, 500);
+            }
+        }
+
+        const transactions = [];
+        const warnings = [];
+        let previousBalance = openingBalance;
+        rows.forEach((row, index) => {
+            const balanceToken = row.amounts.length > 1 ? row.amounts[row.amounts.length - 1] : null;
+            const amountTokenValue = row.amounts.length > 1 ? row.amounts[row.amounts.length - 2] : row.amounts[0];
+            const balance = balanceToken ? this.parseAmount(balanceToken) : null;
+            const value = Math.abs(this.parseAmount(amountTokenValue) || 0);
+            if (!value) return;
+
+            let amount;
+            const marker = /\b(Cr|CR)\b/.test(amountTokenValue) ? 1 : /\b(Dr|DR)\b/.test(amountTokenValue) ? -1 : 0;
+            if (previousBalance !== null && balance !== null && Math.abs(Math.abs(balance - previousBalance) - value) < 0.01) {
+                amount = balance >= previousBalance ? value : -value;
+            } else if (marker) {
+                amount = marker * value;
+            } else {
+                amount = -value;
+                warnings.push(`Line ${index + 1} (${row.rawDate} ${row.narration.slice(0, 40)}): could not tell debit from credit; imported as a debit`);
+            }
+            previousBalance = balance;
+
+            const description = row.narration || 'Transaction';
+            transactions.push({
+                rowNumber: index + 1,
+                transactionId: this.generateTransactionId(row.rawDate, `${description}:${balance}`, amount),
+                date: row.date,
+                description,
+                amount,
+                balance,
+                merchantName: this.extractMerchantName(description)
+            });
+        });
+        if (transactions.length === 0) warnings.push('No transaction lines were recognised in this PDF');
+        return { transactions, warnings };
+    }
+
+    /**
+     * Pick a parser from the upload: PDF and OFX by content, CSV layouts by
+     * their header row. Returns the format key and the data to hand the parser
+     * (CSV text starting at the header row, so preamble lines are dropped).
+     */
+    detectFormat(statement) {
+        if (Buffer.isBuffer(statement) && statement.slice(0, 5).toString('latin1') === '%PDF-') {
+            return { format: 'pdf', data: statement };
+        }
+        const text = Buffer.isBuffer(statement) ? statement.toString('utf-8') : String(statement || '');
+        if (/OFXHEADER|<OFX>/i.test(text.slice(0, 2000))) return { format: 'ofx', data: text };
+
+        const lines = text.split(/\r?\n/);
+        let best = null;
+        for (let i = 0; i < Math.min(lines.length, HEADER_SEARCH_LINES); i++) {
+            const headers = this.parseCSVLine(lines[i]).map(h => this.normalizeHeader(h));
+            const candidates = [
+                ...Object.entries(BANK_LAYOUTS).map(([format, layout]) => [format, layout.signature]),
+                ...Object.entries(POSITIONAL_SIGNATURES),
+            ];
+            for (const [format, signature] of candidates) {
+                if (signature.every(col => headers.includes(col)) && (!best || signature.length > best.score)) {
+                    best = { format, score: signature.length, headerIndex: i };
+                }
+            }
+            if (best) break;
+        }
+        if (best) return { format: best.format, data: lines.slice(best.headerIndex).join('\n') };
+
+        // Generic: first line that looks like a header (has a date column and an amount-ish column)
+        const headerIndex = lines.slice(0, HEADER_SEARCH_LINES).findIndex(line => {
+            const lower = line.toLowerCase();
+            return lower.includes('date') && /debit|credit|withdrawal|deposit|amount/.test(lower);
+        });
+        return { format: 'generic', data: headerIndex > 0 ? lines.slice(headerIndex).join('\n') : text };
+    }
+
+    findHeaderRow(lines, signature) {
+        for (let i = 0; i < Math.min(lines.length, HEADER_SEARCH_LINES); i++) {
+            const headers = this.parseCSVLine(lines[i]).map(h => this.normalizeHeader(h));
+            if (signature.every(col => headers.includes(col))) return i;
+        }
+        return -1;
+    }
+
     // Auto-reconciliation - Updated for multi-tenancy
     async autoReconcile(bankAccountId, importBatchId, organizationId) {
         const unmatchedTransactions = await BankTransaction.find({
@@ -350,25 +826,30 @@ class BankSyncService {
                     
                     if (potentialMatches.length === 1 && potentialMatches[0].confidence > 0.9) {
                         // High confidence single match
-                        txn.reconciliationStatus = 'matched';
-                        txn.matchedExpenseId = potentialMatches[0].expense._id;
+                        this.setSingleMatch(txn, 'expense', potentialMatches[0].expense._id);
                         matchedCount++;
                     } else if (potentialMatches.length > 0) {
                         // Multiple potential matches or low confidence
                         txn.reconciliationStatus = 'manual_review';
                         reviewCount++;
+                    } else if ((await this.findSplitMatches(txn, organizationId)).length > 0) {
+                        // Several expenses add up to it (e.g. a card bill); splits are never applied automatically
+                        txn.reconciliationStatus = 'manual_review';
+                        reviewCount++;
                     }
                 } else {
                     // Try to match with revenue within same organization
                     const potentialMatches = await this.findRevenueMatches(txn, organizationId);
                     
                     if (potentialMatches.length === 1 && potentialMatches[0].confidence > 0.9) {
-                        txn.reconciliationStatus = 'matched';
-                        txn.matchedRevenueId = potentialMatches[0].revenue._id;
+                        this.setSingleMatch(txn, 'revenue', potentialMatches[0].revenue._id);
                         matchedCount++;
                     } else if (potentialMatches.length > 0) {
                         txn.reconciliationStatus = 'manual_review';
                         reviewCount++;
+                    } else if ((await this.findSplitMatches(txn, organizationId)).length > 0) {
+                        txn.reconciliationStatus = 'manual_review';
+                        reviewCount++;
                     }
                 }
                 
@@ -394,8 +875,10 @@ class BankSyncService {
         const dateStart = moment(bankTransaction.date).subtract(3, 'days').toDate();
         const dateEnd = moment(bankTransaction.date).add(3, 'days').toDate();
         
+        // Submitted and rejected claims are not actuals and cannot be paid by the bank line
         const potentialExpenses = await Expense.find({
             organization: organizationId,
+            ...Expense.actualsFilter(),
             date: { $gte: dateStart, $lte: dateEnd },
             amount: {
                 $gte: Math.abs(bankTransaction.amount) * 0.99,
@@ -403,9 +886,12 @@ class BankSyncService {
             }
         });
         
+        // Entries already fully matched to other bank transactions are not candidates
+        const allocated = await this.entryAllocations('expense', potentialExpenses.map(e => e._id), organizationId, bankTransaction._id);
         const matches = [];
         
         for (const expense of potentialExpenses) {
+            if (expense.amount - (allocated.get(String(expense._id)) || 0) <= MATCH_TOLERANCE) continue;
             const confidence = this.calculateMatchConfidence(bankTransaction, expense);
             if (confidence > 0.5) {
                 matches.push({
@@ -435,6 +921,7 @@ class BankSyncService {
         
         const potentialRevenues = await Revenue.find({
             organization: organizationId,
+            status: { $ne: 'Refunded' },
             date: { $gte: dateStart, $lte: dateEnd },
             amount: {
                 $gte: bankTransaction.amount * 0.99,
@@ -442,9 +929,11 @@ class BankSyncService {
             }
         });
         
+        const allocated = await this.entryAllocations('revenue', potentialRevenues.map(r => r._id), organizationId, bankTransaction._id);
         const matches = [];
         
         for (const revenue of potentialRevenues) {
+            if (revenue.amount - (allocated.get(String(revenue._id)) || 0) <= MATCH_TOLERANCE) continue;
             const confidence = this.calculateMatchConfidence(bankTransaction, revenue);
             if (confidence > 0.5) {
                 matches.push({
@@ -504,46 +993,448 @@ class BankSyncService {
         return natural.JaroWinklerDistance(str1, str2);
     }
 
-    // Manual reconciliation - Updated for multi-tenancy
+    // Manual reconciliation - Updated for multi-tenancy.
+    // Matches what is left of the transaction against what is left of the
+    // entry, alongside any split matches already on the transaction.
     async manualReconcile(bankTransactionId, matchType, matchId, organizationId) {
         const bankTxn = await BankTransaction.findOne({
             _id: bankTransactionId,
             organization: organizationId
         });
         
-        if (!bankTxn) throw new Error('Bank transaction not found or unauthorized');
+        if (!bankTxn) throw matchError('Bank transaction not found or unauthorized', 404);
         
-        if (matchType === 'expense') {
-            // Verify expense belongs to same organization
-            const Expense = mongoose.model('Expense');
-            const expense = await Expense.findOne({
-                _id: matchId,
-                organization: organizationId
-            });
-            if (!expense) throw new Error('Expense not found or unauthorized');
-            
-            bankTxn.matchedExpenseId = matchId;
-            bankTxn.matchedRevenueId = null;
-        } else if (matchType === 'revenue') {
-            // Verify revenue belongs to same organization
-            const Revenue = mongoose.model('Revenue');
-            const revenue = await Revenue.findOne({
-                _id: matchId,
-                organization: organizationId
-            });
-            if (!revenue) throw new Error('Revenue not found or unauthorized');
-            
-            bankTxn.matchedRevenueId = matchId;
-            bankTxn.matchedExpenseId = null;
-        } else if (matchType === 'ignore') {
-            bankTxn.reconciliationStatus = 'ignored';
-            return await bankTxn.save();
+        if (matchType === 'expense' || matchType === 'revenue') {
+            return this.addMatches(bankTxn, [{ entryType: matchType, entryId: matchId }], organizationId);
         }
-        
-        bankTxn.reconciliationStatus = 'matched';
+        if (matchType !== 'ignore') {
+            throw matchError('Match type must be expense, revenue or ignore');
+        }
+        bankTxn.reconciliationStatus = 'ignored';
         return await bankTxn.save();
     }
 
+    // Debits settle expenses, credits settle revenue
+    entryTypeFor(bankTxn) {
+        return bankTxn.amount < 0 ? 'expense' : 'revenue';
+    }
+
+    entryModel(entryType) {
+        return mongoose.model(entryType === 'expense' ? 'Expense' : 'Revenue');
+    }
+
+    // A transaction's matches; those reconciled before split matching only carry the legacy ids
+    allocationsOf(bankTxn) {
+        if (bankTxn.matches && bankTxn.matches.length) return bankTxn.matches;
+        const amount = Math.abs(bankTxn.amount);
+        if (bankTxn.matchedExpenseId) return [{ entryType: 'expense', entryId: bankTxn.matchedExpenseId, amount }];
+        if (bankTxn.matchedRevenueId) return [{ entryType: 'revenue', entryId: bankTxn.matchedRevenueId, amount }];
+        return [];
+    }
+
+    // Part of the transaction not yet matched to any entry
+    residualOf(bankTxn) {
+        const matched = this.allocationsOf(bankTxn).reduce((sum, m) => sum + m.amount, 0);
+        return round2(Math.abs(bankTxn.amount) - matched);
+    }
+
+    // Recompute matchedAmount, the legacy ids and the status from `matches` (does not save)
+    applyMatchState(bankTxn) {
+        const matched = round2(bankTxn.matches.reduce((sum, m) => sum + m.amount, 0));
+        const firstOf = (entryType) => (bankTxn.matches.find(m => m.entryType === entryType) || {}).entryId || null;
+        bankTxn.matchedAmount = matched;
+        bankTxn.matchedExpenseId = firstOf('expense');
+        bankTxn.matchedRevenueId = firstOf('revenue');
+        if (matched <= 0) bankTxn.reconciliationStatus = 'pending';
+        else if (Math.abs(bankTxn.amount) - matched <= MATCH_TOLERANCE) bankTxn.reconciliationStatus = 'matched';
+        else bankTxn.reconciliationStatus = 'partially_matched';
+    }
+
+    // One-to-one: the whole transaction settles a single entry (does not save)
+    setSingleMatch(bankTxn, entryType, entryId) {
+        bankTxn.matches = [{ entryType, entryId, amount: Math.abs(bankTxn.amount) }];
+        this.applyMatchState(bankTxn);
+    }
+
+    /**
+     * How much of each entry is already matched, summed over all bank
+     * transactions of the organization (optionally leaving one out).
+     * @returns {Map} entryId string -> matched amount
+     */
+    async entryAllocations(entryType, entryIds, organizationId, excludeBankTransactionId = null) {
+        const allocated = new Map();
+        if (!entryIds.length) return allocated;
+        const legacyField = entryType === 'expense' ? 'matchedExpenseId' : 'matchedRevenueId';
+        const query = {
+            organization: organizationId,
+            $or: [{ 'matches.entryId': { $in: entryIds } }, { [legacyField]: { $in: entryIds } }]
+        };
+        if (excludeBankTransactionId) query._id = { $ne: excludeBankTransactionId };
+        const transactions = await BankTransaction.find(query).select('amount matches matchedExpenseId matchedRevenueId');
+
+        const wanted = new Set(entryIds.map(String));
+        for (const txn of transactions) {
+            for (const match of this.allocationsOf(txn)) {
+                const key = String(match.entryId);
+                if (match.entryType !== entryType || !wanted.has(key)) continue;
+                allocated.set(key, round2((allocated.get(key) || 0) + match.amount));
+            }
+        }
+        return allocated;
+    }
+
+    /**
+     * Match part or all of a bank transaction to one or more entries. Each
+     * allocation is { entryType, entryId, amount }; without an amount it takes
+     * whatever is left of both the transaction and the entry. Neither side can
+     * be matched beyond its amount. The status becomes partially_matched until
+     * the whole transaction is accounted for.
+     */
+    async addMatches(bankTxn, allocations, organizationId) {
+        if (!OPEN_MATCH_STATUSES.includes(bankTxn.reconciliationStatus)) {
+            throw matchError(`Bank transaction is already ${bankTxn.reconciliationStatus}`, 409);
+        }
+        const entryType = this.entryTypeFor(bankTxn);
+        if (allocations.some(a => (a.entryType || entryType) !== entryType)) {
+            throw matchError(entryType === 'expense' ? 'Debits can only be matched to expenses' : 'Credits can only be matched to revenue');
+        }
+        if (allocations.some(a => !mongoose.Types.ObjectId.isValid(a.entryId))) {
+            throw matchError('Invalid entry ID format');
+        }
+
+        const Model = this.entryModel(entryType);
+        const ids = allocations.map(a => a.entryId);
+        const entries = await Model.find({ _id: { $in: ids }, organization: organizationId }).select('amount');
+        const byId = new Map(entries.map(e => [String(e._id), e]));
+        const missing = ids.find(id => !byId.has(String(id)));
+        if (missing) throw matchError(`${Model.modelName} ${missing} not found or unauthorized`, 404);
+        const elsewhere = await this.entryAllocations(entryType, ids, organizationId, bankTxn._id);
+
+        // Matches from before split matching exist only as legacy ids
+        if (!bankTxn.matches.length) bankTxn.matches = this.allocationsOf(bankTxn);
+        let transactionLeft = this.residualOf(bankTxn);
+        for (const allocation of allocations) {
+            const key = String(allocation.entryId);
+            const existing = bankTxn.matches.find(m => String(m.entryId) === key);
+            const entryLeft = round2(byId.get(key).amount - (elsewhere.get(key) || 0) - (existing ? existing.amount : 0));
+            const explicit = allocation.amount !== undefined && allocation.amount !== null;
+            const amount = round2(explicit ? Number(allocation.amount) : Math.min(entryLeft, transactionLeft));
+
+            if (!(amount > 0)) {
+                throw matchError(explicit ? 'Match amount must be a positive number' : `Nothing left to match between this transaction and ${Model.modelName.toLowerCase()} ${key}`);
+            }
+            if (amount > entryLeft + MATCH_TOLERANCE) {
+                throw matchError(`Only ${entryLeft} of ${Model.modelName.toLowerCase()} ${key} is unmatched`);
+            }
+            if (amount > transactionLeft + MATCH_TOLERANCE) {
+                throw matchError(`Only ${transactionLeft} of the bank transaction is unmatched`);
+            }
+
+            if (existing) existing.amount = round2(existing.amount + amount);
+            else bankTxn.matches.push({ entryType, entryId: byId.get(key)._id, amount });
+            transactionLeft = round2(transactionLeft - amount);
+        }
+
+        this.applyMatchState(bankTxn);
+        return bankTxn.save();
+    }
+
+    // Undo the match between a bank transaction and one entry
+    async removeMatch(bankTxn, entryId) {
+        if (!bankTxn.matches.length) bankTxn.matches = this.allocationsOf(bankTxn);
+        const remaining = bankTxn.matches.filter(m => String(m.entryId) !== String(entryId));
+        if (remaining.length === bankTxn.matches.length) {
+            throw matchError('This bank transaction is not matched to that entry', 404);
+        }
+        bankTxn.matches = remaining;
+        this.applyMatchState(bankTxn);
+        return bankTxn.save();
+    }
+
+    /**
+     * Combinations of entries that together account for what is left of a
+     * bank transaction, e.g. the expenses one card bill pays. Entries partly
+     * matched elsewhere count with their unmatched remainder.
+     * @returns {Array} [{ entries: [{ entryType, entry, amount }], total, difference }]
+     */
+    async findSplitMatches(bankTxn, organizationId) {
+        const target = this.residualOf(bankTxn);
+        if (target <= MATCH_TOLERANCE) return [];
+        const entryType = this.entryTypeFor(bankTxn);
+        const Model = this.entryModel(entryType);
+
+        const query = {
+            organization: organizationId,
+            date: {
+                $gte: moment(bankTxn.date).subtract(SPLIT_LOOKBACK_DAYS, 'days').toDate(),
+                $lte: moment(bankTxn.date).add(SPLIT_LOOKAHEAD_DAYS, 'days').toDate()
+            },
+            amount: { $gt: 0 },
+            ...(entryType === 'expense' ? Model.actualsFilter() : { status: { $ne: 'Refunded' } })
+        };
+        const entries = await Model.find(query).sort({ date: -1 }).limit(MAX_SPLIT_CANDIDATES * 10);
+        const allocated = await this.entryAllocations(entryType, entries.map(e => e._id), organizationId);
+
+        const candidates = entries
+            .map(entry => ({ entry, value: round2(entry.amount - (allocated.get(String(entry._id)) || 0)) }))
+            .filter(c => c.value > MATCH_TOLERANCE && c.value <= target + MATCH_TOLERANCE)
+            .sort((a, b) => Math.abs(a.entry.date - bankTxn.date) - Math.abs(b.entry.date - bankTxn.date))
+            .slice(0, MAX_SPLIT_CANDIDATES);
+
+        return findSubsetSums(candidates, target).map(found => ({
+            entries: found.items.map(c => ({ entryType, entry: c.entry, amount: c.value })),
+            total: found.total,
+            difference: found.difference
+        }));
+    }
+
+    /**
+     * The reverse of findSplitMatches: combinations of open bank transactions
+     * that together pay what is left of one entry, e.g. an invoice settled in
+     * two transfers.
+     * @returns {Object} { entryType, entry, unmatchedAmount, suggestions: [{ bankTransactions: [{ bankTransaction, amount }], total, difference }] }
+     */
+    async findPaymentMatches(entryType, entryId, organizationId) {
+        const Model = this.entryModel(entryType);
+        const entry = await Model.findOne({ _id: entryId, organization: organizationId });
+        if (!entry) throw matchError(`${Model.modelName} not found or unauthorized`, 404);
+
+        const allocated = await this.entryAllocations(entryType, [entry._id], organizationId);
+        const unmatchedAmount = round2(entry.amount - (allocated.get(String(entry._id)) || 0));
+        if (unmatchedAmount <= MATCH_TOLERANCE) return { entryType, entry, unmatchedAmount: 0, suggestions: [] };
+
+        const transactions = await BankTransaction.find({
+            organization: organizationId,
+            type: entryType === 'expense' ? 'debit' : 'credit',
+            reconciliationStatus: { $in: OPEN_MATCH_STATUSES },
+            date: {
+                $gte: moment(entry.date).subtract(SPLIT_LOOKAHEAD_DAYS, 'days').toDate(),
+                $lte: moment(entry.date).add(PAYMENT_LOOKAHEAD_DAYS, 'days').toDate()
+            }
+        }).sort({ date: 1 }).limit(MAX_SPLIT_CANDIDATES * 10);
+
+        const candidates = transactions
+            .map(txn => ({ bankTransaction: txn, value: this.residualOf(txn) }))
+            .filter(c => c.value > MATCH_TOLERANCE)
+            .slice(0, MAX_SPLIT_CANDIDATES);
+
+        const suggestions = findSubsetSums(candidates, unmatchedAmount).map(found => ({
+            bankTransactions: found.items.map(c => ({ bankTransaction: c.bankTransaction, amount: c.value })),
+            total: found.total,
+            difference: found.difference
+        }));
+        return { entryType, entry, unmatchedAmount, suggestions };
+    }
+
+    /**
+     * Match one entry against several bank transactions, in the order given,
+     * each taking what is left of both sides. Failures are reported per item.
+     */
+    async settleEntry(entryType, entryId, bankTransactionIds, organizationId) {
+        const results = { matched: 0, failed: 0, bankTransactions: [], errors: [] };
+        for (const bankTransactionId of bankTransactionIds) {
+            try {
+                if (!mongoose.Types.ObjectId.isValid(bankTransactionId)) {
+                    throw new Error('Invalid bank transaction ID format');
+                }
+                const bankTxn = await BankTransaction.findOne({ _id: bankTransactionId, organization: organizationId });
+                if (!bankTxn) throw new Error('Bank transaction not found or unauthorized');
+                await this.addMatches(bankTxn, [{ entryType, entryId }], organizationId);
+                results.matched++;
+                results.bankTransactions.push(bankTxn);
+            } catch (error) {
+                results.failed++;
+                results.errors.push({ bankTransactionId, error: error.message });
+            }
+        }
+        const allocated = await this.entryAllocations(entryType, [entryId], organizationId);
+        const entry = await this.entryModel(entryType).findOne({ _id: entryId, organization: organizationId }).select('amount');
+        results.unmatchedAmount = entry ? round2(Math.max(0, entry.amount - (allocated.get(String(entryId)) || 0))) : null;
+        return results;
+    }
+
+    /**
+     * Book a bank transaction as an Expense (debit) or Revenue (credit) and
+     * mark it matched to the new entry. The money has already moved, so
+     * expenses are recorded as approved rather than routed through policies.
+     * The merchant is resolved against the vendor master for the vendor name.
+     * On a partially matched transaction the entry books the unmatched rest
+     * (e.g. the fees left over on a card bill).
+     * @param {Object} options - { type, category, source, description, userId, note, resolver }
+     * @returns {Object} { type, entry }
+     */
+    async createEntryFromTransaction(bankTxn, options, organizationId) {
+        if (!OPEN_MATCH_STATUSES.includes(bankTxn.reconciliationStatus)) {
+            throw matchError(`Bank transaction is already ${bankTxn.reconciliationStatus}`, 409);
+        }
+        const amount = this.residualOf(bankTxn);
+        const isDebit = bankTxn.amount < 0;
+        const type = options.type || (isDebit ? 'expense' : 'revenue');
+        if ((type === 'expense') !== isDebit) {
+            throw matchError(type === 'expense' ? 'Expenses can only be created from debits' : 'Revenue can only be created from credits');
+        }
+
+        const BankAccount = mongoose.model('BankAccount');
+        const account = await BankAccount.findOne({ _id: bankTxn.bankAccountId, organization: organizationId }).select('currency');
+        const currency = account?.currency || 'INR';
+        const description = options.description || bankTxn.description;
+        const notes = [options.note, `Booked from bank transaction ${bankTxn.transactionId}`].filter(Boolean).join('. ');
+        // vendorService requires this module, so it is loaded here
+        const resolver = options.resolver || await require('./vendorService').createResolver(organizationId);
+        const vendor = bankTxn.merchantName ? resolver.resolve(bankTxn.merchantName).vendor : null;
+        const vendorName = vendor ? vendor.name : bankTxn.merchantName;
+
+        const entryId = new mongoose.Types.ObjectId();
+        let doc;
+        let Model;
+        if (type === 'expense') {
+            Model = mongoose.model('Expense');
+            const categorizer = await getTransactionCategorizer();
+            let resolved;
+            if (options.category) {
+                resolved = await categorizer.resolveCategory(organizationId, options.category);
+            } else {
+                // The imported category may be a custom category deleted since
+                resolved = await categorizer.resolveCategory(organizationId, bankTxn.category || 'Other')
+                    .catch(() => ({ category: 'Other', customCategory: null }));
+            }
+            doc = {
+                _id: entryId,
+                organization: organizationId,
+                user: options.userId,
+                date: bankTxn.date,
+                amount,
+                category: resolved.category,
+                customCategory: resolved.customCategory,
+                vendor: vendorName || undefined,
+                description,
+                paymentMethod: 'Bank Transfer',
+                currency,
+                notes,
+                approvalStatus: 'approved',
+                decidedAt: new Date(),
+                decisionComment: 'Booked from the bank feed',
+            };
+        } else {
+            Model = mongoose.model('Revenue');
+            doc = {
+                _id: entryId,
+                organization: organizationId,
+                user: options.userId,
+                date: bankTxn.date,
+                amount,
+                source: options.source || vendorName || 'Bank credit',
+                description,
+                status: 'Received',
+                currency,
+                notes,
+            };
+        }
+
+        // The transaction is only updated if nothing was matched to it since it
+        // was read, so two concurrent bookings cannot both succeed; the entry
+        // is created in the same DB transaction and rolled back with it.
+        const unchanged = {
+            _id: bankTxn._id,
+            organization: organizationId,
+            reconciliationStatus: { $in: OPEN_MATCH_STATUSES },
+            matchedAmount: bankTxn.matchedAmount || { $in: [0, null] }
+        };
+        if (!bankTxn.matches.length) bankTxn.matches = this.allocationsOf(bankTxn);
+        bankTxn.matches.push({ entryType: type, entryId, amount });
+        this.applyMatchState(bankTxn);
+
+        let entry;
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            const claimed = await BankTransaction.updateOne(unchanged, {
+                $set: {
+                    matches: bankTxn.matches.map(m => m.toObject()),
+                    matchedAmount: bankTxn.matchedAmount,
+                    matchedExpenseId: bankTxn.matchedExpenseId,
+                    matchedRevenueId: bankTxn.matchedRevenueId,
+                    reconciliationStatus: bankTxn.reconciliationStatus
+                }
+            }, { session });
+            if (claimed.matchedCount === 0) {
+                throw matchError('Bank transaction was matched or booked by another request; reload it and try again', 409);
+            }
+            [entry] = await Model.create([doc], { session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        return { type, entry };
+    }
+
+    /**
+     * Book several bank transactions. Each item is { bankTransactionId, type,
+     * category, source, description }; failures are reported per item.
+     */
+    async createEntries(items, organizationId, userId) {
+        const resolver = await require('./vendorService').createResolver(organizationId);
+        const results = { created: 0, failed: 0, entries: [], errors: [] };
+        for (const item of items) {
+            try {
+                if (!mongoose.Types.ObjectId.isValid(item.bankTransactionId)) {
+                    throw new Error('Invalid bank transaction ID format');
+                }
+                const bankTxn = await BankTransaction.findOne({ _id: item.bankTransactionId, organization: organizationId });
+                if (!bankTxn) throw new Error('Bank transaction not found or unauthorized');
+                const { type, entry } = await this.createEntryFromTransaction(bankTxn, { ...item, userId, resolver }, organizationId);
+                results.created++;
+                results.entries.push({ bankTransactionId: bankTxn._id, type, entryId: entry._id, amount: entry.amount });
+            } catch (error) {
+                results.failed++;
+                results.errors.push({ bankTransactionId: item.bankTransactionId, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * After auto-reconciliation, book the import's still-pending transactions
+     * when the organization turned on settings.autoBookBankTransactions and the
+     * category confidence clears settings.autoBookMinConfidence. In 'all' mode
+     * credits are booked as Revenue only when a transaction rule categorized
+     * them. Transactions with candidate matches are in manual_review and left alone.
+     */
+    async autoBookTransactions(bankAccountId, importBatchId, organizationId, userId) {
+        const Organization = mongoose.model('Organization');
+        const organization = await Organization.findById(organizationId).select('settings');
+        const mode = organization?.settings?.autoBookBankTransactions || 'off';
+        if (mode === 'off') return { booked: 0, failed: [] };
+
+        const query = {
+            organization: organizationId,
+            bankAccountId,
+            importBatchId,
+            reconciliationStatus: 'pending',
+            categorizationConfidence: { $gte: organization.settings.autoBookMinConfidence ?? 0.9 }
+        };
+        if (mode === 'debits') {
+            query.type = 'debit';
+        } else {
+            // Credits also carry equity funding, loans, refunds and transfers that
+            // are not revenue; only credits a transaction rule categorized are booked
+            query.$or = [{ type: 'debit' }, { type: 'credit', categorySource: 'rule' }];
+        }
+        const candidates = await BankTransaction.find(query);
+        const result = await this.createEntries(
+            candidates.map(txn => ({ bankTransactionId: txn._id, note: 'Booked automatically from the bank feed' })),
+            organizationId,
+            userId
+        );
+        if (result.created) {
+            console.log(`[BANK-FEED] Org ${organizationId}: booked ${result.created} transaction(s) from import ${importBatchId}`);
+        }
+        return { booked: result.created, failed: result.errors };
+    }
+
     // Helper methods (remain unchanged)
     parseCSVLine(line) {
         // Handle CSV parsing with quotes
@@ -568,6 +1459,26 @@ class BankSyncService {
         return result;
     }
 
+    // "Chq./Ref.No." -> "chq ref no", "Dr / Cr" -> "dr / cr"
+    normalizeHeader(header) {
+        return String(header || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9/ ]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Statement amounts: "1,23,456.78", "(500.00)", "12,345.00 Cr", "-75.5" -> number (null if blank)
+    parseAmount(value) {
+        if (value === undefined || value === null) return null;
+        const raw = String(value).trim();
+        if (!raw || raw === '-') return null;
+        const negative = /^\(.*\)$/.test(raw) || /^-/.test(raw) || /\bDr\.?$/i.test(raw);
+        const number = parseFloat(raw.replace(/[^0-9.]/g, ''));
+        if (!Number.isFinite(number)) return null;
+        return negative ? -number : number;
+    }
+
     generateTransactionId(date, reference, amount) {
         const data = `${date}${reference}${amount}`;
         return crypto.createHash('md5').update(data).digest('hex');
@@ -622,36 +1533,20 @@ class BankSyncService {
         return new Date(dateStr);
     }
 
-    // Update bank account balance - Updated for multi-tenancy
-    async updateBankAccountBalance(bankAccountId, organizationId) {
-        const BankAccount = mongoose.model('BankAccount');
-        
-        // Get latest transaction for this bank account within organization
-        const latestTxn = await BankTransaction.findOne({
-            organization: organizationId,
-            bankAccountId,
-            balance: { $ne: null }
-        }).sort({ date: -1 });
-        
-        if (latestTxn) {
-            await BankAccount.findOneAndUpdate(
-                {
-                    _id: bankAccountId,
-                    organization: organizationId
-                },
-                {
-                    currentBalance: latestTxn.balance,
-                    lastBalanceUpdate: new Date()
-                }
-            );
-        }
+    // Update bank account balance - Updated for multi-tenancy.
+    // Statement running balances go into the daily balance history (only the
+    // given days when a range is passed); the account takes the latest balance.
+    async updateBankAccountBalance(bankAccountId, organizationId, dateRange = {}) {
+        await balanceHistoryService.recordStatementBalances(bankAccountId, organizationId, dateRange);
+        return balanceHistoryService.refreshCurrentBalance(bankAccountId, organizationId);
     }
 
     // Get reconciliation summary - Updated for multi-tenancy
     async getReconciliationSummary(bankAccountId, organizationId, dateRange) {
+        // Aggregations do not cast, so the ids must be ObjectIds here
         const query = {
-            organization: organizationId,
-            bankAccountId
+            organization: new mongoose.Types.ObjectId(String(organizationId)),
+            bankAccountId: new mongoose.Types.ObjectId(String(bankAccountId))
         };
         
         if (dateRange) {
@@ -695,6 +1590,7 @@ class BankSyncService {
         return {
             reconciliationStatus: summary,
             categoryBreakdown,
+            residuals: await this.getResiduals(query),
             lastImport: await BankTransaction.findOne({
                 organization: organizationId,
                 bankAccountId
@@ -704,11 +1600,71 @@ class BankSyncService {
         };
     }
 
+    /**
+     * What is still unmatched: the open part of debits and credits (whole
+     * transactions plus the rest of partially matched ones), and entries this
+     * account's transactions only partly pay.
+     */
+    async getResiduals(query) {
+        const rows = await BankTransaction.aggregate([
+            { $match: { ...query, reconciliationStatus: { $in: OPEN_MATCH_STATUSES } } },
+            {
+                $group: {
+                    _id: '$type',
+                    count: { $sum: 1 },
+                    partiallyMatched: {
+                        $sum: { $cond: [{ $eq: ['$reconciliationStatus', 'partially_matched'] }, 1, 0] }
+                    },
+                    unmatchedAmount: {
+                        $sum: { $subtract: [{ $abs: '$amount' }, { $ifNull: ['$matchedAmount', 0] }] }
+                    }
+                }
+            }
+        ]);
+        const side = (type) => {
+            const row = rows.find(r => r._id === type);
+            return {
+                count: row ? row.count : 0,
+                partiallyMatched: row ? row.partiallyMatched : 0,
+                unmatchedAmount: row ? round2(row.unmatchedAmount) : 0
+            };
+        };
+
+        const matched = await BankTransaction.find({ ...query, 'matches.0': { $exists: true } }).select('matches');
+        const idsByType = { expense: new Set(), revenue: new Set() };
+        matched.forEach(txn => txn.matches.forEach(m => idsByType[m.entryType].add(String(m.entryId))));
+
+        const entries = [];
+        for (const entryType of ['expense', 'revenue']) {
+            const ids = [...idsByType[entryType]];
+            if (!ids.length) continue;
+            const [records, allocated] = await Promise.all([
+                this.entryModel(entryType).find({ _id: { $in: ids }, organization: query.organization }).select('date amount description source'),
+                this.entryAllocations(entryType, ids, query.organization)
+            ]);
+            for (const record of records) {
+                const matchedAmount = allocated.get(String(record._id)) || 0;
+                if (record.amount - matchedAmount <= MATCH_TOLERANCE) continue;
+                entries.push({
+                    entryType,
+                    entryId: record._id,
+                    date: record.date,
+                    description: record.description || record.source,
+                    amount: record.amount,
+                    matchedAmount,
+                    unmatchedAmount: round2(record.amount - matchedAmount)
+                });
+            }
+        }
+
+        return { debits: side('debit'), credits: side('credit'), partiallyMatchedEntries: entries };
+    }
+
     // Get pending reconciliations for organization - New method
     async getPendingReconciliations(organizationId, options = {}) {
         const query = {
             organization: organizationId,
-            reconciliationStatus: { $in: ['pending', 'manual_review'] }
+            reconciliationStatus: { $in: OPEN_MATCH_STATUSES }
         };
 
         if (options.bankAccountId) {
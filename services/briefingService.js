@@ -10,6 +10,7 @@ const Revenue = require('../models/revenueModel');
 const BankAccount = require('../models/bankAccountModel');
 const Membership = require('../models/membershipModel');
 const Organization = require('../models/organizationModel');
+const fxService = require('./fxService');
 const { notifyUsers, emailUsers } = require('./notificationService');
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.scaleuphorizon.com';
@@ -308,30 +309,36 @@ function renderBusinessSection(d) {
 async function financeData(orgId, now) {
     const ninetyDaysAgo = new Date(now); ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
     const Commitment = require('../models/commitmentModel');
-    const [accounts, expAgg, revAgg, commitAgg] = await Promise.all([
-        BankAccount.find({ organization: orgId }).select('currentBalance'),
-        Expense.aggregate([{ $match: { organization: orgId, date: { $gte: ninetyDaysAgo } } }, { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }]),
+    const org = await Organization.findById(orgId).select('currency');
+    const [accounts, expAgg, revAgg, commitAgg, fx] = await Promise.all([
+        BankAccount.find({ organization: orgId }).select('currentBalance currency'),
+        Expense.aggregate([{ $match: { organization: orgId, ...Expense.actualsFilter(), date: { $gte: ninetyDaysAgo } } }, { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }]),
         Revenue.aggregate([{ $match: { organization: orgId, date: { $gte: ninetyDaysAgo } } }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
         Commitment.aggregate([
             { $match: { organization: orgId, direction: 'payable', includeInRunway: true, status: { $in: ['pending', 'partially_paid'] } } },
             { $group: { _id: null, outstanding: { $sum: { $subtract: ['$totalAmount', '$amountPaid'] } } } }
         ]),
+        fxService.createConverter(orgId, org?.currency || 'INR'),
     ]);
     const pending = commitAgg[0]?.outstanding || 0;
     if (accounts.length === 0 && !(expAgg[0]?.count > 0) && pending === 0) return { hasData: false };
-    const cash = accounts.reduce((s, a) => s + (a.currentBalance || 0), 0);
+    const cash = accounts.reduce((s, a) => s + (fx.convert(a.currentBalance, a.currency, now) || 0), 0);
     const burn = Math.round((expAgg[0]?.total || 0) / 3);
     const rev = Math.round((revAgg[0]?.total || 0) / 3);
     const net = burn - rev;
     const runway = net > 0 && cash > 0 ? (cash / net).toFixed(1) + ' mo' : '—';
     const honestRunway = net > 0 && pending > 0 ? (Math.max(0, cash - pending) / net).toFixed(1) + ' mo' : null;
-    return { hasData: true, cash, burn, rev, runway, pending, honestRunway };
+    const fxBasis = fx.basis();
+    // Balances in a currency without a stored rate are left out of cash
+    const unconverted = fxBasis.missingRates.map(m => m.currency);
+    return { hasData: true, cash, burn, rev, runway, pending, honestRunway, fxBasis, unconverted };
 }
 
 function financeText(f) {
     if (!f.hasData) return 'MONEY  — add bank accounts & expenses to see cash, burn and runway here.';
     let line = `MONEY  Cash ${fmtINR(f.cash)} · Burn ${fmtINR(f.burn)}/mo · Revenue ${fmtINR(f.rev)}/mo · Runway ${f.runway}`;
     if (f.pending > 0) line += ` · Pending commitments ${fmtINR(f.pending)}${f.honestRunway ? ` (honest runway ${f.honestRunway})` : ''}`;
+    if (f.unconverted.length) line += ` · Cash excludes ${f.unconverted.join(', ')} accounts (no FX rate)`;
     return line;
 }
 
@@ -349,7 +356,8 @@ function financeHtml(f) {
     return `<div style="border:1px solid ${C.border};border-radius:8px;padding:14px 22px;margin:0 0 14px;">
       <table cellpadding="0" cellspacing="0">
         <tr>${cell('CASH', fmtINR(f.cash))}${cell('BURN / MO', fmtINR(f.burn))}${cell('REVENUE / MO', fmtINR(f.rev))}${cell('RUNWAY', f.runway)}${pendingCells}</tr>
-      </table></div>`;
+      </table>${f.unconverted.length ? `
+      <div style="font-size:12px;color:${C.grey};margin-top:6px;">Cash excludes ${esc(f.unconverted.join(', '))} accounts — no FX rate on file.</div>` : ''}</div>`;
 }
 
 /**
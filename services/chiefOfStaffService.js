@@ -16,6 +16,8 @@ const Investor = require('../models/investorModel');
 const ManualKpiSnapshot = require('../models/manualKpiSnapshotModel');
 const Meeting = require('../models/meetingModel');
 const Decision = require('../models/decisionModel');
+const Organization = require('../models/organizationModel');
+const fxService = require('./fxService');
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.scaleuphorizon.com';
 const OPEN = { $nin: ['completed', 'cancelled'] };
@@ -46,12 +48,13 @@ async function buildSnapshot(orgId) {
     const d30 = new Date(now); d30.setDate(d30.getDate() - 30);
     const d60 = new Date(now); d60.setDate(d60.getDate() - 60);
     const d90 = new Date(now); d90.setDate(d90.getDate() - 90);
+    const org = await Organization.findById(orgId).select('currency');
 
     const [
         epics, openTasks, completedLast7, completedPrior7,
         accounts, exp30, expPrior30, exp90, rev90,
         commitments, rounds, investors, kpiSnapshots,
-        lastMeeting, decisionsLast7,
+        lastMeeting, decisionsLast7, fx,
     ] = await Promise.all([
         Task.find({ organization: orgId, isArchived: false, taskType: 'epic' })
             .select('title taskKey description status'),
@@ -59,10 +62,10 @@ async function buildSnapshot(orgId) {
             .select('title taskKey status priority dueDate parentTask updatedAt assignee'),
         Task.countDocuments({ organization: orgId, isArchived: false, completedAt: { $gte: d7 } }),
         Task.countDocuments({ organization: orgId, isArchived: false, completedAt: { $gte: d14, $lt: d7 } }),
-        BankAccount.find({ organization: orgId }).select('currentBalance'),
-        Expense.aggregate([{ $match: { organization: orgId, date: { $gte: d30 } } }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
-        Expense.aggregate([{ $match: { organization: orgId, date: { $gte: d60, $lt: d30 } } }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
-        Expense.aggregate([{ $match: { organization: orgId, date: { $gte: d90 } } }, { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }]),
+        BankAccount.find({ organization: orgId }).select('currentBalance currency'),
+        Expense.aggregate([{ $match: { organization: orgId, ...Expense.actualsFilter(), date: { $gte: d30 } } }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
+        Expense.aggregate([{ $match: { organization: orgId, ...Expense.actualsFilter(), date: { $gte: d60, $lt: d30 } } }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
+        Expense.aggregate([{ $match: { organization: orgId, ...Expense.actualsFilter(), date: { $gte: d90 } } }, { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }]),
         Revenue.aggregate([{ $match: { organization: orgId, date: { $gte: d90 } } }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
         Commitment.find({ organization: orgId, status: { $in: ['pending', 'partially_paid'] } })
             .select('direction counterparty title totalAmount amountPaid payWhen dueDate includeInRunway category'),
@@ -75,12 +78,16 @@ async function buildSnapshot(orgId) {
             .select('title endedAt actionItems epic')
             .populate('actionItems', 'title taskKey status'),
         Decision.countDocuments({ organization: orgId, decidedAt: { $gte: d7 } }),
+        fxService.createConverter(orgId, org?.currency || 'INR'),
     ]);
 
     return {
         now, startOfToday,
         epics, openTasks, completedLast7, completedPrior7,
-        cash: accounts.reduce((s, a) => s + (a.currentBalance || 0), 0),
+        // Balances converted to the reporting currency; unconverted ones show in fxBasis
+        cash: accounts.reduce((s, a) => s + (fx.convert(a.currentBalance, a.currency, now) || 0), 0),
+        currency: fx.reportingCurrency,
+        fxBasis: fx.basis(),
         hasFinanceData: accounts.length > 0 || (exp90[0]?.count || 0) > 0,
         burn30: exp30[0]?.total || 0,
         burnPrior30: expPrior30[0]?.total || 0,
@@ -267,6 +274,8 @@ async function buildBrief(orgId) {
             overdue: snapshot.openTasks.filter(t => t.dueDate && new Date(t.dueDate) < snapshot.startOfToday).length,
             completedLast7: snapshot.completedLast7,
             cash: snapshot.cash,
+            currency: snapshot.currency,
+            fxBasis: snapshot.fxBasis,
             monthlyBurn: snapshot.monthlyBurn,
             activeInvestors: snapshot.investors.filter(i => ACTIVE_PIPELINE.includes(i.status)).length,
             decisionsLast7: snapshot.decisionsLast7,
@@ -303,6 +312,7 @@ async function answerQuestion(orgId, question) {
         },
         money: {
             cash: snapshot.cash,
+            cashCurrency: snapshot.currency,
             monthlyBurn: snapshot.monthlyBurn,
             monthlyRevenue: snapshot.monthlyRevenue,
             pendingCommitments: snapshot.commitments.map(c => ({
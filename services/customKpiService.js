@@ -8,6 +8,9 @@ const mongoose = require('mongoose');
 // this file loaded first — leaving models/customKpiModel.js (the full
 // schema with enums, alert subdocs, etc.) inert in production.
 const CustomKPI = require('../models/customKpiModel');
+const Organization = require('../models/organizationModel');
+const FiscalPeriods = require('../utils/fiscalPeriods');
+const fxService = require('./fxService');
 
 
 class CustomKPIService {
@@ -249,9 +252,15 @@ class CustomKPIService {
             const scope = {};
             const warnings = [];
 
+            // Quarter and year timeframes follow the organization's financial year
+            const organization = await Organization.findById(kpi.organization).select('settings currency');
+            const fiscalConfig = FiscalPeriods.getConfig(organization);
+            // Bank balances are summed in the organization's reporting currency
+            const fx = await fxService.createConverter(kpi.organization, organization?.currency || 'INR');
+
             for (const variable of kpi.formulaVariables) {
                 try {
-                    const value = await this.getVariableValue(variable, organizationId, targetDate);
+                    const value = await this.getVariableValue(variable, organizationId, targetDate, fiscalConfig, fx);
                     scope[variable.variable] = value;
                 } catch (varError) {
                     console.error(`Error getting value for variable ${variable.variable} in KPI ${kpi.name}:`, varError.message);
@@ -259,6 +268,10 @@ class CustomKPIService {
                     warnings.push(`Variable "${variable.variable}" failed (${varError.message}) — using 0`);
                 }
             }
+            const fxBasis = fx.basis();
+            for (const miss of fxBasis.missingRates) {
+                warnings.push(`No ${miss.currency}→${fxBasis.reportingCurrency} rate — ${miss.count} balance(s) left out`);
+            }
 
             // Calculate result
             let result;
@@ -315,7 +328,8 @@ class CustomKPIService {
                 previousValue: kpi.cache.previousValue,
                 trend: kpi.cache.trend,
                 formattedValue: this.formatValue(result, kpi.displayFormat),
-                warnings
+                warnings,
+                fxBasis
             };
         } catch (error) {
             console.error(`KPI calculation error for kpiId ${kpiId}:`, error.message);
@@ -324,8 +338,8 @@ class CustomKPIService {
     }
 
     // Get variable value from data source - NOW WITH ORGANIZATION CONTEXT
-    async getVariableValue(variable, organizationId, targetDate) {
-        const timeRange = this.getTimeRange(variable.timeframe, variable.customTimeframe, targetDate);
+    async getVariableValue(variable, organizationId, targetDate, fiscalConfig = FiscalPeriods.defaultConfig, fx) {
+        const timeRange = this.getTimeRange(variable.timeframe, variable.customTimeframe, targetDate, fiscalConfig);
         
         // Ensure models are available
         const Revenue = mongoose.models.Revenue || mongoose.model('Revenue');
@@ -342,7 +356,7 @@ class CustomKPIService {
                 return await this.getExpenseValue(variable, timeRange, organizationId, Expense);
             
             case 'bank_balance':
-                return await this.getBankBalanceValue(variable, organizationId, BankAccount);
+                return await this.getBankBalanceValue(variable, organizationId, BankAccount, fx);
             
             case 'user_count':
                 return await this.getUserCountValue(variable, timeRange, organizationId, ManualKpiSnapshot);
@@ -408,6 +422,7 @@ class CustomKPIService {
     async getExpenseValue(variable, timeRange, organizationId, ExpenseModel) {
         const query = {
             organization: organizationId,
+            ...ExpenseModel.actualsFilter(),
             date: { $gte: timeRange.start, $lte: timeRange.end }
         };
 
@@ -419,20 +434,32 @@ class CustomKPIService {
     }
 
     // Get bank balance value - WITH ORGANIZATION FILTER
-    async getBankBalanceValue(variable, organizationId, BankAccountModel) {
-        // 'latest' and 'sum' both mean "total cash right now" across accounts
-        if (!variable.aggregation || variable.aggregation === 'latest' || variable.aggregation === 'sum' || variable.aggregation === 'earliest') {
-            const accounts = await BankAccountModel.find({ organization: organizationId });
-            return accounts.reduce((sum, acc) => sum + (acc.currentBalance || 0), 0);
-        }
-
-        return this.aggregateField(
-            BankAccountModel,
-            { organization: organizationId },
-            variable.aggregation,
-            'currentBalance',
-            'updatedAt'
-        );
+    // Balances are converted to the reporting currency before aggregating;
+    // accounts in a currency without a rate are left out (see fx.basis())
+    async getBankBalanceValue(variable, organizationId, BankAccountModel, fx) {
+        const accounts = await BankAccountModel.find({ organization: organizationId }).select('currentBalance currency');
+        const now = new Date();
+        const balances = accounts
+            .map(acc => fx.convert(acc.currentBalance, acc.currency, now))
+            .filter(v => v !== null);
+
+        switch (variable.aggregation || 'sum') {
+            // 'latest' and 'sum' both mean "total cash right now" across accounts
+            case 'latest':
+            case 'earliest':
+            case 'sum':
+                return balances.reduce((sum, v) => sum + v, 0);
+            case 'count':
+                return accounts.length;
+            case 'average':
+                return balances.length > 0 ? balances.reduce((sum, v) => sum + v, 0) / balances.length : 0;
+            case 'min':
+                return balances.length > 0 ? Math.min(...balances) : 0;
+            case 'max':
+                return balances.length > 0 ? Math.max(...balances) : 0;
+            default:
+                throw new Error(`Unsupported aggregation: ${variable.aggregation}`);
+        }
     }
 
     // Get user count value - WITH ORGANIZATION FILTER
@@ -517,10 +544,17 @@ class CustomKPIService {
     }
 
     // Get time range
-    getTimeRange(timeframe, customTimeframe, targetDate = new Date()) {
+    getTimeRange(timeframe, customTimeframe, targetDate = new Date(), fiscalConfig = FiscalPeriods.defaultConfig) {
         const target = moment(targetDate).utcOffset(0, true);
         let start, end;
 
+        // Quarters and years are fiscal (org financial year), not calendar
+        const FISCAL_TIMEFRAMES = ['current_quarter', 'last_quarter', 'quarter_to_date', 'current_year', 'last_year', 'year_to_date'];
+        if (FISCAL_TIMEFRAMES.includes(timeframe)) {
+            const period = FiscalPeriods.resolvePeriod(timeframe, fiscalConfig, target.toDate());
+            return { start: period.start, end: period.end, label: period.label };
+        }
+
         switch (timeframe) {
             case 'current_month':
                 start = target.clone().startOf('month');
@@ -530,18 +564,6 @@ class CustomKPIService {
                 start = target.clone().subtract(1, 'month').startOf('month');
                 end = target.clone().subtract(1, 'month').endOf('month');
                 break;
-            case 'current_quarter':
-                start = target.clone().startOf('quarter');
-                end = target.clone().endOf('quarter');
-                break;
-            case 'last_quarter':
-                start = target.clone().subtract(1, 'quarter').startOf('quarter');
-                end = target.clone().subtract(1, 'quarter').endOf('quarter');
-                break;
-            case 'current_year':
-                start = target.clone().startOf('year');
-                end = target.clone().endOf('year');
-                break;
             case 'last_30_days':
                 end = target.clone().endOf('day');
                 start = target.clone().subtract(29, 'days').startOf('day');
@@ -0,0 +1,422 @@
+// services/esopService.js
+// ESOP grant lifecycle on top of the EsopGrant model: vesting as of a date,
+// option exercises (which move shares out of the ESOP Pool cap table entry
+// into a Common Stock entry for the employee) and terminations with a
+// post-termination exercise window.
+const mongoose = require('mongoose');
+const ESOPGrant = require('../models/esopGrantModel');
+const CapTableEntry = require('../models/capTableEntryModel');
+const Headcount = require('../models/headcountModel');
+const FundraisingCalculationService = require('./fundraisingCalculationService');
+
+const DEFAULT_EXERCISE_WINDOW_DAYS = 90;
+const OPEN_POSITION_STATUSES = ['Open Requisition', 'Interviewing', 'Offer Extended'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, label) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${label}`);
+    }
+    return date;
+}
+
+async function findGrant(grantId, organizationId, session = null) {
+    const grant = await ESOPGrant.findOne({ _id: grantId, organization: organizationId }).session(session);
+    if (!grant) {
+        throw new Error('ESOP Grant not found');
+    }
+    return grant;
+}
+
+/**
+ * Vesting position of a grant as of a date.
+ */
+function summarizeGrant(grant, asOfDate = new Date()) {
+    const asOf = new Date(asOfDate);
+    const vested = grant.getVestedOptions(asOf);
+    const exercised = (grant.exercises || [])
+        .filter(e => new Date(e.exerciseDate) <= asOf)
+        .reduce((sum, e) => sum + e.optionsExercised, 0);
+    const windowEndsAt = grant.termination?.exerciseWindowEndsAt || null;
+    const windowOpen = !windowEndsAt || asOf <= new Date(windowEndsAt);
+    const unvested = grant.termination?.terminationDate ? 0 : Math.max(0, grant.numberOfOptionsGranted - vested);
+    const nextEvent = grant.termination?.terminationDate ? null :
+        (grant.vestingEvents || []).find(e => new Date(e.vestDate) > asOf) || null;
+
+    return {
+        grantId: grant._id,
+        employeeName: grant.employeeName,
+        status: grant.status,
+        asOfDate: asOf,
+        optionsGranted: grant.numberOfOptionsGranted,
+        optionsVested: vested,
+        optionsUnvested: unvested,
+        optionsExercised: exercised,
+        optionsExercisable: windowOpen && ['Active', 'Terminated'].includes(grant.status) ? Math.max(0, vested - exercised) : 0,
+        optionsForfeited: grant.termination?.optionsForfeited || 0,
+        percentVested: grant.numberOfOptionsGranted > 0 ?
+            Math.round((vested / grant.numberOfOptionsGranted) * 10000) / 100 : 0,
+        strikePrice: grant.strikePrice,
+        nextVestingEvent: nextEvent,
+        exerciseWindowEndsAt: windowEndsAt,
+    };
+}
+
+/**
+ * Vesting schedule plus the position as of a date.
+ */
+async function getVestingSchedule(grantId, organizationId, asOfDate) {
+    const asOf = parseDate(asOfDate, 'as-of date');
+    const grant = await findGrant(grantId, organizationId);
+
+    let cumulative = 0;
+    const schedule = (grant.vestingEvents || [])
+        .slice()
+        .sort((a, b) => new Date(a.vestDate) - new Date(b.vestDate))
+        .map(event => {
+            cumulative += event.optionsVested;
+            const forfeited = grant.termination?.terminationDate &&
+                new Date(event.vestDate) > new Date(grant.termination.terminationDate);
+            return {
+                vestDate: event.vestDate,
+                optionsVested: event.optionsVested,
+                cumulativeVested: cumulative,
+                isCliff: event.isCliff,
+                notes: event.notes,
+                state: forfeited ? 'forfeited' : (new Date(event.vestDate) <= asOf ? 'vested' : 'upcoming'),
+            };
+        });
+
+    return { summary: summarizeGrant(grant, asOf), schedule, exercises: grant.exercises };
+}
+
+/**
+ * Rebuild vesting events from the grant's schedule fields.
+ */
+async function regenerateSchedule(grantId, organizationId, userId) {
+    const grant = await findGrant(grantId, organizationId);
+    const events = grant.generateVestingEvents();
+    if (!events) {
+        throw new Error(`Schedules can only be generated for time-based grants (this grant is '${grant.vestingScheduleType}')`);
+    }
+    grant.vestingEvents = events;
+    grant.lastModifiedBy = userId;
+    await grant.save();
+    return grant;
+}
+
+/**
+ * Record an option exercise at the grant's strike price. Shares leave the
+ * ESOP Pool entry and are issued as Common Stock to the employee.
+ * @param {Object} options - { optionsToExercise, exerciseDate, paymentReference, notes, userId }
+ */
+async function exerciseOptions(grantId, organizationId, options = {}) {
+    const { paymentReference, notes, userId } = options;
+    const quantity = parseInt(options.optionsToExercise, 10);
+    if (!quantity || quantity <= 0) {
+        throw new Error('optionsToExercise must be a positive whole number');
+    }
+    const exerciseDate = parseDate(options.exerciseDate, 'exercise date');
+    if (exerciseDate > new Date()) {
+        throw new Error('Exercise date cannot be in the future');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const grant = await findGrant(grantId, organizationId, session);
+        if (!['Active', 'Terminated'].includes(grant.status)) {
+            throw new Error(`Options cannot be exercised on a grant that is ${grant.status}`);
+        }
+
+        const position = summarizeGrant(grant, exerciseDate);
+        const windowEndsAt = grant.termination?.exerciseWindowEndsAt;
+        if (windowEndsAt && exerciseDate > new Date(windowEndsAt)) {
+            throw new Error(`Post-termination exercise window closed on ${new Date(windowEndsAt).toISOString().split('T')[0]}`);
+        }
+        // Vested less exercised as of the exercise date; a backdated exercise must
+        // also leave every exercise recorded after it covered by what had vested then
+        const laterPositions = (grant.exercises || [])
+            .filter(e => new Date(e.exerciseDate) > exerciseDate)
+            .map(e => summarizeGrant(grant, e.exerciseDate));
+        const exercisable = Math.max(0, Math.min(
+            ...[position, ...laterPositions].map(p => p.optionsVested - p.optionsExercised)
+        ));
+        if (quantity > exercisable) {
+            throw new Error(`Only ${exercisable} vested options are available to exercise`);
+        }
+
+        const exerciseCost = Math.round(quantity * grant.strikePrice * 100) / 100;
+
+        // Cap table: pool shrinks, employee receives common stock
+        const warnings = [];
+        const pool = await CapTableEntry.findOne({
+            organization: organizationId,
+            shareholderType: 'ESOP Pool',
+            status: 'Active'
+        }).sort({ createdAt: 1 }).session(session);
+
+        if (pool) {
+            if ((pool.numberOfShares || 0) < quantity) {
+                throw new Error(`ESOP Pool only has ${pool.numberOfShares || 0} shares left`);
+            }
+            pool.numberOfShares -= quantity;
+            pool.notes = [pool.notes, `${exerciseDate.toISOString().split('T')[0]}: ${quantity} options exercised by ${grant.employeeName}`]
+                .filter(Boolean).join('\n').slice(-2000);
+            await pool.save({ session });
+        } else {
+            warnings.push('No active ESOP Pool cap table entry found; pool balance was not reduced');
+        }
+
+        const [shareEntry] = await CapTableEntry.create([{
+            organization: organizationId,
+            user: userId,
+            shareholderName: grant.employeeName,
+            shareholderType: 'Employee',
+            securityType: 'Common Stock',
+            numberOfShares: quantity,
+            investmentAmount: exerciseCost,
+            currency: grant.currency || 'INR',
+            issueDate: exerciseDate,
+            exercisePrice: grant.strikePrice,
+            vestedShares: quantity,
+            notes: `Exercise of ESOP grant ${grant._id}${paymentReference ? ` (payment ${paymentReference})` : ''}`
+        }], { session });
+
+        grant.exercises.push({
+            exerciseDate,
+            optionsExercised: quantity,
+            strikePrice: grant.strikePrice,
+            exerciseCost,
+            paymentReference,
+            capTableEntryId: shareEntry._id,
+            recordedBy: userId,
+            notes
+        });
+        grant.totalOptionsExercised = (grant.totalOptionsExercised || 0) + quantity;
+        if (grant.totalOptionsExercised >= grant.numberOfOptionsGranted) {
+            grant.status = 'Fully Exercised';
+        }
+        grant.lastModifiedBy = userId;
+        await grant.save({ session });
+
+        await FundraisingCalculationService.updateAllEquityPercentages(organizationId, session);
+
+        await session.commitTransaction();
+        console.log(`[ESOP EXERCISE] ${grant.employeeName}: ${quantity} options @ ${grant.strikePrice} = ${exerciseCost}`);
+
+        return {
+            grant,
+            exercise: grant.exercises[grant.exercises.length - 1],
+            capTableEntry: shareEntry,
+            poolSharesRemaining: pool ? pool.numberOfShares : null,
+            position: summarizeGrant(grant, new Date()),
+            warnings
+        };
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * Terminate a grant: vesting stops at terminationDate, unvested options are
+ * forfeited and vested options stay exercisable for the window.
+ * @param {Object} options - { terminationDate, exerciseWindowDays, reason, userId }
+ */
+async function terminateGrant(grantId, organizationId, options = {}) {
+    const { reason, userId } = options;
+    const terminationDate = parseDate(options.terminationDate, 'termination date');
+    const windowDays = options.exerciseWindowDays !== undefined ?
+        parseInt(options.exerciseWindowDays, 10) : DEFAULT_EXERCISE_WINDOW_DAYS;
+    if (isNaN(windowDays) || windowDays < 0) {
+        throw new Error('exerciseWindowDays must be zero or more');
+    }
+
+    const grant = await findGrant(grantId, organizationId);
+    if (grant.status !== 'Active') {
+        throw new Error(`Grant is already ${grant.status}`);
+    }
+    if (terminationDate < new Date(grant.grantDate)) {
+        throw new Error('Termination date cannot be before the grant date');
+    }
+
+    const vestedAtTermination = grant.getVestedOptions(terminationDate);
+    grant.termination = {
+        terminationDate,
+        reason,
+        exerciseWindowDays: windowDays,
+        exerciseWindowEndsAt: new Date(terminationDate.getTime() + windowDays * DAY_MS),
+        optionsVestedAtTermination: vestedAtTermination,
+        optionsForfeited: Math.max(0, grant.numberOfOptionsGranted - vestedAtTermination),
+        recordedBy: userId
+    };
+    grant.status = 'Terminated';
+    grant.lastModifiedBy = userId;
+    await grant.save();
+
+    console.log(`[ESOP TERMINATION] ${grant.employeeName}: ${vestedAtTermination} vested, ${grant.termination.optionsForfeited} forfeited, window until ${grant.termination.exerciseWindowEndsAt.toISOString().split('T')[0]}`);
+    return { grant, position: summarizeGrant(grant, terminationDate) };
+}
+
+/**
+ * Close out terminated grants whose exercise window has passed. Vested but
+ * unexercised options lapse. Run daily from the cron in server.js.
+ */
+async function expireLapsedGrants(now = new Date()) {
+    const grants = await ESOPGrant.find({
+        status: 'Terminated',
+        'termination.exerciseWindowEndsAt': { $lt: now }
+    });
+    for (const grant of grants) {
+        grant.termination.optionsLapsed = Math.max(0,
+            (grant.termination.optionsVestedAtTermination || 0) - (grant.totalOptionsExercised || 0));
+        grant.status = 'Expired';
+        await grant.save();
+    }
+    return grants.length;
+}
+
+/**
+ * Reconcile ESOP grants against the ESOP Pool cap table entry and the hiring plan.
+ *
+ * The pool entry holds shares not yet issued: exercises move shares out of it
+ * (see exerciseOptions), so the pool's original size is its current balance
+ * plus everything exercised. Outstanding grants (granted less exercised,
+ * forfeited, lapsed and cancelled) are carved out of that balance; what is
+ * left is available for new grants. Open positions with an equity percentage
+ * are converted to options at the current fully diluted share count.
+ */
+async function getPoolUtilizationReport(organizationId, asOfDate) {
+    const asOf = parseDate(asOfDate, 'as-of date');
+
+    const [poolEntries, grants, openPositions, snapshot] = await Promise.all([
+        CapTableEntry.find({ organization: organizationId, shareholderType: 'ESOP Pool', status: 'Active' }),
+        ESOPGrant.find({ organization: organizationId, grantDate: { $lte: asOf } }),
+        Headcount.find({
+            organization: organizationId,
+            status: { $in: OPEN_POSITION_STATUSES },
+            'compensation.equityPercentage': { $gt: 0 }
+        }).select('name title department status targetHireDate compensation.equityPercentage'),
+        FundraisingCalculationService.getCapTableSnapshot(organizationId, asOf)
+    ]);
+
+    const warnings = [];
+    const poolBalance = poolEntries.reduce((sum, e) => sum + (e.numberOfShares || 0), 0);
+
+    const totals = { granted: 0, vested: 0, unvested: 0, exercised: 0, forfeited: 0, lapsed: 0, cancelled: 0 };
+    const byStatus = {};
+    for (const grant of grants) {
+        const granted = grant.numberOfOptionsGranted || 0;
+        const vested = grant.getVestedOptions(asOf);
+        const exercised = (grant.exercises || [])
+            .filter(e => new Date(e.exerciseDate) <= asOf)
+            .reduce((sum, e) => sum + e.optionsExercised, 0);
+        const terminatedBy = grant.termination?.terminationDate && new Date(grant.termination.terminationDate) <= asOf;
+        const forfeited = terminatedBy ? (grant.termination.optionsForfeited || 0) : 0;
+        const lapsed = grant.status === 'Expired' && grant.termination?.exerciseWindowEndsAt &&
+            new Date(grant.termination.exerciseWindowEndsAt) <= asOf ? (grant.termination.optionsLapsed || 0) : 0;
+        const cancelled = grant.status === 'Cancelled' ? Math.max(0, granted - exercised) : 0;
+
+        totals.granted += granted;
+        totals.vested += vested;
+        totals.unvested += terminatedBy || cancelled ? 0 : Math.max(0, granted - vested);
+        totals.exercised += exercised;
+        totals.forfeited += forfeited;
+        totals.lapsed += lapsed;
+        totals.cancelled += cancelled;
+
+        byStatus[grant.status] = byStatus[grant.status] || { grants: 0, options: 0 };
+        byStatus[grant.status].grants++;
+        byStatus[grant.status].options += granted;
+    }
+
+    const outstanding = Math.max(0, totals.granted - totals.exercised - totals.forfeited - totals.lapsed - totals.cancelled);
+    const poolSize = poolBalance + totals.exercised;
+    const available = poolBalance - outstanding;
+    const fullyDilutedShares = snapshot.totals.fullyDilutedShares;
+    const pctOfFd = (shares) => (fullyDilutedShares > 0 ? Math.round((shares / fullyDilutedShares) * 10000) / 100 : 0);
+
+    if (poolEntries.length === 0) {
+        warnings.push('No active ESOP Pool entry on the cap table; grants cannot be reconciled against a pool');
+    }
+    if (available < 0) {
+        warnings.push(`Grants exceed the pool by ${Math.abs(available).toLocaleString()} options`);
+    }
+
+    // Hiring plan: equity % on open positions → implied option grants, earliest hires first
+    let cumulative = 0;
+    const plannedGrants = openPositions
+        .slice()
+        .sort((a, b) => new Date(a.targetHireDate || '9999-12-31') - new Date(b.targetHireDate || '9999-12-31'))
+        .map(position => {
+            const impliedOptions = Math.round((position.compensation.equityPercentage / 100) * fullyDilutedShares);
+            cumulative += impliedOptions;
+            return {
+                headcountId: position._id,
+                name: position.name,
+                title: position.title,
+                department: position.department,
+                status: position.status,
+                targetHireDate: position.targetHireDate || null,
+                equityPercentage: position.compensation.equityPercentage,
+                impliedOptions,
+                cumulativeOptions: cumulative,
+                fitsInPool: cumulative <= Math.max(0, available)
+            };
+        });
+    const plannedTotal = cumulative;
+    const remainingAfterPlan = available - plannedTotal;
+
+    if (plannedTotal > 0 && remainingAfterPlan < 0) {
+        const firstMiss = plannedGrants.find(p => !p.fitsInPool);
+        warnings.push(`Planned hires need ${plannedTotal.toLocaleString()} options but only ${Math.max(0, available).toLocaleString()} are available ` +
+            `(shortfall ${Math.abs(remainingAfterPlan).toLocaleString()}, ${pctOfFd(Math.abs(remainingAfterPlan))}% fully diluted)` +
+            (firstMiss ? `; the pool runs out at ${firstMiss.title}${firstMiss.name ? ` (${firstMiss.name})` : ''}` : ''));
+    }
+
+    return {
+        asOfDate: asOf,
+        pool: {
+            entries: poolEntries.map(e => ({ _id: e._id, shareholderName: e.shareholderName, numberOfShares: e.numberOfShares })),
+            originalSize: poolSize,
+            currentBalance: poolBalance,
+            fullyDilutedPercentage: pctOfFd(poolBalance)
+        },
+        grants: {
+            count: grants.length,
+            ...totals,
+            outstanding,
+            byStatus
+        },
+        utilization: {
+            available,
+            availablePercentageOfFullyDiluted: pctOfFd(Math.max(0, available)),
+            grantedPercentageOfPool: poolSize > 0 ? Math.round((totals.granted / poolSize) * 10000) / 100 : 0,
+            outstandingPercentageOfPool: poolSize > 0 ? Math.round((outstanding / poolSize) * 10000) / 100 : 0
+        },
+        hiringPlan: {
+            openPositions: plannedGrants.length,
+            impliedOptions: plannedTotal,
+            remainingAfterPlan,
+            positions: plannedGrants
+        },
+        fullyDilutedShares,
+        warnings
+    };
+}
+
+module.exports = {
+    DEFAULT_EXERCISE_WINDOW_DAYS,
+    summarizeGrant,
+    getVestingSchedule,
+    regenerateSchedule,
+    exerciseOptions,
+    terminateGrant,
+    expireLapsedGrants,
+    getPoolUtilizationReport,
+};
@@ -0,0 +1,399 @@
+// services/exitWaterfallService.js
+// Liquidation preference waterfall: given an exit value, works out what every
+// holder on the cap table receives. Preference terms live on the Round
+// (liquidationPreference); callers can override them per round to model
+// terms that are still being negotiated. Nothing here writes to the database.
+const CapTableEntry = require('../models/capTableEntryModel');
+const Round = require('../models/roundModel');
+const Investor = require('../models/investorModel');
+
+const DEFAULT_PREFERENCE = { multiple: 1, participating: false, participationCap: null, seniority: 0 };
+const EXERCISABLE_TYPES = ['Option', 'Warrant'];
+const MAX_SCENARIOS = 50;
+const NOTE_SENIORITY = 1000; // debt ranks above any equity class
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function normalizeTerms(terms = {}, fallback = DEFAULT_PREFERENCE) {
+    const multiple = terms.multiple !== undefined ? parseFloat(terms.multiple) : fallback.multiple;
+    const cap = terms.participationCap !== undefined ? terms.participationCap : fallback.participationCap;
+    return {
+        multiple: multiple >= 0 ? multiple : 1,
+        participating: terms.participating !== undefined ? Boolean(terms.participating) : fallback.participating,
+        participationCap: cap ? parseFloat(cap) : null,
+        seniority: terms.seniority !== undefined ? parseInt(terms.seniority, 10) || 0 : fallback.seniority,
+    };
+}
+
+/**
+ * Load the cap table and turn it into holders and preference classes.
+ * One class per round of Preferred Stock, one per SAFE / Note holder.
+ * Unallocated ESOP pool shares are unissued and receive nothing.
+ */
+async function buildWaterfallModel(organizationId, overrides = {}) {
+    const [entries, rounds] = await Promise.all([
+        CapTableEntry.find({ organization: organizationId, status: { $in: ['Active', 'Exercised'] } }),
+        Round.find({ organization: organizationId }).select('name liquidationPreference pricePerShare existingSharesPreRound'),
+    ]);
+    const roundsById = new Map(rounds.map(r => [r._id.toString(), r]));
+
+    const instrumentInvestorIds = entries
+        .filter(e => ['SAFE', 'Convertible Note'].includes(e.securityType) && e.investorId)
+        .map(e => e.investorId);
+    const instrumentInvestors = instrumentInvestorIds.length > 0 ?
+        await Investor.find({ _id: { $in: instrumentInvestorIds }, organization: organizationId })
+            .select('safeValuationCap totalReceivedAmount') : [];
+    const capsByInvestor = new Map(instrumentInvestors.map(i => [i._id.toString(), i.safeValuationCap || 0]));
+
+    const issuedShares = entries
+        .filter(e => !['SAFE', 'Convertible Note', 'ESOP Pool Allocation'].includes(e.securityType))
+        .reduce((sum, e) => sum + (e.numberOfShares || 0), 0);
+
+    const classes = new Map();
+    const holders = [];
+    const warnings = [];
+
+    for (const entry of entries) {
+        const shares = entry.numberOfShares || 0;
+        const holder = {
+            entryId: entry._id,
+            shareholderName: entry.shareholderName,
+            shareholderType: entry.shareholderType,
+            securityType: entry.securityType,
+            shares,
+            strike: 0,
+            classKey: null,
+        };
+
+        if (entry.securityType === 'ESOP Pool Allocation' || entry.shareholderType === 'ESOP Pool') {
+            continue;
+        }
+
+        if (EXERCISABLE_TYPES.includes(entry.securityType)) {
+            holder.strike = entry.exercisePrice || 0;
+        } else if (entry.securityType === 'Preferred Stock') {
+            const roundId = entry.roundId ? entry.roundId.toString() : 'unassigned';
+            const round = roundsById.get(roundId);
+            if (!classes.has(roundId)) {
+                const stored = round?.liquidationPreference?.toObject ? round.liquidationPreference.toObject() : round?.liquidationPreference;
+                classes.set(roundId, {
+                    key: roundId,
+                    name: round ? round.name : 'Preferred (no round)',
+                    kind: 'preferred',
+                    terms: normalizeTerms(overrides[roundId], normalizeTerms(stored || {})),
+                    invested: 0,
+                    shares: 0,
+                });
+            }
+            const cls = classes.get(roundId);
+            cls.invested += entry.investmentAmount || shares * (entry.sharePrice || 0);
+            cls.shares += shares;
+            holder.classKey = roundId;
+        } else if (['SAFE', 'Convertible Note'].includes(entry.securityType)) {
+            // Unconverted instruments: Notes are debt and sit above all equity; SAFEs
+            // rank with preferred. Either takes the greater of its money back or the
+            // as-converted amount at the valuation cap.
+            const key = `instrument:${entry._id}`;
+            const amount = entry.investmentAmount || 0;
+            const cap = entry.investorId ? capsByInvestor.get(entry.investorId.toString()) : 0;
+            const asConvertedShares = cap > 0 && issuedShares > 0 ? Math.round(amount / (cap / issuedShares)) : 0;
+            if (!asConvertedShares) {
+                warnings.push(`${entry.shareholderName}: no valuation cap on record, modelled as a 1x claim only`);
+            }
+            classes.set(key, {
+                key,
+                name: `${entry.shareholderName} (${entry.securityType})`,
+                kind: entry.securityType === 'SAFE' ? 'safe' : 'note',
+                terms: normalizeTerms(overrides[key], {
+                    ...DEFAULT_PREFERENCE,
+                    seniority: entry.securityType === 'Convertible Note' ? NOTE_SENIORITY : null,
+                }),
+                invested: amount,
+                shares: asConvertedShares,
+            });
+            holder.shares = asConvertedShares;
+            holder.classKey = key;
+        }
+        holders.push(holder);
+    }
+
+    // SAFEs without an explicit seniority rank with the most junior preferred class
+    const preferredSeniorities = [...classes.values()].filter(c => c.kind === 'preferred').map(c => c.terms.seniority);
+    const juniorMost = preferredSeniorities.length ? Math.min(...preferredSeniorities) : 0;
+    classes.forEach(c => { if (c.terms.seniority === null) c.terms.seniority = juniorMost; });
+
+    classes.forEach(c => { c.preference = c.invested * c.terms.multiple; });
+
+    return { holders, classes, warnings };
+}
+
+/**
+ * Split a residual amount across participating shares. Options and warrants
+ * only exercise when the per-share value is above their strike; participation
+ * caps are enforced by freezing capped participants and re-splitting the rest.
+ * @returns {Map<participantKey, amount>}
+ */
+function distributeResidual(residual, participants) {
+    const payouts = new Map();
+    let remaining = residual;
+    let active = participants.filter(p => p.shares > 0);
+
+    for (let guard = 0; guard < 100 && active.length > 0 && remaining > 0; guard++) {
+        // Fixed point for which options are in the money
+        let pps = 0;
+        let exercising = active;
+        for (let i = 0; i < 20; i++) {
+            const shares = exercising.reduce((sum, p) => sum + p.shares, 0);
+            const strikeProceeds = exercising.reduce((sum, p) => sum + p.shares * p.strike, 0);
+            pps = shares > 0 ? (remaining + strikeProceeds) / shares : 0;
+            const next = active.filter(p => p.strike < pps);
+            if (next.length === exercising.length) break;
+            exercising = next;
+        }
+
+        const capped = exercising.filter(p => p.capRoom !== undefined && p.shares * (pps - p.strike) > p.capRoom);
+        if (capped.length === 0) {
+            exercising.forEach(p => payouts.set(p.key, (payouts.get(p.key) || 0) + p.shares * (pps - p.strike)));
+            return payouts;
+        }
+        capped.forEach(p => {
+            payouts.set(p.key, (payouts.get(p.key) || 0) + p.capRoom);
+            remaining -= p.capRoom;
+        });
+        active = active.filter(p => !capped.includes(p));
+    }
+    return payouts;
+}
+
+/**
+ * Run the waterfall for one exit value with a fixed set of converting classes.
+ */
+function runWaterfall(exitValue, model, converting) {
+    const { holders, classes } = model;
+    let remaining = exitValue;
+    const prefPaid = new Map();
+
+    // 1. Preferences, most senior tier first, pro rata within a tier
+    const tiers = new Map();
+    classes.forEach(c => {
+        if (converting.has(c.key)) return;
+        const tier = c.terms.seniority;
+        if (!tiers.has(tier)) tiers.set(tier, []);
+        tiers.get(tier).push(c);
+    });
+    [...tiers.keys()].sort((a, b) => b - a).forEach(tier => {
+        const tierClasses = tiers.get(tier);
+        const owed = tierClasses.reduce((sum, c) => sum + c.preference, 0);
+        const paid = Math.min(remaining, owed);
+        tierClasses.forEach(c => prefPaid.set(c.key, owed > 0 ? paid * (c.preference / owed) : 0));
+        remaining -= paid;
+    });
+
+    // 2. Residual to common, converted classes and participating preferred
+    const participants = [];
+    holders.forEach((h, index) => {
+        const cls = h.classKey ? classes.get(h.classKey) : null;
+        if (cls && !converting.has(cls.key)) {
+            if (cls.kind !== 'preferred' || !cls.terms.participating) return;
+            const participant = { key: index, shares: h.shares, strike: 0 };
+            if (cls.terms.participationCap) {
+                // Cap is a multiple of investment covering preference + participation
+                const holderPref = cls.shares > 0 ? (prefPaid.get(cls.key) || 0) * (h.shares / cls.shares) : 0;
+                const holderCap = cls.shares > 0 ? cls.invested * cls.terms.participationCap * (h.shares / cls.shares) : 0;
+                participant.capRoom = Math.max(0, holderCap - holderPref);
+            }
+            participants.push(participant);
+            return;
+        }
+        participants.push({ key: index, shares: h.shares, strike: h.strike });
+    });
+    const residualPayouts = distributeResidual(Math.max(0, remaining), participants);
+
+    // 3. Per holder totals
+    const payouts = holders.map((h, index) => {
+        const cls = h.classKey ? classes.get(h.classKey) : null;
+        let preference = 0;
+        if (cls && !converting.has(cls.key) && cls.shares > 0) {
+            preference = (prefPaid.get(cls.key) || 0) * (h.shares / cls.shares);
+        } else if (cls && !converting.has(cls.key)) {
+            preference = prefPaid.get(cls.key) || 0; // instrument without a share count
+        }
+        const participation = residualPayouts.get(index) || 0;
+        return { holderIndex: index, preference, participation, total: preference + participation };
+    });
+
+    const classPayout = (cls) => payouts
+        .filter(p => holders[p.holderIndex].classKey === cls.key)
+        .reduce((sum, p) => sum + p.total, 0);
+
+    return { payouts, classPayout, unallocated: Math.max(0, exitValue - payouts.reduce((sum, p) => sum + p.total, 0)) };
+}
+
+/**
+ * Decide which non-participating (or capped participating) classes convert to
+ * common. Each class converts when that pays it more, given everyone else's
+ * choice; repeated until no class wants to switch.
+ */
+function solveConversions(exitValue, model) {
+    const converting = new Set();
+    // SAFEs and notes are candidates too: each takes its money back or converts at the cap
+    const candidates = [...model.classes.values()].filter(c =>
+        c.shares > 0 && (!c.terms.participating || c.terms.participationCap));
+
+    for (let pass = 0; pass < candidates.length * 2 + 1; pass++) {
+        let changed = false;
+        for (const cls of candidates) {
+            const current = runWaterfall(exitValue, model, converting).classPayout(cls);
+            const flipped = new Set(converting);
+            if (flipped.has(cls.key)) flipped.delete(cls.key); else flipped.add(cls.key);
+            const alternative = runWaterfall(exitValue, model, flipped).classPayout(cls);
+            if (alternative > current + 0.01) {
+                if (converting.has(cls.key)) converting.delete(cls.key); else converting.add(cls.key);
+                changed = true;
+            }
+        }
+        if (!changed) break;
+    }
+    return converting;
+}
+
+function scenarioFor(exitValue, model) {
+    const converting = solveConversions(exitValue, model);
+    const { payouts, classPayout, unallocated } = runWaterfall(exitValue, model, converting);
+
+    // Roll entries up to shareholders
+    const byHolder = new Map();
+    payouts.forEach(p => {
+        const h = model.holders[p.holderIndex];
+        const key = `${h.shareholderName}|${h.shareholderType}`;
+        if (!byHolder.has(key)) {
+            byHolder.set(key, {
+                shareholderName: h.shareholderName,
+                shareholderType: h.shareholderType,
+                securities: new Set(),
+                preference: 0,
+                participation: 0,
+                total: 0,
+            });
+        }
+        const row = byHolder.get(key);
+        row.securities.add(h.securityType);
+        row.preference += p.preference;
+        row.participation += p.participation;
+        row.total += p.total;
+    });
+
+    const shareholders = [...byHolder.values()].map(row => ({
+        ...row,
+        securities: [...row.securities],
+        preference: round2(row.preference),
+        participation: round2(row.participation),
+        total: round2(row.total),
+        percentageOfExit: exitValue > 0 ? round2((row.total / exitValue) * 100) : 0,
+    })).sort((a, b) => b.total - a.total);
+
+    const classes = [...model.classes.values()].map(cls => {
+        const payout = classPayout(cls);
+        return {
+            key: cls.key,
+            name: cls.name,
+            kind: cls.kind,
+            terms: cls.terms,
+            invested: round2(cls.invested),
+            preferenceAmount: round2(cls.preference),
+            decision: converting.has(cls.key) ? 'convert' : (cls.terms.participating ? 'participate' : 'take preference'),
+            payout: round2(payout),
+            multipleOnInvestment: cls.invested > 0 ? round2(payout / cls.invested) : null,
+        };
+    });
+
+    return { exitValue, shareholders, classes, unallocated: round2(unallocated) };
+}
+
+function parseExitValues({ exitValue, exitValues, range }) {
+    let values = [];
+    if (Array.isArray(exitValues)) {
+        values = exitValues.map(v => parseFloat(v));
+    } else if (range) {
+        const min = parseFloat(range.min);
+        const max = parseFloat(range.max);
+        const steps = Math.min(MAX_SCENARIOS, Math.max(2, parseInt(range.steps, 10) || 10));
+        if (!(min >= 0) || !(max > min)) {
+            throw new Error('range needs 0 <= min < max');
+        }
+        for (let i = 0; i < steps; i++) values.push(min + ((max - min) * i) / (steps - 1));
+    } else if (exitValue !== undefined) {
+        values = [parseFloat(exitValue)];
+    }
+    if (values.length === 0 || values.some(v => isNaN(v) || v < 0)) {
+        throw new Error('Provide a non-negative exitValue, an exitValues array or a range { min, max, steps }');
+    }
+    if (values.length > MAX_SCENARIOS) {
+        throw new Error(`At most ${MAX_SCENARIOS} exit values can be modelled at once`);
+    }
+    return values.map(v => Math.round(v)).sort((a, b) => a - b);
+}
+
+/**
+ * Waterfall for a single exit value, with full class-level detail.
+ * @param {String} organizationId
+ * @param {Number} exitValue
+ * @param {Object} overrides - { [roundId]: { multiple, participating, participationCap, seniority } }
+ */
+async function calculateWaterfall(organizationId, exitValue, overrides = {}) {
+    const [value] = parseExitValues({ exitValue });
+    const model = await buildWaterfallModel(organizationId, overrides);
+    if (model.holders.length === 0) {
+        throw new Error('Cap table is empty');
+    }
+    return { ...scenarioFor(value, model), warnings: model.warnings };
+}
+
+/**
+ * Per-shareholder payouts across several exit values.
+ * @param {String} organizationId
+ * @param {Object} options - { exitValues } or { range: { min, max, steps } }, plus overrides
+ */
+async function calculateExitScenarios(organizationId, { exitValues, range, overrides = {} } = {}) {
+    const values = parseExitValues({ exitValues, range });
+    const model = await buildWaterfallModel(organizationId, overrides);
+    if (model.holders.length === 0) {
+        throw new Error('Cap table is empty');
+    }
+
+    const scenarios = values.map(value => scenarioFor(value, model));
+
+    // Pivot to one row per shareholder with a payout per exit value
+    const rows = new Map();
+    scenarios.forEach((scenario, i) => {
+        scenario.shareholders.forEach(s => {
+            const key = `${s.shareholderName}|${s.shareholderType}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    shareholderName: s.shareholderName,
+                    shareholderType: s.shareholderType,
+                    payouts: new Array(values.length).fill(0),
+                    percentages: new Array(values.length).fill(0),
+                });
+            }
+            rows.get(key).payouts[i] = s.total;
+            rows.get(key).percentages[i] = s.percentageOfExit;
+        });
+    });
+
+    return {
+        exitValues: values,
+        shareholders: [...rows.values()],
+        decisions: scenarios.map(s => ({
+            exitValue: s.exitValue,
+            classes: s.classes.map(c => ({ key: c.key, name: c.name, decision: c.decision, payout: c.payout })),
+        })),
+        warnings: model.warnings,
+    };
+}
+
+module.exports = {
+    DEFAULT_PREFERENCE,
+    calculateWaterfall,
+    calculateExitScenarios,
+};
@@ -0,0 +1,300 @@
+// services/expenseApprovalService.js
+// Expense approval workflow: policy matching on entry, the approver queue,
+// approve / reject decisions and founder reimbursements. Approving a
+// reimbursable expense books a founder_reimbursement Commitment; settling that
+// commitment marks the expense reimbursed.
+const Expense = require('../models/expenseModel');
+const ExpensePolicy = require('../models/expensePolicyModel');
+const Commitment = require('../models/commitmentModel');
+const Membership = require('../models/membershipModel');
+const HorizonUser = require('../models/userModel');
+const { notifyUsers } = require('./notificationService');
+const fxService = require('./fxService');
+
+const POLICY_FIELDS = ['name', 'category', 'minAmount', 'maxAmount', 'action', 'approvers', 'isActive'];
+
+function approvalError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+const formatAmount = (amount, currency) =>
+    `${currency || 'INR'} ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Expense amount in the organization's currency. Falls back to the raw amount
+ * when no rate is stored, so a missing rate never skips a threshold silently.
+ */
+async function amountInOrgCurrency(organization, expense) {
+    const orgCurrency = organization.currency || 'INR';
+    if (!expense.currency || expense.currency === orgCurrency) return expense.amount;
+    const fx = await fxService.createConverter(organization._id, orgCurrency);
+    const converted = fx.convert(expense.amount, expense.currency, expense.date);
+    return converted === null ? expense.amount : converted;
+}
+
+/**
+ * The active policy that governs an expense, or null. A category-specific
+ * policy beats an any-category one; among those, the highest minAmount wins.
+ */
+async function findPolicy(organization, expense) {
+    const amount = await amountInOrgCurrency(organization, expense);
+    const policies = await ExpensePolicy.find({
+        organization: organization._id,
+        isActive: true,
+        category: { $in: [expense.category, null] },
+        minAmount: { $lte: amount },
+        $or: [{ maxAmount: null }, { maxAmount: { $gt: amount } }],
+    });
+    policies.sort((a, b) => (Number(!!b.category) - Number(!!a.category)) || (b.minAmount - a.minAmount));
+    return policies[0] || null;
+}
+
+/**
+ * Users who may decide an expense under a policy: its named approvers, or
+ * every active owner when none are named. Only active members qualify.
+ */
+async function eligibleApprovers(organizationId, policy) {
+    const query = { organization: organizationId, status: 'active' };
+    if (policy?.approvers?.length) query.user = { $in: policy.approvers };
+    else query.role = 'owner';
+    const memberships = await Membership.find(query).select('user');
+    return memberships.map(m => String(m.user));
+}
+
+/**
+ * Book the founder_reimbursement payable for an approved reimbursable expense.
+ * No-op when the expense is not reimbursable or already has one.
+ */
+async function createReimbursementCommitment(organization, expense) {
+    if (!expense.isReimbursable || expense.reimbursementCommitment) return null;
+    const submitter = await HorizonUser.findById(expense.user).select('name email');
+    const commitment = await Commitment.create({
+        organization: organization._id,
+        addedBy: expense.decidedBy || expense.user,
+        direction: 'payable',
+        category: 'founder_reimbursement',
+        counterparty: submitter?.name || submitter?.email || 'Team member',
+        title: `Reimbursement: ${expense.description}`.slice(0, 300),
+        totalAmount: await amountInOrgCurrency(organization, expense),
+        expense: expense._id,
+        notes: expense.currency && expense.currency !== (organization.currency || 'INR')
+            ? `Original amount ${formatAmount(expense.amount, expense.currency)}` : undefined,
+    });
+    expense.reimbursementCommitment = commitment._id;
+    return commitment;
+}
+
+/**
+ * Route a newly entered (or materially edited) expense through the policies.
+ * Sets approvalStatus on the document without saving it. The expense is
+ * approved straight away when no policy matches, the policy auto-approves,
+ * or the submitter is themselves an approver under the policy; otherwise it
+ * is submitted. Call finishRouting once the expense has been saved.
+ *
+ * @returns {Promise<{status: string, policy: Object|null, approverIds: string[]}>}
+ */
+async function applyPolicy(organization, expense, submitterId) {
+    const policy = await findPolicy(organization, expense);
+    expense.approvalPolicy = policy?._id || null;
+    expense.decisionComment = undefined;
+
+    let approverIds = [];
+    let autoApprove = !policy || policy.action === 'auto_approve';
+    if (!autoApprove) {
+        approverIds = await eligibleApprovers(organization._id, policy);
+        autoApprove = approverIds.includes(String(submitterId));
+    }
+
+    if (autoApprove) {
+        expense.approvalStatus = 'approved';
+        expense.submittedAt = null;
+        expense.decidedBy = policy ? submitterId : null;
+        expense.decidedAt = policy ? new Date() : null;
+        if (policy) {
+            expense.decisionComment = policy.action === 'auto_approve'
+                ? `Auto-approved under policy "${policy.name}"`
+                : `Entered by an approver under policy "${policy.name}"`;
+        }
+    } else {
+        expense.approvalStatus = 'submitted';
+        expense.submittedAt = new Date();
+        expense.decidedBy = null;
+        expense.decidedAt = null;
+    }
+    return { status: expense.approvalStatus, policy, approverIds };
+}
+
+/**
+ * Follow-up for a saved expense routed by applyPolicy: book the reimbursement
+ * of an approved one, or tell approvers a submitted one is waiting for them.
+ */
+async function finishRouting(organization, expense, { approverIds }, submitterId) {
+    if (expense.approvalStatus === 'approved') {
+        if (await createReimbursementCommitment(organization, expense)) await expense.save();
+        return;
+    }
+    if (expense.approvalStatus !== 'submitted' || approverIds.length === 0) return;
+    const submitter = await HorizonUser.findById(submitterId).select('name');
+    await notifyUsers({
+        organizationId: organization._id,
+        recipientIds: approverIds,
+        actorId: submitterId,
+        type: 'expense_approval',
+        title: `Expense awaiting approval: ${formatAmount(expense.amount, expense.currency)}`,
+        message: `${submitter?.name || 'A team member'} submitted "${expense.description}" (${expense.category}${expense.vendor ? `, ${expense.vendor}` : ''}) for approval.`,
+    });
+}
+
+/**
+ * Approve or reject a submitted expense.
+ * Errors carry an HTTP `status` for the controller.
+ */
+async function decide(organization, expense, approverId, decision, comment) {
+    if (!['approved', 'rejected'].includes(decision)) throw approvalError('Decision must be approved or rejected');
+    if (expense.approvalStatus !== 'submitted') {
+        throw approvalError(`Only submitted expenses can be decided (this one is ${expense.approvalStatus})`, 409);
+    }
+    if (String(expense.user) === String(approverId)) {
+        throw approvalError('You cannot approve or reject your own expense', 403);
+    }
+    const policy = expense.approvalPolicy ? await ExpensePolicy.findById(expense.approvalPolicy) : null;
+    const approverIds = await eligibleApprovers(organization._id, policy);
+    if (!approverIds.includes(String(approverId))) {
+        throw approvalError('You are not an approver for this expense', 403);
+    }
+    if (decision === 'rejected' && !String(comment || '').trim()) {
+        throw approvalError('A comment is required when rejecting an expense');
+    }
+
+    expense.approvalStatus = decision;
+    expense.decidedBy = approverId;
+    expense.decidedAt = new Date();
+    expense.decisionComment = comment ? String(comment).trim() : undefined;
+    if (decision === 'approved') await createReimbursementCommitment(organization, expense);
+    await expense.save();
+
+    await notifyUsers({
+        organizationId: organization._id,
+        recipientIds: [expense.user],
+        actorId: approverId,
+        type: 'expense_approval',
+        title: `Expense ${decision}: ${formatAmount(expense.amount, expense.currency)}`,
+        message: `"${expense.description}" was ${decision}${expense.decisionComment ? `: ${expense.decisionComment}` : '.'}`
+            + (decision === 'approved' && expense.reimbursementCommitment ? ' A reimbursement has been queued.' : ''),
+    });
+    return expense;
+}
+
+/**
+ * Keep a reimbursable expense's status in step with its reimbursement
+ * commitment. Call after recording or deleting a commitment payment.
+ */
+async function syncReimbursementStatus(commitment) {
+    if (!commitment?.expense || commitment.category !== 'founder_reimbursement') return null;
+    const expense = await Expense.findOne({ _id: commitment.expense, organization: commitment.organization });
+    if (!expense || !['approved', 'reimbursed'].includes(expense.approvalStatus)) return expense;
+
+    const next = commitment.status === 'settled' ? 'reimbursed' : 'approved';
+    if (expense.approvalStatus !== next) {
+        expense.approvalStatus = next;
+        await expense.save();
+    }
+    return expense;
+}
+
+/**
+ * Pay out the outstanding reimbursement for an approved expense in full.
+ */
+async function markReimbursed(organization, expense, userId, { date, notes } = {}) {
+    if (!expense.isReimbursable) throw approvalError('This expense is not marked as reimbursable');
+    if (expense.approvalStatus === 'reimbursed') throw approvalError('This expense has already been reimbursed', 409);
+    if (expense.approvalStatus !== 'approved') throw approvalError('Only approved expenses can be reimbursed', 409);
+
+    let commitment = expense.reimbursementCommitment
+        ? await Commitment.findOne({ _id: expense.reimbursementCommitment, organization: organization._id })
+        : null;
+    if (!commitment) {
+        // Commitment deleted by hand (or expense approved before it was flagged reimbursable)
+        expense.reimbursementCommitment = null;
+        commitment = await createReimbursementCommitment(organization, expense);
+    }
+
+    const when = date ? new Date(date) : new Date();
+    if (isNaN(when.getTime())) throw approvalError('Invalid reimbursement date');
+    const outstanding = Math.max(0, commitment.totalAmount - commitment.amountPaid);
+    if (outstanding > 0) {
+        commitment.payments.push({ date: when, amount: outstanding, notes: notes || 'Expense reimbursed', recordedBy: userId });
+    }
+    if (commitment.status === 'waived') commitment.status = 'pending'; // hook re-derives from payments
+    await commitment.save();
+
+    expense.approvalStatus = 'reimbursed';
+    await expense.save();
+    return { expense, commitment };
+}
+
+/**
+ * Submitted expenses the given user can decide, oldest first.
+ */
+async function getApprovalQueue(organizationId, userId) {
+    const [membership, submitted] = await Promise.all([
+        Membership.findOne({ organization: organizationId, user: userId, status: 'active' }).select('role'),
+        Expense.find({ organization: organizationId, approvalStatus: 'submitted' })
+            .sort({ submittedAt: 1 })
+            .populate('user', 'name email')
+            .populate('approvalPolicy', 'name approvers'),
+    ]);
+    const isOwner = membership?.role === 'owner';
+    const uid = String(userId);
+
+    const items = submitted.filter(e => {
+        if (String(e.user?._id || e.user) === uid) return false;
+        const named = e.approvalPolicy?.approvers || [];
+        return named.length ? named.some(id => String(id) === uid) : isOwner;
+    });
+    return { count: items.length, expenses: items };
+}
+
+// --- Policy CRUD ---
+
+async function listPolicies(organizationId) {
+    return ExpensePolicy.find({ organization: organizationId })
+        .sort({ isActive: -1, category: 1, minAmount: 1 })
+        .populate('approvers', 'name email');
+}
+
+/**
+ * Create a policy, or update `existing` in place. Named approvers must be
+ * active members of the organization.
+ */
+async function savePolicy(organizationId, data, userId, existing = null) {
+    const policy = existing || new ExpensePolicy({ organization: organizationId, createdBy: userId });
+    for (const field of POLICY_FIELDS) {
+        if (data[field] !== undefined) policy[field] = data[field] === '' ? null : data[field];
+    }
+    if (data.approvers !== undefined && policy.approvers.length) {
+        const members = await Membership.countDocuments({
+            organization: organizationId, status: 'active', user: { $in: policy.approvers },
+        });
+        if (members !== new Set(policy.approvers.map(String)).size) {
+            throw approvalError('Approvers must be active members of your organization');
+        }
+    }
+    return policy.save();
+}
+
+module.exports = {
+    findPolicy,
+    eligibleApprovers,
+    applyPolicy,
+    finishRouting,
+    decide,
+    createReimbursementCommitment,
+    syncReimbursementStatus,
+    markReimbursed,
+    getApprovalQueue,
+    listPolicies,
+    savePolicy,
+};
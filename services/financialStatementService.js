@@ -0,0 +1,451 @@
+// services/financialStatementService.js
+// Statement views built from the ledger: a month-by-month income statement
+// (revenue by source, expenses by category), an indirect cash flow statement
+// that walks net income to the change in bank balances, and a point-in-time
+// balance summary. Amounts are in the organization's reporting currency and
+// periods follow its financial year.
+const Papa = require('papaparse');
+const Expense = require('../models/expenseModel');
+const Revenue = require('../models/revenueModel');
+const BankAccount = require('../models/bankAccountModel');
+const Commitment = require('../models/commitmentModel');
+const Investor = require('../models/investorModel');
+const Invoice = require('../models/invoiceModel');
+const { BankTransaction } = require('./bankSyncService');
+const fxService = require('./fxService');
+const balanceHistoryService = require('./balanceHistoryService');
+const accountingBasisService = require('./accountingBasisService');
+const FiscalPeriods = require('../utils/fiscalPeriods');
+
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+const MAX_MONTHS = 36;
+
+/**
+ * Statement range from { period } (fiscal spec, default fiscal YTD) or { startDate, endDate }
+ */
+function resolveRange(organization, { period, startDate, endDate } = {}) {
+    if (startDate && endDate) {
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+            throw new Error('Invalid period: startDate and endDate must be valid dates with startDate before endDate');
+        }
+        end.setUTCHours(23, 59, 59, 999);
+        return { label: `${start.toISOString().slice(0, 10)} to ${end.toISOString().slice(0, 10)}`, start, end };
+    }
+    const resolved = FiscalPeriods.resolvePeriod(period || 'year_to_date', organization);
+    return { label: resolved.label, start: resolved.start, end: resolved.end };
+}
+
+/**
+ * Calendar months covered by a range: [{ key: '2026-04', label, start, end }]
+ */
+function monthsInRange(start, end) {
+    const months = [];
+    let cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+    while (cursor <= end) {
+        const next = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+        months.push({
+            key: cursor.toISOString().slice(0, 7),
+            label: cursor.toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+            start: cursor < start ? start : cursor,
+            end: new Date(Math.min(next.getTime() - 1, end.getTime()))
+        });
+        cursor = next;
+        if (months.length > MAX_MONTHS) {
+            throw new Error(`Invalid period: statements cover at most ${MAX_MONTHS} months`);
+        }
+    }
+    return months;
+}
+
+const monthKey = { $dateToString: { format: '%Y-%m', date: '$date' } };
+
+/**
+ * Sum converted amounts into { [month]: { [line]: amount } }
+ */
+function toMonthGrid(rows, lineField) {
+    const grid = {};
+    for (const row of rows) {
+        const month = row._id.month;
+        const line = lineField ? (row._id[lineField] || 'Uncategorized') : 'total';
+        grid[month] = grid[month] || {};
+        grid[month][line] = (grid[month][line] || 0) + row.total;
+    }
+    return grid;
+}
+
+/**
+ * Month-by-month income statement
+ * @param {Object} organization - req.organization (currency, fiscal and accounting-basis settings)
+ * @param {Object} options - { period } or { startDate, endDate }, plus optional { basis: 'accrual'|'cash' }
+ */
+async function getIncomeStatement(organization, options = {}) {
+    const organizationId = organization._id;
+    const basis = accountingBasisService.resolveBasis(organization, options.basis);
+    const range = resolveRange(organization, options);
+    const months = monthsInRange(range.start, range.end);
+    const fx = await fxService.createConverter(organizationId, organization.currency || 'INR');
+    const dateRange = { $gte: range.start, $lte: range.end };
+    const monthOnBasis = accountingBasisService.basisMonthKey;
+
+    const [revenueRows, expenseRows] = await Promise.all([
+        accountingBasisService.sumByBasis(Revenue, { organization: organizationId }, fx,
+            { basis, dateRange, groupBy: { month: monthOnBasis, source: '$source' } }),
+        accountingBasisService.sumByBasis(Expense, { organization: organizationId }, fx,
+            { basis, dateRange, groupBy: { month: monthOnBasis, category: '$category' } })
+    ]);
+
+    const revenueGrid = toMonthGrid(revenueRows, 'source');
+    const expenseGrid = toMonthGrid(expenseRows, 'category');
+    const sources = [...new Set(revenueRows.map(r => r._id.source || 'Uncategorized'))].sort();
+    const categories = [...new Set(expenseRows.map(r => r._id.category || 'Uncategorized'))].sort();
+
+    const lineTotals = (grid, lines, month) => {
+        const byLine = {};
+        for (const line of lines) byLine[line] = round2(grid[month]?.[line]);
+        return { byLine, total: round2(Object.values(byLine).reduce((sum, v) => sum + v, 0)) };
+    };
+
+    const monthRows = months.map(m => {
+        const revenue = lineTotals(revenueGrid, sources, m.key);
+        const expenses = lineTotals(expenseGrid, categories, m.key);
+        return {
+            month: m.key,
+            label: m.label,
+            revenue: { bySource: revenue.byLine, total: revenue.total },
+            expenses: { byCategory: expenses.byLine, total: expenses.total },
+            netIncome: round2(revenue.total - expenses.total)
+        };
+    });
+
+    const sumBy = (lines, pick) => Object.fromEntries(lines.map(line =>
+        [line, round2(monthRows.reduce((sum, row) => sum + (pick(row)[line] || 0), 0))]));
+    const totalRevenue = round2(monthRows.reduce((sum, r) => sum + r.revenue.total, 0));
+    const totalExpenses = round2(monthRows.reduce((sum, r) => sum + r.expenses.total, 0));
+
+    return {
+        statement: 'income_statement',
+        currency: fx.reportingCurrency,
+        period: range,
+        accountingBasis: accountingBasisService.describeBasis(basis),
+        sources,
+        categories,
+        months: monthRows,
+        totals: {
+            revenue: { bySource: sumBy(sources, r => r.revenue.bySource), total: totalRevenue },
+            expenses: { byCategory: sumBy(categories, r => r.expenses.byCategory), total: totalExpenses },
+            netIncome: round2(totalRevenue - totalExpenses)
+        },
+        fxBasis: fx.basis()
+    };
+}
+
+/**
+ * Bank balance per month boundary from the balance history: the latest
+ * daily balance on or before `date` for each account, or the latest
+ * imported running balance for accounts whose history was never built.
+ * Accounts without either return null so the caller can fall back to a
+ * derived figure.
+ */
+async function statementBalanceAt(organizationId, accounts, date, fx) {
+    let total = 0;
+    let covered = 0;
+    for (const account of accounts) {
+        const snapshot = await balanceHistoryService.balanceAt(account._id, date);
+        if (snapshot) {
+            total += fx.convert(snapshot.balance, account.currency, snapshot.date) || 0;
+            covered++;
+            continue;
+        }
+        const txn = await BankTransaction.findOne({
+            organization: organizationId,
+            bankAccountId: account._id,
+            date: { $lte: date },
+            balance: { $ne: null }
+        }).sort({ date: -1, createdAt: -1 }).select('balance date');
+        if (txn) {
+            total += fx.convert(txn.balance, account.currency, txn.date) || 0;
+            covered++;
+        }
+    }
+    return covered === accounts.length && accounts.length > 0 ? round2(total) : null;
+}
+
+/**
+ * Indirect cash flow statement. Starts from net income, removes revenue not
+ * yet collected, adds commitment payments that never hit the expense ledger
+ * and fundraising receipts from investor tranches, then reconciles the result
+ * against opening and closing bank balances.
+ * @param {Object} organization - req.organization
+ * @param {Object} options - { period } or { startDate, endDate }
+ */
+async function getCashFlowStatement(organization, options = {}) {
+    const organizationId = organization._id;
+    // The operating adjustments below walk accrual net income to cash, so the
+    // statement always starts from the accrual view regardless of the org default
+    const income = await getIncomeStatement(organization, { ...options, basis: 'accrual' });
+    const range = income.period;
+    const months = monthsInRange(range.start, range.end);
+    const fx = await fxService.createConverter(organizationId, income.currency);
+    const now = new Date();
+
+    const [pendingRows, commitments, investors, accounts] = await Promise.all([
+        fxService.sumConverted(Revenue,
+            { organization: organizationId, date: { $gte: range.start, $lte: range.end }, status: 'Pending' },
+            fx, { groupBy: { month: monthKey } }),
+        // Commitments settling a ledger expense (founder reimbursements) are already in net income
+        Commitment.find({ organization: organizationId, 'payments.0': { $exists: true }, expense: null })
+            .select('direction category payments'),
+        Investor.find({ organization: organizationId, 'tranches.receivedAmount': { $gt: 0 } })
+            .select('name currency tranches'),
+        BankAccount.find({ organization: organizationId })
+    ]);
+    const pendingGrid = toMonthGrid(pendingRows, null);
+
+    // Cash movements outside the P&L, bucketed by month
+    const outside = {};
+    const bucket = (date, field, amount) => {
+        const key = new Date(date).toISOString().slice(0, 7);
+        outside[key] = outside[key] || { commitmentPayments: 0, commitmentReceipts: 0, fundraising: 0 };
+        outside[key][field] += amount;
+    };
+    // Flows after the period end are needed to roll today's balance back to the period
+    let flowsAfterPeriod = 0;
+
+    for (const commitment of commitments) {
+        for (const payment of commitment.payments) {
+            const amount = fx.convert(payment.amount, income.currency, payment.date) || 0;
+            const signed = commitment.direction === 'receivable' ? amount : -amount;
+            if (payment.date > range.end) {
+                flowsAfterPeriod += signed;
+            } else if (payment.date >= range.start) {
+                bucket(payment.date, commitment.direction === 'receivable' ? 'commitmentReceipts' : 'commitmentPayments', amount);
+            }
+        }
+    }
+    for (const investor of investors) {
+        for (const tranche of investor.tranches || []) {
+            if (!tranche.receivedAmount || !tranche.dateReceived) continue;
+            const amount = fx.convert(tranche.receivedAmount, investor.currency, tranche.dateReceived) || 0;
+            if (tranche.dateReceived > range.end) {
+                flowsAfterPeriod += amount;
+            } else if (tranche.dateReceived >= range.start) {
+                bucket(tranche.dateReceived, 'fundraising', amount);
+            }
+        }
+    }
+
+    // Ledger flows after the period (P&L cash effect) for the roll-back
+    if (range.end < now) {
+        const afterMatch = { organization: organizationId, date: { $gt: range.end, $lte: now } };
+        const [laterRevenue, laterExpenses] = await Promise.all([
+            fxService.sumConverted(Revenue, { ...afterMatch, status: { $in: ['Received', 'Credited'] } }, fx),
+            fxService.sumConverted(Expense, { ...afterMatch, ...Expense.actualsFilter() }, fx)
+        ]);
+        flowsAfterPeriod += (laterRevenue[0]?.total || 0) - (laterExpenses[0]?.total || 0);
+    }
+
+    const currentBalance = accounts.reduce((sum, a) => sum + (fx.convert(a.currentBalance, a.currency, now) || 0), 0);
+
+    const monthRows = months.map((m, index) => {
+        const pnl = income.months[index];
+        const extra = outside[m.key] || { commitmentPayments: 0, commitmentReceipts: 0, fundraising: 0 };
+        const uncollectedRevenue = round2(pendingGrid[m.key]?.total);
+        const operating = round2(pnl.netIncome - uncollectedRevenue - extra.commitmentPayments + extra.commitmentReceipts);
+        const financing = round2(extra.fundraising);
+        return {
+            month: m.key,
+            label: m.label,
+            start: m.start,
+            end: m.end,
+            operating: {
+                netIncome: pnl.netIncome,
+                lessUncollectedRevenue: -uncollectedRevenue,
+                commitmentPayments: -round2(extra.commitmentPayments),
+                commitmentReceipts: round2(extra.commitmentReceipts),
+                netCashFromOperating: operating
+            },
+            financing: {
+                fundraisingReceipts: financing,
+                netCashFromFinancing: financing
+            },
+            netChangeInCash: round2(operating + financing)
+        };
+    });
+
+    // Derived closing balance at period end: today's balance less everything that moved since
+    const netChangeInPeriod = monthRows.reduce((sum, r) => sum + r.netChangeInCash, 0);
+    const derivedClosing = round2(currentBalance - flowsAfterPeriod);
+    let runningDerived = round2(derivedClosing - netChangeInPeriod);
+
+    for (const row of monthRows) {
+        const derivedOpening = runningDerived;
+        const expectedClosing = round2(derivedOpening + row.netChangeInCash);
+        const [statementOpening, statementClosing] = await Promise.all([
+            statementBalanceAt(organizationId, accounts, new Date(row.start.getTime() - 1), fx),
+            statementBalanceAt(organizationId, accounts, row.end, fx)
+        ]);
+        const opening = statementOpening ?? derivedOpening;
+        const expected = round2(opening + row.netChangeInCash);
+        row.reconciliation = {
+            openingBalance: opening,
+            netChangeInCash: row.netChangeInCash,
+            expectedClosingBalance: expected,
+            actualClosingBalance: statementClosing,
+            difference: statementClosing === null ? null : round2(statementClosing - expected),
+            balanceSource: statementOpening !== null && statementClosing !== null ? 'bank_statements' : 'derived'
+        };
+        runningDerived = expectedClosing;
+        delete row.start;
+        delete row.end;
+    }
+
+    const first = monthRows[0]?.reconciliation;
+    const last = monthRows[monthRows.length - 1]?.reconciliation;
+    const sum = (pick) => round2(monthRows.reduce((total, r) => total + pick(r), 0));
+
+    return {
+        statement: 'cash_flow_statement',
+        method: 'indirect',
+        currency: income.currency,
+        period: range,
+        months: monthRows,
+        totals: {
+            netIncome: income.totals.netIncome,
+            lessUncollectedRevenue: sum(r => r.operating.lessUncollectedRevenue),
+            commitmentPayments: sum(r => r.operating.commitmentPayments),
+            commitmentReceipts: sum(r => r.operating.commitmentReceipts),
+            netCashFromOperating: sum(r => r.operating.netCashFromOperating),
+            fundraisingReceipts: sum(r => r.financing.fundraisingReceipts),
+            netCashFromFinancing: sum(r => r.financing.netCashFromFinancing),
+            netChangeInCash: round2(netChangeInPeriod),
+            openingBalance: first ? first.openingBalance : 0,
+            closingBalance: last ? (last.actualClosingBalance ?? last.expectedClosingBalance) : 0
+        },
+        notes: [
+            'Opening and closing balances come from imported bank statement running balances where every account has them; otherwise they are derived by rolling current bank balances back through recorded transactions.',
+            'Pending revenue is treated as not yet collected; commitment payments are cash movements outside the expense ledger. Commitments linked to an expense (e.g. founder reimbursements) are left out, because the expense is already in net income.'
+        ],
+        fxBasis: fx.basis()
+    };
+}
+
+/**
+ * Point-in-time balance summary: cash, receivables, payables and
+ * committed-but-unreceived investor money
+ * @param {Object} organization - req.organization
+ * @param {Date} asOfDate - Defaults to now
+ */
+async function getBalanceSummary(organization, asOfDate = new Date()) {
+    const organizationId = organization._id;
+    const asOf = new Date(asOfDate);
+    if (isNaN(asOf.getTime())) throw new Error('Invalid as-of date');
+    const fx = await fxService.createConverter(organizationId, organization.currency || 'INR');
+
+    const [position, pendingRevenue, commitments, investors, invoices] = await Promise.all([
+        balanceHistoryService.getCashPosition(organization, asOf, fx),
+        fxService.sumConverted(Revenue, { organization: organizationId, status: 'Pending', date: { $lte: asOf } }, fx),
+        Commitment.find({ organization: organizationId, status: { $in: ['pending', 'partially_paid'] }, createdAt: { $lte: asOf } }),
+        Investor.find({ organization: organizationId, totalCommittedAmount: { $gt: 0 } }).select('totalCommittedAmount totalReceivedAmount currency'),
+        Invoice.find({ organization: organizationId, status: { $in: ['sent', 'partially_paid', 'overdue', 'paid'] }, issueDate: { $lte: asOf } })
+            .select('currency total payments')
+    ]);
+
+    // Balances as of the date come from the daily balance history
+    const cashAccounts = position.accounts.map(a => ({
+        accountName: a.accountName,
+        bankName: a.bankName,
+        currency: a.currency,
+        balance: a.balance,
+        balanceInReportingCurrency: a.balanceInReportingCurrency,
+        balanceDate: a.balanceDate,
+        balanceSource: a.source,
+        lastBalanceUpdate: a.lastBalanceUpdate
+    }));
+    const cash = position.cash;
+
+    const outstandingBy = (direction) => round2(commitments
+        .filter(c => c.direction === direction)
+        .reduce((sum, c) => sum + (fx.convert(c.outstanding, organization.currency, asOf) || 0), 0));
+    const receivableCommitments = outstandingBy('receivable');
+    const payableCommitments = outstandingBy('payable');
+    const pendingInvoices = round2(pendingRevenue[0]?.total);
+    const investorCommitmentsOutstanding = round2(investors.reduce((sum, inv) =>
+        sum + (fx.convert(Math.max(0, (inv.totalCommittedAmount || 0) - (inv.totalReceivedAmount || 0)), inv.currency, asOf) || 0), 0));
+
+    // Open invoice balances as they stood on the date: payments recorded later don't count yet
+    const openInvoices = round2(invoices.reduce((sum, inv) => {
+        const balance = inv.total - inv.payments.filter(p => p.date <= asOf).reduce((paid, p) => paid + p.amount, 0);
+        return balance > 0 ? sum + (fx.convert(balance, inv.currency, asOf) || 0) : sum;
+    }, 0));
+
+    const receivables = round2(pendingInvoices + openInvoices + receivableCommitments);
+    return {
+        statement: 'balance_summary',
+        currency: fx.reportingCurrency,
+        asOfDate: asOf,
+        assets: {
+            cash,
+            cashAccounts,
+            accountsWithoutHistory: position.missingHistory,
+            receivables: { pendingRevenue: pendingInvoices, openInvoices, commitments: receivableCommitments, total: receivables },
+            total: round2(cash + receivables)
+        },
+        liabilities: {
+            payableCommitments,
+            total: payableCommitments
+        },
+        netPosition: round2(cash + receivables - payableCommitments),
+        investorCommitmentsOutstanding,
+        fxBasis: fx.basis()
+    };
+}
+
+// --- CSV export ---
+
+function incomeStatementToCsv(statement) {
+    const header = ['Line item', ...statement.months.map(m => m.label), 'Total'];
+    const row = (label, values, total) => [label, ...values.map(v => v ?? ''), total ?? ''];
+    const rows = [row('Revenue', statement.months.map(() => null), null)];
+    for (const source of statement.sources) {
+        rows.push(row(`  ${source}`, statement.months.map(m => m.revenue.bySource[source]), statement.totals.revenue.bySource[source]));
+    }
+    rows.push(row('Total Revenue', statement.months.map(m => m.revenue.total), statement.totals.revenue.total));
+    rows.push(row('Expenses', statement.months.map(() => null), null));
+    for (const category of statement.categories) {
+        rows.push(row(`  ${category}`, statement.months.map(m => m.expenses.byCategory[category]), statement.totals.expenses.byCategory[category]));
+    }
+    rows.push(row('Total Expenses', statement.months.map(m => m.expenses.total), statement.totals.expenses.total));
+    rows.push(row('Net Income', statement.months.map(m => m.netIncome), statement.totals.netIncome));
+    return Papa.unparse({ fields: header, data: rows });
+}
+
+function cashFlowToCsv(statement) {
+    const header = ['Line item', ...statement.months.map(m => m.label), 'Total'];
+    const m = statement.months;
+    const t = statement.totals;
+    const rows = [
+        ['Opening bank balance', ...m.map(r => r.reconciliation.openingBalance), t.openingBalance],
+        ['Net income', ...m.map(r => r.operating.netIncome), t.netIncome],
+        ['Less: revenue not yet collected', ...m.map(r => r.operating.lessUncollectedRevenue), t.lessUncollectedRevenue],
+        ['Commitment payments', ...m.map(r => r.operating.commitmentPayments), t.commitmentPayments],
+        ['Commitment receipts', ...m.map(r => r.operating.commitmentReceipts), t.commitmentReceipts],
+        ['Net cash from operating activities', ...m.map(r => r.operating.netCashFromOperating), t.netCashFromOperating],
+        ['Fundraising receipts (investor tranches)', ...m.map(r => r.financing.fundraisingReceipts), t.fundraisingReceipts],
+        ['Net cash from financing activities', ...m.map(r => r.financing.netCashFromFinancing), t.netCashFromFinancing],
+        ['Net change in cash', ...m.map(r => r.netChangeInCash), t.netChangeInCash],
+        ['Expected closing balance', ...m.map(r => r.reconciliation.expectedClosingBalance), ''],
+        ['Bank statement closing balance', ...m.map(r => r.reconciliation.actualClosingBalance ?? ''), ''],
+        ['Unreconciled difference', ...m.map(r => r.reconciliation.difference ?? ''), '']
+    ];
+    return Papa.unparse({ fields: header, data: rows });
+}
+
+module.exports = {
+    getIncomeStatement,
+    getCashFlowStatement,
+    getBalanceSummary,
+    incomeStatementToCsv,
+    cashFlowToCsv
+};
@@ -0,0 +1,227 @@
+// services/fundraisingAuditService.js
+// Writes and reads the fundraising change log. Callers pass before/after
+// snapshots; this service turns them into a field-level diff. Recording is
+// best-effort outside a transaction — a failed audit write is logged, never
+// surfaced to the user — but inside a session it joins the transaction.
+const FundraisingAuditLog = require('../models/fundraisingAuditLogModel');
+
+// Bookkeeping fields that change on every save and carry no business meaning
+const IGNORED_FIELDS = new Set([
+    '_id', '__v', 'id', 'createdAt', 'updatedAt', 'lastCalculatedAt', 'lastValueUpdate',
+    'relationshipHistory', 'interactions', 'organization',
+]);
+
+function toPlain(doc) {
+    if (!doc) return null;
+    const obj = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false, depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(obj));
+}
+
+// Flatten nested objects into dot paths; arrays are compared whole
+function flatten(obj, prefix = '', out = {}) {
+    if (!obj || typeof obj !== 'object') return out;
+    for (const [key, value] of Object.entries(obj)) {
+        if (!prefix && IGNORED_FIELDS.has(key)) continue;
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, path, out);
+        } else {
+            out[path] = value === undefined ? null : value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Field-level diff between two snapshots (documents or plain objects).
+ * @returns {Array<{field, before, after}>}
+ */
+function diffSnapshots(before, after) {
+    const a = flatten(toPlain(before) || {});
+    const b = flatten(toPlain(after) || {});
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    const changes = [];
+    for (const field of fields) {
+        const prev = a[field] === undefined ? null : a[field];
+        const next = b[field] === undefined ? null : b[field];
+        if (JSON.stringify(prev) !== JSON.stringify(next)) {
+            changes.push({ field, before: prev, after: next });
+        }
+    }
+    return changes.sort((x, y) => x.field.localeCompare(y.field));
+}
+
+/**
+ * Append one entry to the fundraising audit log.
+ *
+ * @param {Object} opts
+ * @param {ObjectId|string} opts.organizationId
+ * @param {ObjectId|string} [opts.actorId]
+ * @param {'Round'|'Investor'|'Tranche'|'CapTableEntry'} opts.entityType
+ * @param {ObjectId|string} opts.entityId
+ * @param {'create'|'update'|'delete'|'payment'|'conversion'|'recalculation'} opts.action
+ * @param {Object} [opts.before] - snapshot before the change (null on create)
+ * @param {Object} [opts.after] - snapshot after the change (null on delete)
+ * @param {ObjectId|string} [opts.roundId]
+ * @param {ObjectId|string} [opts.investorId]
+ * @param {string} [opts.label]
+ * @param {Object} [opts.payment] - ledger fields for payment entries
+ * @param {string} [opts.source]
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Object|null>} the saved entry, or null if nothing changed / the write failed
+ */
+async function recordChange({
+    organizationId, actorId = null, entityType, entityId, action,
+    before = null, after = null, roundId = null, investorId = null,
+    label, payment, source, session = null,
+}) {
+    try {
+        const changes = diffSnapshots(before, after);
+        if (action === 'update' && changes.length === 0) return null;
+
+        const entry = new FundraisingAuditLog({
+            organization: organizationId,
+            actor: actorId,
+            entityType,
+            entityId,
+            action,
+            round: roundId,
+            investor: investorId,
+            label,
+            changes,
+            payment,
+            source,
+        });
+        await entry.save(session ? { session } : undefined);
+        return entry;
+    } catch (err) {
+        if (session) throw err; // let the surrounding transaction roll back
+        console.error(`[AUDIT ERROR] Failed to record ${action} on ${entityType} ${entityId}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Convenience wrapper for a tranche payment: records the ledger fields plus
+ * the tranche-level diff.
+ */
+async function recordTranchePayment({
+    organizationId, actorId, investor, trancheBefore, trancheAfter, source, session,
+}) {
+    const amountBefore = trancheBefore?.receivedAmount || 0;
+    const amountAfter = trancheAfter?.receivedAmount || 0;
+    return recordChange({
+        organizationId,
+        actorId,
+        entityType: 'Tranche',
+        entityId: trancheAfter?._id || trancheBefore?._id || investor._id,
+        action: 'payment',
+        before: trancheBefore,
+        after: trancheAfter,
+        roundId: investor.roundId?._id || investor.roundId,
+        investorId: investor._id,
+        label: `${investor.name} T${trancheAfter?.trancheNumber ?? trancheBefore?.trancheNumber ?? '?'}`,
+        payment: {
+            trancheNumber: trancheAfter?.trancheNumber ?? trancheBefore?.trancheNumber,
+            amountBefore,
+            amountAfter,
+            amountDelta: amountAfter - amountBefore,
+            sharesDelta: (trancheAfter?.sharesAllocated || 0) - (trancheBefore?.sharesAllocated || 0),
+            paymentMethod: trancheAfter?.paymentMethod,
+            transactionReference: trancheAfter?.transactionReference,
+            currency: investor.currency,
+        },
+        source,
+        session,
+    });
+}
+
+function buildDateRange(startDate, endDate) {
+    const range = {};
+    if (startDate) range.$gte = new Date(startDate);
+    if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        range.$lte = end;
+    }
+    return Object.keys(range).length ? range : null;
+}
+
+/**
+ * Full change history for a round: the round itself plus its investors,
+ * tranches and cap table entries.
+ */
+async function getRoundAuditTrail(organizationId, roundId, { entityType, action, page = 1, limit = 50 } = {}) {
+    const query = {
+        organization: organizationId,
+        $or: [{ round: roundId }, { entityType: 'Round', entityId: roundId }],
+    };
+    if (entityType) query.entityType = entityType;
+    if (action) query.action = action;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const [entries, total] = await Promise.all([
+        FundraisingAuditLog.find(query)
+            .populate('actor', 'name email')
+            .sort({ occurredAt: -1 })
+            .skip((pageNum - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        FundraisingAuditLog.countDocuments(query),
+    ]);
+
+    return {
+        entries,
+        pagination: { page: pageNum, limit: pageSize, total, pages: Math.ceil(total / pageSize) },
+    };
+}
+
+/**
+ * Org-wide payment ledger built from payment entries in the audit log.
+ */
+async function getPaymentHistory(organizationId, { startDate, endDate, investorId, roundId } = {}) {
+    const query = { organization: organizationId, action: 'payment' };
+    const range = buildDateRange(startDate, endDate);
+    if (range) query.occurredAt = range;
+    if (investorId) query.investor = investorId;
+    if (roundId) query.round = roundId;
+
+    const entries = await FundraisingAuditLog.find(query)
+        .populate('actor', 'name email')
+        .populate('investor', 'name entityName')
+        .populate('round', 'name currency')
+        .sort({ occurredAt: -1 })
+        .lean();
+
+    const ledger = entries.map(e => ({
+        id: e._id,
+        occurredAt: e.occurredAt,
+        investor: e.investor,
+        round: e.round,
+        label: e.label,
+        ...e.payment,
+        recordedBy: e.actor,
+        source: e.source,
+    }));
+
+    const summary = ledger.reduce((acc, row) => {
+        acc.entries++;
+        acc.netAmount += row.amountDelta || 0;
+        if ((row.amountDelta || 0) > 0) acc.totalReceived += row.amountDelta;
+        if ((row.amountDelta || 0) < 0) acc.totalReversed += Math.abs(row.amountDelta);
+        acc.netShares += row.sharesDelta || 0;
+        return acc;
+    }, { entries: 0, totalReceived: 0, totalReversed: 0, netAmount: 0, netShares: 0 });
+
+    return { ledger, summary };
+}
+
+module.exports = {
+    recordChange,
+    recordTranchePayment,
+    diffSnapshots,
+    getRoundAuditTrail,
+    getPaymentHistory,
+};
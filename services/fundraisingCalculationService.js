@@ -3,6 +3,81 @@ const mongoose = require('mongoose');
 const Round = require('../models/roundModel');
 const Investor = require('../models/investorModel');
 const CapTableEntry = require('../models/capTableEntryModel');
+const RoundTemplate = require('../models/roundTemplateModel');
+const { recordChange, recordTranchePayment } = require('./fundraisingAuditService');
+
+// Events that can convert a SAFE / Convertible Note into equity
+const CONVERSION_TRIGGERS = ['Equity Financing', 'Maturity', 'Change of Control', 'Voluntary'];
+
+// Conversion requests the caller can fix carry an HTTP status (400 bad input,
+// 404 missing record, 409 the investor's state does not allow it)
+function conversionError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Built-in round templates available to every organization. Amounts are INR
+// defaults and can be overridden through customizations when applied.
+const BUILT_IN_ROUND_TEMPLATES = [
+    {
+        _id: 'builtin-pre-seed',
+        name: 'Pre-Seed (SAFE)',
+        description: 'Small angel-led round on post-money SAFEs with a valuation cap.',
+        roundType: 'Pre-Seed',
+        stage: 'idea',
+        targetAmount: 20000000,
+        equityPercentageOffered: 10,
+        currency: 'INR',
+        durationDays: 60,
+        liquidationPreference: { multiple: 1, participating: false, seniority: 0 },
+        instrumentDefaults: { investmentVehicle: 'SAFE', safeValuationCap: 200000000, safeDiscountRate: 0.2 },
+        expectedInvestors: [
+            { name: 'Lead angel', investorType: 'Angel', role: 'lead', targetPercentage: 40 },
+            { name: 'Angel syndicate', investorType: 'Angel', role: 'follow-on', targetPercentage: 35 },
+            { name: 'Accelerator', investorType: 'Accelerator', role: 'follow-on', targetPercentage: 25 }
+        ]
+    },
+    {
+        _id: 'builtin-seed',
+        name: 'Seed (Priced)',
+        description: 'Institutional seed round led by a seed fund with angel participation.',
+        roundType: 'Seed',
+        stage: 'early',
+        targetAmount: 80000000,
+        equityPercentageOffered: 15,
+        currency: 'INR',
+        durationDays: 90,
+        liquidationPreference: { multiple: 1, participating: false, seniority: 1 },
+        instrumentDefaults: { investmentVehicle: 'Equity' },
+        expectedInvestors: [
+            { name: 'Lead seed fund', investorType: 'VC Firm', role: 'lead', targetPercentage: 60 },
+            { name: 'Co-investor fund', investorType: 'VC Firm', role: 'follow-on', targetPercentage: 25 },
+            { name: 'Strategic angels', investorType: 'Angel', role: 'follow-on', targetPercentage: 15 }
+        ]
+    },
+    {
+        _id: 'builtin-series-a',
+        name: 'Series A',
+        description: 'Priced Series A led by a single VC with existing investors taking pro-rata.',
+        roundType: 'Series A',
+        stage: 'growth',
+        targetAmount: 400000000,
+        equityPercentageOffered: 20,
+        currency: 'INR',
+        durationDays: 120,
+        liquidationPreference: { multiple: 1, participating: false, seniority: 2 },
+        instrumentDefaults: { investmentVehicle: 'Equity' },
+        expectedInvestors: [
+            { name: 'Series A lead', investorType: 'VC Firm', role: 'lead', targetPercentage: 70 },
+            { name: 'Existing investors (pro-rata)', investorType: 'VC Firm', role: 'follow-on', targetPercentage: 20 },
+            { name: 'Corporate / strategic', investorType: 'Corporate VC', role: 'follow-on', targetPercentage: 10 }
+        ]
+    }
+];
+
+const ROUND_TEMPLATE_FIELDS = [
+    'name', 'description', 'roundType', 'targetAmount', 'equityPercentageOffered', 'currency',
+    'durationDays', 'liquidationPreference', 'instrumentDefaults', 'expectedInvestors'
+];
 
 /**
  * Comprehensive Fundraising Calculation Service
@@ -20,8 +95,10 @@ class FundraisingCalculationService {
      * @param {Number} roundData.existingSharesPreRound - Current founder shares
      * @param {String} organizationId - Organization ID
      * @param {String} userId - User creating the round
+     * @param {Object} options - Optional extras saved in the same transaction
+     * @param {Array} options.expectedInvestors - Prospect investor records to attach to the new round
      */
-    static async initializeRound(roundData, organizationId, userId) {
+    static async initializeRound(roundData, organizationId, userId, options = {}) {
         console.log(`[ROUND INIT] Starting round initialization for ${roundData.name}`);
         console.log(`[ROUND INIT] Target: ₹${(roundData.targetAmount/10000000).toFixed(2)}Cr for ${roundData.equityPercentageOffered}% equity`);
         
@@ -89,7 +166,25 @@ class FundraisingCalculationService {
                 throw new Error(`Round calculation failed: ${validation.errors.join(', ')}`);
             }
             
-            console.log(`[ROUND INIT] ${round.name} initialized with corrected calculations`);
+            // Expected investors are pipeline prospects: nothing committed yet, so no
+            // equity allocation until they are converted into real commitments
+            const expectedInvestors = [];
+            for (const prospect of options.expectedInvestors || []) {
+                const investor = new Investor({
+                    status: 'Lead',
+                    ...prospect,
+                    organization: organizationId,
+                    addedBy: userId,
+                    roundId: round._id,
+                    tranches: [],
+                    totalCommittedAmount: 0
+                });
+                await investor.save({ session });
+                expectedInvestors.push(investor);
+            }
+            round.$locals.expectedInvestors = expectedInvestors;
+            
+            console.log(`[ROUND INIT] ${round.name} initialized with corrected calculations${expectedInvestors.length ? ` and ${expectedInvestors.length} expected investors` : ''}`);
             
             await session.commitTransaction();
             return round;
@@ -103,6 +198,158 @@ class FundraisingCalculationService {
         }
     }
     
+    /**
+     * List round templates available to an organization: the built-in ones
+     * plus any the organization has saved
+     * @param {Object} filters - { roundType, stage, industry }
+     * @param {String} organizationId - Organization ID
+     */
+    static async getRoundTemplates(filters = {}, organizationId) {
+        const { roundType, stage } = filters;
+
+        const builtIns = BUILT_IN_ROUND_TEMPLATES
+            .filter(t => !roundType || t.roundType === roundType)
+            .filter(t => !stage || t.stage === stage)
+            .map(t => ({ ...t, isBuiltIn: true }));
+
+        const query = { organization: organizationId, isActive: true };
+        if (roundType) query.roundType = roundType;
+        const custom = organizationId
+            ? await RoundTemplate.find(query).sort({ name: 1 }).lean()
+            : [];
+
+        return [...builtIns, ...custom.map(t => ({ ...t, isBuiltIn: false }))];
+    }
+
+    /**
+     * Save an organization-defined round template
+     * @param {Object} templateData - Template fields (see roundTemplateModel)
+     * @param {String} organizationId - Organization ID
+     * @param {String} userId - User saving the template
+     */
+    static async createRoundTemplate(templateData, organizationId, userId) {
+        const data = {};
+        for (const field of ROUND_TEMPLATE_FIELDS) {
+            if (templateData[field] !== undefined) data[field] = templateData[field];
+        }
+
+        const template = new RoundTemplate({
+            ...data,
+            organization: organizationId,
+            createdBy: userId
+        });
+        await template.save();
+
+        console.log(`[TEMPLATES] Saved round template "${template.name}" for organization ${organizationId}`);
+        return template;
+    }
+
+    /**
+     * Delete an organization-defined round template. Built-in templates cannot be deleted.
+     */
+    static async deleteRoundTemplate(templateId, organizationId) {
+        if (BUILT_IN_ROUND_TEMPLATES.some(t => t._id === templateId)) {
+            throw new Error('Built-in round templates cannot be deleted');
+        }
+        if (!mongoose.Types.ObjectId.isValid(templateId)) return null;
+        return RoundTemplate.findOneAndDelete({ _id: templateId, organization: organizationId });
+    }
+
+    /**
+     * Find a template by id - built-in ids are strings, org templates are ObjectIds
+     */
+    static async findRoundTemplate(templateId, organizationId) {
+        const builtIn = BUILT_IN_ROUND_TEMPLATES.find(t => t._id === templateId);
+        if (builtIn) return { ...builtIn, isBuiltIn: true };
+
+        if (!mongoose.Types.ObjectId.isValid(templateId)) return null;
+        const template = await RoundTemplate.findOne({
+            _id: templateId,
+            organization: organizationId,
+            isActive: true
+        }).lean();
+        return template ? { ...template, isBuiltIn: false } : null;
+    }
+
+    /**
+     * Create a round from a template. Template defaults are merged with the
+     * caller's customizations and passed through initializeRound, which also
+     * creates the template's expected investors as prospects on the round.
+     * @param {String} templateId - Built-in id (e.g. 'builtin-seed') or RoundTemplate ObjectId
+     * @param {Object} customizations - Round field overrides, plus optional
+     *                 instrumentDefaults / expectedInvestors overrides
+     * @param {String} organizationId - Organization ID
+     * @param {String} userId - User applying the template
+     */
+    static async applyRoundTemplate(templateId, customizations = {}, organizationId, userId) {
+        const template = await this.findRoundTemplate(templateId, organizationId);
+        if (!template) {
+            throw new Error('Round template not found');
+        }
+
+        const {
+            instrumentDefaults: instrumentOverrides = {},
+            expectedInvestors: investorOverrides,
+            durationDays: durationOverride,
+            ...roundOverrides
+        } = customizations;
+
+        const openDate = roundOverrides.openDate ? new Date(roundOverrides.openDate) : new Date();
+        const durationDays = durationOverride ?? template.durationDays;
+        let targetCloseDate = roundOverrides.targetCloseDate;
+        if (!targetCloseDate && durationDays > 0) {
+            targetCloseDate = new Date(openDate.getTime() + durationDays * 24 * 60 * 60 * 1000);
+        }
+
+        // Default the pre-round share count from the current fully diluted cap table
+        let existingSharesPreRound = roundOverrides.existingSharesPreRound;
+        if (!existingSharesPreRound) {
+            const snapshot = await this.getCapTableSnapshot(organizationId);
+            existingSharesPreRound = snapshot.totals.fullyDilutedShares;
+        }
+
+        const roundData = {
+            name: `${template.roundType} Round`,
+            roundType: template.roundType,
+            targetAmount: template.targetAmount,
+            equityPercentageOffered: template.equityPercentageOffered,
+            currency: template.currency,
+            notes: template.description,
+            ...roundOverrides,
+            openDate,
+            targetCloseDate,
+            existingSharesPreRound,
+            liquidationPreference: {
+                ...(template.liquidationPreference || {}),
+                ...(roundOverrides.liquidationPreference || {})
+            }
+        };
+        if (!roundData.currency) delete roundData.currency;
+
+        // Instrument terms every expected investor starts with
+        const instrument = { ...(template.instrumentDefaults || {}), ...instrumentOverrides };
+        const { noteMaturityMonths, ...instrumentTerms } = instrument;
+        if (noteMaturityMonths > 0) {
+            const maturity = new Date(openDate);
+            maturity.setMonth(maturity.getMonth() + noteMaturityMonths);
+            instrumentTerms.noteMaturityDate = maturity;
+        }
+
+        const slots = Array.isArray(investorOverrides) ? investorOverrides : (template.expectedInvestors || []);
+        const expectedInvestors = slots.map(slot => ({
+            name: slot.name,
+            investorType: slot.investorType || 'Other',
+            ...instrumentTerms,
+            investmentVehicle: slot.investmentVehicle || instrumentTerms.investmentVehicle || 'Equity',
+            expectedAmount: slot.expectedAmount ?? Math.round((roundData.targetAmount || 0) * (slot.targetPercentage || 0) / 100),
+            source: `Round template: ${template.name}`,
+            notes: slot.role === 'lead' ? 'Expected lead investor' : undefined
+        }));
+
+        console.log(`[TEMPLATE APPLY] Applying ${template.isBuiltIn ? 'built-in' : 'custom'} template "${template.name}"`);
+        return this.initializeRound(roundData, organizationId, userId, { expectedInvestors });
+    }
+
     /**
      * Add investor to a round with equity allocation calculation
      * CORRECTED: Uses fixed price per share from round
@@ -181,8 +428,9 @@ class FundraisingCalculationService {
      * @param {Number} amountReceived - Amount actually received
      * @param {Object} paymentDetails - Payment details
      * @param {String} organizationId - Organization ID
+     * @param {Object} auditContext - { actorId, source } recorded in the fundraising audit log
      */
-    static async processTranchePayment(investorId, trancheId, amountReceived, paymentDetails, organizationId) {
+    static async processTranchePayment(investorId, trancheId, amountReceived, paymentDetails, organizationId, auditContext = {}) {
         console.log(`[PAYMENT SERVICE START] Processing ₹${amountReceived.toLocaleString()} for investor ${investorId}, tranche ${trancheId}`);
         
         const session = await mongoose.startSession();
@@ -224,6 +472,16 @@ class FundraisingCalculationService {
             const previousReceivedAmount = investor.totalReceivedAmount || 0;
             const previousShares = investor.sharesReceived || 0;
             
+            // Snapshots for the audit trail
+            const investorBefore = investor.toObject();
+            const trancheBefore = tranche.toObject();
+            const roundBefore = round.toObject();
+            const capTableBefore = await CapTableEntry.findOne({
+                organization: organizationId,
+                linkedInvestorId: investor._id,
+                roundId: investor.roundId
+            }).session(session);
+            
             console.log(`[PAYMENT STATE] Before processing:`);
             console.log(`  - Investor total received: ₹${previousReceivedAmount.toLocaleString()}`);
             console.log(`  - Investor total shares: ${previousShares.toLocaleString()}`);
@@ -276,6 +534,28 @@ class FundraisingCalculationService {
                 // Don't fail the transaction for global updates
             }
             
+            // ✅ STEP 6: Append to the audit trail (payment ledger + resulting totals)
+            const { actorId = null, source = 'processTranchePayment' } = auditContext;
+            const auditBase = { organizationId, actorId, roundId: round._id, investorId: investor._id, source, session };
+            await recordTranchePayment({
+                organizationId, actorId, investor, trancheBefore, trancheAfter: tranche, source, session
+            });
+            await recordChange({
+                ...auditBase, entityType: 'Investor', entityId: investor._id, action: 'update',
+                before: investorBefore, after: investor, label: investor.name
+            });
+            await recordChange({
+                ...auditBase, entityType: 'Round', entityId: round._id, action: 'update',
+                before: roundBefore, after: round, label: round.name
+            });
+            if (capTableEntry) {
+                await recordChange({
+                    ...auditBase, entityType: 'CapTableEntry', entityId: capTableEntry._id,
+                    action: capTableBefore ? 'update' : 'create',
+                    before: capTableBefore, after: capTableEntry, label: capTableEntry.shareholderName
+                });
+            }
+            
             // Commit the transaction
             await session.commitTransaction();
             
@@ -468,9 +748,10 @@ class FundraisingCalculationService {
      * ✅ NEW: Process multiple payments efficiently with proper rollback
      * @param {Array} payments - Array of payment objects
      * @param {String} organizationId - Organization ID
+     * @param {String} userId - User recording the payments (for the audit trail)
      * @returns {Object} Bulk processing results
      */
-    static async processBulkTranchePayments(payments, organizationId) {
+    static async processBulkTranchePayments(payments, organizationId, userId = null) {
         console.log(`[BULK PAYMENT] Processing ${payments.length} payments for organization ${organizationId}`);
         
         const results = {
@@ -489,7 +770,8 @@ class FundraisingCalculationService {
                     payment.trancheId,
                     payment.amountReceived,
                     payment.paymentDetails || {},
-                    organizationId
+                    organizationId,
+                    { actorId: userId, source: 'bulk-payment' }
                 );
                 
                 results.successful.push({
@@ -769,7 +1051,547 @@ class FundraisingCalculationService {
             throw error;
         }
     }
-    
+
+    /**
+     * Pro-forma model for a whole priced round (nothing is persisted)
+     * Combines new money (lead + follow-on checks), conversion of outstanding SAFEs/Notes
+     * and an option pool top-up taken pre-money. Price per share = pre-money ÷ (existing
+     * fully diluted shares + pool top-up + converting shares), so the pool and conversions
+     * dilute existing holders only. SAFE/Note cap prices use existing shares plus the pool
+     * top-up as the pre-money capitalization. The circular dependency between price, pool
+     * size and conversion shares is solved iteratively.
+     * @param {String} organizationId - Organization ID
+     * @param {Object} scenario - Scenario inputs
+     * @param {String} scenario.roundId - Optional round to take pre-money/currency defaults from
+     * @param {Number} scenario.preMoneyValuation - Headline pre-money valuation
+     * @param {Array} scenario.investments - [{ name, amount, role: 'lead'|'follow-on', investorId }]
+     * @param {Boolean|Array} scenario.convertInstruments - true (default) for all outstanding SAFEs/Notes, false for none, or an array of investor IDs
+     * @param {Object} scenario.optionPool - { targetPercentage } of post-money fully diluted, or { additionalShares }
+     * @param {Object} scenario.conversionTerms - Overrides passed to calculateConversionTerms (e.g. conversionDate)
+     * @returns {Object} { assumptions, pricing, conversions, newInvestments, optionPool, capTable: { before, after }, holders }
+     */
+    static async modelProFormaRound(organizationId, scenario = {}) {
+        const {
+            roundId, investments = [], convertInstruments = true,
+            optionPool = {}, conversionTerms = {}
+        } = scenario;
+
+        let round = null;
+        if (roundId) {
+            round = await Round.findOne({ _id: roundId, organization: organizationId });
+            if (!round) {
+                throw new Error('Round not found');
+            }
+        }
+
+        const preMoneyValuation = parseFloat(scenario.preMoneyValuation) || round?.currentValuationPreMoney || 0;
+        if (preMoneyValuation <= 0) {
+            throw new Error('A positive pre-money valuation is required');
+        }
+
+        if (!Array.isArray(investments) || investments.length === 0) {
+            throw new Error('At least one investment (lead or follow-on) is required');
+        }
+
+        // 1. New money
+        const linkedInvestorIds = investments.filter(i => i.investorId).map(i => i.investorId);
+        const linkedInvestors = linkedInvestorIds.length > 0 ?
+            await Investor.find({ _id: { $in: linkedInvestorIds }, organization: organizationId }).select('name') : [];
+        const linkedNames = new Map(linkedInvestors.map(i => [i._id.toString(), i.name]));
+
+        const checks = investments.map((inv, index) => {
+            const amount = parseFloat(inv.amount);
+            if (!amount || amount <= 0) {
+                throw new Error(`Investment #${index + 1} needs a positive amount`);
+            }
+            const name = (inv.investorId && linkedNames.get(inv.investorId.toString())) || inv.name;
+            if (!name) {
+                throw new Error(`Investment #${index + 1} needs a name or an existing investorId`);
+            }
+            return { name, amount, role: inv.role === 'lead' ? 'lead' : 'follow-on', investorId: inv.investorId || null };
+        });
+        const newMoney = checks.reduce((sum, c) => sum + c.amount, 0);
+        const postMoneyValuation = preMoneyValuation + newMoney;
+
+        // 2. Current cap table
+        const snapshot = await this.getCapTableSnapshot(organizationId);
+        const existingShares = snapshot.totals.fullyDilutedShares;
+        const existingPoolShares = snapshot.esopPool.shares;
+        if (existingShares <= 0) {
+            throw new Error('Cap table has no issued shares to model against');
+        }
+
+        // 3. Outstanding SAFEs / Notes to convert
+        let instruments = [];
+        if (convertInstruments !== false) {
+            const query = {
+                organization: organizationId,
+                investmentVehicle: { $in: ['SAFE', 'Convertible Note'] },
+                totalReceivedAmount: { $gt: 0 },
+                'conversionDetails.isConverted': { $ne: true }
+            };
+            if (Array.isArray(convertInstruments)) {
+                query._id = { $in: convertInstruments };
+            }
+            instruments = await Investor.find(query);
+        }
+
+        const targetPoolPct = parseFloat(optionPool.targetPercentage) || 0;
+        if (targetPoolPct < 0 || targetPoolPct >= 100) {
+            throw new Error('Option pool target percentage must be between 0 and 100');
+        }
+        const fixedTopUp = Math.max(0, Math.round(parseFloat(optionPool.additionalShares) || 0));
+
+        // 4. Solve price ↔ pool ↔ conversions
+        let poolTopUp = fixedTopUp;
+        let conversions = [];
+        let pricePerShare = 0;
+        const warnings = [];
+
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const conversionShares = conversions.reduce((sum, c) => sum + c.sharesIssued, 0);
+            const preMoneyShares = existingShares + poolTopUp + conversionShares;
+            pricePerShare = preMoneyValuation / preMoneyShares;
+
+            conversions = instruments.map(investor => {
+                const terms = this.calculateConversionTerms(investor, round || {}, {
+                    ...conversionTerms,
+                    pricePerShare,
+                    preMoneyShares: existingShares + poolTopUp
+                }, 'Equity Financing');
+                return { investorId: investor._id, name: investor.name, ...terms };
+            });
+
+            const nextConversionShares = conversions.reduce((sum, c) => sum + c.sharesIssued, 0);
+            const postShares = (existingShares + poolTopUp + nextConversionShares) * (postMoneyValuation / preMoneyValuation);
+            const nextTopUp = targetPoolPct > 0 ?
+                Math.max(0, Math.ceil((targetPoolPct / 100) * postShares - existingPoolShares)) : fixedTopUp;
+
+            const converged = nextTopUp === poolTopUp && nextConversionShares === conversionShares;
+            poolTopUp = nextTopUp;
+            if (converged) break;
+            if (iteration === 99) warnings.push('Pricing did not fully converge; figures may be off by a few shares');
+        }
+
+        const conversionShares = conversions.reduce((sum, c) => sum + c.sharesIssued, 0);
+        const preMoneyShares = existingShares + poolTopUp + conversionShares;
+        pricePerShare = preMoneyValuation / preMoneyShares;
+        const roundedPrice = Math.round(pricePerShare * 100) / 100;
+
+        const newInvestments = checks.map(c => ({ ...c, sharesIssued: Math.round(c.amount / pricePerShare) }));
+        const newMoneyShares = newInvestments.reduce((sum, c) => sum + c.sharesIssued, 0);
+        const postMoneyShares = preMoneyShares + newMoneyShares;
+
+        if (targetPoolPct > 0 && existingPoolShares / postMoneyShares * 100 > targetPoolPct) {
+            warnings.push('Existing pool already exceeds the target; no top-up needed');
+        }
+        conversions.forEach(c => c.warnings.forEach(w => warnings.push(`${c.name}: ${w}`)));
+
+        // 5. Before / after cap table per holder
+        const pct = (shares, total) => (total > 0 ? Math.round((shares / total) * 1000000) / 10000 : 0);
+        const holderMap = new Map();
+        const holder = (name, shareholderType) => {
+            const key = `${name}|${shareholderType}`;
+            if (!holderMap.has(key)) {
+                holderMap.set(key, { shareholderName: name, shareholderType, sharesBefore: 0, sharesAdded: 0 });
+            }
+            return holderMap.get(key);
+        };
+
+        snapshot.rows.forEach(row => { holder(row.shareholderName, row.shareholderType).sharesBefore += row.numberOfShares; });
+        if (poolTopUp > 0) {
+            const pool = [...holderMap.values()].find(h => h.shareholderType === 'ESOP Pool') || holder('ESOP Pool', 'ESOP Pool');
+            pool.sharesAdded += poolTopUp;
+        }
+        conversions.forEach(c => { holder(c.name, 'Investor').sharesAdded += c.sharesIssued; });
+        newInvestments.forEach(c => { holder(c.name, 'Investor').sharesAdded += c.sharesIssued; });
+
+        const holders = [...holderMap.values()].map(h => {
+            const sharesAfter = h.sharesBefore + h.sharesAdded;
+            const percentageBefore = pct(h.sharesBefore, existingShares);
+            const percentageAfter = pct(sharesAfter, postMoneyShares);
+            return {
+                ...h,
+                sharesAfter,
+                percentageBefore,
+                percentageAfter,
+                dilutionPoints: Math.round((percentageBefore - percentageAfter) * 10000) / 10000,
+                dilutionPercent: percentageBefore > 0 ?
+                    Math.round((1 - percentageAfter / percentageBefore) * 10000) / 100 : null,
+                valueAfter: Math.round(sharesAfter * pricePerShare)
+            };
+        }).sort((a, b) => b.sharesAfter - a.sharesAfter);
+
+        const capTableRows = (sharesKey, pctKey) => holders
+            .filter(h => h[sharesKey] > 0)
+            .map(h => ({ shareholderName: h.shareholderName, shareholderType: h.shareholderType, shares: h[sharesKey], percentage: h[pctKey] }));
+
+        const conversionAmount = conversions.reduce((sum, c) => sum + c.conversionAmount, 0);
+
+        return {
+            assumptions: {
+                roundId: round?._id || null,
+                roundName: round?.name || null,
+                currency: round?.currency || 'INR',
+                preMoneyValuation,
+                newMoney,
+                postMoneyValuation,
+                optionPoolTarget: targetPoolPct || null,
+                convertedInstruments: conversions.length
+            },
+            pricing: {
+                pricePerShare: roundedPrice,
+                // Headline pre-money spread over the shares that existed before the round
+                effectivePreMoneyValuation: Math.round(pricePerShare * existingShares),
+                blendedPricePerShare: (newMoneyShares + conversionShares) > 0 ?
+                    Math.round(((newMoney + conversionAmount) / (newMoneyShares + conversionShares)) * 100) / 100 : roundedPrice,
+                preMoneyShares,
+                postMoneyShares
+            },
+            conversions: conversions.map(c => ({
+                investorId: c.investorId,
+                name: c.name,
+                instrument: c.instrument,
+                principal: c.principal,
+                accruedInterest: c.accruedInterest,
+                conversionAmount: c.conversionAmount,
+                conversionPrice: c.conversionPrice,
+                priceBasis: c.priceBasis,
+                effectiveDiscount: c.effectiveDiscount,
+                sharesIssued: c.sharesIssued
+            })),
+            newInvestments,
+            optionPool: {
+                existingShares: existingPoolShares,
+                topUpShares: poolTopUp,
+                sharesAfter: existingPoolShares + poolTopUp,
+                percentageAfter: pct(existingPoolShares + poolTopUp, postMoneyShares)
+            },
+            capTable: {
+                before: { totalShares: existingShares, rows: capTableRows('sharesBefore', 'percentageBefore') },
+                after: { totalShares: postMoneyShares, rows: capTableRows('sharesAfter', 'percentageAfter') }
+            },
+            holders,
+            warnings,
+            persisted: false
+        };
+    }
+
+    /**
+     * Calculate conversion terms for a SAFE or Convertible Note (pure calculation, no writes)
+     * Conversion price = lowest of round price, cap price (cap ÷ pre-money shares) and discounted round price.
+     * Notes convert principal plus simple accrued interest up to the conversion date.
+     * @param {Object} investor - Investor document (SAFE / Convertible Note)
+     * @param {Object} round - Round the instrument converts into
+     * @param {Object} conversionTerms - Optional overrides
+     * @param {Number} conversionTerms.pricePerShare - Round price per share (defaults to round.pricePerShare)
+     * @param {Number} conversionTerms.preMoneyShares - Pre-money fully diluted shares used for the cap price
+     * @param {Number} conversionTerms.valuationCap - Overrides investor.safeValuationCap
+     * @param {Number} conversionTerms.discountRate - Overrides investor.safeDiscountRate (0-1)
+     * @param {Number} conversionTerms.interestRate - Overrides investor.noteInterestRate (annual, % or fraction)
+     * @param {String} conversionTerms.conversionDate - Date to accrue interest up to (defaults to today)
+     * @param {String} conversionTrigger - One of CONVERSION_TRIGGERS
+     * @returns {Object} Conversion breakdown
+     */
+    static calculateConversionTerms(investor, round, conversionTerms = {}, conversionTrigger = 'Equity Financing') {
+        if (!['SAFE', 'Convertible Note'].includes(investor.investmentVehicle)) {
+            throw conversionError('Only SAFE and Convertible Note investors can be converted');
+        }
+
+        const principal = investor.totalReceivedAmount || 0;
+        if (principal <= 0) {
+            throw conversionError(`${investor.name} has no received funds to convert`, 409);
+        }
+
+        const warnings = [];
+        const conversionDate = conversionTerms.conversionDate ? new Date(conversionTerms.conversionDate) : new Date();
+        if (isNaN(conversionDate.getTime())) {
+            throw conversionError('Invalid conversion date');
+        }
+
+        // Rates may be stored as fractions (0.08) or percentages (8)
+        const toFraction = (rate) => {
+            const value = parseFloat(rate);
+            if (!value || value <= 0) return 0;
+            return value > 1 ? value / 100 : value;
+        };
+
+        // 1. Accrued interest (Convertible Notes only, simple interest from first payment)
+        let accruedInterest = 0;
+        let interestRate = 0;
+        let interestDays = 0;
+        if (investor.investmentVehicle === 'Convertible Note') {
+            interestRate = toFraction(conversionTerms.interestRate ?? investor.noteInterestRate);
+
+            const paymentDates = (investor.tranches || [])
+                .filter(t => t.dateReceived && t.receivedAmount > 0)
+                .map(t => new Date(t.dateReceived));
+            const accrualStart = paymentDates.length > 0 ?
+                new Date(Math.min(...paymentDates)) : (investor.createdAt || conversionDate);
+
+            interestDays = Math.max(0, Math.floor((conversionDate - accrualStart) / (1000 * 60 * 60 * 24)));
+            accruedInterest = Math.round(principal * interestRate * (interestDays / 365));
+
+            if (conversionTrigger === 'Maturity' && investor.noteMaturityDate && new Date(investor.noteMaturityDate) > conversionDate) {
+                throw conversionError(`Note does not mature until ${new Date(investor.noteMaturityDate).toISOString().split('T')[0]}`, 409);
+            }
+        }
+        const conversionAmount = principal + accruedInterest;
+
+        // 2. Candidate prices
+        const roundPrice = parseFloat(conversionTerms.pricePerShare) || round.pricePerShare || 0;
+        const preMoneyShares = parseFloat(conversionTerms.preMoneyShares) || round.existingSharesPreRound || 0;
+        const valuationCap = parseFloat(conversionTerms.valuationCap) || investor.safeValuationCap || 0;
+        const discountRate = toFraction(conversionTerms.discountRate ?? investor.safeDiscountRate);
+
+        const candidates = [];
+        if (roundPrice > 0) {
+            candidates.push({ basis: 'round', price: roundPrice });
+        }
+
+        let capPrice = null;
+        if (valuationCap > 0) {
+            if (preMoneyShares > 0) {
+                capPrice = valuationCap / preMoneyShares;
+                candidates.push({ basis: 'cap', price: capPrice });
+            } else {
+                warnings.push('Valuation cap ignored: pre-money share count is not set on the round');
+            }
+        }
+
+        let discountPrice = null;
+        if (discountRate > 0 && roundPrice > 0) {
+            discountPrice = roundPrice * (1 - discountRate);
+            candidates.push({ basis: 'discount', price: discountPrice });
+        }
+
+        if (candidates.length === 0) {
+            throw conversionError('Cannot determine conversion price: round has no price per share and instrument has no usable valuation cap');
+        }
+
+        // 3. Investor gets the most favourable (lowest) price
+        const best = candidates.reduce((low, c) => (c.price < low.price ? c : low));
+        const conversionPrice = Math.round(best.price * 100) / 100;
+        const sharesIssued = Math.round(conversionAmount / conversionPrice);
+
+        return {
+            conversionTrigger,
+            instrument: investor.investmentVehicle,
+            conversionDate,
+            principal,
+            interestRate,
+            interestDays,
+            accruedInterest,
+            conversionAmount,
+            roundPricePerShare: roundPrice || null,
+            preMoneyShares: preMoneyShares || null,
+            valuationCap: valuationCap || null,
+            discountRate: discountRate || null,
+            capPrice: capPrice ? Math.round(capPrice * 100) / 100 : null,
+            discountPrice: discountPrice ? Math.round(discountPrice * 100) / 100 : null,
+            conversionPrice,
+            priceBasis: best.basis,
+            sharesIssued,
+            effectiveDiscount: roundPrice > 0 ? Math.round((1 - conversionPrice / roundPrice) * 10000) / 100 : null,
+            warnings
+        };
+    }
+
+    /**
+     * Convert a SAFE or Convertible Note investor into equity in a priced round
+     * Marks the SAFE/Note cap table entry as Converted, creates the resulting equity
+     * entry with conversionDetails and re-runs equity percentages for the organization.
+     * @param {String} investorId - Investor ID
+     * @param {String} organizationId - Organization ID
+     * @param {Object} options - Conversion options
+     * @param {String} options.conversionTrigger - 'Equity Financing' | 'Maturity' | 'Change of Control' | 'Voluntary'
+     * @param {String} options.newRoundId - Round the instrument converts into
+     * @param {Object} options.conversionTerms - Overrides passed to calculateConversionTerms
+     * @param {Boolean} options.dryRun - Preview only, nothing is persisted
+     * @param {String} options.userId - User performing the conversion
+     * @returns {Object} Conversion result
+     */
+    static async processConversion(investorId, organizationId, options = {}) {
+        const { conversionTrigger, newRoundId, conversionTerms = {}, dryRun = false, userId } = options;
+
+        if (!CONVERSION_TRIGGERS.includes(conversionTrigger)) {
+            throw conversionError(`Invalid conversion trigger. Use one of: ${CONVERSION_TRIGGERS.join(', ')}`);
+        }
+
+        console.log(`[CONVERSION${dryRun ? ' PREVIEW' : ''}] ${conversionTrigger} conversion for investor ${investorId} into round ${newRoundId}`);
+
+        const session = dryRun ? null : await mongoose.startSession();
+        if (session) session.startTransaction();
+
+        try {
+            const investor = await Investor.findOne({
+                _id: investorId,
+                organization: organizationId
+            }).session(session);
+
+            if (!investor) {
+                throw conversionError('Investor not found', 404);
+            }
+
+            if (investor.conversionDetails?.isConverted) {
+                throw conversionError(`${investor.name} has already been converted`, 409);
+            }
+
+            const round = await Round.findOne({
+                _id: newRoundId,
+                organization: organizationId
+            }).session(session);
+
+            if (!round) {
+                throw conversionError('Conversion round not found', 404);
+            }
+
+            const conversion = this.calculateConversionTerms(investor, round, conversionTerms, conversionTrigger);
+
+            // Ownership after conversion, against currently outstanding equity
+            const outstanding = await CapTableEntry.getTotalOutstandingShares(organizationId, session);
+            const sharesBefore = outstanding[0]?.totalShares || 0;
+            const sharesAfter = sharesBefore + conversion.sharesIssued;
+            conversion.totalSharesBefore = sharesBefore;
+            conversion.totalSharesAfter = sharesAfter;
+            conversion.equityPercentage = sharesAfter > 0 ?
+                Math.round((conversion.sharesIssued / sharesAfter) * 1000000) / 10000 : 0;
+
+            console.log(`[CONVERSION CALC] ${investor.name}:`);
+            console.log(`  - Amount converting: ₹${conversion.conversionAmount.toLocaleString()} (interest ₹${conversion.accruedInterest.toLocaleString()})`);
+            console.log(`  - Price: ₹${conversion.conversionPrice.toLocaleString()}/share (${conversion.priceBasis})`);
+            console.log(`  - Shares issued: ${conversion.sharesIssued.toLocaleString()} (${conversion.equityPercentage}%)`);
+
+            if (dryRun) {
+                return {
+                    dryRun: true,
+                    investor: { id: investor._id, name: investor.name },
+                    round: { id: round._id, name: round.name },
+                    ...conversion
+                };
+            }
+
+            const investorBefore = investor.toObject();
+
+            // ✅ STEP 1: Spread converted shares across paid tranches so investor totals stay consistent
+            const paidTranches = investor.tranches.filter(t => t.receivedAmount > 0);
+            let sharesAssigned = 0;
+            paidTranches.forEach((tranche, index) => {
+                const isLast = index === paidTranches.length - 1;
+                const trancheShares = isLast ?
+                    conversion.sharesIssued - sharesAssigned :
+                    Math.round(conversion.sharesIssued * (tranche.receivedAmount / conversion.principal));
+                tranche.sharesAllocated = trancheShares;
+                tranche.sharePrice = conversion.conversionPrice;
+                sharesAssigned += trancheShares;
+            });
+
+            investor.conversionDetails = {
+                isConverted: true,
+                conversionRound: round._id,
+                conversionDate: conversion.conversionDate,
+                conversionPrice: conversion.conversionPrice,
+                convertedShares: conversion.sharesIssued
+            };
+            investor.investmentVehicle = 'Equity';
+            investor.sharesAllocated = conversion.sharesIssued;
+            investor.equityPercentageAllocated = conversion.equityPercentage;
+            investor.status = 'Invested';
+            await investor.save({ session });
+
+            const conversionDetails = {
+                isConverted: true,
+                conversionRound: round._id,
+                conversionDate: conversion.conversionDate,
+                conversionPrice: conversion.conversionPrice,
+                preConversionAmount: conversion.conversionAmount
+            };
+
+            // ✅ STEP 2: Retire the unconverted SAFE/Note entry
+            const instrumentEntry = await CapTableEntry.findOne({
+                organization: organizationId,
+                securityType: { $in: ['SAFE', 'Convertible Note'] },
+                status: 'Active',
+                $or: [
+                    { linkedInvestorId: investor._id },
+                    { investorId: investor._id }
+                ]
+            }).session(session);
+
+            const instrumentBefore = instrumentEntry ? instrumentEntry.toObject() : null;
+            if (instrumentEntry) {
+                instrumentEntry.status = 'Converted';
+                instrumentEntry.conversionDetails = conversionDetails;
+                await instrumentEntry.save({ session });
+            }
+
+            // ✅ STEP 3: Create the resulting equity entry
+            const capTableEntry = new CapTableEntry({
+                organization: organizationId,
+                user: userId || investor.addedBy,
+                linkedInvestorId: investor._id,
+                investorId: investor._id,
+                roundId: round._id,
+                shareholderName: investor.name,
+                shareholderType: 'Investor',
+                numberOfShares: conversion.sharesIssued,
+                securityType: conversionTerms.securityType || 'Preferred Stock',
+                investmentAmount: conversion.principal,
+                currentValue: Math.round(conversion.sharesIssued * (conversion.roundPricePerShare || conversion.conversionPrice)),
+                currency: investor.currency || round.currency || 'INR',
+                issueDate: conversion.conversionDate,
+                grantDate: conversion.conversionDate,
+                conversionDetails,
+                notes: `${conversion.instrument} conversion (${conversionTrigger}) at ₹${conversion.conversionPrice.toLocaleString()}/share, ${conversion.priceBasis} price`,
+                status: 'Active'
+            });
+            await capTableEntry.save({ session });
+
+            // ✅ STEP 4: Re-run equity percentages with the new shares in place
+            await this.updateAllEquityPercentages(organizationId, session);
+
+            // ✅ STEP 5: Audit trail
+            const auditBase = {
+                organizationId, actorId: userId || null, action: 'conversion',
+                roundId: round._id, investorId: investor._id, source: 'processConversion', session
+            };
+            await recordChange({
+                ...auditBase, entityType: 'Investor', entityId: investor._id,
+                before: investorBefore, after: investor, label: `${investor.name} (${conversionTrigger})`
+            });
+            if (instrumentEntry) {
+                await recordChange({
+                    ...auditBase, entityType: 'CapTableEntry', entityId: instrumentEntry._id,
+                    before: instrumentBefore, after: instrumentEntry, label: `${investor.name} ${conversion.instrument}`
+                });
+            }
+            await recordChange({
+                ...auditBase, entityType: 'CapTableEntry', entityId: capTableEntry._id,
+                before: null, after: capTableEntry, label: `${investor.name} ${capTableEntry.securityType}`
+            });
+
+            await session.commitTransaction();
+
+            console.log(`[CONVERSION COMPLETE] ${investor.name} → ${conversion.sharesIssued.toLocaleString()} shares in ${round.name}`);
+
+            return {
+                dryRun: false,
+                investor,
+                round: { id: round._id, name: round.name },
+                capTableEntry,
+                retiredEntryId: instrumentEntry ? instrumentEntry._id : null,
+                ...conversion
+            };
+
+        } catch (error) {
+            if (session) await session.abortTransaction();
+            console.error(`[CONVERSION ERROR] Failed to convert investor ${investorId}:`, error.message);
+            throw error;
+        } finally {
+            if (session) session.endSession();
+        }
+    }
+
     /**
      * Get comprehensive payment processing summary
      * ✅ NEW: Provides detailed overview of payment processing results
@@ -1044,6 +1866,266 @@ class FundraisingCalculationService {
             throw error;
         }
     }
+
+    /**
+     * Build a cap table snapshot grouped by shareholder type and security type
+     * Outstanding % counts issued stock only; fully-diluted % adds options, RSUs,
+     * warrants and the unallocated ESOP pool. Unconverted SAFEs/Notes are listed
+     * but carry no share count until conversion.
+     * @param {String} organizationId - Organization ID
+     * @param {Date} asOfDate - Optional historical date (defaults to now)
+     * @returns {Object} { asOfDate, rows, groups, totals, esopPool }
+     */
+    static async getCapTableSnapshot(organizationId, asOfDate = null) {
+        const asOf = asOfDate ? new Date(asOfDate) : new Date();
+        if (isNaN(asOf.getTime())) {
+            throw new Error('Invalid as-of date');
+        }
+
+        const entries = await CapTableEntry.find({ organization: organizationId })
+            .populate('roundId', 'name')
+            .sort({ shareholderType: 1, securityType: 1, shareholderName: 1 });
+
+        // An entry belongs in the snapshot if it was issued by asOf and not yet retired at asOf
+        const inSnapshot = (entry) => {
+            const issuedOn = entry.issueDate || entry.grantDate || entry.createdAt;
+            if (issuedOn && new Date(issuedOn) > asOf) return false;
+
+            if (entry.status === 'Converted') {
+                const convertedOn = entry.conversionDetails?.conversionDate || entry.updatedAt;
+                return convertedOn && new Date(convertedOn) > asOf;
+            }
+            if (['Expired', 'Transferred'].includes(entry.status)) {
+                return entry.updatedAt && new Date(entry.updatedAt) > asOf;
+            }
+            return true;
+        };
+
+        const OUTSTANDING_TYPES = ['Common Stock', 'Preferred Stock'];
+        const UNCONVERTED_TYPES = ['SAFE', 'Convertible Note'];
+
+        const snapshotEntries = entries.filter(inSnapshot);
+
+        let outstandingShares = 0;
+        let fullyDilutedShares = 0;
+        for (const entry of snapshotEntries) {
+            const shares = entry.numberOfShares || 0;
+            if (UNCONVERTED_TYPES.includes(entry.securityType)) continue;
+            if (OUTSTANDING_TYPES.includes(entry.securityType)) outstandingShares += shares;
+            fullyDilutedShares += shares;
+        }
+
+        const pct = (shares, total) => (total > 0 ? Math.round((shares / total) * 1000000) / 10000 : 0);
+
+        const rows = snapshotEntries.map(entry => {
+            const isUnconverted = UNCONVERTED_TYPES.includes(entry.securityType);
+            const isOutstanding = OUTSTANDING_TYPES.includes(entry.securityType);
+            const shares = isUnconverted ? 0 : (entry.numberOfShares || 0);
+            // Issued stock is vested unless tracked otherwise; options/RSUs use recorded vesting
+            const vestedShares = isOutstanding && !entry.vestedShares ? shares : Math.min(entry.vestedShares || 0, shares);
+
+            return {
+                shareholderType: entry.shareholderType,
+                securityType: entry.securityType,
+                shareholderName: entry.shareholderName,
+                round: entry.roundId?.name || '',
+                issueDate: entry.issueDate || entry.grantDate || null,
+                numberOfShares: shares,
+                vestedShares,
+                outstandingPercentage: isOutstanding ? pct(shares, outstandingShares) : 0,
+                fullyDilutedPercentage: isUnconverted ? 0 : pct(shares, fullyDilutedShares),
+                investmentAmount: entry.investmentAmount || 0,
+                sharePrice: entry.sharePrice || 0,
+                currentValue: entry.currentValue || 0,
+                exercisePrice: entry.exercisePrice || null,
+                currency: entry.currency || 'INR',
+                status: entry.status
+            };
+        });
+
+        // Group by shareholderType → securityType
+        const groupMap = {};
+        for (const row of rows) {
+            const key = `${row.shareholderType}|${row.securityType}`;
+            if (!groupMap[key]) {
+                groupMap[key] = {
+                    shareholderType: row.shareholderType,
+                    securityType: row.securityType,
+                    holders: 0,
+                    numberOfShares: 0,
+                    vestedShares: 0,
+                    investmentAmount: 0,
+                    currentValue: 0,
+                    rows: []
+                };
+            }
+            const group = groupMap[key];
+            group.holders++;
+            group.numberOfShares += row.numberOfShares;
+            group.vestedShares += row.vestedShares;
+            group.investmentAmount += row.investmentAmount;
+            group.currentValue += row.currentValue;
+            group.rows.push(row);
+        }
+
+        const groups = Object.values(groupMap).map(group => ({
+            ...group,
+            outstandingPercentage: OUTSTANDING_TYPES.includes(group.securityType) ? pct(group.numberOfShares, outstandingShares) : 0,
+            fullyDilutedPercentage: pct(group.numberOfShares, fullyDilutedShares)
+        }));
+
+        const poolRows = rows.filter(r => r.shareholderType === 'ESOP Pool');
+        const poolShares = poolRows.reduce((sum, r) => sum + r.numberOfShares, 0);
+
+        return {
+            asOfDate: asOf,
+            rows,
+            groups,
+            totals: {
+                shareholders: rows.length,
+                outstandingShares,
+                fullyDilutedShares,
+                vestedShares: rows.reduce((sum, r) => sum + r.vestedShares, 0),
+                totalInvestment: rows.reduce((sum, r) => sum + r.investmentAmount, 0),
+                totalCurrentValue: rows.reduce((sum, r) => sum + r.currentValue, 0),
+                unconvertedInstruments: rows.filter(r => UNCONVERTED_TYPES.includes(r.securityType)).length
+            },
+            esopPool: {
+                shares: poolShares,
+                fullyDilutedPercentage: pct(poolShares, fullyDilutedShares)
+            }
+        };
+    }
+
+    /**
+     * Export the cap table as a CSV or XLSX file
+     * @param {String} organizationId - Organization ID
+     * @param {Object} options - Export options
+     * @param {String} options.format - 'csv' | 'xlsx'
+     * @param {String} options.asOfDate - Optional historical date
+     * @returns {Object} { content, contentType, filename, snapshot }
+     */
+    static async exportFundraisingData(organizationId, options = {}) {
+        const format = (options.format || 'csv').toLowerCase() === 'excel' ? 'xlsx' : (options.format || 'csv').toLowerCase();
+        if (!['csv', 'xlsx'].includes(format)) {
+            throw new Error('Unsupported export format. Use csv or xlsx');
+        }
+
+        const snapshot = await this.getCapTableSnapshot(organizationId, options.asOfDate);
+        const dateLabel = snapshot.asOfDate.toISOString().split('T')[0];
+        const filename = `cap-table-${dateLabel}.${format}`;
+
+        const columns = [
+            { header: 'Shareholder Type', key: 'shareholderType', width: 16 },
+            { header: 'Security Type', key: 'securityType', width: 20 },
+            { header: 'Shareholder', key: 'shareholderName', width: 30 },
+            { header: 'Round', key: 'round', width: 18 },
+            { header: 'Issue Date', key: 'issueDate', width: 12 },
+            { header: 'Shares', key: 'numberOfShares', width: 14 },
+            { header: 'Vested Shares', key: 'vestedShares', width: 14 },
+            { header: 'Outstanding %', key: 'outstandingPercentage', width: 14 },
+            { header: 'Fully Diluted %', key: 'fullyDilutedPercentage', width: 14 },
+            { header: 'Investment Amount', key: 'investmentAmount', width: 18 },
+            { header: 'Share Price', key: 'sharePrice', width: 12 },
+            { header: 'Current Value', key: 'currentValue', width: 18 },
+            { header: 'Currency', key: 'currency', width: 10 },
+            { header: 'Status', key: 'status', width: 12 }
+        ];
+
+        const formatRow = (row) => ({
+            ...row,
+            issueDate: row.issueDate ? new Date(row.issueDate).toISOString().split('T')[0] : ''
+        });
+
+        // Detail rows followed by a subtotal line per group
+        const lines = [];
+        for (const group of snapshot.groups) {
+            group.rows.forEach(row => lines.push(formatRow(row)));
+            lines.push({
+                shareholderType: group.shareholderType,
+                securityType: group.securityType,
+                shareholderName: `Subtotal (${group.holders})`,
+                round: '',
+                issueDate: '',
+                numberOfShares: group.numberOfShares,
+                vestedShares: group.vestedShares,
+                outstandingPercentage: group.outstandingPercentage,
+                fullyDilutedPercentage: group.fullyDilutedPercentage,
+                investmentAmount: group.investmentAmount,
+                sharePrice: '',
+                currentValue: group.currentValue,
+                currency: '',
+                status: ''
+            });
+        }
+
+        const totalsLine = {
+            shareholderType: 'TOTAL',
+            securityType: '',
+            shareholderName: `${snapshot.totals.shareholders} holders`,
+            round: '',
+            issueDate: '',
+            numberOfShares: snapshot.totals.fullyDilutedShares,
+            vestedShares: snapshot.totals.vestedShares,
+            outstandingPercentage: snapshot.totals.outstandingShares > 0 ? 100 : 0,
+            fullyDilutedPercentage: snapshot.totals.fullyDilutedShares > 0 ? 100 : 0,
+            investmentAmount: snapshot.totals.totalInvestment,
+            sharePrice: '',
+            currentValue: snapshot.totals.totalCurrentValue,
+            currency: '',
+            status: ''
+        };
+
+        if (format === 'csv') {
+            const Papa = require('papaparse');
+            const csv = Papa.unparse({
+                fields: columns.map(c => c.header),
+                data: [...lines, totalsLine].map(line => columns.map(c => line[c.key] ?? ''))
+            });
+            return { content: csv, contentType: 'text/csv', filename, snapshot };
+        }
+
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+
+        const sheet = workbook.addWorksheet('Cap Table');
+        sheet.columns = columns;
+        sheet.getRow(1).font = { bold: true };
+        lines.forEach(line => {
+            const row = sheet.addRow(line);
+            if (String(line.shareholderName).startsWith('Subtotal')) row.font = { italic: true };
+        });
+        sheet.addRow(totalsLine).font = { bold: true };
+        ['numberOfShares', 'vestedShares'].forEach(key => { sheet.getColumn(key).numFmt = '#,##0'; });
+        ['investmentAmount', 'currentValue', 'sharePrice'].forEach(key => { sheet.getColumn(key).numFmt = '#,##0.00'; });
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+        const summary = workbook.addWorksheet('Summary');
+        summary.columns = [
+            { header: 'Metric', key: 'metric', width: 32 },
+            { header: 'Value', key: 'value', width: 20 }
+        ];
+        summary.getRow(1).font = { bold: true };
+        summary.addRows([
+            { metric: 'As of date', value: dateLabel },
+            { metric: 'Outstanding shares', value: snapshot.totals.outstandingShares },
+            { metric: 'Fully diluted shares', value: snapshot.totals.fullyDilutedShares },
+            { metric: 'Vested shares', value: snapshot.totals.vestedShares },
+            { metric: 'ESOP pool shares', value: snapshot.esopPool.shares },
+            { metric: 'ESOP pool (fully diluted %)', value: snapshot.esopPool.fullyDilutedPercentage },
+            { metric: 'Total investment', value: snapshot.totals.totalInvestment },
+            { metric: 'Unconverted SAFEs / Notes', value: snapshot.totals.unconvertedInstruments }
+        ]);
+
+        const content = Buffer.from(await workbook.xlsx.writeBuffer());
+        return {
+            content,
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            filename,
+            snapshot
+        };
+    }
 }
 
 module.exports = FundraisingCalculationService;
\ No newline at end of file
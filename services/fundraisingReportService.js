@@ -0,0 +1,366 @@
+// services/fundraisingReportService.js
+// Investor and board data packs: pulls round progress, the investor list,
+// the cap table, cash runway and the investor-visible product roadmap into
+// one snapshot, renders it to PDF (handlebars → puppeteer) and stores the
+// file as a versioned Document.
+const AWS = require('aws-sdk');
+const Handlebars = require('handlebars');
+const Round = require('../models/roundModel');
+const Investor = require('../models/investorModel');
+const BankAccount = require('../models/bankAccountModel');
+const Expense = require('../models/expenseModel');
+const Revenue = require('../models/revenueModel');
+const ProductMilestone = require('../models/productMilestoneModel');
+const Document = require('../models/documentModel');
+const DocumentVersionCounter = require('../models/documentVersionCounterModel');
+const FundraisingCalculationService = require('./fundraisingCalculationService');
+const fxService = require('./fxService');
+const accountingBasisService = require('./accountingBasisService');
+const FiscalPeriods = require('../utils/fiscalPeriods');
+
+const s3 = new AWS.S3({
+    accessKeyId: process.env.HORIZON_AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.HORIZON_AWS_SECRET_ACCESS_KEY,
+    region: process.env.HORIZON_AWS_REGION || 'ap-south-1'
+});
+const HORIZON_S3_BUCKET_NAME = process.env.HORIZON_S3_BUCKET_NAME || 'scaleup-horizon-documents';
+
+const PACK_TYPES = {
+    investor: { title: 'Investor Update', tag: 'investor-pack' },
+    board: { title: 'Board Pack', tag: 'board-pack' },
+};
+
+// --- Data collection ---
+
+/**
+ * Period for a pack: a fiscal year or quarter in the organization's financial
+ * year ("FY2025-26", "FY2026-Q1"), a calendar quarter ("2026-Q1") or month
+ * ("YYYY-MM"), or default to the last 3 full months.
+ */
+function resolvePeriod(period, fiscalConfig) {
+    if (period) {
+        return FiscalPeriods.resolvePeriod(period, fiscalConfig);
+    }
+    const now = new Date();
+    const start = new Date(now.getFullYear(), now.getMonth() - 3, 1);
+    const end = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999);
+    return { label: 'Last 3 months', start, end };
+}
+
+async function getRunway(organizationId, period, reportingCurrency = 'INR', basis = 'accrual') {
+    const fx = await fxService.createConverter(organizationId, reportingCurrency);
+    const ledgerOptions = { basis, dateRange: { $gte: period.start, $lte: period.end } };
+    const [accounts, expenseAgg, revenueAgg] = await Promise.all([
+        BankAccount.find({ organization: organizationId }),
+        accountingBasisService.sumByBasis(Expense, { organization: organizationId }, fx, ledgerOptions),
+        accountingBasisService.sumByBasis(Revenue, { organization: organizationId }, fx, ledgerOptions)
+    ]);
+
+    const cash = accounts.reduce((sum, a) => sum + (fx.convert(a.currentBalance, a.currency, new Date()) || 0), 0);
+    const months = Math.max(1, Math.round((period.end - period.start) / (1000 * 60 * 60 * 24 * 30.44)));
+    const totalExpenses = expenseAgg.reduce((sum, m) => sum + m.total, 0);
+    const totalRevenue = revenueAgg.reduce((sum, m) => sum + m.total, 0);
+    const grossBurn = totalExpenses / months;
+    const averageRevenue = totalRevenue / months;
+    const netBurn = grossBurn - averageRevenue;
+
+    return {
+        cash,
+        bankAccounts: accounts.length,
+        totalExpenses,
+        totalRevenue,
+        monthlyGrossBurn: Math.round(grossBurn),
+        monthlyRevenue: Math.round(averageRevenue),
+        monthlyNetBurn: Math.round(netBurn),
+        runwayMonths: netBurn > 0 ? Math.round((cash / netBurn) * 10) / 10 : null,
+        currency: reportingCurrency,
+        accountingBasis: basis,
+        fxBasis: fx.basis()
+    };
+}
+
+async function getRoadmap(organizationId) {
+    const [upcoming, completed] = await Promise.all([
+        ProductMilestone.find({
+            organization: organizationId,
+            visibleToInvestors: true,
+            status: { $nin: ['Completed', 'Cancelled'] }
+        }).sort({ plannedEndDate: 1 }).limit(10)
+            .select('name status completionPercentage plannedEndDate investorSummary description'),
+        ProductMilestone.find({
+            organization: organizationId,
+            visibleToInvestors: true,
+            status: 'Completed'
+        }).sort({ actualEndDate: -1 }).limit(5)
+            .select('name actualEndDate investorSummary description')
+    ]);
+    return { upcoming, completed };
+}
+
+/**
+ * Everything that goes into a pack, as plain data.
+ * @param {Object} options - { roundId, investorId, period, reportingCurrency, fiscalConfig, basis }
+ */
+async function collectPackData(organizationId, { roundId, investorId, period, reportingCurrency = 'INR', fiscalConfig, basis = 'accrual' } = {}) {
+    const resolvedPeriod = resolvePeriod(period, fiscalConfig);
+
+    const roundQuery = { organization: organizationId };
+    if (roundId) roundQuery._id = roundId;
+    const rounds = await Round.find(roundQuery).sort({ openDate: -1 });
+    if (roundId && rounds.length === 0) {
+        throw new Error('Round not found');
+    }
+
+    const investorQuery = { organization: organizationId, roundId: { $in: rounds.map(r => r._id) } };
+    const investors = await Investor.find(investorQuery).sort({ totalCommittedAmount: -1 });
+
+    let focusInvestor = null;
+    if (investorId) {
+        focusInvestor = await Investor.findOne({ _id: investorId, organization: organizationId });
+        if (!focusInvestor) {
+            throw new Error('Investor not found');
+        }
+    }
+
+    const [capTable, runway, roadmap] = await Promise.all([
+        FundraisingCalculationService.getCapTableSnapshot(organizationId),
+        getRunway(organizationId, resolvedPeriod, reportingCurrency, basis),
+        getRoadmap(organizationId)
+    ]);
+
+    const roundSummaries = rounds.map(round => {
+        const progress = round.getProgressSummary();
+        return {
+            _id: round._id,
+            name: round.name,
+            roundType: round.roundType,
+            status: round.status,
+            currency: round.currency,
+            preMoney: round.currentValuationPreMoney || 0,
+            postMoney: round.currentValuationPostMoney || 0,
+            ...progress.financial,
+            pricePerShare: progress.equity.pricePerShare,
+            investorCount: progress.metrics.investorCount
+        };
+    });
+
+    const investorRows = investors.map(inv => ({
+        _id: inv._id,
+        name: inv.name,
+        entityName: inv.entityName,
+        round: rounds.find(r => r._id.equals(inv.roundId))?.name || '',
+        vehicle: inv.investmentVehicle,
+        status: inv.status,
+        committed: inv.totalCommittedAmount || 0,
+        received: inv.totalReceivedAmount || 0,
+        outstanding: Math.max(0, (inv.totalCommittedAmount || 0) - (inv.totalReceivedAmount || 0)),
+        percentReceived: inv.totalCommittedAmount > 0 ?
+            Math.round((inv.totalReceivedAmount / inv.totalCommittedAmount) * 1000) / 10 : 0
+    }));
+
+    const focusRow = focusInvestor ? capTable.rows.filter(r => r.shareholderName === focusInvestor.name) : [];
+
+    return {
+        generatedAt: new Date(),
+        period: resolvedPeriod,
+        currency: rounds[0]?.currency || 'INR',
+        rounds: roundSummaries,
+        investors: investorRows,
+        investorTotals: {
+            count: investorRows.length,
+            committed: investorRows.reduce((sum, r) => sum + r.committed, 0),
+            received: investorRows.reduce((sum, r) => sum + r.received, 0),
+            outstanding: investorRows.reduce((sum, r) => sum + r.outstanding, 0)
+        },
+        capTable: {
+            groups: capTable.groups.map(({ rows, ...group }) => group),
+            totals: capTable.totals,
+            esopPool: capTable.esopPool
+        },
+        runway,
+        roadmap,
+        focusInvestor: focusInvestor ? {
+            name: focusInvestor.name,
+            committed: focusInvestor.totalCommittedAmount || 0,
+            received: focusInvestor.totalReceivedAmount || 0,
+            shares: focusRow.reduce((sum, r) => sum + r.numberOfShares, 0),
+            fullyDilutedPercentage: Math.round(focusRow.reduce((sum, r) => sum + r.fullyDilutedPercentage, 0) * 100) / 100
+        } : null
+    };
+}
+
+// --- Rendering ---
+
+const hbs = Handlebars.create();
+hbs.registerHelper('money', (value, currency) => {
+    const amount = Number(value) || 0;
+    const code = typeof currency === 'string' ? currency : 'INR';
+    return `${code} ${amount.toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+});
+hbs.registerHelper('number', (value) => (Number(value) || 0).toLocaleString('en-IN'));
+hbs.registerHelper('date', (value) => (value ? new Date(value).toISOString().split('T')[0] : '—'));
+hbs.registerHelper('pct', (value) => `${(Number(value) || 0).toFixed(1)}%`);
+hbs.registerHelper('orDash', (value) => (value === null || value === undefined || value === '' ? '—' : value));
+
+const PACK_TEMPLATE = hbs.compile(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; font-size: 11px; margin: 0; }
+  h1 { font-size: 22px; margin: 0 0 4px; } h2 { font-size: 15px; margin: 22px 0 8px; border-bottom: 2px solid #1f2937; padding-bottom: 3px; }
+  .meta { color: #6b7280; margin-bottom: 14px; }
+  .kpis { display: flex; gap: 10px; } .kpi { flex: 1; border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px; }
+  .kpi .label { color: #6b7280; font-size: 10px; text-transform: uppercase; } .kpi .value { font-size: 15px; font-weight: bold; margin-top: 3px; }
+  table { width: 100%; border-collapse: collapse; } th, td { padding: 4px 6px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  th { background: #f3f4f6; font-size: 10px; text-transform: uppercase; } td.num, th.num { text-align: right; }
+  tfoot td { font-weight: bold; border-top: 2px solid #1f2937; }
+  .muted { color: #6b7280; }
+</style></head><body>
+  <h1>{{organizationName}} — {{title}}</h1>
+  <div class="meta">{{period.label}} · Version {{version}} · Generated {{date generatedAt}}</div>
+
+  {{#if focusInvestor}}
+  <h2>Your position</h2>
+  <div class="kpis">
+    <div class="kpi"><div class="label">Committed</div><div class="value">{{money focusInvestor.committed currency}}</div></div>
+    <div class="kpi"><div class="label">Received</div><div class="value">{{money focusInvestor.received currency}}</div></div>
+    <div class="kpi"><div class="label">Shares</div><div class="value">{{number focusInvestor.shares}}</div></div>
+    <div class="kpi"><div class="label">Fully diluted</div><div class="value">{{pct focusInvestor.fullyDilutedPercentage}}</div></div>
+  </div>
+  {{/if}}
+
+  <h2>Cash &amp; runway</h2>
+  <div class="kpis">
+    <div class="kpi"><div class="label">Cash in bank</div><div class="value">{{money runway.cash runway.currency}}</div></div>
+    <div class="kpi"><div class="label">Monthly gross burn</div><div class="value">{{money runway.monthlyGrossBurn runway.currency}}</div></div>
+    <div class="kpi"><div class="label">Monthly revenue</div><div class="value">{{money runway.monthlyRevenue runway.currency}}</div></div>
+    <div class="kpi"><div class="label">Runway</div><div class="value">{{#if runway.runwayMonths}}{{runway.runwayMonths}} months{{else}}Cash-flow positive{{/if}}</div></div>
+  </div>
+
+  <h2>Fundraising progress</h2>
+  <table><thead><tr><th>Round</th><th>Status</th><th class="num">Target</th><th class="num">Raised</th><th class="num">Progress</th><th class="num">Post-money</th><th class="num">Price / share</th></tr></thead>
+  <tbody>{{#each rounds}}<tr><td>{{name}}</td><td>{{status}}</td><td class="num">{{money targetAmount currency}}</td><td class="num">{{money raisedAmount currency}}</td><td class="num">{{pct percentageComplete}}</td><td class="num">{{money postMoney currency}}</td><td class="num">{{number pricePerShare}}</td></tr>{{else}}<tr><td colspan="7" class="muted">No rounds recorded</td></tr>{{/each}}</tbody></table>
+
+  {{#if showInvestorList}}
+  <h2>Investors — committed vs received</h2>
+  <table><thead><tr><th>Investor</th><th>Round</th><th>Vehicle</th><th>Status</th><th class="num">Committed</th><th class="num">Received</th><th class="num">Outstanding</th></tr></thead>
+  <tbody>{{#each investors}}<tr><td>{{name}}</td><td>{{round}}</td><td>{{vehicle}}</td><td>{{status}}</td><td class="num">{{money committed ../currency}}</td><td class="num">{{money received ../currency}}</td><td class="num">{{money outstanding ../currency}}</td></tr>{{/each}}</tbody>
+  <tfoot><tr><td colspan="4">Total ({{investorTotals.count}})</td><td class="num">{{money investorTotals.committed currency}}</td><td class="num">{{money investorTotals.received currency}}</td><td class="num">{{money investorTotals.outstanding currency}}</td></tr></tfoot></table>
+  {{/if}}
+
+  <h2>Cap table summary</h2>
+  <table><thead><tr><th>Holder type</th><th>Security</th><th class="num">Holders</th><th class="num">Shares</th><th class="num">Fully diluted</th></tr></thead>
+  <tbody>{{#each capTable.groups}}<tr><td>{{shareholderType}}</td><td>{{securityType}}</td><td class="num">{{holders}}</td><td class="num">{{number numberOfShares}}</td><td class="num">{{pct fullyDilutedPercentage}}</td></tr>{{/each}}</tbody>
+  <tfoot><tr><td colspan="3">Fully diluted shares</td><td class="num">{{number capTable.totals.fullyDilutedShares}}</td><td class="num">100.0%</td></tr></tfoot></table>
+
+  <h2>Product roadmap</h2>
+  <table><thead><tr><th>Milestone</th><th>Status</th><th class="num">Complete</th><th>Target</th><th>Summary</th></tr></thead>
+  <tbody>{{#each roadmap.upcoming}}<tr><td>{{name}}</td><td>{{status}}</td><td class="num">{{pct completionPercentage}}</td><td>{{date plannedEndDate}}</td><td>{{orDash investorSummary}}</td></tr>{{else}}<tr><td colspan="5" class="muted">No upcoming investor-visible milestones</td></tr>{{/each}}</tbody></table>
+  {{#if roadmap.completed.length}}
+  <p><strong>Recently shipped:</strong> {{#each roadmap.completed}}{{name}} ({{date actualEndDate}}){{#unless @last}}, {{/unless}}{{/each}}</p>
+  {{/if}}
+</body></html>`);
+
+async function renderPdf(html) {
+    // Loaded lazily: puppeteer pulls in a browser binary we only need here
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'domcontentloaded' });
+        return await page.pdf({
+            format: 'A4',
+            printBackground: true,
+            margin: { top: '18mm', bottom: '18mm', left: '14mm', right: '14mm' }
+        });
+    } finally {
+        await browser.close();
+    }
+}
+
+// --- Generation + storage ---
+
+/**
+ * Render a pack and store it as a new Document version.
+ * Versions are numbered per pack type + period (+ investor for tailored packs)
+ * from an atomic counter, so concurrent generations never share a version.
+ */
+async function generatePack(type, organization, userId, options = {}) {
+    const packType = PACK_TYPES[type];
+    const organizationId = organization._id;
+    const data = await collectPackData(organizationId, {
+        ...options,
+        reportingCurrency: organization.currency || 'INR',
+        fiscalConfig: FiscalPeriods.getConfig(organization),
+        basis: accountingBasisService.resolveBasis(organization)
+    });
+
+    const versionGroup = [packType.tag, data.period.label, options.roundId, options.investorId]
+        .filter(Boolean).join(':');
+    const version = await DocumentVersionCounter.next(organizationId, versionGroup);
+
+    const html = PACK_TEMPLATE({
+        ...data,
+        title: packType.title,
+        organizationName: organization.name || 'Company',
+        version,
+        // Board packs show the full investor list; an investor sees only their own position
+        showInvestorList: type === 'board' || !options.investorId
+    });
+    const pdf = await renderPdf(html);
+
+    const safePeriod = data.period.label.replace(/\s+/g, '-');
+    const fileName = `${packType.title} - ${data.period.label} - v${version}.pdf`;
+    const fileKey = `documents/${organizationId}/generated/${packType.tag}/${Date.now()}_${safePeriod}_v${version}.pdf`;
+
+    const upload = await s3.upload({
+        Bucket: HORIZON_S3_BUCKET_NAME,
+        Key: fileKey,
+        Body: pdf,
+        ContentType: 'application/pdf'
+    }).promise();
+
+    const document = await Document.create({
+        organization: organizationId,
+        fileName,
+        fileType: 'application/pdf',
+        fileSize: pdf.length,
+        storageUrl: upload.Location,
+        storageKey: fileKey,
+        description: `${packType.title} for ${data.period.label} (generated)`,
+        category: type === 'board' ? 'Board Minutes' : 'Financial Report',
+        associatedRoundId: options.roundId || null,
+        associatedInvestorId: options.investorId || null,
+        tags: [packType.tag, 'generated', safePeriod.toLowerCase()],
+        version,
+        versionGroup,
+        uploadedBy: userId
+    });
+
+    console.log(`[DATA PACK] ${fileName} stored as document ${document._id}`);
+    return { document, version, summary: data };
+}
+
+/**
+ * Investor update pack, optionally tailored to one investor's position.
+ * @param {Object} options - { investorId, roundId, period }
+ */
+async function generateInvestorReport(organization, userId, options = {}) {
+    return generatePack('investor', organization, userId, options);
+}
+
+/**
+ * Board pack for a fiscal quarter ("FY2026-Q3"), calendar quarter ("2026-Q3") or month ("2026-07").
+ * @param {Object} options - { period, roundId }
+ */
+async function generateBoardReport(organization, userId, options = {}) {
+    return generatePack('board', organization, userId, options);
+}
+
+module.exports = {
+    collectPackData,
+    renderPdf,
+    generateInvestorReport,
+    generateBoardReport,
+};
@@ -0,0 +1,244 @@
+// services/fxService.js
+// FX conversion layer for financial aggregates. Rates come from the
+// organization's stored FX rate table (manual entry or CSV import); amounts
+// are converted into the organization's reporting currency at the rate in
+// effect on each transaction's date.
+const Papa = require('papaparse');
+const FxRate = require('../models/fxRateModel');
+const { CURRENCIES } = require('../models/fxRateModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Load an organization's rate table and return a converter bound to its
+ * reporting currency. The converter records which rates it applied and which
+ * currencies it could not convert, so responses can show the rate basis.
+ * @param {String} organizationId - Organization ID
+ * @param {String} reportingCurrency - Target currency (usually organization.currency)
+ */
+async function createConverter(organizationId, reportingCurrency = 'INR') {
+    const rates = await FxRate.find({ organization: organizationId })
+        .sort({ effectiveDate: 1 })
+        .select('baseCurrency quoteCurrency rate effectiveDate')
+        .lean();
+
+    // pair "USD>INR" → ascending [{ rate, effectiveDate }]; inverse pairs are derived
+    const series = new Map();
+    const push = (from, to, rate, effectiveDate, inverse) => {
+        const key = `${from}>${to}`;
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push({ rate, effectiveDate: new Date(effectiveDate), inverse });
+    };
+    for (const r of rates) {
+        push(r.baseCurrency, r.quoteCurrency, r.rate, r.effectiveDate, false);
+        push(r.quoteCurrency, r.baseCurrency, 1 / r.rate, r.effectiveDate, true);
+    }
+    for (const list of series.values()) {
+        // Direct quotes win over derived inverses on the same date
+        list.sort((a, b) => a.effectiveDate - b.effectiveDate || (a.inverse - b.inverse));
+    }
+
+    const applied = new Map();
+    const missing = new Map();
+
+    const rateFor = (currency, date) => {
+        const from = currency || reportingCurrency;
+        if (from === reportingCurrency) return { rate: 1 };
+
+        const list = series.get(`${from}>${reportingCurrency}`);
+        if (!list || list.length === 0) return null;
+
+        const at = date ? new Date(date) : new Date();
+        // Latest rate effective on or before the date; fall back to the earliest rate after it
+        let match = null;
+        for (const entry of list) {
+            if (entry.effectiveDate <= at) match = entry;
+            else break;
+        }
+        const fallback = !match;
+        if (!match) match = list[0];
+        return { ...match, fallback };
+    };
+
+    const convert = (amount, currency, date) => {
+        const from = currency || reportingCurrency;
+        const value = Number(amount) || 0;
+        const found = rateFor(from, date);
+        if (!found) {
+            const miss = missing.get(from) || { currency: from, unconvertedAmount: 0, count: 0 };
+            miss.unconvertedAmount += value;
+            miss.count += 1;
+            missing.set(from, miss);
+            return null;
+        }
+        if (from !== reportingCurrency) {
+            const key = `${from}|${dayKey(found.effectiveDate)}|${found.inverse ? 'i' : 'd'}`;
+            const usage = applied.get(key) || {
+                from,
+                to: reportingCurrency,
+                rate: found.rate,
+                effectiveDate: found.effectiveDate,
+                derivedFromInverse: found.inverse,
+                appliedBeforeEffectiveDate: false,
+                transactions: 0
+            };
+            usage.transactions += 1;
+            if (found.fallback) usage.appliedBeforeEffectiveDate = true;
+            applied.set(key, usage);
+        }
+        return value * found.rate;
+    };
+
+    const basis = () => ({
+        reportingCurrency,
+        method: 'transaction-date',
+        description: 'Each amount is converted at the latest stored rate effective on or before its transaction date.',
+        ratesApplied: [...applied.values()]
+            .sort((a, b) => a.from.localeCompare(b.from) || a.effectiveDate - b.effectiveDate)
+            .map(r => ({ ...r, rate: Math.round(r.rate * 1000000) / 1000000 })),
+        missingRates: [...missing.values()].map(m => ({ ...m, unconvertedAmount: round2(m.unconvertedAmount) }))
+    });
+
+    return { reportingCurrency, convert, rateFor, basis };
+}
+
+/**
+ * Sum a collection's amounts in the reporting currency.
+ * Groups by (key, currency, day) in Mongo, then converts each day bucket in JS.
+ * Amounts in currencies without a rate are left out and reported in converter.basis().
+ * @param {mongoose.Model} Model - Expense, Revenue, ...
+ * @param {Object} match - $match stage
+ * @param {Object} converter - From createConverter
+ * @param {Object} options
+ * @param {*} options.groupBy - Group key expression (e.g. '$category'); null for a grand total
+ * @param {String} options.amountField - Defaults to 'amount'
+ * @param {String} options.dateField - Defaults to 'date'
+ * @param {Array} options.stages - Extra pipeline stages run after $match (e.g. accounting-basis dating)
+ * @returns {Array} [{ _id, total, count }] sorted like a $group result would be consumed
+ */
+async function sumConverted(Model, match, converter, options = {}) {
+    const { groupBy = null, amountField = 'amount', dateField = 'date', stages = [] } = options;
+
+    const buckets = await Model.aggregate([
+        { $match: match },
+        ...stages,
+        { $group: {
+            _id: {
+                key: groupBy,
+                currency: '$currency',
+                day: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } }
+            },
+            total: { $sum: `$${amountField}` },
+            count: { $sum: 1 }
+        }}
+    ]);
+
+    const groups = new Map();
+    for (const bucket of buckets) {
+        const { key, currency, day } = bucket._id;
+        const groupKey = JSON.stringify(key ?? null);
+        const group = groups.get(groupKey) || { _id: key ?? null, total: 0, count: 0 };
+        const converted = converter.convert(bucket.total, currency, day ? new Date(day) : null);
+        if (converted !== null) {
+            group.total += converted;
+            group.count += bucket.count;
+        }
+        groups.set(groupKey, group);
+    }
+
+    return [...groups.values()].map(g => ({ ...g, total: round2(g.total) }));
+}
+
+/**
+ * Add or replace the rate for a currency pair on a date
+ */
+async function upsertRate(organizationId, { baseCurrency, quoteCurrency, rate, effectiveDate, notes }, userId, source = 'manual') {
+    const base = String(baseCurrency || '').toUpperCase().trim();
+    const quote = String(quoteCurrency || '').toUpperCase().trim();
+    const value = Number(rate);
+    const date = new Date(effectiveDate);
+
+    if (!CURRENCIES.includes(base) || !CURRENCIES.includes(quote)) {
+        throw new Error(`Currencies must be one of ${CURRENCIES.join(', ')}`);
+    }
+    if (base === quote) throw new Error('Base and quote currency must differ');
+    if (!Number.isFinite(value) || value <= 0) throw new Error('Rate must be a positive number');
+    if (!effectiveDate || isNaN(date.getTime())) throw new Error('A valid effective date is required');
+
+    // Rates are daily: normalise to UTC midnight so re-imports replace instead of duplicating
+    const effective = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    return FxRate.findOneAndUpdate(
+        { organization: organizationId, baseCurrency: base, quoteCurrency: quote, effectiveDate: effective },
+        { $set: { rate: value, source, notes, createdBy: userId } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Import historical rates from CSV. Expected columns (case-insensitive):
+ * date, base (or from), quote (or to), rate
+ * @returns {Object} { imported, failed: [{ row, error }] }
+ */
+async function importRatesCsv(organizationId, csvText, userId) {
+    const parsed = Papa.parse(String(csvText || '').trim(), {
+        header: true,
+        skipEmptyLines: true,
+        transformHeader: h => h.trim().toLowerCase()
+    });
+    if (!parsed.data.length) {
+        throw new Error('CSV contains no rate rows');
+    }
+
+    const pick = (row, names) => {
+        for (const name of names) {
+            if (row[name] !== undefined && row[name] !== '') return String(row[name]).trim();
+        }
+        return undefined;
+    };
+
+    let imported = 0;
+    const failed = [];
+    for (let i = 0; i < parsed.data.length; i++) {
+        const row = parsed.data[i];
+        try {
+            await upsertRate(organizationId, {
+                effectiveDate: pick(row, ['date', 'effectivedate', 'effective_date']),
+                baseCurrency: pick(row, ['base', 'from', 'basecurrency', 'base_currency']),
+                quoteCurrency: pick(row, ['quote', 'to', 'quotecurrency', 'quote_currency']),
+                rate: pick(row, ['rate', 'fx_rate', 'value'])?.replace(/,/g, '')
+            }, userId, 'csv-import');
+            imported++;
+        } catch (error) {
+            failed.push({ row: i + 2, error: error.message }); // +2: header row and 1-based numbering
+        }
+    }
+
+    console.log(`[FX] Imported ${imported} rates for org ${organizationId} (${failed.length} failed)`);
+    return { imported, failed };
+}
+
+/**
+ * List stored rates, newest first
+ */
+async function listRates(organizationId, { baseCurrency, quoteCurrency, from, to } = {}) {
+    const query = { organization: organizationId };
+    if (baseCurrency) query.baseCurrency = String(baseCurrency).toUpperCase();
+    if (quoteCurrency) query.quoteCurrency = String(quoteCurrency).toUpperCase();
+    if (from || to) {
+        query.effectiveDate = {};
+        if (from) query.effectiveDate.$gte = new Date(from);
+        if (to) query.effectiveDate.$lte = new Date(new Date(to).getTime() + DAY_MS - 1);
+    }
+    return FxRate.find(query).sort({ effectiveDate: -1, baseCurrency: 1 }).lean();
+}
+
+module.exports = {
+    createConverter,
+    sumConverted,
+    upsertRate,
+    importRatesCsv,
+    listRates
+};
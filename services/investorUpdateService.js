@@ -14,6 +14,9 @@ const ManualKpiSnapshot = require('../models/manualKpiSnapshotModel');
 const Organization = require('../models/organizationModel');
 const InvestorUpdate = require('../models/investorUpdateModel');
 const { sendEmailRaw } = require('./notificationService');
+const fxService = require('./fxService');
+const accountingBasisService = require('./accountingBasisService');
+const FiscalPeriods = require('../utils/fiscalPeriods');
 
 const C = {
     indigo: '#4f46e5', green: '#047857', grey: '#6b7280', greyLight: '#9ca3af',
@@ -27,19 +30,24 @@ const fmtINR = (v) => {
     if (abs >= 100000) return `₹${(v / 100000).toFixed(1)}L`;
     return `₹${Math.round(v || 0).toLocaleString('en-IN')}`;
 };
+// Lakh/crore for INR orgs; compact international format for other reporting currencies
+const fmtMoney = (v, currency = 'INR') => {
+    if (currency === 'INR') return fmtINR(v);
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1,
+    }).format(v || 0);
+};
 
 async function gatherMetrics(orgId) {
     const now = new Date();
     const thirtyDaysAgo = new Date(now); thirtyDaysAgo.setDate(now.getDate() - 30);
     const ninetyDaysAgo = new Date(now); ninetyDaysAgo.setDate(now.getDate() - 90);
 
-    const [org, accounts, expAgg, revAgg, kpi, rounds, investors, shipped, upcoming] = await Promise.all([
-        Organization.findById(orgId).select('name'),
-        BankAccount.find({ organization: orgId }).select('currentBalance'),
-        Expense.aggregate([{ $match: { organization: orgId, date: { $gte: ninetyDaysAgo } } }, { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }]),
-        Revenue.aggregate([{ $match: { organization: orgId, date: { $gte: ninetyDaysAgo } } }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
+    const [org, accounts, kpi, rounds, investors, shipped, upcoming] = await Promise.all([
+        Organization.findById(orgId).select('name currency settings'),
+        BankAccount.find({ organization: orgId }).select('currentBalance currency'),
         ManualKpiSnapshot.findOne({ organization: orgId }).sort({ snapshotDate: -1 }).select('snapshotDate totalRegisteredUsers dau mau'),
-        Round.find({ organization: orgId }).select('name status targetAmount totalFundsReceived hardCommitmentsTotal softCommitmentsTotal'),
+        Round.find({ organization: orgId }).select('name status currency openDate actualCloseDate targetAmount totalFundsReceived hardCommitmentsTotal softCommitmentsTotal'),
         Investor.find({ organization: orgId }).select('status totalCommittedAmount totalReceivedAmount'),
         Task.find({ organization: orgId, isArchived: false, taskType: 'task', status: 'completed', completedAt: { $gte: thirtyDaysAgo } })
             .select('title taskKey parentTask').populate('parentTask', 'title').sort({ completedAt: -1 }).limit(10),
@@ -50,24 +58,54 @@ async function gatherMetrics(orgId) {
         }).select('title taskKey parentTask').populate('parentTask', 'title').sort({ dueDate: 1 }).limit(8),
     ]);
 
-    const cash = accounts.reduce((s, a) => s + (a.currentBalance || 0), 0);
+    // Convert everything into the org's reporting currency at transaction-date rates,
+    // on the org's accounting basis (accrual or cash)
+    const currency = org?.currency || 'INR';
+    const basis = accountingBasisService.resolveBasis(org);
+    const fx = await fxService.createConverter(orgId, currency);
+    const sumLedger = (Model, dateRange) =>
+        accountingBasisService.sumByBasis(Model, { organization: orgId }, fx, { basis, dateRange });
+
+    // Fiscal year to date, per the org's financial year (default April-March)
+    const fiscalYtd = FiscalPeriods.resolvePeriod('year_to_date', org, now);
+    const fiscalQuarter = FiscalPeriods.describe(now, FiscalPeriods.getConfig(org));
+    const ytdRange = { $gte: fiscalYtd.start, $lte: fiscalYtd.end };
+    const [expAgg, revAgg, ytdExp, ytdRev] = await Promise.all([
+        sumLedger(Expense, { $gte: ninetyDaysAgo }),
+        sumLedger(Revenue, { $gte: ninetyDaysAgo }),
+        sumLedger(Expense, ytdRange),
+        sumLedger(Revenue, ytdRange),
+    ]);
+
+    const cash = accounts.reduce((s, a) => s + (fx.convert(a.currentBalance, a.currency, now) || 0), 0);
     const burn = Math.round((expAgg[0]?.total || 0) / 3);
     const rev = Math.round((revAgg[0]?.total || 0) / 3);
     const net = burn - rev;
     const financeHasData = accounts.length > 0 || (expAgg[0]?.count || 0) > 0;
 
     const openRound = rounds.find(r => ['Planning', 'Open', 'Closing'].includes(r.status)) || null;
+    const roundDate = openRound ? (openRound.actualCloseDate || openRound.openDate) : null;
     const invested = investors.filter(i => i.status === 'Invested').length;
     const committed = investors.filter(i => ['Soft Committed', 'Hard Committed'].includes(i.status)).length;
     const inPipeline = investors.filter(i => !['Invested', 'Declined', 'Passed', 'On Hold'].includes(i.status)).length;
 
     return {
         orgName: org ? org.name : 'Our company',
+        currency,
+        accountingBasis: basis,
+        fxBasis: fx.basis(),
         finance: {
             hasData: financeHasData,
             cash, burn, rev,
             runway: net > 0 && cash > 0 ? (cash / net).toFixed(1) : null,
+            fiscalYtd: {
+                label: fiscalYtd.label,
+                startDate: fiscalYtd.start,
+                revenue: Math.round(ytdRev[0]?.total || 0),
+                expenses: Math.round(ytdExp[0]?.total || 0),
+            },
         },
+        fiscalQuarter: fiscalQuarter.label,
         kpi: kpi ? {
             totalUsers: kpi.totalRegisteredUsers, dau: kpi.dau, mau: kpi.mau,
             asOf: kpi.snapshotDate,
@@ -75,8 +113,8 @@ async function gatherMetrics(orgId) {
         fundraising: {
             openRound: openRound ? {
                 name: openRound.name,
-                target: openRound.targetAmount,
-                received: openRound.totalFundsReceived,
+                target: fx.convert(openRound.targetAmount, openRound.currency, roundDate) ?? openRound.targetAmount,
+                received: fx.convert(openRound.totalFundsReceived, openRound.currency, roundDate) ?? openRound.totalFundsReceived,
             } : null,
             invested, committed, inPipeline,
         },
@@ -109,10 +147,11 @@ function renderUpdateHtml({ orgName, periodLabel, intro, asks, metrics }) {
     const m = metrics;
     const cells = [];
     if (m.finance.hasData) {
-        cells.push(metricCell('CASH', fmtINR(m.finance.cash)));
-        cells.push(metricCell('NET BURN / MO', fmtINR(m.finance.burn - m.finance.rev)));
-        if (m.finance.rev > 0) cells.push(metricCell('REVENUE / MO', fmtINR(m.finance.rev)));
+        cells.push(metricCell('CASH', fmtMoney(m.finance.cash, m.currency)));
+        cells.push(metricCell('NET BURN / MO', fmtMoney(m.finance.burn - m.finance.rev, m.currency)));
+        if (m.finance.rev > 0) cells.push(metricCell('REVENUE / MO', fmtMoney(m.finance.rev, m.currency)));
         if (m.finance.runway) cells.push(metricCell('RUNWAY', `${m.finance.runway} mo`));
+        if (m.finance.fiscalYtd.revenue > 0) cells.push(metricCell(`REVENUE ${m.finance.fiscalYtd.label.replace(' (to date)', '')} YTD`, fmtMoney(m.finance.fiscalYtd.revenue, m.currency)));
     }
     if (m.kpi) {
         cells.push(metricCell('TOTAL USERS', (m.kpi.totalUsers || 0).toLocaleString('en-IN')));
@@ -123,7 +162,7 @@ function renderUpdateHtml({ orgName, periodLabel, intro, asks, metrics }) {
       <div style="margin:18px 0 0;">
         <div style="font-size:11px;font-weight:700;letter-spacing:1px;color:${C.grey};padding-bottom:3px;border-bottom:1px solid ${C.border};">FUNDRAISE — ${esc(m.fundraising.openRound.name).toUpperCase()}</div>
         <div style="font-size:14px;color:${C.text};padding-top:5px;line-height:1.5;">
-          ${fmtINR(m.fundraising.openRound.received)} received of ${fmtINR(m.fundraising.openRound.target)} target
+          ${fmtMoney(m.fundraising.openRound.received, m.currency)} received of ${fmtMoney(m.fundraising.openRound.target, m.currency)} target
           · ${m.fundraising.committed} committed · ${m.fundraising.inPipeline} in conversations
         </div>
       </div>` : '';
@@ -172,12 +211,15 @@ function renderUpdateText({ orgName, periodLabel, intro, asks, metrics }) {
     const lines = [`${orgName} — Investor Update`, periodLabel, ''];
     if (intro) lines.push(intro, '');
     if (m.finance.hasData) {
-        lines.push(`Cash ${fmtINR(m.finance.cash)} · Net burn ${fmtINR(m.finance.burn - m.finance.rev)}/mo`
+        lines.push(`Cash ${fmtMoney(m.finance.cash, m.currency)} · Net burn ${fmtMoney(m.finance.burn - m.finance.rev, m.currency)}/mo`
             + (m.finance.runway ? ` · Runway ${m.finance.runway} mo` : ''));
+        if (m.finance.fiscalYtd.revenue > 0) {
+            lines.push(`Revenue ${m.finance.fiscalYtd.label}: ${fmtMoney(m.finance.fiscalYtd.revenue, m.currency)}`);
+        }
     }
     if (m.kpi) lines.push(`Users ${m.kpi.totalUsers}` + (m.kpi.mau ? ` · MAU ${m.kpi.mau}` : ''));
     if (m.fundraising.openRound) {
-        lines.push(`Fundraise (${m.fundraising.openRound.name}): ${fmtINR(m.fundraising.openRound.received)} of ${fmtINR(m.fundraising.openRound.target)} · ${m.fundraising.committed} committed`);
+        lines.push(`Fundraise (${m.fundraising.openRound.name}): ${fmtMoney(m.fundraising.openRound.received, m.currency)} of ${fmtMoney(m.fundraising.openRound.target, m.currency)} · ${m.fundraising.committed} committed`);
     }
     if (m.shipped.length) {
         lines.push('', 'Shipped in the last 30 days:');
@@ -195,8 +237,9 @@ function renderUpdateText({ orgName, periodLabel, intro, asks, metrics }) {
 async function buildDraft(orgId, { intro = '', asks = '' } = {}) {
     const metrics = await gatherMetrics(orgId);
     const now = new Date();
-    const periodLabel = now.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
-    const subject = `${metrics.orgName} — Investor Update, ${periodLabel}`;
+    const monthLabel = now.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+    const periodLabel = `${monthLabel} · ${metrics.fiscalQuarter}`;
+    const subject = `${metrics.orgName} — Investor Update, ${monthLabel}`;
     const html = renderUpdateHtml({ orgName: metrics.orgName, periodLabel, intro, asks, metrics });
     const body = renderUpdateText({ orgName: metrics.orgName, periodLabel, intro, asks, metrics });
     return { subject, periodLabel, html, body, metrics };
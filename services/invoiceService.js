@@ -0,0 +1,480 @@
+// services/invoiceService.js
+// Accounts receivable: invoice numbering, payments (each one books a Revenue
+// entry), the AR aging report, PDF rendering and the daily overdue reminders.
+const mongoose = require('mongoose');
+const Handlebars = require('handlebars');
+const Invoice = require('../models/invoiceModel');
+const Revenue = require('../models/revenueModel');
+const Membership = require('../models/membershipModel');
+const Organization = require('../models/organizationModel');
+const { notifyUsers, sendEmailRaw } = require('./notificationService');
+const { renderPdf } = require('./fundraisingReportService');
+const fxService = require('./fxService');
+const IndianTax = require('../utils/indianTax');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.scaleuphorizon.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+const startOfUtcDay = (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+
+// Fields a client may set; totals, tax, amountPaid and derived statuses are computed
+const EDITABLE_FIELDS = ['invoiceNumber', 'customer', 'supplierGstin', 'supplyType', 'currency', 'revenueSource',
+    'lineItems', 'issueDate', 'dueDate', 'notes', 'terms', 'reminders'];
+// Fields that change the amount owed; locked once a payment has been recorded
+const AMOUNT_FIELDS = ['lineItems', 'supplyType', 'currency'];
+
+const OPEN_STATUSES = ['sent', 'partially_paid', 'overdue'];
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Not yet due', min: -Infinity, max: 0 },
+    { key: '0-30', label: '1–30 days', min: 1, max: 30 },
+    { key: '31-60', label: '31–60 days', min: 31, max: 60 },
+    { key: '61-90', label: '61–90 days', min: 61, max: 90 },
+    { key: '90+', label: '90+ days', min: 91, max: Infinity },
+];
+// Overdue reminders go out on the first overdue day, then at most this often
+const REMINDER_INTERVAL_DAYS = 7;
+
+/**
+ * Next auto-issued number for an organization: INV-0001, INV-0002, ...
+ * The unique (organization, invoiceNumber) index guards against races.
+ */
+async function nextInvoiceNumber(organizationId) {
+    const last = await Invoice.findOne({ organization: organizationId, sequence: { $ne: null } })
+        .sort({ sequence: -1 })
+        .select('sequence');
+    const sequence = (last?.sequence || 0) + 1;
+    return { sequence, invoiceNumber: `INV-${String(sequence).padStart(4, '0')}` };
+}
+
+function applyFields(invoice, data) {
+    for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) invoice[field] = data[field];
+    }
+}
+
+/**
+ * Create a draft invoice (or one marked sent straight away with { status: 'sent' })
+ */
+async function createInvoice(organization, data, userId) {
+    const invoice = new Invoice({
+        organization: organization._id,
+        createdBy: userId,
+        currency: organization.currency || 'INR',
+    });
+    applyFields(invoice, data);
+    // Seller GSTIN defaults to the organization's; CGST/SGST vs IGST follows the two state codes
+    if (!invoice.supplierGstin && organization.settings?.gstin) invoice.supplierGstin = organization.settings.gstin;
+    if (data.supplyType === undefined) {
+        invoice.supplyType = IndianTax.supplyTypeFor(invoice.supplierGstin, invoice.customer?.gstin) || invoice.supplyType;
+    }
+    if (!invoice.invoiceNumber) {
+        const next = await nextInvoiceNumber(organization._id);
+        invoice.invoiceNumber = next.invoiceNumber;
+        invoice.sequence = next.sequence;
+    }
+    if (data.status === 'sent') {
+        invoice.status = 'sent';
+        invoice.sentAt = new Date();
+    }
+    await invoice.save();
+    return invoice;
+}
+
+/**
+ * Apply an update. Amount-changing fields are locked once payments exist.
+ * @throws {Error} with err.status = 400 for disallowed edits
+ */
+async function updateInvoice(invoice, data) {
+    if (invoice.status === 'void') {
+        throw Object.assign(new Error('A void invoice cannot be edited'), { status: 400 });
+    }
+    if (invoice.payments.length > 0 && AMOUNT_FIELDS.some(f => data[f] !== undefined)) {
+        throw Object.assign(new Error('Line items, supply type and currency cannot change after a payment has been recorded'), { status: 400 });
+    }
+    applyFields(invoice, data);
+    if (data.invoiceNumber !== undefined) invoice.sequence = null;
+    await invoice.save();
+    return invoice;
+}
+
+/**
+ * Mark an invoice as sent; optionally email the customer the amount and due date
+ */
+async function markSent(invoice, organization, { emailCustomer = false } = {}) {
+    if (invoice.status === 'void') {
+        throw Object.assign(new Error('A void invoice cannot be sent'), { status: 400 });
+    }
+    if (invoice.status === 'draft') invoice.status = 'sent'; // pre-save re-derives from payments/due date
+    invoice.sentAt = new Date();
+    await invoice.save();
+
+    let emailed = false;
+    if (emailCustomer && invoice.customer?.email) {
+        emailed = await sendEmailRaw({
+            to: invoice.customer.email,
+            subject: `Invoice ${invoice.invoiceNumber} from ${organization.name}`,
+            body: customerEmailBody(invoice, organization, false),
+        });
+    }
+    return { invoice, emailed };
+}
+
+/**
+ * Void an unpaid invoice. Payments must be removed first so Revenue stays consistent.
+ */
+async function voidInvoice(invoice) {
+    if (invoice.payments.length > 0) {
+        throw Object.assign(new Error('Remove recorded payments before voiding this invoice'), { status: 400 });
+    }
+    invoice.status = 'void';
+    await invoice.save();
+    return invoice;
+}
+
+/**
+ * Record a payment and book it as a Revenue entry, in one transaction
+ * @param {Object} payment - { amount, date, method, reference, notes }
+ */
+async function recordPayment(invoice, payment, userId) {
+    if (['draft', 'void'].includes(invoice.status)) {
+        throw Object.assign(new Error(`Payments cannot be recorded against a ${invoice.status} invoice`), { status: 400 });
+    }
+    const amount = Number(payment.amount);
+    if (!amount || amount <= 0) {
+        throw Object.assign(new Error('Payment amount must be greater than 0'), { status: 400 });
+    }
+    if (round2(invoice.amountPaid + amount) > invoice.total) {
+        throw Object.assign(new Error(`Payment exceeds the balance due (${invoice.balanceDue} ${invoice.currency})`), { status: 400 });
+    }
+    const date = payment.date ? new Date(payment.date) : new Date();
+    if (isNaN(date.getTime())) {
+        throw Object.assign(new Error('Invalid payment date'), { status: 400 });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        // Claim the invoice at the paid amount the balance check used, so a
+        // concurrent payment cannot pass the same check and overpay it
+        const claimed = await Invoice.findOneAndUpdate(
+            { _id: invoice._id, organization: invoice.organization, amountPaid: invoice.amountPaid },
+            { $inc: { amountPaid: amount } },
+            { session }
+        );
+        if (!claimed) {
+            throw Object.assign(new Error('Another payment was recorded on this invoice meanwhile; reload it and try again'), { status: 409 });
+        }
+
+        const [revenue] = await Revenue.create([{
+            organization: invoice.organization,
+            user: userId,
+            date,
+            amount,
+            source: invoice.revenueSource || 'Invoices',
+            description: `Payment for invoice ${invoice.invoiceNumber} — ${invoice.customer.name}`,
+            invoiceNumber: invoice.invoiceNumber,
+            status: 'Received',
+            currency: invoice.currency,
+            notes: payment.reference ? `Ref: ${payment.reference}` : undefined,
+        }], { session });
+
+        invoice.payments.push({
+            date,
+            amount,
+            method: payment.method,
+            reference: payment.reference,
+            notes: payment.notes,
+            revenue: revenue._id,
+            recordedBy: userId,
+        });
+        await invoice.save({ session });
+
+        await session.commitTransaction();
+        console.log(`[INVOICE] Payment of ${amount} ${invoice.currency} recorded on ${invoice.invoiceNumber} (revenue ${revenue._id})`);
+        return { invoice, revenue };
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * Remove a mis-entered payment and the Revenue entry it created
+ * @returns {Object|null} The invoice, or null if the payment does not exist
+ */
+async function deletePayment(invoice, paymentId) {
+    const payment = invoice.payments.find(p => String(p._id) === String(paymentId));
+    if (!payment) return null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        if (payment.revenue) {
+            await Revenue.deleteOne({ _id: payment.revenue, organization: invoice.organization }, { session });
+        }
+        invoice.payments = invoice.payments.filter(p => String(p._id) !== String(paymentId));
+        await invoice.save({ session });
+        await session.commitTransaction();
+        return invoice;
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * AR aging as of a date: open balances bucketed by days past due, per customer,
+ * in the organization's reporting currency. Payments after asOf are ignored so
+ * past dates reproduce the aging as it stood then.
+ */
+async function getAgingReport(organization, asOfDate = new Date()) {
+    const asOf = new Date(asOfDate);
+    if (isNaN(asOf.getTime())) throw new Error('Invalid asOf date');
+    asOf.setUTCHours(23, 59, 59, 999);
+
+    const reportingCurrency = organization.currency || 'INR';
+    const [invoices, fx] = await Promise.all([
+        Invoice.find({
+            organization: organization._id,
+            status: { $in: [...OPEN_STATUSES, 'paid'] },
+            issueDate: { $lte: asOf },
+        }).select('invoiceNumber customer currency total dueDate issueDate payments status'),
+        fxService.createConverter(organization._id, reportingCurrency),
+    ]);
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+    const totals = emptyBuckets();
+    const customers = new Map();
+    const rows = [];
+
+    for (const invoice of invoices) {
+        const paidByAsOf = invoice.payments
+            .filter(p => p.date <= asOf)
+            .reduce((sum, p) => sum + p.amount, 0);
+        const balance = round2(invoice.total - paidByAsOf);
+        if (balance <= 0) continue;
+
+        // Whole calendar days, so an invoice due on the as-of date is still current
+        const daysPastDue = Math.round((startOfUtcDay(asOf) - startOfUtcDay(invoice.dueDate)) / DAY_MS);
+        const bucket = AGING_BUCKETS.find(b => daysPastDue >= b.min && daysPastDue <= b.max);
+        const converted = fx.convert(balance, invoice.currency, asOf);
+        const amount = round2(converted ?? 0);
+
+        totals[bucket.key] += amount;
+        const customerKey = invoice.customer.name;
+        const customer = customers.get(customerKey) || { customer: customerKey, email: invoice.customer.email, buckets: emptyBuckets(), total: 0, invoices: 0 };
+        customer.buckets[bucket.key] += amount;
+        customer.total += amount;
+        customer.invoices += 1;
+        customers.set(customerKey, customer);
+
+        rows.push({
+            _id: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            customer: customerKey,
+            issueDate: invoice.issueDate,
+            dueDate: invoice.dueDate,
+            currency: invoice.currency,
+            balanceDue: balance,
+            balanceDueReporting: converted === null ? null : amount,
+            daysPastDue: Math.max(0, daysPastDue),
+            bucket: bucket.key,
+        });
+    }
+
+    const roundBuckets = (b) => Object.fromEntries(Object.entries(b).map(([k, v]) => [k, round2(v)]));
+    const totalOutstanding = round2(Object.values(totals).reduce((sum, v) => sum + v, 0));
+
+    return {
+        asOf,
+        currency: reportingCurrency,
+        buckets: AGING_BUCKETS.map(b => ({ key: b.key, label: b.label, amount: round2(totals[b.key]) })),
+        totalOutstanding,
+        totalOverdue: round2(totalOutstanding - totals.current),
+        customers: [...customers.values()]
+            .map(c => ({ ...c, buckets: roundBuckets(c.buckets), total: round2(c.total) }))
+            .sort((a, b) => b.total - a.total),
+        invoices: rows.sort((a, b) => b.daysPastDue - a.daysPastDue),
+        fxBasis: fx.basis(),
+    };
+}
+
+// --- PDF ---
+
+const hbs = Handlebars.create();
+hbs.registerHelper('money', (value, currency) => {
+    const code = typeof currency === 'string' ? currency : 'INR';
+    return `${code} ${(Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+});
+hbs.registerHelper('date', (value) => (value ? new Date(value).toISOString().split('T')[0] : '—'));
+hbs.registerHelper('add', (a, b) => Number(a) + Number(b));
+hbs.registerHelper('upper', (value) => String(value || '').replace(/_/g, ' ').toUpperCase());
+
+const INVOICE_TEMPLATE = hbs.compile(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; font-size: 11px; margin: 0; }
+  h1 { font-size: 22px; margin: 0; } .muted { color: #6b7280; }
+  .header { display: flex; justify-content: space-between; margin-bottom: 18px; }
+  .status { font-weight: bold; letter-spacing: 1px; color: #4f46e5; }
+  .parties { display: flex; gap: 24px; margin-bottom: 16px; } .parties > div { flex: 1; }
+  .label { color: #6b7280; font-size: 10px; text-transform: uppercase; margin-bottom: 3px; }
+  table { width: 100%; border-collapse: collapse; } th, td { padding: 5px 6px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  th { background: #f3f4f6; font-size: 10px; text-transform: uppercase; } td.num, th.num { text-align: right; }
+  .totals { width: 45%; margin-left: auto; margin-top: 10px; } .totals td { border: none; padding: 3px 6px; }
+  .totals tr.grand td { font-weight: bold; font-size: 13px; border-top: 2px solid #1f2937; }
+  .notes { margin-top: 20px; white-space: pre-wrap; }
+</style></head><body>
+  <div class="header">
+    <div><h1>{{organizationName}}</h1>{{#if invoice.supplierGstin}}<div class="muted">GSTIN: {{invoice.supplierGstin}}</div>{{/if}}</div>
+    <div style="text-align:right"><h1>{{#if invoice.tax.total}}Tax Invoice{{else}}Invoice{{/if}}</h1>
+      <div>{{invoice.invoiceNumber}}</div><div class="status">{{upper invoice.status}}</div></div>
+  </div>
+  <div class="parties">
+    <div><div class="label">Bill to</div><strong>{{invoice.customer.name}}</strong>
+      {{#if invoice.customer.address}}<div>{{invoice.customer.address}}</div>{{/if}}
+      {{#if invoice.customer.gstin}}<div>GSTIN: {{invoice.customer.gstin}}</div>{{/if}}
+      {{#if invoice.customer.state}}<div>Place of supply: {{invoice.customer.state}}</div>{{/if}}</div>
+    <div><div class="label">Issue date</div>{{date invoice.issueDate}}<div class="label" style="margin-top:6px">Due date</div>{{date invoice.dueDate}}</div>
+  </div>
+  <table><thead><tr><th>#</th><th>Description</th><th>HSN/SAC</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">GST %</th><th class="num">Amount</th></tr></thead>
+  <tbody>{{#each invoice.lineItems}}<tr><td>{{add @index 1}}</td><td>{{description}}</td><td>{{hsnSac}}</td><td class="num">{{quantity}}</td><td class="num">{{money unitPrice ../invoice.currency}}</td><td class="num">{{gstRate}}</td><td class="num">{{money amount ../invoice.currency}}</td></tr>{{/each}}</tbody></table>
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="num">{{money invoice.subtotal invoice.currency}}</td></tr>
+    {{#if invoice.tax.cgst}}<tr><td>CGST</td><td class="num">{{money invoice.tax.cgst invoice.currency}}</td></tr><tr><td>SGST</td><td class="num">{{money invoice.tax.sgst invoice.currency}}</td></tr>{{/if}}
+    {{#if invoice.tax.igst}}<tr><td>IGST</td><td class="num">{{money invoice.tax.igst invoice.currency}}</td></tr>{{/if}}
+    <tr class="grand"><td>Total</td><td class="num">{{money invoice.total invoice.currency}}</td></tr>
+    {{#if invoice.amountPaid}}<tr><td>Paid</td><td class="num">{{money invoice.amountPaid invoice.currency}}</td></tr>
+    <tr class="grand"><td>Balance due</td><td class="num">{{money balanceDue invoice.currency}}</td></tr>{{/if}}
+  </table>
+  {{#if invoice.notes}}<div class="notes"><div class="label">Notes</div>{{invoice.notes}}</div>{{/if}}
+  {{#if invoice.terms}}<div class="notes"><div class="label">Terms</div>{{invoice.terms}}</div>{{/if}}
+</body></html>`);
+
+/**
+ * Render an invoice to a PDF buffer
+ */
+async function renderInvoicePdf(invoice, organization) {
+    const html = INVOICE_TEMPLATE({
+        invoice: invoice.toObject(),
+        balanceDue: invoice.balanceDue,
+        organizationName: organization.name || 'Company',
+    });
+    return renderPdf(html);
+}
+
+// --- Overdue reminders ---
+
+function customerEmailBody(invoice, organization, overdue) {
+    const lines = [
+        `Hello ${invoice.customer.name},`,
+        '',
+        overdue
+            ? `This is a reminder that invoice ${invoice.invoiceNumber} from ${organization.name} was due on ${invoice.dueDate.toISOString().slice(0, 10)} and is now overdue.`
+            : `Please find the details of invoice ${invoice.invoiceNumber} from ${organization.name} below.`,
+        '',
+        `Amount due: ${invoice.currency} ${invoice.balanceDue.toLocaleString('en-IN', { minimumFractionDigits: 2 })}`,
+        `Due date: ${invoice.dueDate.toISOString().slice(0, 10)}`,
+        '',
+        `Thank you,`,
+        organization.name,
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Flip sent / partially paid invoices past their due date to 'overdue'
+ * @returns {Number} invoices updated
+ */
+async function refreshOverdueStatuses(now = new Date()) {
+    const stale = await Invoice.find({ status: { $in: ['sent', 'partially_paid'] }, dueDate: { $lt: now } });
+    for (const invoice of stale) {
+        invoice.$locals.now = now;
+        await invoice.save(); // pre-save derives 'overdue' as of `now`
+    }
+    return stale.length;
+}
+
+/**
+ * Daily cron entry: mark overdue invoices, then send one in-app/email
+ * notification per organization listing invoices due a reminder (first
+ * overdue day, then every REMINDER_INTERVAL_DAYS). Invoices with
+ * reminders.emailCustomer also email the customer directly.
+ */
+async function runOverdueInvoiceReminders(now = new Date()) {
+    const flipped = await refreshOverdueStatuses(now);
+    const reminderCutoff = new Date(now.getTime() - REMINDER_INTERVAL_DAYS * DAY_MS);
+
+    const due = await Invoice.find({
+        status: 'overdue',
+        'reminders.enabled': true,
+        $or: [{ 'reminders.lastSentAt': null }, { 'reminders.lastSentAt': { $lte: reminderCutoff } }],
+    }).sort({ dueDate: 1 });
+
+    const byOrg = {};
+    due.forEach(invoice => {
+        (byOrg[String(invoice.organization)] = byOrg[String(invoice.organization)] || []).push(invoice);
+    });
+
+    let customerEmails = 0;
+    for (const [orgId, invoices] of Object.entries(byOrg)) {
+        try {
+            const [organization, members] = await Promise.all([
+                Organization.findById(orgId).select('name currency'),
+                Membership.find({ organization: orgId, status: 'active' }).select('user'),
+            ]);
+            if (!organization) continue;
+
+            const lines = invoices.slice(0, 8).map(inv => {
+                const days = Math.floor((now - inv.dueDate) / DAY_MS);
+                return `• ${inv.invoiceNumber} — ${inv.customer.name}: ${inv.currency} ${inv.balanceDue.toLocaleString('en-IN')} (${days} day${days === 1 ? '' : 's'} overdue)`;
+            }).join('\n');
+            await notifyUsers({
+                organizationId: orgId,
+                recipientIds: members.map(m => m.user),
+                actorId: null,
+                type: 'system',
+                title: `${invoices.length} overdue invoice${invoices.length === 1 ? '' : 's'}`,
+                message: lines + (invoices.length > 8 ? `\n…and ${invoices.length - 8} more` : '')
+                    + `\n\nReceivables: ${FRONTEND_URL}/financials/invoices`,
+            });
+
+            for (const invoice of invoices) {
+                if (invoice.reminders.emailCustomer && invoice.customer.email) {
+                    const sent = await sendEmailRaw({
+                        to: invoice.customer.email,
+                        subject: `Payment reminder: invoice ${invoice.invoiceNumber} is overdue`,
+                        body: customerEmailBody(invoice, organization, true),
+                    });
+                    if (sent) customerEmails += 1;
+                }
+                invoice.reminders.lastSentAt = now;
+                invoice.reminders.count += 1;
+                await invoice.save();
+            }
+        } catch (err) {
+            console.error(`Overdue invoice reminders failed for org ${orgId}:`, err.message);
+        }
+    }
+    console.log(`[INVOICE] ${flipped} invoice(s) marked overdue; reminders for ${due.length} across ${Object.keys(byOrg).length} org(s), ${customerEmails} customer email(s)`);
+    return { markedOverdue: flipped, reminded: due.length, customerEmails };
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    AGING_BUCKETS,
+    nextInvoiceNumber,
+    createInvoice,
+    updateInvoice,
+    markSent,
+    voidInvoice,
+    recordPayment,
+    deletePayment,
+    getAgingReport,
+    renderInvoicePdf,
+    refreshOverdueStatuses,
+    runOverdueInvoiceReminders,
+};
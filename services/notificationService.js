@@ -79,7 +79,7 @@ async function sendEmail(user, title, message, taskId) {
  * @param {ObjectId|string} opts.organizationId
  * @param {Array<ObjectId|string>} opts.recipientIds
  * @param {ObjectId|string|null} opts.actorId
- * @param {string} opts.type - task_assigned | task_comment | comment_mention | task_due | system
+ * @param {string} opts.type - task_assigned | task_comment | comment_mention | task_due | expense_approval | system
  * @param {string} opts.title
  * @param {string} [opts.message]
  * @param {ObjectId|string|null} [opts.taskId]
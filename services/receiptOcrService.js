@@ -0,0 +1,323 @@
+// services/receiptOcrService.js
+// Receipt capture: stores receipt images / PDFs in S3 and extracts date,
+// amount, vendor and GST details from them. OCR runs in-process with
+// tesseract.js (no third-party OCR API); PDFs with a text layer skip OCR.
+// Extracted fields are suggestions — the user confirms them on the expense.
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+const moment = require('moment');
+const pdfParse = require('pdf-parse');
+const { createWorker } = require('tesseract.js');
+const { getTransactionCategorizer } = require('./transactionCategorizer');
+const vendorService = require('./vendorService');
+
+const s3 = new AWS.S3({
+    accessKeyId: process.env.HORIZON_AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.HORIZON_AWS_SECRET_ACCESS_KEY,
+    region: process.env.HORIZON_AWS_REGION || 'ap-south-1'
+});
+const BUCKET = process.env.HORIZON_S3_BUCKET_NAME || 'scaleup-horizon-documents';
+
+const RECEIPT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/bmp', 'application/pdf'];
+const OCR_TEXT_LIMIT = 20000; // chars of raw text kept on the expense
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+
+// Total-line labels, strongest first ("Total" alone also matches "Sub Total", so it is last)
+const TOTAL_LABELS = [
+    /grand\s*total/i,
+    /(?:amount|total)\s*(?:payable|due|paid)/i,
+    /net\s*(?:amount|payable|total)/i,
+    /invoice\s*(?:total|amount|value)/i,
+    /total\s*amount/i,
+    /(?<!sub[\s-]?)\btotal\b/i,
+];
+const DATE_LABEL = /\b(?:invoice|bill|receipt|txn|transaction|order)?\s*date\b/i;
+const GSTIN_PATTERN = /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/g;
+const AMOUNT_PATTERN = /(?:₹|rs\.?|inr|\$|usd|€|eur|£|gbp)?\s*(\d{1,3}(?:,\d{2,3})+(?:\.\d{1,2})?|\d+\.\d{1,2}|\d+)(?![\d/%-])/gi;
+const DATE_PATTERNS = [
+    { re: /\b(\d{1,2}[/.-]\d{1,2}[/.-]\d{4})\b/, formats: ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'D/M/YYYY', 'D-M-YYYY', 'D.M.YYYY'] },
+    { re: /\b(\d{4}-\d{2}-\d{2})\b/, formats: ['YYYY-MM-DD'] },
+    { re: /\b(\d{1,2}[\s-][A-Za-z]{3,9},?[\s-]\d{2,4})\b/, formats: ['DD MMM YYYY', 'D MMM YYYY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'DD MMMM YYYY', 'D MMMM YYYY', 'DD MMM, YYYY'] },
+    { re: /\b([A-Za-z]{3,9}\s\d{1,2},?\s\d{4})\b/, formats: ['MMM DD, YYYY', 'MMM D, YYYY', 'MMMM DD, YYYY', 'MMMM D, YYYY', 'MMM DD YYYY'] },
+    { re: /\b(\d{1,2}[/.-]\d{1,2}[/.-]\d{2})\b/, formats: ['DD/MM/YY', 'DD-MM-YY', 'DD.MM.YY', 'D/M/YY'] },
+];
+// Header lines that are never the merchant name
+const NON_VENDOR_LINE = /^(?:tax\s*invoice|invoice|receipt|bill|cash\s*memo|original|duplicate|copy|gstin|gst|phone|ph|tel|mobile|email|www\.|date|page)\b/i;
+
+// --- Text extraction ---
+
+let workerPromise = null;
+let ocrQueue = Promise.resolve();
+
+// Language data must be available locally: without a langPath tesseract.js
+// downloads it from a public CDN, which production servers should not depend on.
+function workerOptions(languages) {
+    const langPath = process.env.OCR_LANG_PATH;
+    if (!langPath) {
+        throw Object.assign(new Error('Receipt OCR is not configured: set OCR_LANG_PATH to a directory containing the tesseract traineddata files'), { status: 503 });
+    }
+    const langs = languages.split('+');
+    const allPresent = (suffix) => langs.every(lang => fs.existsSync(path.join(langPath, `${lang}${suffix}`)));
+    const gzip = !allPresent('.traineddata');
+    if (gzip && !allPresent('.traineddata.gz')) {
+        throw Object.assign(new Error(`Receipt OCR language data missing: expected ${langs.map(l => `${l}.traineddata`).join(', ')} (or all gzipped) in ${langPath}`), { status: 503 });
+    }
+    const options = { langPath, gzip };
+    if (process.env.OCR_CACHE_PATH) options.cachePath = process.env.OCR_CACHE_PATH;
+    else options.cacheMethod = 'none'; // Read straight from langPath instead of caching into the working directory
+    return options;
+}
+
+// One long-lived tesseract worker; OCR jobs are serialized through it.
+function getWorker() {
+    if (!workerPromise) {
+        const languages = process.env.OCR_LANGUAGES || 'eng';
+        workerPromise = Promise.resolve()
+            .then(() => createWorker(languages, 1, workerOptions(languages)))
+            .catch(err => {
+                workerPromise = null;
+                throw err;
+            });
+    }
+    return workerPromise;
+}
+
+function runOcr(buffer) {
+    const job = ocrQueue.then(async () => {
+        const worker = await getWorker();
+        const { data } = await worker.recognize(buffer);
+        return { text: data.text || '', confidence: round2((data.confidence || 0) / 100), source: 'ocr' };
+    });
+    ocrQueue = job.catch(() => {});
+    return job;
+}
+
+/**
+ * Raw text from a receipt file. PDFs use their embedded text layer; scanned
+ * PDFs without one are reported back (upload a photo of the receipt instead).
+ */
+async function extractText(buffer, mimetype) {
+    if (mimetype === 'application/pdf') {
+        // Copy: pdf.js reads the whole underlying ArrayBuffer, and small Buffers share Node's pool
+        const parsed = await pdfParse(new Uint8Array(buffer));
+        const text = (parsed.text || '').trim();
+        return { text, confidence: text ? 1 : 0, source: 'pdf_text', pages: parsed.numpages };
+    }
+    return runOcr(buffer);
+}
+
+// --- Field parsing ---
+
+function parseAmount(raw) {
+    const value = parseFloat(String(raw).replace(/,/g, ''));
+    return Number.isFinite(value) ? value : null;
+}
+
+function amountsIn(line) {
+    return [...line.matchAll(AMOUNT_PATTERN)]
+        .map(m => parseAmount(m[1]))
+        .filter(v => v !== null && v > 0 && v < 1e9);
+}
+
+function findDate(lines) {
+    const today = moment().endOf('day');
+    const candidates = [];
+    lines.forEach((line, index) => {
+        for (const { re, formats } of DATE_PATTERNS) {
+            const match = line.match(re);
+            if (!match) continue;
+            const parsed = moment(match[1], formats, true);
+            if (parsed.isValid() && parsed.year() >= 2000 && parsed.isSameOrBefore(today)) {
+                candidates.push({ date: parsed.startOf('day'), labelled: DATE_LABEL.test(line), index });
+                break;
+            }
+        }
+    });
+    if (candidates.length === 0) return null;
+    const best = candidates.find(c => c.labelled) || candidates[0];
+    return best.date.format('YYYY-MM-DD');
+}
+
+function findTotal(lines) {
+    for (const label of TOTAL_LABELS) {
+        // Bottom-most match: totals follow subtotals and tax lines
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (!label.test(lines[i])) continue;
+            const amounts = amountsIn(lines[i].replace(/\d+(?:\.\d+)?\s*%/g, ''));
+            if (amounts.length) return amounts[amounts.length - 1];
+            // Amount printed on the next line (columnar layouts)
+            const next = lines[i + 1] ? amountsIn(lines[i + 1]) : [];
+            if (next.length) return next[next.length - 1];
+        }
+    }
+    // No labelled total: the largest amount on the receipt
+    const all = lines.flatMap(line => (DATE_PATTERNS.some(p => p.re.test(line)) ? [] : amountsIn(line)));
+    return all.length ? Math.max(...all) : null;
+}
+
+function findCurrency(text) {
+    if (/₹|\brs\.?\s*\d|\binr\b/i.test(text)) return 'INR';
+    if (/€|\beur\b/i.test(text)) return 'EUR';
+    if (/£|\bgbp\b/i.test(text)) return 'GBP';
+    if (/\bcad\b|c\$/i.test(text)) return 'CAD';
+    if (/\baud\b|a\$/i.test(text)) return 'AUD';
+    if (/\$|\busd\b/i.test(text)) return 'USD';
+    return null;
+}
+
+function findVendor(lines) {
+    for (const line of lines.slice(0, 8)) {
+        const cleaned = line.replace(/[^A-Za-z0-9&.,' -]/g, ' ').replace(/\s+/g, ' ').trim();
+        const letters = (cleaned.match(/[A-Za-z]/g) || []).length;
+        if (letters < 3 || letters < cleaned.length * 0.5) continue;
+        if (NON_VENDOR_LINE.test(cleaned) || DATE_LABEL.test(cleaned)) continue;
+        return cleaned.slice(0, 200);
+    }
+    return null;
+}
+
+// CGST / SGST / UTGST / IGST lines: "CGST @ 9% 45.00" -> { rate: 9, amount: 45 }
+function findGst(text, lines) {
+    const gstins = [...new Set(text.toUpperCase().match(GSTIN_PATTERN) || [])];
+    const components = {};
+    for (const line of lines) {
+        const match = line.match(/\b(CGST|SGST|UTGST|IGST)\b/i);
+        if (!match) continue;
+        const key = match[1].toLowerCase() === 'utgst' ? 'sgst' : match[1].toLowerCase();
+        if (components[key]) continue;
+        const rateMatch = line.match(/(\d{1,2}(?:\.\d{1,2})?)\s*%/);
+        const amounts = amountsIn(line.replace(/\d+(?:\.\d+)?\s*%/g, ''));
+        if (!amounts.length) continue;
+        components[key] = { rate: rateMatch ? parseFloat(rateMatch[1]) : null, amount: amounts[amounts.length - 1] };
+    }
+    const totalTax = round2(Object.values(components).reduce((sum, c) => sum + c.amount, 0));
+    const halfRate = components.cgst?.rate;
+    return {
+        // First GSTIN on a receipt is normally the seller's
+        supplierGstin: gstins[0] || null,
+        gstins,
+        cgst: components.cgst || null,
+        sgst: components.sgst || null,
+        igst: components.igst || null,
+        totalTax: totalTax || null,
+        rate: components.igst?.rate ?? (halfRate != null ? halfRate * 2 : null),
+    };
+}
+
+/**
+ * Pull expense fields out of receipt text. Every field may be null.
+ */
+function parseReceiptText(text) {
+    const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    return {
+        date: findDate(lines),
+        amount: findTotal(lines),
+        currency: findCurrency(text),
+        vendor: findVendor(lines),
+        gst: findGst(String(text || ''), lines),
+    };
+}
+
+// --- Storage ---
+
+function receiptKey(organizationId, fileName) {
+    return `receipts/${organizationId}/${Date.now()}_${String(fileName || 'receipt').replace(/[^\w.-]+/g, '_')}`;
+}
+
+async function storeReceipt(organizationId, file) {
+    const storageKey = receiptKey(organizationId, file.originalname);
+    const uploaded = await s3.upload({
+        Bucket: BUCKET,
+        Key: storageKey,
+        Body: file.buffer,
+        ContentType: file.mimetype,
+    }).promise();
+    return {
+        storageKey,
+        storageUrl: uploaded.Location,
+        fileName: file.originalname,
+        fileType: file.mimetype,
+        fileSize: file.size,
+        uploadedAt: new Date(),
+    };
+}
+
+async function getReceiptDownloadUrl(storageKey) {
+    return s3.getSignedUrlPromise('getObject', { Bucket: BUCKET, Key: storageKey, Expires: 300 });
+}
+
+async function deleteStoredReceipt(storageKey) {
+    if (!storageKey) return;
+    await s3.deleteObject({ Bucket: BUCKET, Key: storageKey }).promise()
+        .catch(err => console.error(`[RECEIPT] Could not delete ${storageKey}:`, err.message));
+}
+
+// --- Scan ---
+
+/**
+ * OCR a receipt and build the expense pre-fill: extracted fields, the vendor
+ * resolved against the vendor master, and a category suggestion (the vendor's
+ * default category, else the transaction categorizer on the receipt text).
+ */
+async function scanReceipt(organizationId, file) {
+    const extraction = await extractText(file.buffer, file.mimetype);
+    const fields = parseReceiptText(extraction.text);
+    const warnings = [];
+    if (!extraction.text) {
+        warnings.push(extraction.source === 'pdf_text'
+            ? 'This PDF has no text layer (scanned). Upload a photo or image of the receipt to run OCR.'
+            : 'No text could be read from this image.');
+    } else if (extraction.confidence < 0.6) {
+        warnings.push('OCR confidence is low; check the extracted values.');
+    }
+    if (extraction.text && fields.amount === null) warnings.push('Could not find the total amount.');
+    if (extraction.text && fields.date === null) warnings.push('Could not find the receipt date.');
+
+    let vendorName = fields.vendor;
+    let vendorCategory = null;
+    if (fields.vendor) {
+        const resolver = await vendorService.createResolver(organizationId);
+        const { vendor } = resolver.resolve(fields.vendor);
+        if (vendor) {
+            vendorName = vendor.name;
+            vendorCategory = vendor.defaultCategory || null;
+        }
+    }
+
+    let categorization = null;
+    if (extraction.text) {
+        const categorizer = await getTransactionCategorizer();
+        const description = extraction.text.replace(/\s+/g, ' ').slice(0, 2000);
+        categorization = await categorizer.categorizeTransaction(description, fields.amount, vendorName, organizationId);
+    }
+
+    return {
+        prefill: {
+            date: fields.date,
+            amount: fields.amount,
+            currency: fields.currency,
+            vendor: vendorName,
+            category: vendorCategory || categorization?.category || null,
+            description: vendorName ? `Receipt: ${vendorName}` : null,
+        },
+        gst: fields.gst,
+        categorization,
+        ocr: {
+            source: extraction.source,
+            confidence: extraction.confidence,
+            text: extraction.text.slice(0, OCR_TEXT_LIMIT),
+        },
+        warnings,
+    };
+}
+
+module.exports = {
+    RECEIPT_MIME_TYPES,
+    extractText,
+    parseReceiptText,
+    scanReceipt,
+    storeReceipt,
+    getReceiptDownloadUrl,
+    deleteStoredReceipt,
+};
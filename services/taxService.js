@@ -0,0 +1,384 @@
+// services/taxService.js
+// GST and TDS for Indian compliance: normalizes the tax details entered on
+// expenses and revenue, builds the monthly GST summary (output tax vs input
+// tax credit, laid out like GSTR-3B tables 3.1 and 4) and the TDS payable
+// report by section, records TDS deposits, and sends due-date reminders.
+// All figures are reported in INR.
+const Expense = require('../models/expenseModel');
+const Revenue = require('../models/revenueModel');
+const Invoice = require('../models/invoiceModel');
+const Organization = require('../models/organizationModel');
+const Membership = require('../models/membershipModel');
+const IndianTax = require('../utils/indianTax');
+const { notifyUsers } = require('./notificationService');
+const fxService = require('./fxService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+const HEADS = ['igst', 'cgst', 'sgst'];
+// Reminders go out this many days before a due date, and on the day itself
+const REMINDER_DAYS_BEFORE = [3, 0];
+
+const GST_INPUT_FIELDS = ['rate', 'supplyType', 'hsnSac', 'itcEligible', 'cgst', 'sgst', 'igst'];
+const TDS_INPUT_FIELDS = ['section', 'deducteeType', 'deducteePan', 'rate', 'baseAmount', 'amount', 'depositedAt', 'challanNumber'];
+
+function taxError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+const emptyHeads = () => ({ taxableAmount: 0, igst: 0, cgst: 0, sgst: 0, total: 0 });
+
+function addHeads(target, source, convert) {
+    target.taxableAmount += convert(source.taxableAmount || 0);
+    for (const head of HEADS) target[head] += convert(source[head] || 0);
+    target.total += convert(source.total || 0);
+}
+
+const roundHeads = (h) => Object.fromEntries(Object.entries(h).map(([k, v]) => [k, typeof v === 'number' ? round2(v) : v]));
+
+// --- Input normalization ---
+
+/**
+ * GST details for an expense (`party` = 'supplierGstin') or revenue entry
+ * (`party` = 'customerGstin') from request input. When no supply type is
+ * given it follows the two GSTINs' state codes.
+ * @param {Object} organization
+ * @param {Object} input - Request body `gst` object
+ * @param {Object} options - { party, counterpartyGstin (fallback, e.g. the vendor's), existing }
+ * @returns {Object|undefined} Fields to set on `gst`, or undefined when there is no input
+ */
+function normalizeGstInput(organization, input, { party, counterpartyGstin = null, existing = null } = {}) {
+    if (input === undefined || input === null) {
+        if (!counterpartyGstin || existing?.[party]) return undefined;
+        input = {};
+    }
+    if (typeof input !== 'object') throw taxError('gst must be an object');
+
+    const gst = {};
+    for (const field of GST_INPUT_FIELDS) {
+        if (input[field] !== undefined) gst[field] = input[field] === '' ? null : input[field];
+    }
+    const gstin = input[party] !== undefined ? input[party] : (existing?.[party] || counterpartyGstin);
+    if (gstin) {
+        if (!IndianTax.isValidGstin(gstin)) throw taxError(`Invalid GSTIN "${gstin}"`);
+        gst[party] = String(gstin).trim().toUpperCase();
+    } else if (input[party] !== undefined) {
+        gst[party] = null;
+    }
+    if (gst.supplyType === undefined && gst[party]) {
+        const supplyType = IndianTax.supplyTypeFor(organization.settings?.gstin, gst[party]);
+        if (supplyType) gst.supplyType = supplyType;
+    }
+    if (gst.rate !== undefined && gst.rate !== null) {
+        gst.rate = Number(gst.rate);
+        if (!IndianTax.GST_RATES.includes(gst.rate)) {
+            throw taxError(`GST rate must be one of ${IndianTax.GST_RATES.join(', ')}`);
+        }
+    }
+    return gst;
+}
+
+/**
+ * TDS details for an expense from request input, defaulting the section and
+ * PAN from the vendor master.
+ * @returns {Object|undefined} Fields to set on `tds`, or undefined when there is nothing to set
+ */
+function normalizeTdsInput(input, vendor = null, existing = null) {
+    if (input === undefined || input === null) {
+        if (!vendor?.tdsSection || existing?.section) return undefined;
+        input = {};
+    }
+    if (typeof input !== 'object') throw taxError('tds must be an object');
+
+    const tds = {};
+    for (const field of TDS_INPUT_FIELDS) {
+        if (input[field] !== undefined) tds[field] = input[field] === '' ? null : input[field];
+    }
+    if (tds.section === undefined && !existing?.section && vendor?.tdsSection) tds.section = vendor.tdsSection;
+    if (tds.section && !IndianTax.TDS_SECTIONS[tds.section]) {
+        throw taxError(`Unknown TDS section "${tds.section}". Use one of ${Object.keys(IndianTax.TDS_SECTIONS).join(', ')}`);
+    }
+    if (tds.deducteePan === undefined && !existing?.deducteePan && vendor?.pan) tds.deducteePan = vendor.pan;
+    if (tds.deducteeType === undefined && tds.deducteePan) tds.deducteeType = IndianTax.deducteeTypeFromPan(tds.deducteePan);
+    // A changed section or deductee type re-derives the default rate unless one is given
+    if (tds.rate === undefined && (tds.section !== undefined || tds.deducteeType !== undefined)) tds.rate = null;
+    return tds;
+}
+
+// --- Reports ---
+
+/**
+ * Monthly GST summary: output tax on invoices and revenue, input tax credit
+ * on approved expenses, and the net cash liability after set-off.
+ * @param {Object} organization
+ * @param {string} monthKey - "YYYY-MM"
+ */
+async function getGstSummary(organization, monthKey) {
+    const { start, end } = IndianTax.monthRange(monthKey);
+    const fx = await fxService.createConverter(organization._id, 'INR');
+
+    const [invoices, revenues, expenses] = await Promise.all([
+        Invoice.find({
+            organization: organization._id,
+            status: { $nin: ['draft', 'void'] },
+            issueDate: { $gte: start, $lte: end },
+        }).select('invoiceNumber customer.name supplyType subtotal tax total currency issueDate').lean(),
+        Revenue.find({
+            organization: organization._id,
+            status: { $ne: 'Refunded' },
+            date: { $gte: start, $lte: end },
+            $or: [{ 'gst.rate': { $ne: null } }, { 'gst.total': { $gt: 0 } }],
+        }).select('date amount currency source gst').lean(),
+        Expense.find({
+            organization: organization._id,
+            ...Expense.actualsFilter(),
+            date: { $gte: start, $lte: end },
+            $or: [{ 'gst.rate': { $ne: null } }, { 'gst.total': { $gt: 0 } }],
+        }).select('date amount currency vendor description category gst').lean(),
+    ]);
+
+    const outward = emptyHeads();
+    const nonGst = { taxableAmount: 0 };
+    for (const inv of invoices) {
+        const convert = (v) => fx.convert(v, inv.currency, inv.issueDate) ?? 0;
+        if (inv.supplyType === 'none' || !inv.tax?.total) {
+            nonGst.taxableAmount += convert(inv.subtotal);
+            continue;
+        }
+        addHeads(outward, { ...inv.tax, taxableAmount: inv.subtotal }, convert);
+    }
+    for (const rev of revenues) {
+        const convert = (v) => fx.convert(v, rev.currency, rev.date) ?? 0;
+        if (rev.gst.supplyType === 'none' || !rev.gst.total) {
+            nonGst.taxableAmount += convert(rev.gst.taxableAmount ?? rev.amount);
+            continue;
+        }
+        addHeads(outward, rev.gst, convert);
+    }
+
+    const eligible = emptyHeads();
+    const ineligible = emptyHeads();
+    const missingGstin = { count: 0, tax: 0, expenses: [] };
+    for (const exp of expenses) {
+        const convert = (v) => fx.convert(v, exp.currency, exp.date) ?? 0;
+        if (!exp.gst.total) continue;
+        if (exp.gst.itcEligible === false) {
+            addHeads(ineligible, exp.gst, convert);
+        } else if (!exp.gst.supplierGstin) {
+            // Credit needs the supplier's GSTIN on the invoice; listed so it can be fixed before filing
+            addHeads(ineligible, exp.gst, convert);
+            missingGstin.count += 1;
+            missingGstin.tax += convert(exp.gst.total);
+            missingGstin.expenses.push({ _id: exp._id, date: exp.date, vendor: exp.vendor, description: exp.description, gst: round2(convert(exp.gst.total)) });
+        } else {
+            addHeads(eligible, exp.gst, convert);
+        }
+    }
+
+    const setOff = IndianTax.setOffCredit(outward, eligible);
+    const dueDate = IndianTax.gstr3bDueDate(monthKey);
+    return {
+        month: monthKey,
+        period: { start, end },
+        currency: 'INR',
+        gstin: organization.settings?.gstin || null,
+        outputTax: {
+            ...roundHeads(outward),
+            invoiceCount: invoices.length,
+            revenueEntryCount: revenues.length,
+        },
+        inputTaxCredit: {
+            eligible: roundHeads(eligible),
+            ineligible: roundHeads(ineligible),
+            expenseCount: expenses.length,
+        },
+        missingSupplierGstin: { ...missingGstin, tax: round2(missingGstin.tax) },
+        netLiability: setOff,
+        gstr3b: {
+            '3.1(a)': { label: 'Outward taxable supplies', ...roundHeads(outward) },
+            '3.1(c)': { label: 'Nil-rated, exempt and non-GST outward supplies', taxableAmount: round2(nonGst.taxableAmount) },
+            '4(A)(5)': { label: 'All other ITC', ...roundHeads(eligible) },
+            '4(D)': { label: 'Ineligible ITC', ...roundHeads(ineligible) },
+            '6.1': { label: 'Payment of tax (cash)', ...setOff.payable },
+        },
+        dueDate,
+        daysUntilDue: Math.ceil((dueDate - new Date()) / DAY_MS),
+        fxBasis: fx.basis(),
+    };
+}
+
+/**
+ * TDS deducted in a month, grouped by section, with deposit status.
+ * @param {Object} organization
+ * @param {string} monthKey - "YYYY-MM"
+ */
+async function getTdsSummary(organization, monthKey) {
+    const { start, end } = IndianTax.monthRange(monthKey);
+    const fx = await fxService.createConverter(organization._id, 'INR');
+    const expenses = await Expense.find({
+        organization: organization._id,
+        ...Expense.actualsFilter(),
+        date: { $gte: start, $lte: end },
+        'tds.section': { $ne: null },
+    }).select('date amount currency vendor description tds').sort({ date: 1 }).lean();
+
+    const sections = new Map();
+    const totals = { baseAmount: 0, tdsAmount: 0, deposited: 0, pending: 0 };
+    const missingPan = [];
+    for (const exp of expenses) {
+        const convert = (v) => fx.convert(v, exp.currency, exp.date) ?? 0;
+        const code = exp.tds.section;
+        if (!sections.has(code)) {
+            sections.set(code, {
+                section: code,
+                label: IndianTax.TDS_SECTIONS[code]?.label || code,
+                count: 0, baseAmount: 0, tdsAmount: 0, deposited: 0, pending: 0,
+                entries: [],
+            });
+        }
+        const group = sections.get(code);
+        const base = convert(exp.tds.baseAmount || 0);
+        const tds = convert(exp.tds.amount || 0);
+        const isDeposited = !!exp.tds.depositedAt;
+        group.count += 1;
+        group.baseAmount += base;
+        group.tdsAmount += tds;
+        group[isDeposited ? 'deposited' : 'pending'] += tds;
+        totals.baseAmount += base;
+        totals.tdsAmount += tds;
+        totals[isDeposited ? 'deposited' : 'pending'] += tds;
+        group.entries.push({
+            _id: exp._id,
+            date: exp.date,
+            vendor: exp.vendor,
+            description: exp.description,
+            deducteePan: exp.tds.deducteePan || null,
+            rate: exp.tds.rate,
+            baseAmount: round2(base),
+            tdsAmount: round2(tds),
+            depositedAt: exp.tds.depositedAt,
+            challanNumber: exp.tds.challanNumber || null,
+        });
+        // Without a PAN, section 206AA requires deduction at the higher of the rate or 20%
+        if (!exp.tds.deducteePan) missingPan.push({ _id: exp._id, vendor: exp.vendor, section: code });
+    }
+
+    const depositDueDate = IndianTax.tdsDepositDueDate(monthKey);
+    return {
+        month: monthKey,
+        period: { start, end },
+        currency: 'INR',
+        tan: organization.settings?.tan || null,
+        totals: roundHeads(totals),
+        sections: [...sections.values()]
+            .map(s => ({ ...roundHeads(s), entries: s.entries }))
+            .sort((a, b) => a.section.localeCompare(b.section)),
+        missingPan,
+        depositDueDate,
+        daysUntilDepositDue: Math.ceil((depositDueDate - new Date()) / DAY_MS),
+        returnDueDate: IndianTax.tdsReturnDueDate(monthKey),
+        fxBasis: fx.basis(),
+    };
+}
+
+/**
+ * Record a TDS challan against the month's undeposited deductions
+ * (optionally one section only).
+ * @returns {Promise<{updated: number}>}
+ */
+async function markTdsDeposited(organization, { month, section, challanNumber, depositedAt }) {
+    let range;
+    try {
+        range = IndianTax.monthRange(month);
+    } catch (monthError) {
+        throw taxError(monthError.message);
+    }
+    const { start, end } = range;
+    if (!challanNumber) throw taxError('challanNumber is required');
+    const paidOn = depositedAt ? new Date(depositedAt) : new Date();
+    if (isNaN(paidOn.getTime())) throw taxError('Invalid depositedAt date');
+    if (section && !IndianTax.TDS_SECTIONS[section]) throw taxError(`Unknown TDS section "${section}"`);
+
+    const result = await Expense.updateMany({
+        organization: organization._id,
+        ...Expense.actualsFilter(),
+        date: { $gte: start, $lte: end },
+        'tds.section': section || { $ne: null },
+        'tds.amount': { $gt: 0 },
+        'tds.depositedAt': null,
+    }, { $set: { 'tds.depositedAt': paidOn, 'tds.challanNumber': String(challanNumber).trim() } });
+    console.log(`[TAX] TDS challan ${challanNumber} recorded for ${result.modifiedCount} expense(s) in ${month} (org ${organization._id})`);
+    return { updated: result.modifiedCount };
+}
+
+// --- Reminders ---
+
+const daysBetween = (from, to) => Math.round((Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate())
+    - Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate())) / DAY_MS);
+
+/**
+ * Daily job: remind owners of organizations with a GSTIN or TAN about the
+ * GSTR-3B and TDS deposit due for last month, a few days ahead and on the
+ * due date. Nothing is sent when there is nothing to pay.
+ */
+async function runTaxDueReminders(referenceDate = new Date()) {
+    const monthKey = IndianTax.previousMonthKey(referenceDate);
+    const gstDue = IndianTax.gstr3bDueDate(monthKey);
+    const tdsDue = IndianTax.tdsDepositDueDate(monthKey);
+    const checkGst = REMINDER_DAYS_BEFORE.includes(daysBetween(referenceDate, gstDue));
+    const checkTds = REMINDER_DAYS_BEFORE.includes(daysBetween(referenceDate, tdsDue));
+    if (!checkGst && !checkTds) return { month: monthKey, organizations: 0, reminders: 0 };
+
+    const organizations = await Organization.find({
+        isArchived: false,
+        'settings.taxReminders': { $ne: false },
+        $or: [{ 'settings.gstin': { $nin: [null, ''] } }, { 'settings.tan': { $nin: [null, ''] } }],
+    });
+
+    let reminders = 0;
+    for (const organization of organizations) {
+        try {
+            const lines = [];
+            if (checkGst && organization.settings.gstin) {
+                const gst = await getGstSummary(organization, monthKey);
+                if (gst.netLiability.payable.total > 0 || gst.outputTax.total > 0) {
+                    lines.push(`GSTR-3B for ${monthKey} is due ${gstDue.toISOString().slice(0, 10)}: net GST payable ₹${gst.netLiability.payable.total.toLocaleString('en-IN')}.`);
+                }
+            }
+            if (checkTds) {
+                const tds = await getTdsSummary(organization, monthKey);
+                if (tds.totals.pending > 0) {
+                    const bySection = tds.sections.filter(s => s.pending > 0).map(s => `${s.section} ₹${s.pending.toLocaleString('en-IN')}`).join(', ');
+                    lines.push(`TDS deducted in ${monthKey} must be deposited by ${tdsDue.toISOString().slice(0, 10)}: ₹${tds.totals.pending.toLocaleString('en-IN')} pending (${bySection}).`);
+                }
+            }
+            if (lines.length === 0) continue;
+
+            const owners = await Membership.find({ organization: organization._id, status: 'active', role: 'owner' }).select('user');
+            await notifyUsers({
+                organizationId: organization._id,
+                recipientIds: owners.map(m => m.user),
+                actorId: null,
+                type: 'system',
+                title: `Tax due dates for ${monthKey}`,
+                message: lines.join('\n'),
+            });
+            reminders += 1;
+        } catch (err) {
+            console.error(`[TAX] Reminder failed for org ${organization._id}:`, err.message);
+        }
+    }
+    console.log(`[TAX] Due-date reminders for ${monthKey}: ${reminders} of ${organizations.length} organization(s) notified`);
+    return { month: monthKey, organizations: organizations.length, reminders };
+}
+
+module.exports = {
+    normalizeGstInput,
+    normalizeTdsInput,
+    getGstSummary,
+    getTdsSummary,
+    markTdsDeposited,
+    runTaxDueReminders,
+};
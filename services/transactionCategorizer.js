@@ -1,7 +1,28 @@
 // services/transactionCategorizer.js
+// Bayes transaction categorizer. A shared baseline model is trained from the
+// keyword lists below; each organization gets its own copy of it (stored in
+// Mongo, see models/categorizationModel.js) that learns only from that
+// organization's corrections and custom categories.
 const natural = require('natural');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const path = require('path');
+const CategorizationModel = require('../models/categorizationModel');
+const CategorizationFeedback = require('../models/categorizationFeedbackModel');
+const { EXPENSE_CATEGORIES } = require('../models/expenseModel');
+
+// Organization models are cached per process and re-read after this long, so
+// corrections made through another server instance are picked up
+const ORG_MODEL_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_ORG_MODELS = 200;
+// Training examples kept per organization (replayed when the baseline changes)
+const MAX_ORG_EXAMPLES = 5000;
+const MAX_CUSTOM_KEYWORDS = 50;
+
+function categoryError(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
 
 class TransactionCategorizer {
     constructor() {
@@ -45,6 +66,11 @@ class TransactionCategorizer {
         
         this.modelPath = path.join(__dirname, '../ml-models/transaction-classifier.json');
         this.isModelLoaded = false;
+
+        // organizationId -> { classifier, customCategories, scope, loadedAt }
+        this.orgModels = new Map();
+        this.baselineJson = null;
+        this.baselineVersion = null;
     }
 
     async initialize() {
@@ -55,6 +81,8 @@ class TransactionCategorizer {
             console.log('No existing model found, training new model...');
             await this.trainInitialModel();
         }
+        this.baselineJson = JSON.stringify(this.classifier);
+        this.baselineVersion = crypto.createHash('sha1').update(this.baselineJson).digest('hex').slice(0, 12);
     }
 
     async trainInitialModel() {
@@ -105,37 +133,50 @@ class TransactionCategorizer {
         }
     }
 
-    async categorizeTransaction(description, amount, vendor) {
+    /**
+     * Categorize with the organization's model (the shared baseline when no
+     * organization is given or it has not trained one yet). `category` may be
+     * a custom category; `expenseCategory` is always a standard Expense category.
+     */
+    async categorizeTransaction(description, amount, vendor, organizationId) {
         if (!this.isModelLoaded) {
             await this.initialize();
         }
+        const model = organizationId ? await this.loadOrgModel(organizationId) : null;
+        const classifier = model ? model.classifier : this.classifier;
 
         // Combine all available information
         const combinedText = `${description} ${vendor || ''}`.toLowerCase();
         
         // Get classification with confidence scores
-        const classifications = this.classifier.getClassifications(combinedText);
+        const classifications = classifier.getClassifications(combinedText);
         const topCategory = classifications[0];
         
         // Calculate confidence
         const confidence = this.calculateConfidence(classifications);
         
         // Apply business rules for edge cases
+        const custom = model ? model.customCategories.find(c => c.name === topCategory.label) : null;
         const finalCategory = this.applyBusinessRules(
             topCategory.label,
             combinedText,
             amount,
-            confidence
+            confidence,
+            { isCustom: Boolean(custom) }
         );
+        const isCustomCategory = Boolean(custom) && finalCategory === custom.name;
 
         return {
             category: finalCategory,
+            expenseCategory: isCustomCategory ? custom.expenseCategory : finalCategory,
+            isCustomCategory,
             confidence: confidence,
             allScores: classifications.slice(0, 3).map(c => ({
                 category: c.label,
                 score: c.value
             })),
-            requiresReview: confidence < 0.7
+            requiresReview: confidence < 0.7,
+            modelScope: model ? model.scope : 'shared'
         };
     }
 
@@ -156,12 +197,17 @@ class TransactionCategorizer {
         return (relativeConfidence * 0.7 + absoluteConfidence * 0.3);
     }
 
-    applyBusinessRules(category, text, amount, confidence) {
+    applyBusinessRules(category, text, amount, confidence, { isCustom = false } = {}) {
         // Rule 1: Large amounts (>₹100k) for unknown vendors should be reviewed
         if (amount > 100000 && confidence < 0.8) {
             return 'Other';
         }
 
+        // Custom categories were trained deliberately by the organization; the keyword overrides below don't apply
+        if (isCustom) {
+            return category;
+        }
+
         // Rule 2: Salary-related keywords override other categories
         const salaryKeywords = ['salary', 'payroll', 'ctc', 'compensation'];
         if (salaryKeywords.some(keyword => text.includes(keyword))) {
@@ -177,29 +223,72 @@ class TransactionCategorizer {
         return category;
     }
 
-    async learnFromCorrection(transactionId, description, vendor, correctCategory) {
-        // Add this correction to training data
-        const text = `${description} ${vendor || ''}`.toLowerCase();
-        this.classifier.addDocument(text, correctCategory);
-        
-        // Retrain with new data
-        this.classifier.train();
-        
-        // Save updated model
-        await this.saveModel();
-        
+    /**
+     * Train the organization's model on a reviewed category. A correction that
+     * matches the prediction still counts (as a confirmation) towards accuracy.
+     * @param {Object} options - { source, userId, predictedCategory, predictedConfidence };
+     *        without a prediction, the organization's current model is asked first
+     */
+    async learnFromCorrection(transactionId, description, vendor, correctCategory, organizationId, options = {}) {
+        if (!organizationId) {
+            throw new Error('organizationId is required: corrections only train that organization\'s model');
+        }
+        if (!this.isModelLoaded) {
+            await this.initialize();
+        }
+        const { label } = await this.resolveCategory(organizationId, correctCategory);
+        const text = `${description} ${vendor || ''}`.toLowerCase().trim();
+
+        let { predictedCategory, predictedConfidence } = options;
+        if (!predictedCategory) {
+            const prediction = await this.categorizeTransaction(description, 0, vendor, organizationId);
+            predictedCategory = prediction.category;
+            predictedConfidence = prediction.confidence;
+        }
+
+        // Add this correction to the organization's training data, then retrain from
+        // the stored examples so corrections saved concurrently are all included
+        await this.ensureOrgModel(organizationId);
+        const example = { text, category: label, source: options.source || 'manual', sourceId: transactionId ? String(transactionId) : undefined };
+        const doc = await CategorizationModel.findOneAndUpdate(
+            { organization: organizationId },
+            {
+                $push: { examples: { $each: [example], $slice: -MAX_ORG_EXAMPLES } },
+                $inc: { correctionCount: 1, trainingRevision: 1 },
+            },
+            { new: true }
+        );
+        const classifier = this.buildOrgClassifier(doc);
+        // Only the rebuild that saw the latest examples gets written
+        await CategorizationModel.updateOne(
+            { _id: doc._id, trainingRevision: doc.trainingRevision },
+            { $set: { classifier: JSON.stringify(classifier), baselineVersion: this.baselineVersion, trainedAt: new Date() } }
+        );
+        this.orgModels.delete(String(organizationId));
+
         // Log for analytics
-        await this.logCorrection(transactionId, correctCategory);
+        await this.logCorrection(organizationId, {
+            user: options.userId,
+            sourceType: example.source,
+            sourceId: example.sourceId,
+            text,
+            predictedCategory,
+            predictedConfidence,
+            actualCategory: label,
+            isCorrect: predictedCategory === label,
+        });
+        return { category: label, predictedCategory, wasCorrect: predictedCategory === label };
     }
 
-    async bulkCategorize(transactions) {
+    async bulkCategorize(transactions, organizationId) {
         const results = [];
         
         for (const transaction of transactions) {
             const result = await this.categorizeTransaction(
                 transaction.description,
                 transaction.amount,
-                transaction.vendor
+                transaction.vendor,
+                organizationId
             );
             
             results.push({
@@ -211,19 +300,284 @@ class TransactionCategorizer {
         return results;
     }
 
-    async getCategoryInsights() {
-        // Analyze categorization patterns
-        const insights = {
-            totalTransactionsCategorized: 0,
-            categoryDistribution: {},
-            averageConfidence: 0,
-            lowConfidenceTransactions: [],
-            commonMiscategorizations: []
+    /**
+     * Auto-categorization stats for the organization's bank transactions and
+     * the model's accuracy on reviewed categorizations (corrections and
+     * confirmations), overall, for the last 30 days, by category and by month.
+     */
+    async getCategoryInsights(organizationId) {
+        const orgId = new mongoose.Types.ObjectId(String(organizationId));
+        const BankTransaction = mongoose.model('BankTransaction');
+        const since30 = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const since6Months = new Date();
+        since6Months.setUTCMonth(since6Months.getUTCMonth() - 5, 1);
+        since6Months.setUTCHours(0, 0, 0, 0);
+
+        const accuracyGroup = { reviewed: { $sum: 1 }, correct: { $sum: { $cond: ['$isCorrect', 1, 0] } } };
+        const withRate = ({ reviewed = 0, correct = 0 } = {}) => ({
+            reviewed,
+            correct,
+            accuracy: reviewed ? Math.round((correct / reviewed) * 1000) / 1000 : null,
+        });
+
+        const [autoStats, distribution, lowConfidence, feedback, modelDoc] = await Promise.all([
+            BankTransaction.aggregate([
+                { $match: { organization: orgId, isAutoCategized: true } },
+                { $group: { _id: null, count: { $sum: 1 }, averageConfidence: { $avg: '$categorizationConfidence' } } },
+            ]),
+            BankTransaction.aggregate([
+                { $match: { organization: orgId, category: { $ne: null } } },
+                { $group: { _id: '$category', count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+            ]),
+            BankTransaction.find({ organization: orgId, isAutoCategized: true, categorizationConfidence: { $lt: 0.7 } })
+                .sort({ date: -1 }).limit(10)
+                .select('date description amount category categorizationConfidence').lean(),
+            CategorizationFeedback.aggregate([
+                { $match: { organization: orgId } },
+                { $facet: {
+                    overall: [{ $group: { _id: null, ...accuracyGroup } }],
+                    last30Days: [{ $match: { createdAt: { $gte: since30 } } }, { $group: { _id: null, ...accuracyGroup } }],
+                    byCategory: [{ $group: { _id: '$actualCategory', ...accuracyGroup } }, { $sort: { reviewed: -1 } }],
+                    monthly: [
+                        { $match: { createdAt: { $gte: since6Months } } },
+                        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, ...accuracyGroup } },
+                        { $sort: { _id: 1 } },
+                    ],
+                    miscategorizations: [
+                        { $match: { isCorrect: false } },
+                        { $group: { _id: { predicted: '$predictedCategory', actual: '$actualCategory' }, count: { $sum: 1 } } },
+                        { $sort: { count: -1 } },
+                        { $limit: 10 },
+                    ],
+                } },
+            ]),
+            CategorizationModel.findOne({ organization: orgId }).select('customCategories correctionCount trainedAt baselineVersion examples').lean(),
+        ]);
+
+        const facets = feedback[0];
+        return {
+            totalTransactionsCategorized: autoStats[0]?.count || 0,
+            categoryDistribution: Object.fromEntries(distribution.map(d => [d._id, d.count])),
+            averageConfidence: autoStats[0]?.averageConfidence ? Math.round(autoStats[0].averageConfidence * 1000) / 1000 : 0,
+            lowConfidenceTransactions: lowConfidence,
+            commonMiscategorizations: facets.miscategorizations.map(m => ({
+                predictedCategory: m._id.predicted,
+                correctCategory: m._id.actual,
+                count: m.count,
+            })),
+            accuracy: {
+                ...withRate(facets.overall[0]),
+                last30Days: withRate(facets.last30Days[0]),
+                byCategory: facets.byCategory.map(c => ({ category: c._id, ...withRate(c) })),
+                monthly: facets.monthly.map(m => ({ month: m._id, ...withRate(m) })),
+            },
+            model: {
+                scope: modelDoc ? 'organization' : 'shared',
+                trainingExamples: modelDoc?.examples?.length || 0,
+                corrections: modelDoc?.correctionCount || 0,
+                customCategories: modelDoc?.customCategories?.length || 0,
+                trainedAt: modelDoc?.trainedAt || null,
+                upToDateWithBaseline: modelDoc ? modelDoc.baselineVersion === this.baselineVersion : true,
+            },
         };
+    }
+
+    // --- Organization models ---
+
+    /**
+     * The organization's classifier and custom categories. Organizations that
+     * have not trained anything yet share the baseline classifier (read-only).
+     */
+    async loadOrgModel(organizationId, { fresh = false } = {}) {
+        const key = String(organizationId);
+        const cached = this.orgModels.get(key);
+        if (!fresh && cached && Date.now() - cached.loadedAt < ORG_MODEL_TTL_MS) {
+            return cached;
+        }
+
+        const doc = await CategorizationModel.findOne({ organization: organizationId });
+        let model;
+        if (!doc) {
+            model = { classifier: this.classifier, customCategories: [], scope: 'shared' };
+        } else {
+            let classifier;
+            if (!doc.classifier || doc.baselineVersion !== this.baselineVersion) {
+                // Baseline was retrained since this model was built: replay the organization's data onto it
+                classifier = this.buildOrgClassifier(doc);
+                await CategorizationModel.updateOne(
+                    { _id: doc._id },
+                    { $set: { classifier: JSON.stringify(classifier), baselineVersion: this.baselineVersion, trainedAt: new Date() } }
+                );
+            } else {
+                classifier = natural.BayesClassifier.restore(JSON.parse(doc.classifier));
+            }
+            model = {
+                classifier,
+                customCategories: doc.customCategories.map(c => ({ name: c.name, expenseCategory: c.expenseCategory })),
+                scope: 'organization',
+            };
+        }
+        model.loadedAt = Date.now();
+
+        this.orgModels.delete(key);
+        this.orgModels.set(key, model);
+        if (this.orgModels.size > MAX_CACHED_ORG_MODELS) {
+            // Map keeps insertion order: drop the least recently loaded
+            this.orgModels.delete(this.orgModels.keys().next().value);
+        }
+        return model;
+    }
+
+    // Baseline + custom category keywords + the organization's training examples
+    buildOrgClassifier(doc) {
+        const classifier = natural.BayesClassifier.restore(JSON.parse(this.baselineJson));
+        const customNames = new Set(doc.customCategories.map(c => c.name));
+        for (const custom of doc.customCategories) {
+            for (const keyword of custom.keywords) {
+                // Same phrasings the baseline keywords are trained with
+                classifier.addDocument(keyword, custom.name);
+                classifier.addDocument(`${keyword} payment`, custom.name);
+                classifier.addDocument(`${keyword} invoice`, custom.name);
+            }
+        }
+        for (const example of doc.examples) {
+            if (EXPENSE_CATEGORIES.includes(example.category) || customNames.has(example.category)) {
+                classifier.addDocument(example.text, example.category);
+            }
+        }
+        classifier.train();
+        return classifier;
+    }
+
+    // Create the organization's model (a copy of the baseline) on first use
+    async ensureOrgModel(organizationId) {
+        const result = await CategorizationModel.updateOne(
+            { organization: organizationId },
+            { $setOnInsert: { organization: organizationId, classifier: this.baselineJson, baselineVersion: this.baselineVersion, trainedAt: new Date() } },
+            { upsert: true }
+        );
+        if (result.upsertedCount) this.orgModels.delete(String(organizationId));
+    }
+
+    // Rebuild after custom categories change and drop the cached copy
+    async rebuildOrgModel(doc) {
+        doc.classifier = JSON.stringify(this.buildOrgClassifier(doc));
+        doc.baselineVersion = this.baselineVersion;
+        doc.trainedAt = new Date();
+        await doc.save();
+        this.orgModels.delete(String(doc.organization));
+    }
+
+    /**
+     * Map a category name to what gets stored on an expense: a standard
+     * category as-is, or an active custom category and the standard category
+     * it rolls up to. Throws (status 400) for unknown names.
+     * @returns {Object} { label, category, customCategory }
+     */
+    async resolveCategory(organizationId, name) {
+        const value = String(name || '').trim();
+        if (EXPENSE_CATEGORIES.includes(value)) {
+            return { label: value, category: value, customCategory: null };
+        }
+        const doc = value ? await CategorizationModel.findOne({ organization: organizationId }).select('customCategories').lean() : null;
+        const custom = doc?.customCategories.find(c => c.name.toLowerCase() === value.toLowerCase());
+        if (!custom) {
+            throw categoryError(`Unknown category "${value}". Use a standard category (${EXPENSE_CATEGORIES.join(', ')}) or one of your organization's custom categories.`);
+        }
+        return { label: custom.name, category: custom.expenseCategory, customCategory: custom.name };
+    }
+
+    async listCustomCategories(organizationId) {
+        const doc = await CategorizationModel.findOne({ organization: organizationId }).select('customCategories').lean();
+        return doc ? doc.customCategories : [];
+    }
+
+    /**
+     * Create or update (when `categoryId` is given) a custom category and
+     * retrain the organization's model on its keywords. Renames carry over to
+     * training examples, expenses and bank transactions already labelled.
+     */
+    async saveCustomCategory(organizationId, input, userId, categoryId = null) {
+        if (!this.isModelLoaded) await this.initialize();
+        await this.ensureOrgModel(organizationId);
+        const doc = await CategorizationModel.findOne({ organization: organizationId });
+        const existing = categoryId ? doc.customCategories.id(categoryId) : null;
+        if (categoryId && !existing) {
+            throw Object.assign(new Error('Custom category not found in your organization'), { status: 404 });
+        }
+
+        const name = input.name !== undefined ? String(input.name).trim() : existing?.name;
+        if (!name) throw categoryError('Category name is required');
+        if (EXPENSE_CATEGORIES.some(c => c.toLowerCase() === name.toLowerCase())) {
+            throw categoryError(`"${name}" is a standard category`);
+        }
+        const clash = doc.customCategories.find(c => c.name.toLowerCase() === name.toLowerCase() && c !== existing);
+        if (clash) throw categoryError(`A custom category named "${clash.name}" already exists`);
+        if (input.expenseCategory !== undefined && !EXPENSE_CATEGORIES.includes(input.expenseCategory)) {
+            throw categoryError(`expenseCategory must be one of: ${EXPENSE_CATEGORIES.join(', ')}`);
+        }
+
+        let keywords = existing ? existing.keywords : [];
+        if (input.keywords !== undefined) {
+            const list = Array.isArray(input.keywords) ? input.keywords : String(input.keywords).split(',');
+            keywords = [...new Set(list.map(k => String(k).trim().toLowerCase()).filter(Boolean))];
+            if (keywords.length > MAX_CUSTOM_KEYWORDS) throw categoryError(`At most ${MAX_CUSTOM_KEYWORDS} keywords per category`);
+        }
+
+        const previousName = existing?.name;
+        const previousExpenseCategory = existing?.expenseCategory;
+        let category = existing;
+        if (existing) {
+            existing.set({ name, keywords });
+            if (input.expenseCategory !== undefined) existing.expenseCategory = input.expenseCategory;
+            if (input.description !== undefined) existing.description = input.description;
+            if (previousName !== name) {
+                doc.examples.forEach(e => { if (e.category === previousName) e.category = name; });
+            }
+        } else {
+            doc.customCategories.push({ name, keywords, expenseCategory: input.expenseCategory, description: input.description, createdBy: userId });
+            category = doc.customCategories[doc.customCategories.length - 1];
+        }
+        await this.rebuildOrgModel(doc);
+
+        if (existing && (previousName !== name || previousExpenseCategory !== category.expenseCategory)) {
+            const Expense = mongoose.model('Expense');
+            const BankTransaction = mongoose.model('BankTransaction');
+            await Promise.all([
+                Expense.updateMany(
+                    { organization: organizationId, customCategory: previousName },
+                    { $set: { customCategory: name, category: category.expenseCategory } }
+                ),
+                BankTransaction.updateMany({ organization: organizationId, category: previousName }, { $set: { category: name } }),
+            ]);
+        }
+        return category;
+    }
+
+    /**
+     * Remove a custom category and the training examples labelled with it.
+     * Expenses keep their standard category; bank transactions fall back to it.
+     */
+    async deleteCustomCategory(organizationId, categoryId) {
+        if (!this.isModelLoaded) await this.initialize();
+        const doc = await CategorizationModel.findOne({ organization: organizationId });
+        const category = doc ? doc.customCategories.id(categoryId) : null;
+        if (!category) {
+            throw Object.assign(new Error('Custom category not found in your organization'), { status: 404 });
+        }
+        const { name, expenseCategory } = category;
+        category.deleteOne();
+        doc.examples = doc.examples.filter(e => e.category !== name);
+        await this.rebuildOrgModel(doc);
 
-        // This would query from database in production
-        // For now, return mock insights
-        return insights;
+        const Expense = mongoose.model('Expense');
+        const BankTransaction = mongoose.model('BankTransaction');
+        await Promise.all([
+            Expense.updateMany({ organization: organizationId, customCategory: name }, { $set: { customCategory: null } }),
+            BankTransaction.updateMany({ organization: organizationId, category: name }, { $set: { category: expenseCategory } }),
+        ]);
+        return { name, expenseCategory };
     }
 
     async saveModel() {
@@ -238,9 +592,9 @@ class TransactionCategorizer {
         this.isModelLoaded = true;
     }
 
-    async logCorrection(transactionId, correctCategory) {
-        // In production, this would save to database
-        console.log(`Learning: Transaction ${transactionId} -> ${correctCategory}`);
+    async logCorrection(organizationId, record) {
+        await CategorizationFeedback.create({ organization: organizationId, ...record });
+        console.log(`[CATEGORIZER] Org ${organizationId}: ${record.sourceId || 'example'} -> ${record.actualCategory}${record.isCorrect ? ' (confirmed)' : ` (was ${record.predictedCategory})`}`);
     }
 
     // Advanced ML Features
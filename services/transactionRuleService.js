@@ -0,0 +1,496 @@
+// services/transactionRuleService.js
+// Bank transaction rules: validation, matching, and applying rule actions,
+// both on import and to past transactions (with a dry-run that only reports).
+const mongoose = require('mongoose');
+const moment = require('moment');
+const TransactionRule = require('../models/transactionRuleModel');
+const { TEXT_OPERATORS } = require('../models/transactionRuleModel');
+const RecurringTransaction = require('../models/recurringTransactionModel');
+const { getTransactionCategorizer } = require('./transactionCategorizer');
+
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MAX_RUN_TRANSACTIONS = 2000;
+// A recurring occurrence can be matched to a bank transaction this many days either side
+const RECURRING_MATCH_WINDOW_DAYS = 7;
+// Fixed-amount recurring occurrences must agree with the bank amount within this fraction
+const RECURRING_AMOUNT_TOLERANCE = 0.05;
+const OPEN_STATUSES = ['pending', 'manual_review'];
+// Regex conditions run against every imported transaction, so keep them small
+const MAX_REGEX_LENGTH = 200;
+
+function ruleError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// BankSyncService requires this module, so it is loaded lazily here
+function bankSync() {
+    const { BankSyncService } = require('./bankSyncService');
+    return new BankSyncService();
+}
+
+// Repetition with no fixed count: *, +, {n,} and {n,m} with m > 1
+const RANGE_REPEAT = /^\{\d+,(\d*)\}/;
+function repeatAt(source, i) {
+    if (source[i] === '*' || source[i] === '+') return true;
+    const m = source[i] === '{' ? source.slice(i).match(RANGE_REPEAT) : null;
+    return Boolean(m) && (m[1] === '' || Number(m[1]) > 1);
+}
+
+/**
+ * Why a regex pattern is unsafe to run on imports, or null. Rejects long
+ * patterns and a repeated group that itself repeats, e.g. (a+)+ or (\w*\s)*,
+ * which can backtrack catastrophically on near-miss descriptions.
+ */
+function regexProblem(source) {
+    if (source.length > MAX_REGEX_LENGTH) return `must be at most ${MAX_REGEX_LENGTH} characters`;
+    const groups = [{ repeats: false }];
+    for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+        if (c === '\\') {
+            i++;
+        } else if (c === '[') {
+            // Skip the character class; a leading ] is a literal
+            i += source[i + 1] === '^' ? 2 : 1;
+            if (source[i] === ']') i++;
+            while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+        } else if (c === '(') {
+            groups.push({ repeats: false });
+            if (source[i + 1] === '?') i++; // (?:, (?=, (?<name> ... are not quantifiers
+        } else if (c === ')') {
+            const group = groups.length > 1 ? groups.pop() : { repeats: false };
+            const repeated = repeatAt(source, i + 1);
+            if (repeated && group.repeats) return 'must not repeat a group that already contains a repetition, e.g. (a+)+';
+            if (group.repeats) groups[groups.length - 1].repeats = true;
+        } else if (repeatAt(source, i)) {
+            groups[groups.length - 1].repeats = true;
+        }
+    }
+    return null;
+}
+
+/**
+ * Compile a rule's conditions into a predicate over bank transactions
+ * ({ description, merchantName, amount, bankAccountId }; amount is signed,
+ * negative for debits). Text conditions are case-insensitive.
+ */
+function compileRule(rule) {
+    const conditions = rule.conditions || {};
+    const textTest = (condition) => {
+        if (!condition || !condition.value) return () => true;
+        const needle = condition.value.toLowerCase();
+        switch (condition.operator) {
+            case 'not_contains': return (text) => !text.toLowerCase().includes(needle);
+            case 'equals': return (text) => text.toLowerCase().trim() === needle;
+            case 'starts_with': return (text) => text.toLowerCase().trim().startsWith(needle);
+            case 'regex': {
+                const problem = regexProblem(condition.value);
+                if (problem) throw new Error(`Regex ${problem}`);
+                const pattern = new RegExp(condition.value, 'i');
+                return (text) => pattern.test(text);
+            }
+            default: return (text) => text.toLowerCase().includes(needle);
+        }
+    };
+    const description = textTest(conditions.description);
+    const vendor = textTest(conditions.vendor);
+
+    return (txn) => {
+        const amount = Math.abs(txn.amount);
+        const direction = txn.amount < 0 ? 'debit' : 'credit';
+        if (conditions.direction && conditions.direction !== 'any' && conditions.direction !== direction) return false;
+        if (conditions.bankAccountId && String(conditions.bankAccountId) !== String(txn.bankAccountId)) return false;
+        if (conditions.minAmount !== null && conditions.minAmount !== undefined && amount < conditions.minAmount) return false;
+        if (conditions.maxAmount !== null && conditions.maxAmount !== undefined && amount > conditions.maxAmount) return false;
+        return description(txn.description || '') && vendor(txn.merchantName || '');
+    };
+}
+
+/**
+ * Active rules in priority order, with `match(txn)` returning the first rule
+ * whose conditions hold (or null).
+ */
+async function loadRuleSet(organizationId) {
+    const rules = await TransactionRule.find({ organization: organizationId, isActive: true })
+        .sort({ priority: 1, createdAt: 1 });
+    return buildRuleSet(rules);
+}
+
+function buildRuleSet(rules) {
+    const compiled = [];
+    for (const rule of rules) {
+        try {
+            compiled.push({ rule, test: compileRule(rule) });
+        } catch (err) {
+            // Only a regex saved before validation (or before the safety check) fails here; skip the rule rather than the import
+            console.error(`[RULES] Skipping rule ${rule._id}: ${err.message}`);
+        }
+    }
+    return {
+        rules,
+        match(txn) {
+            const hit = compiled.find(c => c.test(txn));
+            return hit ? hit.rule : null;
+        },
+    };
+}
+
+function parseTextCondition(value, field) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const condition = typeof value === 'string' ? { operator: 'contains', value } : { operator: value.operator || 'contains', value: value.value };
+    if (!TEXT_OPERATORS.includes(condition.operator)) {
+        throw ruleError(`${field}.operator must be one of: ${TEXT_OPERATORS.join(', ')}`);
+    }
+    if (!condition.value || !String(condition.value).trim()) return null;
+    condition.value = String(condition.value).trim();
+    if (condition.operator === 'regex') {
+        try {
+            new RegExp(condition.value, 'i');
+        } catch (err) {
+            throw ruleError(`${field} is not a valid regular expression: ${err.message}`);
+        }
+        const problem = regexProblem(condition.value);
+        if (problem) throw ruleError(`${field} regex ${problem}`);
+    }
+    return condition;
+}
+
+function parseAmount(value, field) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) throw ruleError(`${field} must be a non-negative number`);
+    return amount;
+}
+
+/**
+ * Validate rule input and write it onto `rule` (a new or existing
+ * TransactionRule). Categories may be custom; bank accounts and recurring
+ * transactions must belong to the organization.
+ */
+async function assignRuleInput(organizationId, rule, input) {
+    if (input.name !== undefined) rule.name = input.name;
+    if (input.priority !== undefined) {
+        const priority = Number(input.priority);
+        if (!Number.isFinite(priority)) throw ruleError('priority must be a number');
+        rule.priority = priority;
+    }
+    if (input.isActive !== undefined) rule.isActive = input.isActive === true || input.isActive === 'true';
+
+    const conditions = input.conditions || {};
+    const description = parseTextCondition(conditions.description, 'conditions.description');
+    const vendor = parseTextCondition(conditions.vendor, 'conditions.vendor');
+    if (description !== undefined) rule.conditions.description = description || undefined;
+    if (vendor !== undefined) rule.conditions.vendor = vendor || undefined;
+    const minAmount = parseAmount(conditions.minAmount, 'conditions.minAmount');
+    const maxAmount = parseAmount(conditions.maxAmount, 'conditions.maxAmount');
+    if (minAmount !== undefined) rule.conditions.minAmount = minAmount;
+    if (maxAmount !== undefined) rule.conditions.maxAmount = maxAmount;
+    if (conditions.direction !== undefined) rule.conditions.direction = conditions.direction || 'any';
+    if (conditions.bankAccountId !== undefined) {
+        if (conditions.bankAccountId) {
+            const BankAccount = mongoose.model('BankAccount');
+            if (!mongoose.Types.ObjectId.isValid(conditions.bankAccountId)
+                || !(await BankAccount.exists({ _id: conditions.bankAccountId, organization: organizationId }))) {
+                throw ruleError('Bank account not found in your organization');
+            }
+        }
+        rule.conditions.bankAccountId = conditions.bankAccountId || null;
+    }
+
+    const actions = input.actions || {};
+    if (actions.category !== undefined) {
+        if (actions.category) {
+            const categorizer = await getTransactionCategorizer();
+            rule.actions.category = (await categorizer.resolveCategory(organizationId, actions.category)).label;
+        } else {
+            rule.actions.category = null;
+        }
+    }
+    if (actions.tags !== undefined) {
+        const tags = Array.isArray(actions.tags) ? actions.tags : String(actions.tags || '').split(',');
+        rule.actions.tags = [...new Set(tags.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+    }
+    if (actions.createEntry !== undefined) rule.actions.createEntry = actions.createEntry || 'none';
+    if (actions.revenueSource !== undefined) rule.actions.revenueSource = actions.revenueSource || null;
+    if (actions.ignore !== undefined) rule.actions.ignore = actions.ignore === true || actions.ignore === 'true';
+    if (actions.recurringTransactionId !== undefined) {
+        if (actions.recurringTransactionId) {
+            if (!mongoose.Types.ObjectId.isValid(actions.recurringTransactionId)
+                || !(await RecurringTransaction.exists({ _id: actions.recurringTransactionId, organization: organizationId }))) {
+                throw ruleError('Recurring transaction not found in your organization');
+            }
+        }
+        rule.actions.recurringTransactionId = actions.recurringTransactionId || null;
+    }
+    return rule;
+}
+
+async function listRules(organizationId) {
+    return TransactionRule.find({ organization: organizationId })
+        .sort({ priority: 1, createdAt: 1 })
+        .populate('actions.recurringTransactionId', 'name type amount frequency');
+}
+
+/**
+ * Create or update a rule. New rules go to the end of the order unless a
+ * priority is given.
+ */
+async function saveRule(organizationId, input, userId, existing = null) {
+    const rule = existing || new TransactionRule({ organization: organizationId, createdBy: userId });
+    if (!existing && input.priority === undefined) {
+        const last = await TransactionRule.findOne({ organization: organizationId }).sort({ priority: -1 }).select('priority');
+        rule.priority = last ? last.priority + 10 : 10;
+    }
+    await assignRuleInput(organizationId, rule, input);
+    await rule.save();
+    return rule;
+}
+
+/**
+ * The entry a recurring transaction generated for this bank transaction's
+ * period: same type, within the date window, a plausible amount, and not
+ * already matched to another bank transaction. Closest date wins.
+ */
+async function findRecurringOccurrence(recurring, bankTxn, organizationId) {
+    const entryType = bankTxn.amount < 0 ? 'Expense' : 'Revenue';
+    const amount = Math.abs(bankTxn.amount);
+    const candidates = (recurring.createdTransactions || []).filter(occurrence =>
+        occurrence.transactionType === entryType
+        && !['rejected', 'failed'].includes(occurrence.status)
+        && Math.abs(moment(occurrence.date).diff(bankTxn.date, 'days')) <= RECURRING_MATCH_WINDOW_DAYS
+        && (recurring.isVariableAmount || Math.abs(occurrence.amount - amount) <= amount * RECURRING_AMOUNT_TOLERANCE)
+    );
+    if (candidates.length === 0) return null;
+
+    const taken = await bankSync().entryAllocations(
+        entryType.toLowerCase(),
+        candidates.map(c => c.transactionId),
+        organizationId,
+        bankTxn._id
+    );
+    const open = candidates
+        .filter(c => !taken.has(String(c.transactionId)))
+        .sort((a, b) => Math.abs(a.date - bankTxn.date) - Math.abs(b.date - bankTxn.date));
+    return open.length ? { entryType, ...open[0].toObject() } : null;
+}
+
+/**
+ * Apply one rule to one bank transaction. Category and tags apply to any
+ * transaction (except a category a user set by hand); ignoring, reconciling
+ * against a recurring transaction and booking entries only apply while the
+ * transaction is unreconciled. With dryRun nothing is written.
+ * @returns {Object} { bankTransactionId, rule, changes, skipped }
+ */
+async function applyRuleToTransaction(rule, bankTxn, organizationId, userId, { dryRun = false } = {}) {
+    const { actions } = rule;
+    const result = {
+        bankTransactionId: bankTxn._id,
+        date: bankTxn.date,
+        description: bankTxn.description,
+        amount: bankTxn.amount,
+        rule: { id: rule._id, name: rule.name },
+        changes: {},
+        skipped: [],
+    };
+
+    if (actions.category && actions.category !== bankTxn.category) {
+        const setByHand = bankTxn.categorySource === 'manual';
+        if (setByHand) {
+            result.skipped.push(`Category "${bankTxn.category}" was set by hand`);
+        } else {
+            result.changes.category = { from: bankTxn.category || null, to: actions.category };
+            bankTxn.category = actions.category;
+            bankTxn.isAutoCategized = false;
+            bankTxn.categorizationConfidence = 1;
+            bankTxn.categorySource = 'rule';
+        }
+    }
+    const newTags = (actions.tags || []).filter(tag => !(bankTxn.tags || []).includes(tag));
+    if (newTags.length) {
+        result.changes.tags = newTags;
+        bankTxn.tags = [...(bankTxn.tags || []), ...newTags];
+    }
+
+    const isOpen = OPEN_STATUSES.includes(bankTxn.reconciliationStatus);
+    const reconciles = actions.ignore || actions.recurringTransactionId || (actions.createEntry && actions.createEntry !== 'none');
+    if (reconciles && !isOpen) {
+        result.skipped.push(`Already ${bankTxn.reconciliationStatus}`);
+    } else if (actions.ignore) {
+        result.changes.reconciliation = { action: 'ignored' };
+        bankTxn.reconciliationStatus = 'ignored';
+    } else if (reconciles) {
+        result.changes.reconciliation = await reconcileWithRule(rule, bankTxn, organizationId, userId, dryRun);
+    }
+
+    if (!dryRun) {
+        bankTxn.appliedRule = rule._id;
+        await bankTxn.save();
+    }
+    return result;
+}
+
+// Recurring reconciliation first; then, if the rule books entries, a new Expense / Revenue
+async function reconcileWithRule(rule, bankTxn, organizationId, userId, dryRun) {
+    const { actions } = rule;
+    const isDebit = bankTxn.amount < 0;
+    let recurring = null;
+
+    if (actions.recurringTransactionId) {
+        const recurringId = actions.recurringTransactionId._id || actions.recurringTransactionId;
+        recurring = await RecurringTransaction.findOne({ _id: recurringId, organization: organizationId });
+        if (recurring) {
+            bankTxn.recurringTransactionId = recurring._id;
+            const occurrence = await findRecurringOccurrence(recurring, bankTxn, organizationId);
+            if (occurrence) {
+                if (!dryRun) {
+                    bankSync().setSingleMatch(bankTxn, occurrence.entryType.toLowerCase(), occurrence.transactionId);
+                }
+                return { action: 'matched_recurring', recurring: recurring.name, entryType: occurrence.entryType, entryId: occurrence.transactionId };
+            }
+        }
+    }
+
+    const entryType = actions.createEntry;
+    if (!entryType || entryType === 'none') {
+        return { action: 'none', note: recurring ? `No ${recurring.name} occurrence near this date` : 'Recurring transaction no longer exists' };
+    }
+    if ((entryType === 'expense') !== isDebit) {
+        return { action: 'none', note: `Cannot create ${entryType} from a ${isDebit ? 'debit' : 'credit'}` };
+    }
+    if (dryRun) {
+        return { action: `create_${entryType}`, category: entryType === 'expense' ? (actions.category || bankTxn.category) : undefined, source: actions.revenueSource || undefined };
+    }
+
+    const { entry } = await bankSync().createEntryFromTransaction(bankTxn, {
+        type: entryType,
+        category: actions.category || undefined,
+        source: actions.revenueSource || undefined,
+        userId,
+        note: `Rule "${rule.name}"`,
+    }, organizationId);
+    if (recurring) {
+        recurring.createdTransactions.push({
+            transactionId: entry._id,
+            transactionType: entryType === 'expense' ? 'Expense' : 'Revenue',
+            date: bankTxn.date,
+            amount: entry.amount,
+            status: 'created',
+        });
+        await recurring.save();
+    }
+    return { action: `created_${entryType}`, entryId: entry._id, recurring: recurring ? recurring.name : undefined };
+}
+
+async function recordMatches(counts) {
+    const now = new Date();
+    const ops = [...counts.entries()]
+        .filter(([ruleId]) => mongoose.Types.ObjectId.isValid(ruleId))
+        .map(([ruleId, count]) => ({
+            updateOne: { filter: { _id: ruleId }, update: { $inc: { matchCount: count }, $set: { lastMatchedAt: now } } },
+        }));
+    if (ops.length) await TransactionRule.bulkWrite(ops);
+}
+
+/**
+ * Finish rule actions for freshly imported transactions. Category, tags and
+ * ignore were set before insert; this books entries and reconciles against
+ * recurring transactions, and counts the matches.
+ * @param {Array} pairs - [{ bankTransaction, rule }] (rule may be undefined)
+ */
+async function applyImportedRules(organizationId, pairs, userId) {
+    const summary = { matched: 0, entriesCreated: 0, recurringMatched: 0, ignored: 0 };
+    const counts = new Map();
+    for (const { bankTransaction, rule } of pairs) {
+        if (!rule) continue;
+        summary.matched++;
+        counts.set(String(rule._id), (counts.get(String(rule._id)) || 0) + 1);
+        if (rule.actions.ignore) {
+            summary.ignored++;
+            continue;
+        }
+        if (!rule.actions.recurringTransactionId && rule.actions.createEntry === 'none') continue;
+        try {
+            const { changes } = await applyRuleToTransaction(rule, bankTransaction, organizationId, userId);
+            const action = changes.reconciliation?.action || '';
+            if (action.startsWith('created_')) summary.entriesCreated++;
+            if (action === 'matched_recurring') summary.recurringMatched++;
+        } catch (err) {
+            console.error(`[RULES] Rule ${rule._id} failed on bank transaction ${bankTransaction._id}:`, err.message);
+        }
+    }
+    await recordMatches(counts);
+    return summary;
+}
+
+/**
+ * Run rules over past bank transactions. Without `ruleId` / `rule` every
+ * active rule runs in order (first match wins); with one, only that rule is
+ * tested. `rule` may be an unsaved rule body, which is always a dry run.
+ * @param {Object} options - { dryRun, ruleId, rule, bankAccountId, startDate, endDate, limit }
+ */
+async function runRules(organizationId, options, userId) {
+    let dryRun = options.dryRun !== false && options.dryRun !== 'false';
+    let rules;
+    let draft = null;
+    if (options.rule) {
+        draft = new TransactionRule({ organization: organizationId, name: options.rule.name || 'Draft rule' });
+        await assignRuleInput(organizationId, draft, options.rule);
+        await draft.validate();
+        rules = [draft];
+        dryRun = true;
+    } else if (options.ruleId) {
+        if (!mongoose.Types.ObjectId.isValid(options.ruleId)) throw ruleError('Invalid rule ID format');
+        const rule = await TransactionRule.findOne({ _id: options.ruleId, organization: organizationId });
+        if (!rule) throw ruleError('Rule not found in your organization', 404);
+        rules = [rule];
+    } else {
+        rules = (await loadRuleSet(organizationId)).rules;
+    }
+    const ruleSet = buildRuleSet(rules);
+
+    const BankTransaction = mongoose.model('BankTransaction');
+    const endDate = options.endDate ? moment(options.endDate).endOf('day') : moment().endOf('day');
+    const startDate = options.startDate ? moment(options.startDate).startOf('day') : moment(endDate).subtract(DEFAULT_LOOKBACK_DAYS, 'days');
+    if (!startDate.isValid() || !endDate.isValid() || startDate.isAfter(endDate)) {
+        throw ruleError('Invalid date range');
+    }
+    const query = { organization: organizationId, date: { $gte: startDate.toDate(), $lte: endDate.toDate() } };
+    if (options.bankAccountId) query.bankAccountId = options.bankAccountId;
+    const limit = Math.min(parseInt(options.limit, 10) || MAX_RUN_TRANSACTIONS, MAX_RUN_TRANSACTIONS);
+    const transactions = await BankTransaction.find(query).sort({ date: -1 }).limit(limit);
+
+    const results = [];
+    const counts = new Map();
+    for (const txn of transactions) {
+        const rule = ruleSet.match(txn);
+        if (!rule) continue;
+        const key = String(rule._id);
+        counts.set(key, (counts.get(key) || 0) + 1);
+        try {
+            results.push(await applyRuleToTransaction(rule, txn, organizationId, userId, { dryRun }));
+        } catch (err) {
+            results.push({ bankTransactionId: txn._id, rule: { id: rule._id, name: rule.name }, error: err.message });
+        }
+    }
+    if (!dryRun) await recordMatches(counts);
+
+    return {
+        dryRun,
+        period: { start: startDate.toDate(), end: endDate.toDate() },
+        scanned: transactions.length,
+        matched: results.length,
+        byRule: rules.map(rule => ({ ruleId: rule === draft ? null : rule._id, name: rule.name, matches: counts.get(String(rule._id)) || 0 })),
+        results,
+    };
+}
+
+module.exports = {
+    compileRule,
+    loadRuleSet,
+    listRules,
+    saveRule,
+    applyRuleToTransaction,
+    applyImportedRules,
+    runRules,
+};
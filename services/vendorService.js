@@ -0,0 +1,349 @@
+// services/vendorService.js
+// Vendor resolution and vendor analytics. Free-text names from expenses,
+// recurring transactions and bank merchant names resolve to a Vendor by
+// normalized name/alias, falling back to a token-prefix match so bank
+// narrations with trailing location or reference text still resolve.
+const Vendor = require('../models/vendorModel');
+const Expense = require('../models/expenseModel');
+const BankAccount = require('../models/bankAccountModel');
+const RecurringTransaction = require('../models/recurringTransactionModel');
+const { BankTransaction } = require('./bankSyncService');
+const fxService = require('./fxService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+// Prefix matches need a key at least this long, so "AWS" doesn't swallow "AWS CONSULTING LLP"
+const MIN_PREFIX_KEY_LENGTH = 6;
+
+const DUPLICATE_DEFAULTS = { lookbackDays: 90, windowDays: 7, amountTolerancePct: 2 };
+
+/**
+ * Load an organization's vendors once and return a resolver:
+ * resolve(rawName) -> { vendor, key } where vendor is null when nothing matches
+ * and key is the vendor id or the normalized raw name (for grouping).
+ */
+async function createResolver(organizationId) {
+    const vendors = await Vendor.find({ organization: organizationId, isArchived: false })
+        .select('name aliases matchKeys defaultCategory contract');
+    const exact = new Map();
+    const prefixKeys = [];
+    for (const vendor of vendors) {
+        for (const key of vendor.matchKeys || []) {
+            exact.set(key, vendor);
+            if (key.length >= MIN_PREFIX_KEY_LENGTH) prefixKeys.push({ key, vendor });
+        }
+    }
+    // Longest key wins when several prefixes match
+    prefixKeys.sort((a, b) => b.key.length - a.key.length);
+
+    const cache = new Map();
+    const resolve = (rawName) => {
+        const normalized = Vendor.normalizeName(rawName);
+        if (!normalized) return { vendor: null, key: null, normalized };
+        if (cache.has(normalized)) return cache.get(normalized);
+
+        let vendor = exact.get(normalized) || null;
+        if (!vendor) {
+            const hit = prefixKeys.find(p => normalized === p.key || normalized.startsWith(`${p.key} `));
+            vendor = hit ? hit.vendor : null;
+        }
+        const result = { vendor, key: vendor ? String(vendor._id) : `name:${normalized}`, normalized };
+        cache.set(normalized, result);
+        return result;
+    };
+
+    return { vendors, resolve };
+}
+
+/**
+ * Create or update a vendor. Aliases are de-duplicated case-insensitively.
+ */
+async function saveVendor(organizationId, data, userId, existing = null) {
+    const vendor = existing || new Vendor({ organization: organizationId, createdBy: userId });
+    for (const field of ['name', 'defaultCategory', 'gstin', 'pan', 'tdsSection', 'website', 'contactEmail', 'contract', 'notes', 'isArchived']) {
+        if (data[field] !== undefined) vendor[field] = data[field];
+    }
+    if (data.aliases !== undefined) {
+        const seen = new Set();
+        vendor.aliases = (Array.isArray(data.aliases) ? data.aliases : [data.aliases])
+            .map(a => String(a || '').trim())
+            .filter(a => a && !seen.has(a.toUpperCase()) && seen.add(a.toUpperCase()));
+    }
+    await vendor.save();
+    return vendor;
+}
+
+/**
+ * Expense and bank debit lines over a window, each tagged with its resolved vendor.
+ * Expenses are actuals only: submitted and rejected claims are not spend.
+ * Bank debits keep the expenses they are reconciled to (split matches or the legacy
+ * matchedExpenseId) so spend views can skip them and avoid double counting.
+ */
+async function loadSpendLines(organizationId, resolver, start, end) {
+    const dateRange = { $gte: start, $lte: end };
+    const [expenses, bankDebits, accounts] = await Promise.all([
+        Expense.find({ organization: organizationId, ...Expense.actualsFilter(), date: dateRange })
+            .select('date amount currency vendor description category'),
+        BankTransaction.find({ organization: organizationId, date: dateRange, amount: { $lt: 0 } })
+            .select('date amount description merchantName reconciliationStatus matchedExpenseId matches bankAccountId'),
+        BankAccount.find({ organization: organizationId }).select('currency'),
+    ]);
+    const accountCurrency = new Map(accounts.map(a => [String(a._id), a.currency]));
+
+    const lines = [];
+    for (const e of expenses) {
+        const resolved = resolver.resolve(e.vendor || '');
+        lines.push({
+            source: 'expense', id: e._id, date: e.date, amount: e.amount, currency: e.currency,
+            rawName: e.vendor || null, description: e.description, category: e.category,
+            vendor: resolved.vendor, key: resolved.key,
+        });
+    }
+    for (const t of bankDebits) {
+        const rawName = t.merchantName || t.description;
+        const resolved = resolver.resolve(rawName);
+        const matchedExpenseIds = new Set((t.matches || [])
+            .filter(m => m.entryType === 'expense')
+            .map(m => String(m.entryId)));
+        if (t.matchedExpenseId) matchedExpenseIds.add(String(t.matchedExpenseId));
+        lines.push({
+            source: 'bank_transaction', id: t._id, date: t.date, amount: Math.abs(t.amount),
+            currency: accountCurrency.get(String(t.bankAccountId)) || null,
+            rawName, description: t.description, matchedExpenseIds: [...matchedExpenseIds],
+            vendor: resolved.vendor, key: resolved.key,
+        });
+    }
+    return lines;
+}
+
+function monthKey(date) {
+    return new Date(date).toISOString().slice(0, 7);
+}
+
+/**
+ * Spend by vendor over the last `months` months, in the reporting currency,
+ * plus the most frequent unresolved names (candidates for new vendors/aliases).
+ */
+async function getSpendSummary(organization, { months = 6 } = {}) {
+    const organizationId = organization._id;
+    const reportingCurrency = organization.currency || 'INR';
+    const end = new Date();
+    const start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (months - 1), 1));
+
+    const [resolver, fx] = await Promise.all([
+        createResolver(organizationId),
+        fxService.createConverter(organizationId, reportingCurrency),
+    ]);
+    const lines = (await loadSpendLines(organizationId, resolver, start, end))
+        .filter(l => l.source === 'expense' || !l.matchedExpenseIds.length);
+
+    const byVendor = new Map();
+    const unresolved = new Map();
+    let totalSpend = 0;
+    for (const line of lines) {
+        const amount = fx.convert(line.amount, line.currency, line.date) ?? 0;
+        totalSpend += amount;
+        if (line.vendor) {
+            const entry = byVendor.get(line.key) || { vendorId: line.vendor._id, name: line.vendor.name, total: 0, transactions: 0, lastPaymentDate: null };
+            entry.total += amount;
+            entry.transactions += 1;
+            if (!entry.lastPaymentDate || line.date > entry.lastPaymentDate) entry.lastPaymentDate = line.date;
+            byVendor.set(line.key, entry);
+        } else if (line.rawName) {
+            const entry = unresolved.get(line.key) || { name: line.rawName, normalized: line.key.replace(/^name:/, ''), total: 0, transactions: 0 };
+            entry.total += amount;
+            entry.transactions += 1;
+            unresolved.set(line.key, entry);
+        }
+    }
+
+    totalSpend = round2(totalSpend);
+    const vendors = [...byVendor.values()]
+        .map(v => ({ ...v, total: round2(v.total), shareOfSpend: totalSpend > 0 ? round2((v.total / totalSpend) * 100) : 0 }))
+        .sort((a, b) => b.total - a.total);
+
+    return {
+        period: { start, end, months },
+        currency: reportingCurrency,
+        totalSpend,
+        resolvedSpend: round2(vendors.reduce((sum, v) => sum + v.total, 0)),
+        vendors,
+        unresolvedNames: [...unresolved.values()]
+            .map(u => ({ ...u, total: round2(u.total) }))
+            .sort((a, b) => b.total - a.total)
+            .slice(0, 25),
+        fxBasis: fx.basis(),
+    };
+}
+
+/**
+ * Month-by-month spend trend for one vendor, with its recurring schedules and contract
+ */
+async function getVendorSpendTrend(organization, vendor, { months = 12 } = {}) {
+    const organizationId = organization._id;
+    const reportingCurrency = organization.currency || 'INR';
+    const end = new Date();
+    const start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (months - 1), 1));
+
+    const [resolver, fx, recurring] = await Promise.all([
+        createResolver(organizationId),
+        fxService.createConverter(organizationId, reportingCurrency),
+        RecurringTransaction.find({ organization: organizationId, type: 'expense' })
+            .select('name vendor amount currency frequency nextDueDate isActive'),
+    ]);
+    const vendorKey = String(vendor._id);
+    const lines = (await loadSpendLines(organizationId, resolver, start, end))
+        .filter(l => l.key === vendorKey && (l.source === 'expense' || !l.matchedExpenseIds.length));
+
+    const trend = [];
+    for (let i = 0; i < months; i++) {
+        const d = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 1));
+        trend.push({ month: monthKey(d), total: 0, transactions: 0 });
+    }
+    const byMonth = new Map(trend.map(t => [t.month, t]));
+    for (const line of lines) {
+        const bucket = byMonth.get(monthKey(line.date));
+        if (!bucket) continue;
+        bucket.total += fx.convert(line.amount, line.currency, line.date) ?? 0;
+        bucket.transactions += 1;
+    }
+    trend.forEach(t => { t.total = round2(t.total); });
+
+    const total = round2(trend.reduce((sum, t) => sum + t.total, 0));
+    const activeMonths = trend.filter(t => t.transactions > 0).length;
+    const lastThree = trend.slice(-3).reduce((sum, t) => sum + t.total, 0) / 3;
+    const priorThree = trend.slice(-6, -3).reduce((sum, t) => sum + t.total, 0) / 3;
+
+    return {
+        vendor: { _id: vendor._id, name: vendor.name, aliases: vendor.aliases, defaultCategory: vendor.defaultCategory, contract: vendor.contract },
+        currency: reportingCurrency,
+        months: trend,
+        total,
+        averageMonthlySpend: activeMonths > 0 ? round2(total / activeMonths) : 0,
+        // Last 3 months vs the 3 before, in percent
+        recentChangePct: priorThree > 0 ? round2(((lastThree - priorThree) / priorThree) * 100) : null,
+        recurringSchedules: recurring.filter(r => resolver.resolve(r.vendor || r.name).key === vendorKey),
+        transactions: lines
+            .sort((a, b) => b.date - a.date)
+            .slice(0, 50)
+            .map(({ vendor: _v, key: _k, ...line }) => line),
+        fxBasis: fx.basis(),
+    };
+}
+
+/**
+ * Vendors whose contract renews within `withinDays` (or whose notice deadline falls in it)
+ */
+async function getUpcomingRenewals(organizationId, { withinDays = 60 } = {}) {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + withinDays * DAY_MS);
+    const vendors = await Vendor.find({
+        organization: organizationId,
+        isArchived: false,
+        'contract.renewalDate': { $ne: null, $gte: now, $lte: new Date(horizon.getTime() + 365 * DAY_MS) },
+    }).sort({ 'contract.renewalDate': 1 });
+
+    return vendors
+        .map(v => {
+            const renewalDate = v.contract.renewalDate;
+            const noticeDeadline = v.contract.noticePeriodDays
+                ? new Date(renewalDate.getTime() - v.contract.noticePeriodDays * DAY_MS)
+                : null;
+            return {
+                vendorId: v._id,
+                name: v.name,
+                renewalDate,
+                noticeDeadline,
+                daysUntilRenewal: Math.ceil((renewalDate - now) / DAY_MS),
+                autoRenews: v.contract.autoRenews,
+                amount: v.contract.amount,
+                currency: v.contract.currency,
+                billingCycle: v.contract.billingCycle,
+            };
+        })
+        .filter(r => r.renewalDate <= horizon || (r.noticeDeadline && r.noticeDeadline <= horizon));
+}
+
+/**
+ * Likely duplicate payments: same vendor, amounts within amountTolerancePct and
+ * dates within windowDays, across expenses and bank debits.
+ *
+ * Each real payment is represented once: every bank debit, plus expenses that
+ * are not reconciled to a bank line. An expense paired with an unreconciled
+ * bank debit is left to reconciliation rather than flagged, since that is
+ * usually the same payment recorded twice legitimately.
+ */
+async function findDuplicatePayments(organization, options = {}) {
+    const { lookbackDays, windowDays, amountTolerancePct } = { ...DUPLICATE_DEFAULTS, ...options };
+    const organizationId = organization._id;
+    const end = new Date();
+    const start = new Date(end.getTime() - lookbackDays * DAY_MS);
+
+    const resolver = await createResolver(organizationId);
+    const lines = await loadSpendLines(organizationId, resolver, start, end);
+    const matchedExpenseIds = new Set(lines.flatMap(l => l.matchedExpenseIds || []));
+    const payments = lines.filter(l => l.key && (l.source === 'bank_transaction' || !matchedExpenseIds.has(String(l.id))));
+
+    const groups = new Map();
+    for (const p of payments) {
+        if (!groups.has(p.key)) groups.set(p.key, []);
+        groups.get(p.key).push(p);
+    }
+
+    const describe = (p) => ({
+        source: p.source, id: p.id, date: p.date, amount: p.amount, currency: p.currency,
+        name: p.rawName, description: p.description,
+    });
+
+    const flagged = [];
+    for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        group.sort((a, b) => a.date - b.date);
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const a = group[i];
+                const b = group[j];
+                const daysApart = Math.abs(b.date - a.date) / DAY_MS;
+                if (daysApart > windowDays) break;
+
+                const mixed = a.source !== b.source;
+                const bank = a.source === 'bank_transaction' ? a : b;
+                if (mixed && !bank.matchedExpenseIds.length) continue;
+                if (a.currency && b.currency && a.currency !== b.currency) continue;
+
+                const larger = Math.max(a.amount, b.amount);
+                const differencePct = larger > 0 ? (Math.abs(a.amount - b.amount) / larger) * 100 : 0;
+                if (differencePct > amountTolerancePct) continue;
+
+                // 1.0 for identical amounts on the same day; amount and date closeness weigh equally
+                const amountScore = amountTolerancePct > 0 ? 1 - differencePct / amountTolerancePct : 1;
+                const dateScore = windowDays > 0 ? 1 - daysApart / windowDays : 1;
+                const confidence = round2(0.5 * amountScore + 0.5 * dateScore);
+                flagged.push({
+                    vendor: a.vendor ? { _id: a.vendor._id, name: a.vendor.name } : { _id: null, name: a.rawName },
+                    confidence,
+                    amountDifference: round2(Math.abs(a.amount - b.amount)),
+                    daysApart: Math.round(daysApart * 10) / 10,
+                    first: describe(a),
+                    second: describe(b),
+                });
+            }
+        }
+    }
+
+    flagged.sort((x, y) => y.confidence - x.confidence || y.first.amount - x.first.amount);
+    return {
+        criteria: { lookbackDays, windowDays, amountTolerancePct },
+        count: flagged.length,
+        duplicates: flagged,
+    };
+}
+
+module.exports = {
+    createResolver,
+    saveVendor,
+    getSpendSummary,
+    getVendorSpendTrend,
+    getUpcomingRenewals,
+    findDuplicatePayments,
+};
@@ -0,0 +1,261 @@
+// utils/fiscalPeriods.js
+// Fiscal-year-aware period resolution. Organizations set the start of their
+// financial year in Organization.settings (financialYearStartMonth/Day,
+// default 1 April for the Indian FY). Fiscal years are named by the calendar
+// year they end in, so with an April start FY2026 (label "FY2025-26") runs
+// 1 Apr 2025 – 31 Mar 2026 and its Q1 is April–June 2025.
+//
+// All boundaries are computed in UTC, matching customKpiService.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+class FiscalPeriods {
+    /**
+     * Default fiscal configuration: Indian financial year (1 April)
+     */
+    static defaultConfig = { startMonth: 4, startDay: 1 };
+
+    /**
+     * Read the fiscal configuration from an organization document, its
+     * settings object, or an already-resolved config
+     * @param {Object} source - Organization, organization.settings or { startMonth, startDay }
+     * @returns {Object} { startMonth (1-12), startDay (1-31) }
+     */
+    static getConfig(source) {
+        if (source && source.startMonth) {
+            return { startMonth: source.startMonth, startDay: source.startDay || 1 };
+        }
+        const settings = (source && source.settings) || source || {};
+        const month = parseInt(settings.financialYearStartMonth, 10);
+        const day = parseInt(settings.financialYearStartDay, 10);
+        return {
+            startMonth: month >= 1 && month <= 12 ? month : this.defaultConfig.startMonth,
+            startDay: day >= 1 && day <= 31 ? day : this.defaultConfig.startDay
+        };
+    }
+
+    /**
+     * True when the fiscal year is the calendar year
+     */
+    static isCalendarYear(config) {
+        return config.startMonth === 1 && config.startDay === 1;
+    }
+
+    /**
+     * Date `months` after the fiscal anchor, clamping the start day to the month length
+     */
+    static anchorDate(year, monthIndex, day) {
+        const normalizedYear = year + Math.floor(monthIndex / 12);
+        const normalizedMonth = ((monthIndex % 12) + 12) % 12;
+        return new Date(Date.UTC(normalizedYear, normalizedMonth, Math.min(day, daysInMonth(normalizedYear, normalizedMonth))));
+    }
+
+    /**
+     * First day of the fiscal year that ends in `fiscalYear`
+     */
+    static fiscalYearStart(fiscalYear, config) {
+        const startYear = this.isCalendarYear(config) ? fiscalYear : fiscalYear - 1;
+        return this.anchorDate(startYear, config.startMonth - 1, config.startDay);
+    }
+
+    /**
+     * Fiscal year (named by its end year) containing a date
+     */
+    static fiscalYearOf(date, config) {
+        const d = new Date(date);
+        const year = d.getUTCFullYear();
+        const startThisCalendarYear = this.anchorDate(year, config.startMonth - 1, config.startDay);
+        const startYear = d >= startThisCalendarYear ? year : year - 1;
+        return this.isCalendarYear(config) ? startYear : startYear + 1;
+    }
+
+    /**
+     * "FY2026" for calendar fiscal years, "FY2025-26" otherwise
+     */
+    static fiscalYearLabel(fiscalYear, config) {
+        if (this.isCalendarYear(config)) return `FY${fiscalYear}`;
+        return `FY${fiscalYear - 1}-${String(fiscalYear % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Whole fiscal year
+     * @returns {Object} { fiscalYear, label, start, end }
+     */
+    static getFiscalYear(fiscalYear, config) {
+        const start = this.fiscalYearStart(fiscalYear, config);
+        const end = new Date(this.fiscalYearStart(fiscalYear + 1, config).getTime() - 1);
+        return { fiscalYear, quarter: null, label: this.fiscalYearLabel(fiscalYear, config), start, end };
+    }
+
+    /**
+     * Fiscal quarter (1-4) of a fiscal year
+     * @returns {Object} { fiscalYear, quarter, label, start, end }
+     */
+    static getFiscalQuarter(fiscalYear, quarter, config) {
+        const yearStart = this.fiscalYearStart(fiscalYear, config);
+        const startMonthIndex = yearStart.getUTCMonth() + (quarter - 1) * 3;
+        const start = this.anchorDate(yearStart.getUTCFullYear(), startMonthIndex, config.startDay);
+        const end = new Date(this.anchorDate(yearStart.getUTCFullYear(), startMonthIndex + 3, config.startDay).getTime() - 1);
+        return {
+            fiscalYear,
+            quarter,
+            label: `Q${quarter} ${this.fiscalYearLabel(fiscalYear, config)}`,
+            start,
+            end
+        };
+    }
+
+    /**
+     * Fiscal year and quarter a date falls in
+     */
+    static describe(date, config) {
+        const fiscalYear = this.fiscalYearOf(date, config);
+        const d = new Date(date);
+        for (let quarter = 1; quarter <= 4; quarter++) {
+            const q = this.getFiscalQuarter(fiscalYear, quarter, config);
+            if (d >= q.start && d <= q.end) return q;
+        }
+        return this.getFiscalQuarter(fiscalYear, 4, config);
+    }
+
+    /**
+     * Resolve a period spec into a date range using the organization's fiscal year.
+     *
+     * Supported specs:
+     *   current_month | last_month | month_to_date
+     *   current_quarter | last_quarter | quarter_to_date        (fiscal quarters)
+     *   current_year | current_fy | last_year | last_fy
+     *   year_to_date | ytd | fytd                               (from fiscal year start)
+     *   FY2026 | FY26 | FY2025-26                                (fiscal year ending 2026)
+     *   FY2026-Q1 | FY2025-26-Q1                                (fiscal quarter)
+     *   YYYY-Qn                                                  (calendar quarter, Q1 = Jan–Mar)
+     *   YYYY-MM                                                  (calendar month)
+     *
+     * @param {String} spec - Period spec
+     * @param {Object} configSource - Organization, settings or config (see getConfig)
+     * @param {Date} referenceDate - "Today" for relative specs
+     * @returns {Object} { key, label, start, end, fiscalYear, quarter }
+     * @throws {Error} for unrecognized specs
+     */
+    static resolvePeriod(spec, configSource, referenceDate = new Date()) {
+        const config = this.getConfig(configSource);
+        const ref = new Date(referenceDate);
+        const key = String(spec || '').trim();
+        const endOfToday = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate()) + DAY_MS - 1);
+        const current = this.describe(ref, config);
+
+        const month = (offset) => {
+            const start = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + offset, 1));
+            const end = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + offset + 1, 1) - 1);
+            return {
+                label: start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+                start, end,
+                ...this.pick(this.describe(start, config))
+            };
+        };
+        const previousQuarter = () => (current.quarter > 1
+            ? this.getFiscalQuarter(current.fiscalYear, current.quarter - 1, config)
+            : this.getFiscalQuarter(current.fiscalYear - 1, 4, config));
+
+        let resolved;
+        switch (key.toLowerCase()) {
+            case 'current_month':
+                resolved = month(0);
+                break;
+            case 'last_month':
+                resolved = month(-1);
+                break;
+            case 'month_to_date':
+                resolved = { ...month(0), end: endOfToday };
+                resolved.label = `${resolved.label} (to date)`;
+                break;
+            case 'current_quarter':
+                resolved = current;
+                break;
+            case 'last_quarter':
+                resolved = previousQuarter();
+                break;
+            case 'quarter_to_date':
+                resolved = { ...current, end: endOfToday, label: `${current.label} (to date)` };
+                break;
+            case 'current_year':
+            case 'current_fy':
+                resolved = this.getFiscalYear(current.fiscalYear, config);
+                break;
+            case 'last_year':
+            case 'last_fy':
+                resolved = this.getFiscalYear(current.fiscalYear - 1, config);
+                break;
+            case 'year_to_date':
+            case 'ytd':
+            case 'fytd': {
+                const fy = this.getFiscalYear(current.fiscalYear, config);
+                resolved = { ...fy, end: endOfToday, label: `${fy.label} (to date)` };
+                break;
+            }
+            default:
+                resolved = this.parseExplicitPeriod(key, config);
+        }
+
+        if (!resolved) {
+            throw new Error(`Invalid period "${spec}". Use FY2026, FY2025-26, FY2026-Q1, YYYY-Qn, YYYY-MM, ytd, current_quarter, last_quarter, current_fy or last_fy`);
+        }
+        return { key, ...this.pick(resolved), label: resolved.label, start: resolved.start, end: resolved.end };
+    }
+
+    /**
+     * FY2026 / FY26 / FY2025-26 with optional -Qn (fiscal), YYYY-Qn or YYYY-MM (calendar)
+     */
+    static parseExplicitPeriod(key, config) {
+        const fyMatch = /^FY\s?(\d{2}|\d{4})(?:-(\d{2}|\d{4}))?(?:[-\s]?Q([1-4]))?$/i.exec(key);
+        if (fyMatch) {
+            let fiscalYear;
+            const first = fyMatch[1].length === 2 ? 2000 + Number(fyMatch[1]) : Number(fyMatch[1]);
+            if (fyMatch[2]) {
+                // FY2025-26 → ends in 2026
+                const second = Number(fyMatch[2]);
+                fiscalYear = fyMatch[2].length === 2 ? Math.floor(first / 100) * 100 + second : second;
+                if (fiscalYear <= first && !this.isCalendarYear(config)) fiscalYear += 100;
+            } else {
+                fiscalYear = first;
+            }
+            return fyMatch[3]
+                ? this.getFiscalQuarter(fiscalYear, Number(fyMatch[3]), config)
+                : this.getFiscalYear(fiscalYear, config);
+        }
+
+        // A bare year keeps its calendar meaning; fiscal quarters take the FY prefix
+        const quarterMatch = /^(\d{4})-Q([1-4])$/i.exec(key);
+        if (quarterMatch) {
+            const year = Number(quarterMatch[1]);
+            const quarter = Number(quarterMatch[2]);
+            const start = new Date(Date.UTC(year, (quarter - 1) * 3, 1));
+            const end = new Date(Date.UTC(year, quarter * 3, 1) - 1);
+            return {
+                label: `Q${quarter} ${year}`,
+                start, end,
+                ...this.pick(this.describe(start, config))
+            };
+        }
+
+        const monthMatch = /^(\d{4})-(\d{2})$/.exec(key);
+        if (monthMatch && Number(monthMatch[2]) >= 1 && Number(monthMatch[2]) <= 12) {
+            const start = new Date(Date.UTC(Number(monthMatch[1]), Number(monthMatch[2]) - 1, 1));
+            const end = new Date(Date.UTC(Number(monthMatch[1]), Number(monthMatch[2]), 1) - 1);
+            return {
+                label: start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+                start, end,
+                ...this.pick(this.describe(start, config))
+            };
+        }
+        return null;
+    }
+
+    static pick(period) {
+        return { fiscalYear: period.fiscalYear, quarter: period.quarter ?? null };
+    }
+}
+
+module.exports = FiscalPeriods;
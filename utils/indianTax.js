@@ -0,0 +1,211 @@
+// utils/indianTax.js
+// Indian indirect / withholding tax helpers: GST slabs and CGST/SGST/IGST
+// splits, GSTIN checks, TDS sections with their default rates, and the
+// statutory due dates for GSTR-3B and TDS. Rates and due dates are the
+// defaults for FY2025-26; every rate can be overridden on the entry itself.
+//
+// Dates are computed in UTC, matching utils/fiscalPeriods.js.
+
+const round2 = (v) => Math.round((v || 0) * 100) / 100;
+
+class IndianTax {
+    /**
+     * Standard GST slabs (percent)
+     */
+    static GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+    /**
+     * TDS sections used for vendor payments. `rates` are percent by deductee
+     * type; `threshold` is the single-payment limit below which no TDS applies.
+     */
+    static TDS_SECTIONS = {
+        '194C': { label: 'Payment to contractors', rates: { individual: 1, company: 2 }, threshold: 30000 },
+        '194H': { label: 'Commission or brokerage', rates: { individual: 2, company: 2 }, threshold: 20000 },
+        '194I(a)': { label: 'Rent on plant & machinery', rates: { individual: 2, company: 2 }, threshold: 50000 },
+        '194I(b)': { label: 'Rent on land, building or furniture', rates: { individual: 10, company: 10 }, threshold: 50000 },
+        '194J(a)': { label: 'Fees for technical services', rates: { individual: 2, company: 2 }, threshold: 50000 },
+        '194J(b)': { label: 'Fees for professional services', rates: { individual: 10, company: 10 }, threshold: 50000 },
+        '194O': { label: 'E-commerce operator payments', rates: { individual: 0.1, company: 0.1 }, threshold: 0 },
+        '194Q': { label: 'Purchase of goods', rates: { individual: 0.1, company: 0.1 }, threshold: 5000000 },
+        '195': { label: 'Payments to non-residents', rates: { individual: null, company: null }, threshold: 0 },
+    };
+
+    static GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+    /**
+     * True for a well-formed 15-character GSTIN
+     */
+    static isValidGstin(gstin) {
+        return this.GSTIN_PATTERN.test(String(gstin || '').trim().toUpperCase());
+    }
+
+    /**
+     * Two-digit state code of a GSTIN ("29" = Karnataka), or null
+     */
+    static stateCode(gstin) {
+        return this.isValidGstin(gstin) ? String(gstin).trim().slice(0, 2) : null;
+    }
+
+    /**
+     * Supply type between two registrations: same state → intra_state
+     * (CGST + SGST), different states → inter_state (IGST). Null when
+     * either GSTIN is missing.
+     */
+    static supplyTypeFor(gstinA, gstinB) {
+        const a = this.stateCode(gstinA);
+        const b = this.stateCode(gstinB);
+        if (!a || !b) return null;
+        return a === b ? 'intra_state' : 'inter_state';
+    }
+
+    /**
+     * GST contained in a tax-inclusive amount.
+     * With a rate, the tax is derived from `amount`; without one, any
+     * component amounts already on the entry (e.g. read off a receipt) are
+     * kept and the taxable value is what remains.
+     * @param {number} amount - Gross amount including GST
+     * @param {Object} gst - { rate, supplyType, cgst, sgst, igst }
+     * @returns {Object} { taxableAmount, cgst, sgst, igst, total }
+     */
+    static computeGst(amount, gst = {}) {
+        const gross = round2(amount);
+        if (gst.supplyType === 'none') {
+            return { taxableAmount: gross, cgst: 0, sgst: 0, igst: 0, total: 0 };
+        }
+        if (gst.rate === null || gst.rate === undefined) {
+            const cgst = round2(gst.cgst);
+            const sgst = round2(gst.sgst);
+            const igst = round2(gst.igst);
+            const total = round2(cgst + sgst + igst);
+            return { taxableAmount: round2(gross - total), cgst, sgst, igst, total };
+        }
+        const total = round2(gross * gst.rate / (100 + gst.rate));
+        const interState = gst.supplyType === 'inter_state';
+        const cgst = interState ? 0 : round2(total / 2);
+        return {
+            taxableAmount: round2(gross - total),
+            cgst,
+            sgst: interState ? 0 : round2(total - cgst),
+            igst: interState ? total : 0,
+            total,
+        };
+    }
+
+    /**
+     * Default TDS rate for a section and deductee type, or null when the
+     * section has no single rate (e.g. 195)
+     */
+    static tdsRate(section, deducteeType = 'company') {
+        const entry = this.TDS_SECTIONS[section];
+        if (!entry) return null;
+        return entry.rates[deducteeType === 'individual' ? 'individual' : 'company'];
+    }
+
+    /**
+     * Deductee type from a PAN's fourth character (P = individual, H = HUF)
+     */
+    static deducteeTypeFromPan(pan) {
+        const kind = String(pan || '').trim().toUpperCase().charAt(3);
+        return kind === 'P' || kind === 'H' ? 'individual' : 'company';
+    }
+
+    /**
+     * Calendar month bounds for "YYYY-MM"
+     * @returns {Object} { key, start, end } or throws on a malformed key
+     */
+    static monthRange(monthKey) {
+        const match = /^(\d{4})-(\d{2})$/.exec(String(monthKey || ''));
+        const month = match ? parseInt(match[2], 10) : 0;
+        if (!match || month < 1 || month > 12) {
+            throw new Error(`Invalid month "${monthKey}". Use YYYY-MM.`);
+        }
+        const year = parseInt(match[1], 10);
+        return {
+            key: monthKey,
+            start: new Date(Date.UTC(year, month - 1, 1)),
+            end: new Date(Date.UTC(year, month, 0, 23, 59, 59, 999)),
+        };
+    }
+
+    /**
+     * "YYYY-MM" of the month before `date`
+     */
+    static previousMonthKey(date = new Date()) {
+        const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1));
+        return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * GSTR-3B due date for a tax period: the 20th of the following month
+     * (monthly filers)
+     */
+    static gstr3bDueDate(monthKey) {
+        const { start } = this.monthRange(monthKey);
+        return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 20));
+    }
+
+    /**
+     * TDS deposit due date: the 7th of the following month, except tax
+     * deducted in March, which is due on 30 April
+     */
+    static tdsDepositDueDate(monthKey) {
+        const { start } = this.monthRange(monthKey);
+        const year = start.getUTCFullYear();
+        if (start.getUTCMonth() === 2) return new Date(Date.UTC(year, 3, 30));
+        return new Date(Date.UTC(year, start.getUTCMonth() + 1, 7));
+    }
+
+    /**
+     * Quarterly TDS return (Form 26Q) due date for the quarter containing
+     * the month: 31 Jul, 31 Oct, 31 Jan and 31 May
+     */
+    static tdsReturnDueDate(monthKey) {
+        const { start } = this.monthRange(monthKey);
+        const year = start.getUTCFullYear();
+        const month = start.getUTCMonth(); // 0-based
+        if (month >= 3 && month <= 5) return new Date(Date.UTC(year, 6, 31));
+        if (month >= 6 && month <= 8) return new Date(Date.UTC(year, 9, 31));
+        if (month >= 9 && month <= 11) return new Date(Date.UTC(year + 1, 0, 31));
+        return new Date(Date.UTC(year, 4, 31));
+    }
+
+    /**
+     * Use input tax credit against output tax in the statutory order:
+     * IGST credit against IGST, then CGST, then SGST; CGST credit against
+     * CGST, then IGST; SGST credit against SGST, then IGST. CGST and SGST
+     * credit never cross.
+     * @param {Object} output - { igst, cgst, sgst }
+     * @param {Object} credit - { igst, cgst, sgst }
+     * @returns {Object} { payable: {igst,cgst,sgst,total}, creditUsed: {...}, creditCarriedForward: {...} }
+     */
+    static setOffCredit(output, credit) {
+        const due = { igst: round2(output.igst), cgst: round2(output.cgst), sgst: round2(output.sgst) };
+        const left = { igst: round2(credit.igst), cgst: round2(credit.cgst), sgst: round2(credit.sgst) };
+        const use = (from, against) => {
+            const amount = Math.min(left[from], due[against]);
+            left[from] = round2(left[from] - amount);
+            due[against] = round2(due[against] - amount);
+        };
+        use('igst', 'igst');
+        use('igst', 'cgst');
+        use('igst', 'sgst');
+        use('cgst', 'cgst');
+        use('cgst', 'igst');
+        use('sgst', 'sgst');
+        use('sgst', 'igst');
+
+        const total = (o) => round2(o.igst + o.cgst + o.sgst);
+        const used = {
+            igst: round2(credit.igst - left.igst),
+            cgst: round2(credit.cgst - left.cgst),
+            sgst: round2(credit.sgst - left.sgst),
+        };
+        return {
+            payable: { ...due, total: total(due) },
+            creditUsed: { ...used, total: total(used) },
+            creditCarriedForward: { ...left, total: total(left) },
+        };
+    }
+}
+
+module.exports = IndianTax;